@@ -0,0 +1,342 @@
+/**
+ * Topic Access Control
+ * Mosquitto-style ACLs evaluated on subscribe (read) and publish (write).
+ *
+ *   # Anonymous clients (lines before the first `user`/`clientid`)
+ *   topic read public/#
+ *
+ *   user alice
+ *   topic readwrite sensors/#
+ *   topic deny sensors/secret/#
+ *
+ *   clientid gateway-1
+ *   topic write telemetry/#
+ *
+ *   # All clients; %u = username, %c = client id
+ *   pattern readwrite users/%u/#
+ *   pattern write devices/%c/status
+ *
+ * A request is denied if any matching rule is `deny`, allowed if any matching
+ * rule grants the access, and denied otherwise. A subscription is only granted
+ * if a rule covers the whole filter, and is denied if it could receive any
+ * topic of a `deny` rule. Admin users bypass the rules and are the only users
+ * allowed to access `$SYS/#`.
+ */
+
+import { readFileSync } from 'node:fs';
+import { topicMatches, validateTopicFilter } from './topic-filter.js';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+export const ACCESS = {
+  READ: 'read',
+  WRITE: 'write'
+};
+
+// Access levels accepted in rules, and the accesses they grant
+const RULE_ACCESS = {
+  read: [ACCESS.READ],
+  write: [ACCESS.WRITE],
+  readwrite: [ACCESS.READ, ACCESS.WRITE],
+  deny: []
+};
+
+// Compiled ACL (null = access control disabled)
+let acl = null;
+
+/**
+ * Validate one rule
+ * @param {Object} rule - { scope, name, access, topic }
+ * @param {string} where - Rule location, for error messages
+ * @returns {Object} - The rule
+ * @throws {Error} If the access level or topic is invalid
+ */
+function validateRule(rule, where) {
+  if (!Object.hasOwn(RULE_ACCESS, rule.access)) {
+    throw new Error(
+      `${where}: access must be one of ${Object.keys(RULE_ACCESS).join(', ')}, got: ${rule.access}`
+    );
+  }
+  const reason = validateTopicFilter(rule.topic);
+  if (reason) {
+    throw new Error(`${where}: topic is invalid: ${reason}`);
+  }
+  return rule;
+}
+
+/**
+ * Parse a Mosquitto ACL file
+ * Supports `user`, `clientid`, `topic` and `pattern` lines; the access level is
+ * optional and defaults to readwrite.
+ * @param {string} text - File contents
+ * @param {string} source - File name, for error messages
+ * @returns {Object[]} - Rules ({ scope, name, access, topic })
+ * @throws {Error} Naming the line of the first invalid entry
+ */
+export function parseAclFile(text, source = 'acl') {
+  const rules = [];
+  let scope = 'anonymous';
+  let name = null;
+
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+    const where = `${source}:${i + 1}`;
+    const [keyword] = line.split(/\s+/, 1);
+    const rest = line.substring(keyword.length).trim();
+
+    if (keyword === 'user' || keyword === 'clientid') {
+      if (!rest) {
+        throw new Error(`${where}: ${keyword} requires a name`);
+      }
+      scope = keyword === 'user' ? 'user' : 'client';
+      name = rest;
+      return;
+    }
+    if (keyword !== 'topic' && keyword !== 'pattern') {
+      throw new Error(`${where}: unknown keyword '${keyword}'`);
+    }
+
+    // `topic [access] <topic>`; topics may contain spaces
+    const [first] = rest.split(/\s+/, 1);
+    const hasAccess = Object.hasOwn(RULE_ACCESS, first) && rest !== first;
+    const rule = {
+      scope: keyword === 'pattern' ? 'pattern' : scope,
+      name: keyword === 'pattern' ? null : name,
+      access: hasAccess ? first : 'readwrite',
+      topic: hasAccess ? rest.substring(first.length).trim() : rest
+    };
+    rules.push(validateRule(rule, where));
+  });
+  return rules;
+}
+
+/**
+ * Read and parse a Mosquitto ACL file
+ * @param {string} path - File path
+ * @returns {Object[]} - Rules (see parseAclFile())
+ */
+export function loadAclFile(path) {
+  return parseAclFile(readFileSync(path, 'utf8'), path);
+}
+
+/**
+ * Convert mqtt_acl table rows to rules
+ * A row applies to `username` if set, else to `clientid` if set, else to
+ * anonymous clients; rows with `pattern: true` apply to all clients.
+ * @param {Object[]} rows - Rows ({ id, username, clientid, pattern, access, topic })
+ * @returns {Object[]} - Rules (see parseAclFile())
+ */
+export function rowsToAclRules(rows) {
+  return rows.map((row) => {
+    let scope = 'anonymous';
+    let name = null;
+    if (row.pattern) {
+      scope = 'pattern';
+    } else if (row.username) {
+      scope = 'user';
+      name = row.username;
+    } else if (row.clientid) {
+      scope = 'client';
+      name = row.clientid;
+    }
+    return validateRule(
+      { scope, name, access: row.access ?? 'readwrite', topic: row.topic },
+      `mqtt_acl row '${row.id}'`
+    );
+  });
+}
+
+/**
+ * Read all rules from the mqtt_acl table
+ * @param {Object} table - HarperDB table instance
+ * @returns {Promise<Object[]>} - Rules (see parseAclFile())
+ */
+export async function loadAclTable(table) {
+  const rows = [];
+  for await (const row of table.search({ conditions: [] })) {
+    rows.push(row);
+  }
+  return rowsToAclRules(rows);
+}
+
+/**
+ * Enable access control
+ * @param {Object|null} options - { rules, admins }, or null to disable
+ *   (rules are { scope: anonymous|user|client|pattern, name, access, topic })
+ */
+export function setAcl(options) {
+  if (!options) {
+    acl = null;
+    logger.info(
+      '[MQTT-Broker-Interop-Plugin:ACL]: Topic access control disabled'
+    );
+    return;
+  }
+  const rules = options.rules ?? [];
+  acl = { rules, admins: new Set(options.admins ?? []) };
+  logger.info(
+    `[MQTT-Broker-Interop-Plugin:ACL]: Topic access control enabled - ${rules.length} rule(s), ${acl.admins.size} admin(s)`
+  );
+}
+
+/**
+ * Whether access control is enabled
+ * @returns {boolean} - True once setAcl() was given rules
+ */
+export function isAclEnabled() {
+  return acl !== null;
+}
+
+/**
+ * Whether a user is an ACL admin
+ * @param {string|null} username - Username
+ * @returns {boolean} - True for admins (or when access control is disabled)
+ */
+export function isAclAdmin(username) {
+  return !acl || (Boolean(username) && acl.admins.has(username));
+}
+
+/**
+ * Substitute %u and %c in a pattern rule's topic
+ * @param {string} topic - Rule topic
+ * @param {string|null} username - Username
+ * @param {string|null} clientId - Client id
+ * @returns {string|null} - Topic, or null if a placeholder has no usable value
+ */
+function substitute(topic, username, clientId) {
+  let unusable = false;
+  const result = topic.replace(/%([uc])/g, (_, kind) => {
+    const value = kind === 'u' ? username : clientId;
+    // Values containing wildcards or separators would widen the rule
+    if (!value || /[+#/]/.test(value)) {
+      unusable = true;
+      return '';
+    }
+    return value;
+  });
+  return unusable ? null : result;
+}
+
+/**
+ * Whether every topic matched by a subscription filter is matched by an ACL topic
+ * @param {string} aclTopic - ACL topic (may contain wildcards)
+ * @param {string} filter - Subscription filter
+ * @returns {boolean} - True if the ACL topic covers the whole filter
+ */
+export function filterCovers(aclTopic, filter) {
+  const aclLevels = aclTopic.split('/');
+  const filterLevels = filter.split('/');
+  for (let i = 0; i < aclLevels.length; i++) {
+    const level = aclLevels[i];
+    if (level === '#') {
+      // '#' never matches topics starting with '$' from the first level
+      return !(i === 0 && filterLevels[0].startsWith('$'));
+    }
+    const other = filterLevels[i];
+    if (other === undefined || other === '#') {
+      return false;
+    }
+    if (level === '+') {
+      if (i === 0 && other.startsWith('$')) {
+        return false;
+      }
+    } else if (level !== other) {
+      return false;
+    }
+  }
+  return aclLevels.length === filterLevels.length;
+}
+
+/**
+ * Whether two topic filters can match a common topic
+ * @param {string} a - Topic filter
+ * @param {string} b - Topic filter
+ * @returns {boolean} - True if some topic matches both filters
+ */
+export function filtersOverlap(a, b) {
+  const aLevels = a.split('/');
+  const bLevels = b.split('/');
+  for (let i = 0; i < Math.max(aLevels.length, bLevels.length); i++) {
+    const x = aLevels[i];
+    const y = bLevels[i];
+    if (x === '#' || y === '#') {
+      return true;
+    }
+    if (x === undefined || y === undefined) {
+      return false;
+    }
+    if (x !== '+' && y !== '+' && x !== y) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Check whether a client may read (subscribe) or write (publish) a topic
+ * @param {Object} request - Access request
+ * @param {string|null} request.username - Authenticated username (null for anonymous)
+ * @param {string|null} request.clientId - MQTT client id
+ * @param {string} request.topic - Topic (publish) or topic filter (subscribe)
+ * @param {string} request.access - ACCESS.READ or ACCESS.WRITE
+ * @returns {Object} - { allowed, reason }
+ */
+export function checkAccess({
+  username = null,
+  clientId = null,
+  topic,
+  access
+}) {
+  if (!acl) {
+    return { allowed: true, reason: 'acl disabled' };
+  }
+  if (username && acl.admins.has(username)) {
+    return { allowed: true, reason: 'admin' };
+  }
+  if (topic.startsWith('$SYS')) {
+    return { allowed: false, reason: '$SYS is restricted to admins' };
+  }
+
+  // Grants must cover the whole subscription; deliveries are not filtered per
+  // message, so a deny applies to any subscription that could receive its topics
+  const grants =
+    access === ACCESS.READ
+      ? (ruleTopic) => filterCovers(ruleTopic, topic)
+      : (ruleTopic) => topicMatches(ruleTopic, topic);
+  const denies =
+    access === ACCESS.READ
+      ? (ruleTopic) => filtersOverlap(ruleTopic, topic)
+      : (ruleTopic) => topicMatches(ruleTopic, topic);
+
+  let granted = false;
+  for (const rule of acl.rules) {
+    let ruleTopic = rule.topic;
+    if (rule.scope === 'pattern') {
+      ruleTopic = substitute(rule.topic, username, clientId);
+    } else if (
+      (rule.scope === 'anonymous' && username) ||
+      (rule.scope === 'user' && rule.name !== username) ||
+      (rule.scope === 'client' && rule.name !== clientId)
+    ) {
+      continue;
+    }
+    if (ruleTopic === null) {
+      continue;
+    }
+    if (rule.access === 'deny') {
+      if (denies(ruleTopic)) {
+        return { allowed: false, reason: `denied by '${rule.topic}'` };
+      }
+    } else if (grants(ruleTopic)) {
+      granted ||= RULE_ACCESS[rule.access].includes(access);
+    }
+  }
+  return granted
+    ? { allowed: true, reason: 'granted' }
+    : { allowed: false, reason: 'no matching rule' };
+}
@@ -0,0 +1,280 @@
+/**
+ * Threshold Alerts
+ * Rules compare a broker metric with a threshold on every metrics tick. A rule
+ * fires once its condition has held for its `for` duration and resolves when
+ * the condition stops holding; each transition is published as a retained JSON
+ * message on <topic_prefix>/<rule> and recorded in the mqtt_alerts table.
+ *
+ *   alerts:
+ *     topic_prefix: "$SYS/alerts" # default
+ *     rules:
+ *       - name: "too-many-clients"
+ *         condition: "clients.connected > 5000 for 2m"
+ *         severity: "critical"
+ *       - name: "no-traffic"
+ *         condition: "load.messagesReceived.oneMin < 1 for 10m"
+ *       - name: "heap-high"
+ *         condition: "heap.percent > 90"
+ *
+ * Metrics are the broker-wide values behind the $SYS topics (see getMetrics()),
+ * addressed by path; `heap.percent` is heap used as a percentage of the heap limit.
+ */
+
+import { SNAPSHOT_SECTIONS, getThreadId } from './thread-metrics.js';
+import { validateTopicFilter } from './topic-filter.js';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+export const DEFAULT_ALERT_TOPIC_PREFIX = '$SYS/alerts';
+
+export const ALERT_STATES = {
+  FIRING: 'firing',
+  RESOLVED: 'resolved'
+};
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// `<metric path> <operator> <number> [for <duration>]`
+const CONDITION =
+  /^\s*([A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)+)\s*(>=|<=|==|!=|>|<)\s*(-?\d+(?:\.\d+)?)\s*(?:for\s+(\d+(?:\.\d+)?)\s*([smh]))?\s*$/;
+
+const RULE_NAME = /^[A-Za-z0-9_-]+$/;
+
+// Compiled rules and their evaluation state (null = alerting disabled)
+let alerts = null;
+
+// Table transitions are recorded in (set during plugin initialization)
+let alertsTable = null;
+// Sequence keeping record ids unique when transitions share a timestamp
+let nextRecordId = 0;
+
+/**
+ * Parse a rule condition
+ * @param {string} condition - e.g. "clients.connected > 5000 for 2m"
+ * @param {string} path - Config path, for error messages
+ * @returns {Object} - { metric, operator, threshold, forMs }
+ * @throws {Error} If the condition is malformed or names an unknown metric section
+ */
+export function parseCondition(condition, path = 'condition') {
+  const match = typeof condition === 'string' && condition.match(CONDITION);
+  if (!match) {
+    throw new Error(
+      `${path} must look like "<metric> <operator> <number> [for <n>s|m|h]", got: ${condition}`
+    );
+  }
+  const [, metric, operator, threshold, duration, unit] = match;
+  const [section] = metric.split('.');
+  if (!SNAPSHOT_SECTIONS.includes(section)) {
+    throw new Error(
+      `${path} metric must start with one of ${SNAPSHOT_SECTIONS.join(', ')}, got: ${metric}`
+    );
+  }
+  return {
+    metric,
+    operator,
+    threshold: Number(threshold),
+    forMs: duration ? Number(duration) * DURATION_UNITS[unit] : 0
+  };
+}
+
+/**
+ * Validate and compile the `alerts` config section
+ * @param {Object|undefined} config - Raw config ({ topic_prefix, rules })
+ * @returns {Object|null} - Compiled { topic_prefix, rules }, or null when not configured
+ * @throws {Error} If the prefix or a rule is invalid
+ */
+export function compileAlerts(config) {
+  if (config === undefined || config === null) {
+    return null;
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('alerts must be an object with topic_prefix and/or rules');
+  }
+
+  const prefix = config.topic_prefix ?? DEFAULT_ALERT_TOPIC_PREFIX;
+  const reason = validateTopicFilter(prefix);
+  if (reason || /[+#]/.test(prefix) || prefix.endsWith('/')) {
+    throw new Error(
+      `alerts.topic_prefix must be a topic name without wildcards or a trailing '/', got: ${prefix}`
+    );
+  }
+
+  const rawRules = config.rules ?? [];
+  if (!Array.isArray(rawRules)) {
+    throw new Error('alerts.rules must be a list');
+  }
+  const names = new Set();
+  const rules = rawRules.map((rule, i) => {
+    const path = `alerts.rules[${i}]`;
+    if (typeof rule?.name !== 'string' || !RULE_NAME.test(rule.name)) {
+      throw new Error(
+        `${path}.name must contain only letters, digits, '_' and '-', got: ${rule?.name}`
+      );
+    }
+    if (names.has(rule.name)) {
+      throw new Error(`${path}.name '${rule.name}' is used by another rule`);
+    }
+    names.add(rule.name);
+    return {
+      name: rule.name,
+      condition: rule.condition,
+      severity: rule.severity ?? 'warning',
+      ...parseCondition(rule.condition, `${path}.condition`)
+    };
+  });
+
+  return { topic_prefix: prefix, rules };
+}
+
+/**
+ * Enable alert rules, discarding any previous evaluation state
+ * @param {Object|null} compiled - Compiled alerts from compileAlerts(), or null to disable
+ */
+export function setAlerts(compiled) {
+  if (!compiled) {
+    alerts = null;
+    return;
+  }
+  // Per rule: when the condition started holding (ms) and whether it is firing
+  const state = new Map(
+    compiled.rules.map((rule) => [rule.name, { since: null, firing: false }])
+  );
+  alerts = { ...compiled, state };
+  logger.info(
+    `[MQTT-Broker-Interop-Plugin:Alerts]: ${alerts.rules.length} alert rule(s), publishing to ${alerts.topic_prefix}/<rule>`
+  );
+}
+
+/**
+ * Set the table alert transitions are recorded in
+ * @param {Object} table - HarperDB table instance (mqtt_alerts)
+ */
+export function setAlertsTable(table) {
+  alertsTable = table;
+}
+
+/**
+ * Read a metric by path
+ * @param {Object} m - Broker-wide metrics
+ * @param {string} path - Dot-separated path (e.g. load.messagesReceived.oneMin)
+ * @returns {number|null} - Value, or null if the path does not name a number
+ */
+export function readMetric(m, path) {
+  if (path === 'heap.percent') {
+    const { current, limit } = m.heap ?? {};
+    return limit > 0 ? (current / limit) * 100 : null;
+  }
+  let value = m;
+  for (const key of path.split('.')) {
+    value = value?.[key];
+  }
+  return typeof value === 'number' ? value : null;
+}
+
+/**
+ * Topic an alert rule is published on
+ * @param {string} name - Rule name
+ * @returns {string|null} - Topic, or null when alerting is disabled
+ */
+export function alertTopic(name) {
+  return alerts ? `${alerts.topic_prefix}/${name}` : null;
+}
+
+/**
+ * Evaluate all rules and return their state transitions
+ * @param {Object} m - Broker-wide metrics
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object[]} - Alert messages for rules that fired or resolved
+ */
+export function evaluateAlerts(m, now = Date.now()) {
+  if (!alerts) {
+    return [];
+  }
+  const transitions = [];
+  for (const rule of alerts.rules) {
+    const state = alerts.state.get(rule.name);
+    const value = readMetric(m, rule.metric);
+    const holds =
+      value !== null && OPERATORS[rule.operator](value, rule.threshold);
+
+    if (!holds) {
+      if (state.firing) {
+        transitions.push(
+          toMessage(rule, ALERT_STATES.RESOLVED, value, state.since, now)
+        );
+      }
+      state.since = null;
+      state.firing = false;
+      continue;
+    }
+    state.since ??= now;
+    if (!state.firing && now - state.since >= rule.forMs) {
+      state.firing = true;
+      transitions.push(
+        toMessage(rule, ALERT_STATES.FIRING, value, state.since, now)
+      );
+    }
+  }
+  for (const message of transitions) {
+    logger.warn(
+      `[MQTT-Broker-Interop-Plugin:Alerts]: Alert ${message.state} - rule: ${message.rule}, ${message.metric} = ${message.value} (${message.condition})`
+    );
+  }
+  return transitions;
+}
+
+/**
+ * Build the message published for a transition
+ * @param {Object} rule - Compiled rule
+ * @param {string} state - ALERT_STATES value
+ * @param {number|null} value - Current metric value
+ * @param {number} since - When the condition started holding (ms)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - Alert message
+ */
+function toMessage(rule, state, value, since, now) {
+  return {
+    rule: rule.name,
+    state,
+    severity: rule.severity,
+    condition: rule.condition,
+    metric: rule.metric,
+    value,
+    threshold: rule.threshold,
+    since: new Date(since).toISOString(),
+    timestamp: new Date(now).toISOString()
+  };
+}
+
+/**
+ * Record a transition in the mqtt_alerts table
+ * @param {Object} message - Alert message from evaluateAlerts()
+ * @returns {Promise<void>}
+ */
+export async function recordAlert(message) {
+  if (!alertsTable) {
+    return;
+  }
+  try {
+    await alertsTable.put({
+      id: `${message.rule}/${message.timestamp}/${getThreadId()}/${nextRecordId++}`,
+      ...message
+    });
+  } catch (error) {
+    logger.error(
+      `[MQTT-Broker-Interop-Plugin:Alerts]: Failed to record alert '${message.rule}':`,
+      error
+    );
+  }
+}
@@ -0,0 +1,606 @@
+/**
+ * MQTT Bridges
+ * Connects the Harper broker to remote brokers (Mosquitto, EMQX, HiveMQ, ...)
+ * and forwards topics in either direction, like Mosquitto's `connection` blocks:
+ *
+ *   bridges:
+ *     - name: "cloud"
+ *       address: "mqtts://broker.example.com:8883"
+ *       topics:
+ *         - pattern: "sensors/#"
+ *           direction: "out"
+ *           qos: 1
+ *           local_prefix: "site1/"
+ *           remote_prefix: "plants/site1/"
+ *         - "commands/# in 1"
+ *
+ * Harper's MQTT event stream has no publish event, so local publishes are
+ * handed over by writeMessageToTable() once the ACL and rate limits admitted
+ * them (see forwardToBridges()). Only the primary thread connects to the remote
+ * brokers; the other worker threads send their clients' publishes to it over a
+ * BroadcastChannel.
+ */
+
+import { createHash } from 'node:crypto';
+import { BroadcastChannel } from 'node:worker_threads';
+import mqtt from 'mqtt';
+import { topicMatches, validateTopicFilter } from './topic-filter.js';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+export const DIRECTIONS = ['out', 'in', 'both'];
+
+// Default per-bridge options
+export const DEFAULT_BRIDGE_OPTIONS = {
+  protocol_version: 4,
+  keepalive: 60, // seconds
+  reconnect_period: 5, // seconds
+  clean: true
+};
+
+// How long a forwarded message is remembered for echo suppression
+export const LOOP_WINDOW_MS = 10 * 1000;
+
+// MQTT 5 user property set on outbound publishes (to the bridge's client id),
+// so that they are recognized if the remote broker sends them back
+export const LOOP_MARKER = 'harper-bridge';
+
+const BRIDGE_CHANNEL = 'mqtt-broker-interop:bridges';
+
+const BRIDGE_NAME = /^[A-Za-z0-9_-]+$/;
+const PROTOCOL_VERSIONS = [3, 4, 5];
+
+/**
+ * Parse a Mosquitto-style topic line: `pattern [direction [qos [local_prefix remote_prefix]]]`
+ * @param {string} line - Topic line
+ * @returns {Object} - Raw rule ({ pattern, direction, qos, local_prefix, remote_prefix })
+ */
+function parseTopicLine(line) {
+  const [pattern, direction, qos, localPrefix, remotePrefix] = line
+    .trim()
+    .split(/\s+/);
+  return {
+    pattern,
+    direction,
+    qos: qos === undefined ? undefined : Number(qos),
+    local_prefix: localPrefix,
+    remote_prefix: remotePrefix
+  };
+}
+
+/**
+ * Validate a topic prefix
+ * @param {any} prefix - Prefix from config
+ * @param {string} path - Config path, for error messages
+ * @returns {string} - Prefix ('' when absent)
+ * @throws {Error} If the prefix is not a string or contains wildcards
+ */
+function validatePrefix(prefix, path) {
+  if (prefix === undefined || prefix === null || prefix === '""') {
+    return '';
+  }
+  if (typeof prefix !== 'string' || /[+#]/.test(prefix)) {
+    throw new Error(`${path} must be a topic prefix without wildcards`);
+  }
+  return prefix;
+}
+
+/**
+ * Validate one topic rule of a bridge
+ * @param {Object|string} rawRule - Rule object or Mosquitto-style topic line
+ * @param {string} path - Config path, for error messages
+ * @returns {Object} - { pattern, direction, qos, local_prefix, remote_prefix }
+ * @throws {Error} If the rule is invalid
+ */
+function compileTopicRule(rawRule, path) {
+  const rule = typeof rawRule === 'string' ? parseTopicLine(rawRule) : rawRule;
+  const reason = validateTopicFilter(rule?.pattern);
+  if (reason) {
+    throw new Error(`${path}.pattern is invalid: ${reason}`);
+  }
+  const direction = rule.direction ?? 'out';
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(
+      `${path}.direction must be one of ${DIRECTIONS.join(', ')}, got: ${rule.direction}`
+    );
+  }
+  const qos = rule.qos ?? 0;
+  if (![0, 1, 2].includes(qos)) {
+    throw new Error(`${path}.qos must be 0, 1 or 2, got: ${rule.qos}`);
+  }
+  return {
+    pattern: rule.pattern,
+    direction,
+    qos,
+    local_prefix: validatePrefix(rule.local_prefix, `${path}.local_prefix`),
+    remote_prefix: validatePrefix(rule.remote_prefix, `${path}.remote_prefix`)
+  };
+}
+
+/**
+ * Validate and normalize the `bridges` config section
+ * @param {Object[]|undefined} bridges - Raw bridge list
+ * @returns {Object[]} - Normalized bridges
+ * @throws {Error} If a bridge or one of its topic rules is invalid
+ */
+export function compileBridges(bridges) {
+  if (bridges === undefined || bridges === null) {
+    return [];
+  }
+  if (!Array.isArray(bridges)) {
+    throw new Error('bridges must be a list');
+  }
+
+  const names = new Set();
+  return bridges.map((bridge, i) => {
+    const path = `bridges[${i}]`;
+    if (typeof bridge?.name !== 'string' || !BRIDGE_NAME.test(bridge.name)) {
+      throw new Error(
+        `${path}.name must contain only letters, digits, '_' and '-', got: ${bridge?.name}`
+      );
+    }
+    if (names.has(bridge.name)) {
+      throw new Error(`${path}.name '${bridge.name}' is used more than once`);
+    }
+    names.add(bridge.name);
+
+    if (typeof bridge.address !== 'string' || !bridge.address.includes('://')) {
+      throw new Error(
+        `${path}.address must be a broker URL (e.g. mqtt://host:1883), got: ${bridge.address}`
+      );
+    }
+
+    const options = { ...DEFAULT_BRIDGE_OPTIONS, ...bridge };
+    if (!PROTOCOL_VERSIONS.includes(options.protocol_version)) {
+      throw new Error(
+        `${path}.protocol_version must be one of ${PROTOCOL_VERSIONS.join(', ')}, got: ${bridge.protocol_version}`
+      );
+    }
+    for (const key of ['keepalive', 'reconnect_period']) {
+      if (typeof options[key] !== 'number' || !(options[key] >= 0)) {
+        throw new Error(
+          `${path}.${key} must be a number of seconds, got: ${bridge[key]}`
+        );
+      }
+    }
+
+    if (!Array.isArray(bridge.topics) || bridge.topics.length === 0) {
+      throw new Error(`${path}.topics must be a non-empty list`);
+    }
+
+    return {
+      ...options,
+      client_id: bridge.client_id ?? `harper-bridge-${bridge.name}`,
+      topics: bridge.topics.map((rule, j) =>
+        compileTopicRule(rule, `${path}.topics[${j}]`)
+      )
+    };
+  });
+}
+
+/**
+ * Map a local topic to the remote broker
+ * @param {Object} rule - Compiled topic rule
+ * @param {string} topic - Local topic
+ * @returns {string|null} - Remote topic, or null if the rule does not forward it out
+ */
+export function localToRemote(rule, topic) {
+  if (rule.direction === 'in' || !topic.startsWith(rule.local_prefix)) {
+    return null;
+  }
+  const rest = topic.substring(rule.local_prefix.length);
+  return topicMatches(rule.pattern, rest) ? rule.remote_prefix + rest : null;
+}
+
+/**
+ * Map a remote topic to the local broker
+ * @param {Object} rule - Compiled topic rule
+ * @param {string} topic - Remote topic
+ * @returns {string|null} - Local topic, or null if the rule does not forward it in
+ */
+export function remoteToLocal(rule, topic) {
+  if (rule.direction === 'out' || !topic.startsWith(rule.remote_prefix)) {
+    return null;
+  }
+  const rest = topic.substring(rule.remote_prefix.length);
+  return topicMatches(rule.pattern, rest) ? rule.local_prefix + rest : null;
+}
+
+/**
+ * Key identifying a message for echo suppression
+ * @param {string} topic - Topic
+ * @param {Buffer|string} payload - Payload
+ * @returns {string} - Topic plus payload digest
+ */
+function echoKey(topic, payload) {
+  const digest = createHash('sha1')
+    .update(payload ?? '')
+    .digest('base64');
+  return `${topic}\n${digest}`;
+}
+
+/**
+ * Payload as sent on the wire: Buffers and strings as-is, other values as JSON
+ * @param {any} payload - Payload as published locally
+ * @returns {Buffer|string} - Payload for mqtt.publish()
+ */
+function wirePayload(payload) {
+  if (payload === undefined || payload === null) {
+    return '';
+  }
+  if (typeof payload === 'string' || Buffer.isBuffer(payload)) {
+    return payload;
+  }
+  if (payload instanceof Uint8Array) {
+    return Buffer.from(payload);
+  }
+  return JSON.stringify(payload);
+}
+
+/**
+ * Bridge - One connection to a remote broker
+ */
+export class Bridge {
+  /**
+   * @param {Object} config - Compiled bridge (see compileBridges())
+   * @param {Object} options - Runtime hooks
+   * @param {MqttMetrics} options.metrics - Metrics instance receiving bridge state
+   * @param {Function} options.publishLocal - Called as publishLocal(message) for inbound messages
+   * @param {Function} options.connect - MQTT connect function (defaults to mqtt.connect)
+   */
+  constructor(config, { metrics, publishLocal, connect = mqtt.connect }) {
+    this.config = config;
+    this.name = config.name;
+    this.metrics = metrics;
+    this.publishLocal = publishLocal;
+    this.clientId = config.client_id;
+    this.connect = connect;
+    this.client = null;
+    this.connected = false;
+
+    // Origin recorded on inbound messages, so they are never forwarded back out
+    this.origin = `$bridge/${this.name}`;
+
+    // Recently forwarded messages (echo key → expiry), per direction
+    this._sentOut = new Map();
+    this._sentIn = new Map();
+  }
+
+  /**
+   * Connect to the remote broker
+   * Reconnects automatically every reconnect_period seconds after a failure.
+   */
+  start() {
+    const { config } = this;
+    logger.info(
+      `[MQTT-Broker-Interop-Plugin:Bridge]: Starting bridge '${this.name}' to ${config.address} as '${this.clientId}'`
+    );
+    this.metrics.onBridgeStarted(this.name);
+
+    this.client = this.connect(config.address, {
+      clientId: this.clientId,
+      username: config.username,
+      password: config.password,
+      protocolVersion: config.protocol_version,
+      keepalive: config.keepalive,
+      reconnectPeriod: config.reconnect_period * 1000,
+      clean: config.clean
+    });
+
+    this.client.on('connect', () => {
+      logger.info(
+        `[MQTT-Broker-Interop-Plugin:Bridge]: Bridge '${this.name}' connected`
+      );
+      this.connected = true;
+      this.metrics.onBridgeConnected(this.name);
+      this._subscribeRemote();
+    });
+    this.client.on('reconnect', () => {
+      this.metrics.onBridgeReconnect(this.name);
+    });
+    this.client.on('close', () => {
+      // Also emitted after each failed reconnect attempt
+      if (this.connected) {
+        this.connected = false;
+        this.metrics.onBridgeDisconnected(this.name);
+        logger.warn(
+          `[MQTT-Broker-Interop-Plugin:Bridge]: Bridge '${this.name}' disconnected`
+        );
+      }
+    });
+    this.client.on('error', (error) => {
+      logger.warn(
+        `[MQTT-Broker-Interop-Plugin:Bridge]: Bridge '${this.name}' error: ${error.message}`
+      );
+    });
+    this.client.on('message', (topic, payload, packet) => {
+      this._onRemoteMessage(topic, payload, packet);
+    });
+  }
+
+  /**
+   * Disconnect from the remote broker
+   * @returns {Promise<void>} - Resolves once the connection is closed
+   */
+  async stop() {
+    if (!this.client) {
+      return;
+    }
+    const { client } = this;
+    this.client = null;
+    await client.endAsync();
+    this.metrics.onBridgeStopped(this.name);
+    logger.info(
+      `[MQTT-Broker-Interop-Plugin:Bridge]: Bridge '${this.name}' stopped`
+    );
+  }
+
+  /**
+   * Subscribe to the remote side of every inbound rule
+   */
+  _subscribeRemote() {
+    const subscriptions = {};
+    for (const rule of this.config.topics) {
+      if (rule.direction !== 'out') {
+        // MQTT 5: do not receive our own outbound publishes back (MQTT 3.1 and
+        // 3.1.1 have no subscription options)
+        subscriptions[rule.remote_prefix + rule.pattern] =
+          this.config.protocol_version === 5
+            ? { qos: rule.qos, nl: true }
+            : { qos: rule.qos };
+      }
+    }
+    if (Object.keys(subscriptions).length === 0) {
+      return;
+    }
+    this.client.subscribe(subscriptions, (error) => {
+      if (error) {
+        logger.error(
+          `[MQTT-Broker-Interop-Plugin:Bridge]: Bridge '${this.name}' failed to subscribe:`,
+          error
+        );
+      }
+    });
+  }
+
+  /**
+   * Whether a message was forwarded in the other direction within the loop window
+   * @param {Map} sent - Recently forwarded messages
+   * @param {string} key - Echo key
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} - True if the message is an echo
+   */
+  _isEcho(sent, key, now) {
+    const expiry = sent.get(key);
+    if (expiry === undefined) {
+      return false;
+    }
+    sent.delete(key);
+    return expiry > now;
+  }
+
+  /**
+   * Whether a remote message carries the loop marker of this bridge
+   * @param {Object} packet - MQTT packet
+   * @returns {boolean} - True if this bridge forwarded the message out
+   */
+  _isOwnMessage(packet) {
+    return packet.properties?.userProperties?.[LOOP_MARKER] === this.clientId;
+  }
+
+  /**
+   * Remember a forwarded message, dropping expired entries
+   * @param {Map} sent - Recently forwarded messages
+   * @param {string} key - Echo key
+   * @param {number} now - Current time in milliseconds
+   */
+  _remember(sent, key, now) {
+    for (const [oldKey, expiry] of sent) {
+      if (expiry > now) {
+        break;
+      }
+      sent.delete(oldKey);
+    }
+    sent.delete(key);
+    sent.set(key, now + LOOP_WINDOW_MS);
+  }
+
+  /**
+   * Forward a local publish to the remote broker
+   * @param {Object} message - { topic, payload, qos, retain, client_id }
+   * @param {number} now - Current time in milliseconds (injectable for tests)
+   * @returns {boolean} - True if the message was forwarded
+   */
+  forwardOut(message, now = Date.now()) {
+    if (!this.client || message.client_id === this.origin) {
+      return false;
+    }
+    const rule = this.config.topics.find(
+      (r) => localToRemote(r, message.topic) !== null
+    );
+    if (!rule) {
+      return false;
+    }
+
+    const payload = wirePayload(message.payload);
+    if (this._isEcho(this._sentIn, echoKey(message.topic, payload), now)) {
+      logger.debug(
+        `[MQTT-Broker-Interop-Plugin:Bridge]: Bridge '${this.name}' suppressed loop - ${message.topic}`
+      );
+      this.metrics.onBridgeMessage(this.name, 'suppressed');
+      return false;
+    }
+
+    const remoteTopic = localToRemote(rule, message.topic);
+    this._remember(this._sentOut, echoKey(remoteTopic, payload), now);
+    const options = {
+      qos: Math.min(message.qos ?? 0, rule.qos),
+      retain: !!message.retain
+    };
+    if (this.config.protocol_version === 5) {
+      options.properties = { userProperties: { [LOOP_MARKER]: this.clientId } };
+    }
+    this.client.publish(remoteTopic, payload, options, (error) => {
+      if (error) {
+        logger.warn(
+          `[MQTT-Broker-Interop-Plugin:Bridge]: Bridge '${this.name}' failed to forward '${message.topic}': ${error.message}`
+        );
+        this.metrics.onBridgeMessage(this.name, 'dropped');
+      }
+    });
+    this.metrics.onBridgeMessage(this.name, 'sent');
+    return true;
+  }
+
+  /**
+   * Deliver a message from the remote broker locally
+   * @param {string} topic - Remote topic
+   * @param {Buffer} payload - Payload
+   * @param {Object} packet - MQTT packet (qos, retain)
+   * @param {number} now - Current time in milliseconds (injectable for tests)
+   * @returns {Promise<boolean>} - True if the message was delivered
+   */
+  async _onRemoteMessage(topic, payload, packet = {}, now = Date.now()) {
+    const rule = this.config.topics.find(
+      (r) => remoteToLocal(r, topic) !== null
+    );
+    if (!rule) {
+      return false;
+    }
+    if (
+      this._isOwnMessage(packet) ||
+      this._isEcho(this._sentOut, echoKey(topic, payload), now)
+    ) {
+      logger.debug(
+        `[MQTT-Broker-Interop-Plugin:Bridge]: Bridge '${this.name}' suppressed loop - ${topic}`
+      );
+      this.metrics.onBridgeMessage(this.name, 'suppressed');
+      return false;
+    }
+
+    const localTopic = remoteToLocal(rule, topic);
+    this._remember(this._sentIn, echoKey(localTopic, payload), now);
+    try {
+      await this.publishLocal({
+        topic: localTopic,
+        payload,
+        qos: Math.min(packet.qos ?? 0, rule.qos),
+        retain: !!packet.retain,
+        client_id: this.origin,
+        properties: packet.properties
+      });
+      this.metrics.onBridgeMessage(this.name, 'received');
+      return true;
+    } catch (error) {
+      logger.error(
+        `[MQTT-Broker-Interop-Plugin:Bridge]: Bridge '${this.name}' failed to deliver '${localTopic}':`,
+        error
+      );
+      this.metrics.onBridgeMessage(this.name, 'dropped');
+      return false;
+    }
+  }
+}
+
+// Bridges running on this thread (the primary thread)
+const activeBridges = [];
+
+// Carries the publishes of the other threads to the primary thread
+let channel = null;
+
+/**
+ * Forward a local publish to the bridges running on this thread
+ * @param {Object} message - { topic, payload, qos, retain, client_id }
+ * @returns {number} - Number of bridges the message was forwarded to
+ */
+function forwardToActiveBridges(message) {
+  let forwarded = 0;
+  for (const bridge of activeBridges) {
+    if (bridge.forwardOut(message)) {
+      forwarded++;
+    }
+  }
+  return forwarded;
+}
+
+/**
+ * Start the configured bridges
+ * The primary thread connects to the remote brokers and forwards the publishes
+ * of every thread; the other threads only hand their publishes over to it
+ * through forwardToBridges().
+ * @param {Object[]} bridges - Compiled bridges (see compileBridges())
+ * @param {Object} options - Runtime hooks
+ * @param {MqttMetrics} options.metrics - Metrics instance
+ * @param {Function} options.publishLocal - Delivers inbound messages locally
+ * @param {boolean} options.primary - Whether this is the primary thread
+ * @param {Function} options.connect - MQTT connect function (defaults to mqtt.connect)
+ * @returns {Bridge[]} - Bridges started on this thread
+ */
+export function startBridges(
+  bridges,
+  { metrics, publishLocal, primary = true, connect }
+) {
+  if (bridges.length === 0) {
+    return [];
+  }
+  channel ??= new BroadcastChannel(BRIDGE_CHANNEL);
+  // Listening must not keep the thread alive
+  channel.unref();
+  if (!primary) {
+    logger.info(
+      `[MQTT-Broker-Interop-Plugin:Bridge]: ${bridges.length} bridge(s) run on the primary thread; publishes of this thread are handed over to it`
+    );
+    return [];
+  }
+
+  channel.onmessage = ({ data }) => {
+    if (data?.type === 'publish') {
+      forwardToActiveBridges(data.message);
+    }
+  };
+  const started = bridges.map((config) => {
+    const bridge = new Bridge(config, { metrics, publishLocal, connect });
+    bridge.start();
+    return bridge;
+  });
+  activeBridges.push(...started);
+  logger.info(
+    `[MQTT-Broker-Interop-Plugin:Bridge]: Started ${started.length} bridge(s)`
+  );
+  return started;
+}
+
+/**
+ * Forward a local publish to the bridges
+ * Called by writeMessageToTable() for messages the ACL and rate limits admitted.
+ * Threads other than the primary send the message to the primary thread.
+ * @param {Object} message - { topic, payload, qos, retain, client_id }
+ * @returns {number} - Number of bridges the message was forwarded to (0 when
+ *   handed over to the primary thread)
+ */
+export function forwardToBridges(message) {
+  if (!message?.topic || message.topic.startsWith('$')) {
+    return 0;
+  }
+  if (activeBridges.length > 0) {
+    return forwardToActiveBridges(message);
+  }
+  const { topic, payload, qos, retain, client_id } = message;
+  channel?.postMessage({
+    type: 'publish',
+    message: { topic, payload, qos, retain, client_id }
+  });
+  return 0;
+}
+
+/**
+ * Stop all bridges running on this thread
+ * @returns {Promise<void>} - Resolves once every connection is closed
+ */
+export async function stopBridges() {
+  channel?.close();
+  channel = null;
+  await Promise.all(activeBridges.splice(0).map((bridge) => bridge.stop()));
+}
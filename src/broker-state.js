@@ -0,0 +1,251 @@
+/**
+ * Broker State
+ * Samples broker state that Harper does not report as events: QoS 1/2 messages
+ * awaiting acknowledgement, expiry of disconnected persistent sessions, and the
+ * number and size of message history rows held in the plugin's tables.
+ */
+
+import { EventEmitter } from 'node:events';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+/**
+ * Whether a session tracks its unacknowledged deliveries
+ * Harper's MQTT sessions keep QoS 1/2 deliveries in `awaitingAcks` (a Map by
+ * packet id, created on the first one) until acknowledge() is called for the
+ * PUBACK or PUBCOMP.
+ * @param {Object} session - Harper MQTT session
+ * @returns {boolean} - True if the session has acknowledge()
+ */
+export function tracksAcks(session) {
+  return typeof session?.acknowledge === 'function';
+}
+
+/**
+ * Count the QoS 1/2 deliveries a session is waiting to have acknowledged
+ * @param {Object} session - Harper MQTT session
+ * @returns {number} - Unacknowledged messages (0 if the session does not track them)
+ */
+export function countAwaitingAcks(session) {
+  const size = session?.awaitingAcks?.size;
+  return typeof size === 'number' ? size : 0;
+}
+
+/**
+ * Close a client connection from the broker side
+ * Harper passes a net/TLS socket for MQTT over TCP and a WebSocket for MQTT over
+ * WebSockets.
+ * @param {Object} socket - Client socket
+ * @returns {boolean} - True if the socket could be closed
+ */
+export function closeSocket(socket) {
+  for (const method of ['destroy', 'terminate', 'close']) {
+    if (typeof socket?.[method] === 'function') {
+      socket[method]();
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Tracks connected sessions and disconnected persistent sessions until they expire
+ * Each worker thread tracks the sessions of its own connections; a client that
+ * reconnects on another thread is announced on the control channel (see
+ * control.js) so that the thread it left stops tracking it.
+ */
+export class SessionTracker {
+  constructor() {
+    // Connected sessions by client id
+    this.active = new Map();
+    // Sockets of connected sessions by client id
+    this.sockets = new Map();
+    // Disconnected persistent sessions: client id → expiry time (ms, Infinity = never)
+    this.disconnected = new Map();
+    // Expiry (seconds) of disconnected persistent sessions (null = never)
+    this.defaultExpiry = null;
+    // Fallbacks already warned about
+    this.warned = new Set();
+    // Emits 'connected' (clientId, resumed) for every connection
+    this.events = new EventEmitter();
+  }
+
+  /**
+   * Set the expiry of disconnected persistent sessions
+   * Harper does not keep the MQTT 5 session expiry interval a client sends in
+   * CONNECT, so this applies to every persistent session.
+   * @param {number|null} seconds - persistent_client_expiration (null = never)
+   */
+  setDefaultExpiry(seconds) {
+    this.defaultExpiry = seconds ?? null;
+  }
+
+  /**
+   * Log a fallback warning once per tracker
+   * @param {string} key - Fallback
+   * @param {string} message - Warning
+   */
+  warnOnce(key, message) {
+    if (!this.warned.has(key)) {
+      this.warned.add(key);
+      logger.warn(`[MQTT-Broker-Interop-Plugin:BrokerState]: ${message}`);
+    }
+  }
+
+  /**
+   * Record a connection
+   * @param {string} clientId - MQTT client id
+   * @param {Object} session - Harper MQTT session
+   * @param {Object} socket - Client socket
+   * @returns {boolean} - True if this resumed a disconnected persistent session
+   */
+  onConnected(clientId, session, socket) {
+    if (!tracksAcks(session)) {
+      this.warnOnce(
+        'acks',
+        'MQTT session does not track acknowledgements (no acknowledge()) - its inflight messages count as 0'
+      );
+    }
+    this.active.set(clientId, session);
+    if (socket) {
+      this.sockets.set(clientId, socket);
+    }
+    const resumed = this.disconnected.delete(clientId);
+    const wasPresent = Boolean(session?.sessionWasPresent);
+    this.events.emit('connected', clientId, wasPresent);
+    return resumed;
+  }
+
+  /**
+   * Stop tracking a disconnected persistent session that reconnected on another
+   * thread, so that it does not expire here
+   * @param {string} clientId - MQTT client id
+   * @returns {boolean} - True if this thread was tracking the session
+   */
+  onConnectedElsewhere(clientId) {
+    return this.disconnected.delete(clientId);
+  }
+
+  /**
+   * Record a disconnection, starting the expiry of persistent sessions
+   * @param {string} clientId - MQTT client id
+   * @param {boolean} persistent - Whether the session outlives the connection
+   * @param {number} now - Current time in milliseconds
+   */
+  onDisconnected(clientId, persistent, now = Date.now()) {
+    this.active.delete(clientId);
+    this.sockets.delete(clientId);
+    if (!persistent) {
+      return;
+    }
+    this.warnOnce(
+      'expiry',
+      this.defaultExpiry === null
+        ? 'Harper sessions do not expose the MQTT 5 session expiry interval and persistent_client_expiration is not set - disconnected persistent sessions never expire'
+        : `Harper sessions do not expose the MQTT 5 session expiry interval - disconnected persistent sessions expire after persistent_client_expiration (${this.defaultExpiry}s)`
+    );
+    this.disconnected.set(
+      clientId,
+      this.defaultExpiry === null ? Infinity : now + this.defaultExpiry * 1000
+    );
+  }
+
+  /**
+   * Close the connection of a connected session
+   * @param {string} clientId - MQTT client id
+   * @returns {boolean} - True if this thread held the connection
+   */
+  disconnect(clientId) {
+    const socket = this.sockets.get(clientId);
+    if (!socket) {
+      return false;
+    }
+    return closeSocket(socket);
+  }
+
+  /**
+   * Remove persistent sessions whose expiry time has passed
+   * @param {number} now - Current time in milliseconds
+   * @returns {string[]} - Client ids of the expired sessions
+   */
+  expire(now = Date.now()) {
+    const expired = [];
+    for (const [clientId, expiresAt] of this.disconnected) {
+      if (expiresAt <= now) {
+        this.disconnected.delete(clientId);
+        expired.push(clientId);
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Count QoS 1/2 messages awaiting acknowledgement on connected sessions
+   * @returns {number} - Inflight messages
+   */
+  inflight() {
+    let count = 0;
+    for (const session of this.active.values()) {
+      count += countAwaitingAcks(session);
+    }
+    return count;
+  }
+}
+
+// Sessions of this thread's connections
+export const sessionTracker = new SessionTracker();
+
+/**
+ * Whether a table holds message history rows
+ * History tables are created without a schema, so Harper adds the attributes of
+ * the rows stored in them.
+ * @param {Object} table - HarperDB table
+ * @returns {boolean} - True if the table has topic and payload_encoding attributes
+ */
+export function isMessageHistoryTable(table) {
+  const names = new Set((table?.attributes ?? []).map(({ name }) => name));
+  return names.has('topic') && names.has('payload_encoding');
+}
+
+/**
+ * Find the message history tables of all databases
+ * @param {Object} databases - Harper databases (database name → table name → table)
+ * @param {Object} topicsTable - mqtt_topics, which holds retained messages only
+ * @returns {Object[]} - History tables
+ */
+export function findMessageHistoryTables(databases, topicsTable) {
+  const found = new Set();
+  for (const database of Object.values(databases ?? {})) {
+    for (const table of Object.values(database ?? {})) {
+      if (table !== topicsTable && isMessageHistoryTable(table)) {
+        found.add(table);
+      }
+    }
+  }
+  return Array.from(found);
+}
+
+/**
+ * Count the message history rows of tables and the storage they use
+ * Uses Harper's record count (estimated for large tables) and table size, so no
+ * rows are read.
+ * @param {Object[]} tables - Tables from findMessageHistoryTables()
+ * @returns {Promise<Object>} - { messageCount, messageBytes }
+ */
+export async function countMessageHistory(tables) {
+  const totals = { messageCount: 0, messageBytes: 0 };
+  for (const table of tables) {
+    try {
+      const { recordCount } = await table.getRecordCount();
+      totals.messageCount += recordCount;
+      totals.messageBytes += table.getSize?.() ?? 0;
+    } catch (error) {
+      logger.warn(
+        `[MQTT-Broker-Interop-Plugin:BrokerState]: Failed to count message table: ${error.message}`
+      );
+    }
+  }
+  return totals;
+}
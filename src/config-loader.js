@@ -7,6 +7,12 @@ import { readFileSync } from 'fs';
 import { parse } from 'yaml';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { compileRouting } from './topic-routing.js';
+import { compilePayloadCodecs } from './payload-codec.js';
+import { compileBridges } from './bridge.js';
+import { compileRateLimits } from './rate-limit.js';
+import { compileAlerts } from './alerts.js';
+import { compileSysTopics } from './sys-profiles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -15,6 +21,9 @@ const __dirname = dirname(__filename);
 const { server } = globalThis;
 const logger = server?.logger || console;
 
+// Supported restart_counters values
+const RESTART_COUNTER_MODES = ['resume', 'reset'];
+
 /**
  * Load configuration from config.yaml or accept a config object
  * @param {string|Object|null} configPath - Path to config file or config object or options object
@@ -78,9 +87,7 @@ export function loadConfig(configPath = null) {
       `[MQTT-Broker-Interop-Plugin:ConfigLoader]: Successfully loaded config from: ${source}`
     );
 
-    // Normalize to multi-table format if needed
-    // return normalizeConfig(config);
-    return config;
+    return normalizeConfig(config);
   } catch (error) {
     logger.error(
       `[MQTT-Broker-Interop-Plugin:ConfigLoader]: Configuration loading failed: ${error.message}`
@@ -89,6 +96,180 @@ export function loadConfig(configPath = null) {
   }
 }
 
+/**
+ * Validate plugin options and apply defaults
+ * Unknown keys (e.g. Harper's own component options) are passed through unchanged
+ * @param {Object} config - Parsed configuration object
+ * @returns {Object} Normalized configuration object
+ * @throws {Error} If an option has an invalid value
+ */
+export function normalizeConfig(config) {
+  const normalized = { ...config };
+
+  // sys_interval: seconds between $SYS updates (Mosquitto default: 10)
+  normalized.sys_interval = config.sys_interval ?? 10;
+  if (
+    typeof normalized.sys_interval !== 'number' ||
+    !(normalized.sys_interval > 0)
+  ) {
+    throw new Error(
+      `sys_interval must be a positive number of seconds, got: ${config.sys_interval}`
+    );
+  }
+
+  // sys_topics: compatibility profiles publishing other brokers' $SYS layouts
+  normalized.sys_topics = compileSysTopics(config.sys_topics);
+
+  // restart_counters: continue cumulative $SYS counters after a restart, or start from zero
+  normalized.restart_counters = config.restart_counters ?? 'resume';
+  if (!RESTART_COUNTER_MODES.includes(normalized.restart_counters)) {
+    throw new Error(
+      `restart_counters must be one of ${RESTART_COUNTER_MODES.join(', ')}, got: ${config.restart_counters}`
+    );
+  }
+
+  // persistent_client_expiration: seconds before a disconnected persistent session
+  // without an MQTT 5 expiry interval expires (null = never, as in Mosquitto)
+  normalized.persistent_client_expiration =
+    config.persistent_client_expiration ?? null;
+  if (
+    normalized.persistent_client_expiration !== null &&
+    (typeof normalized.persistent_client_expiration !== 'number' ||
+      !(normalized.persistent_client_expiration > 0))
+  ) {
+    throw new Error(
+      `persistent_client_expiration must be a positive number of seconds, got: ${config.persistent_client_expiration}`
+    );
+  }
+
+  // retained_message_ttl: seconds a retained message is kept when it has no MQTT 5
+  // message expiry interval (null = until replaced or cleared)
+  normalized.retained_message_ttl = config.retained_message_ttl ?? null;
+  if (
+    normalized.retained_message_ttl !== null &&
+    (typeof normalized.retained_message_ttl !== 'number' ||
+      !(normalized.retained_message_ttl > 0))
+  ) {
+    throw new Error(
+      `retained_message_ttl must be a positive number of seconds, got: ${config.retained_message_ttl}`
+    );
+  }
+
+  normalized.history = normalizeHistoryOptions(config.history);
+  normalized.message_history = normalizeMessageHistoryOptions(
+    config.message_history
+  );
+
+  // routing: ordered topic filter → database/table rules (null = built-in naming)
+  normalized.routing = compileRouting(config.routing);
+
+  // payload_codecs: ordered topic filter → payload codec rules
+  normalized.payload_codecs = compilePayloadCodecs(config.payload_codecs);
+
+  // bridges: connections to remote brokers with topic forwarding rules
+  normalized.bridges = compileBridges(config.bridges);
+
+  normalized.acl = normalizeAclOptions(config.acl);
+
+  // rate_limits: token buckets per client id, username and topic prefix (null = unlimited)
+  normalized.rate_limits = compileRateLimits(config.rate_limits);
+
+  // alerts: threshold rules on broker metrics, published to <topic_prefix>/<rule> (null = none)
+  normalized.alerts = compileAlerts(config.alerts);
+
+  return normalized;
+}
+
+/**
+ * Validate the `acl` option (topic access control, disabled unless configured)
+ * @param {Object|undefined} acl - Raw option ({ file, table, admins })
+ * @returns {Object|null} Normalized { file, table, admins }, or null when disabled
+ * @throws {Error} If no rule source is set or admins is not a list of usernames
+ */
+function normalizeAclOptions(acl) {
+  if (acl === undefined || acl === null || acl === false) {
+    return null;
+  }
+  if (typeof acl !== 'object' || Array.isArray(acl)) {
+    throw new Error('acl must be an object with file, table and/or admins');
+  }
+  const normalized = {
+    file: acl.file ?? null,
+    table: acl.table ?? false,
+    admins: acl.admins ?? []
+  };
+  if (normalized.file !== null && typeof normalized.file !== 'string') {
+    throw new Error(`acl.file must be a file path, got: ${acl.file}`);
+  }
+  if (typeof normalized.table !== 'boolean') {
+    throw new Error(`acl.table must be true or false, got: ${acl.table}`);
+  }
+  if (!normalized.file && !normalized.table) {
+    throw new Error(
+      'acl requires a rule source: set acl.file and/or acl.table'
+    );
+  }
+  if (
+    !Array.isArray(normalized.admins) ||
+    !normalized.admins.every((name) => typeof name === 'string' && name)
+  ) {
+    throw new Error('acl.admins must be a list of usernames');
+  }
+  return normalized;
+}
+
+/**
+ * Validate the `history` option ($SYS metric history sampling and retention)
+ * @param {Object|boolean|undefined} history - Raw option; `false` disables history
+ * @returns {Object} Normalized { enabled, interval, retention }
+ * @throws {Error} If interval or retention is not a positive number of seconds
+ */
+function normalizeHistoryOptions(history) {
+  const options =
+    typeof history === 'boolean' ? { enabled: history } : { ...history };
+  const normalized = {
+    enabled: options.enabled ?? true,
+    interval: options.interval ?? 60,
+    retention: options.retention ?? 24 * 60 * 60
+  };
+  for (const key of ['interval', 'retention']) {
+    if (typeof normalized[key] !== 'number' || !(normalized[key] > 0)) {
+      throw new Error(
+        `history.${key} must be a positive number of seconds, got: ${options[key]}`
+      );
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Validate the `message_history` option (one row per publish, opt-in)
+ * @param {Object|boolean|undefined} messageHistory - Raw option; `true` enables history
+ * @returns {Object} Normalized { enabled, default_limit }
+ * @throws {Error} If default_limit is not an integer between 1 and 1000
+ */
+function normalizeMessageHistoryOptions(messageHistory) {
+  const options =
+    typeof messageHistory === 'boolean'
+      ? { enabled: messageHistory }
+      : { ...messageHistory };
+  const normalized = {
+    enabled: options.enabled ?? false,
+    default_limit: options.default_limit ?? 100
+  };
+  if (
+    !Number.isInteger(normalized.default_limit) ||
+    normalized.default_limit < 1 ||
+    normalized.default_limit > 1000
+  ) {
+    throw new Error(
+      `message_history.default_limit must be an integer between 1 and 1000, got: ${options.default_limit}`
+    );
+  }
+  return normalized;
+}
+
 export default {
-  loadConfig
+  loadConfig,
+  normalizeConfig
 };
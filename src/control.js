@@ -0,0 +1,335 @@
+/**
+ * Broker Control
+ * Admin actions on a running broker: disconnect a client, clear retained
+ * messages and reset metric counters. Connections and counters belong to the
+ * worker thread that accepted the client, so actions are applied on this thread
+ * and broadcast to the others, which report back what they did. Every action is
+ * recorded in the mqtt_control_audit table.
+ *
+ * The same channel hands persistent sessions over between threads: a client
+ * that reconnects on one thread is announced, and the thread holding its
+ * disconnected session stops counting its expiry and sends its subscriptions
+ * to the new thread.
+ *
+ * purge_session is recognized but unsupported: Harper has no documented API for
+ * dropping a persistent session.
+ */
+
+import { BroadcastChannel } from 'node:worker_threads';
+import { adoptSubscriptions, handOverSession, metrics } from './mqtt.js';
+import { sessionTracker } from './broker-state.js';
+import { getThreadId } from './thread-metrics.js';
+import { deleteRetained } from './retained.js';
+import { validateTopicFilter } from './topic-filter.js';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+export const CONTROL_ACTIONS = {
+  DISCONNECT: 'disconnect',
+  PURGE_SESSION: 'purge_session',
+  CLEAR_RETAINED: 'clear_retained',
+  RESET_METRICS: 'reset_metrics'
+};
+
+// Actions on thread-local state, which every thread must apply
+const THREAD_ACTIONS = new Set([
+  CONTROL_ACTIONS.DISCONNECT,
+  CONTROL_ACTIONS.RESET_METRICS
+]);
+
+const CONTROL_CHANNEL = 'mqtt-broker-interop:control';
+
+// How long to wait for other threads to report back, unless all of them did
+const REPLY_TIMEOUT_MS = 250;
+
+let channel = null;
+let auditTable = null;
+let nextRequestId = 0;
+let nextAuditId = 0;
+// Broadcast commands awaiting replies: request id → { results, expected, done }
+const pendingReplies = new Map();
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode
+ */
+function controlError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Validate a control command
+ * @param {Object} data - Request body ({ action, client_id, filter })
+ * @returns {Object} - Command ({ action, client_id } or { action, filter } or { action })
+ * @throws {Error} With statusCode 400 if the command is malformed
+ */
+export function parseControlCommand(data) {
+  const action = data?.action;
+  if (!Object.values(CONTROL_ACTIONS).includes(action)) {
+    throw controlError(
+      `action must be one of ${Object.values(CONTROL_ACTIONS).join(', ')}`,
+      400
+    );
+  }
+
+  if (
+    action === CONTROL_ACTIONS.DISCONNECT ||
+    action === CONTROL_ACTIONS.PURGE_SESSION
+  ) {
+    if (typeof data.client_id !== 'string' || data.client_id === '') {
+      throw controlError(`${action} requires a client_id`, 400);
+    }
+    return { action, client_id: data.client_id };
+  }
+
+  if (action === CONTROL_ACTIONS.CLEAR_RETAINED) {
+    const reason =
+      typeof data.filter === 'string'
+        ? validateTopicFilter(data.filter)
+        : 'filter is required';
+    if (reason) {
+      throw controlError(`${action}: ${reason}`, 400);
+    }
+    return { action, filter: data.filter };
+  }
+
+  return { action };
+}
+
+/**
+ * Apply a command to this thread's connections and counters
+ * @param {Object} command - Command from parseControlCommand()
+ * @returns {Object} - What this thread did ({ disconnected } or { reset })
+ */
+export function applyThreadCommand(command) {
+  if (command.action === CONTROL_ACTIONS.RESET_METRICS) {
+    metrics.resetCounters();
+    return { reset: true };
+  }
+  return { disconnected: sessionTracker.disconnect(command.client_id) };
+}
+
+/**
+ * Combine the results of several threads
+ * Flags are true if any thread set them.
+ * @param {Object[]} results - Per-thread results from applyThreadCommand()
+ * @returns {Object} - Combined result
+ */
+export function mergeThreadResults(results) {
+  const merged = {};
+  for (const result of results) {
+    for (const [key, value] of Object.entries(result)) {
+      merged[key] = Boolean(merged[key] || value);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Announce a connection to the other threads (see handOverSession())
+ * @param {string} clientId - MQTT client id
+ * @param {boolean} resumed - Whether the client resumed a persistent session
+ */
+function announceConnection(clientId, resumed) {
+  channel?.postMessage({
+    type: 'connected',
+    clientId,
+    resumed,
+    threadId: getThreadId()
+  });
+}
+
+/**
+ * Listen for commands broadcast by other threads (call once per thread)
+ */
+export function startControlChannel() {
+  if (channel) {
+    return;
+  }
+  channel = new BroadcastChannel(CONTROL_CHANNEL);
+  channel.onmessage = ({ data }) => {
+    if (data?.type === 'connected') {
+      const subscriptions = handOverSession(data.clientId, data.resumed);
+      if (subscriptions?.length > 0) {
+        channel.postMessage({
+          type: 'subscriptions',
+          clientId: data.clientId,
+          subscriptions,
+          to: data.threadId
+        });
+      }
+    } else if (data?.type === 'subscriptions') {
+      if (data.to === getThreadId()) {
+        adoptSubscriptions(data.clientId, data.subscriptions);
+      }
+    } else if (data?.type === 'command') {
+      channel.postMessage({
+        type: 'reply',
+        requestId: data.requestId,
+        result: applyThreadCommand(data.command)
+      });
+    } else if (data?.type === 'reply') {
+      const pending = pendingReplies.get(data.requestId);
+      pending?.results.push(data.result);
+      if (pending && pending.results.length >= pending.expected) {
+        pending.done();
+      }
+    }
+  };
+  // Listening must not keep the thread alive
+  channel.unref();
+  sessionTracker.events.on('connected', announceConnection);
+  logger.debug(
+    `[MQTT-Broker-Interop-Plugin:Control]: Control channel open on thread ${getThreadId()}`
+  );
+}
+
+export function stopControlChannel() {
+  sessionTracker.events.off('connected', announceConnection);
+  channel?.close();
+  channel = null;
+  pendingReplies.clear();
+}
+
+/**
+ * Number of other threads expected to reply to a broadcast
+ * @returns {number} - Other worker threads, or Infinity if Harper does not say
+ */
+function otherThreadCount() {
+  const workers = globalThis.server?.workerCount;
+  return Number.isInteger(workers) && workers > 0 ? workers - 1 : Infinity;
+}
+
+/**
+ * Send a command to the other threads and collect their results
+ * Resolves once every other worker thread replied, or after REPLY_TIMEOUT_MS.
+ * @param {Object} command - Command from parseControlCommand()
+ * @returns {Promise<Object[]>} - Results of the threads that replied in time
+ */
+async function broadcastCommand(command) {
+  const expected = otherThreadCount();
+  if (!channel || expected === 0) {
+    return [];
+  }
+  const requestId = `${getThreadId()}/${nextRequestId++}`;
+  const results = [];
+  await new Promise((resolve) => {
+    const timer = setTimeout(resolve, REPLY_TIMEOUT_MS);
+    const done = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    pendingReplies.set(requestId, { results, expected, done });
+    channel.postMessage({ type: 'command', requestId, command });
+  });
+  pendingReplies.delete(requestId);
+  return results;
+}
+
+/**
+ * Set the table control actions are recorded in
+ * @param {Object|null} table - HarperDB table instance (mqtt_control_audit)
+ */
+export function setControlAuditTable(table) {
+  auditTable = table ?? null;
+}
+
+/**
+ * Record a control action in the audit table
+ * @param {Object} entry - { action, client_id, filter, username, status, result, error }
+ */
+export async function recordControlAction(entry) {
+  const timestamp = new Date().toISOString();
+  const target = entry.client_id ?? entry.filter ?? '-';
+  logger.info(
+    `[MQTT-Broker-Interop-Plugin:Control]: Control action ${entry.action} (${target}) by ${entry.username ?? 'anonymous'}: ${entry.status}`
+  );
+  if (!auditTable) {
+    return;
+  }
+  try {
+    await auditTable.put({
+      id: `${timestamp}/${getThreadId()}/${nextAuditId++}`,
+      action: entry.action ?? null,
+      client_id: entry.client_id ?? null,
+      filter: entry.filter ?? null,
+      username: entry.username ?? null,
+      status: entry.status,
+      result: entry.result ? JSON.stringify(entry.result) : null,
+      error: entry.error ?? null,
+      timestamp
+    });
+  } catch (error) {
+    logger.error(
+      `[MQTT-Broker-Interop-Plugin:Control]: Failed to record control action: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Execute a control command on every thread and record it
+ * @param {Object} data - Request body ({ action, client_id, filter })
+ * @param {string|null} username - Admin who sent the command
+ * @returns {Promise<Object>} - The command and its result
+ * @throws {Error} With statusCode 400 if the command is malformed, or 501 for
+ *   purge_session
+ */
+export async function executeControlCommand(data, username) {
+  let command;
+  try {
+    command = parseControlCommand(data);
+  } catch (error) {
+    await recordControlAction({
+      action: data?.action,
+      username,
+      status: 'rejected',
+      error: error.message
+    });
+    throw error;
+  }
+
+  if (command.action === CONTROL_ACTIONS.PURGE_SESSION) {
+    const error = controlError(
+      `${command.action} is not supported: Harper has no API for dropping a persistent session`,
+      501
+    );
+    logger.warn(`[MQTT-Broker-Interop-Plugin:Control]: ${error.message}`);
+    await recordControlAction({
+      ...command,
+      username,
+      status: 'unsupported',
+      error: error.message
+    });
+    throw error;
+  }
+
+  try {
+    let result = {};
+    if (THREAD_ACTIONS.has(command.action)) {
+      const local = applyThreadCommand(command);
+      const others = await broadcastCommand(command);
+      result = mergeThreadResults([local, ...others]);
+      result.threads = others.length + 1;
+    }
+    if (command.action === CONTROL_ACTIONS.CLEAR_RETAINED) {
+      result = await deleteRetained(command.filter);
+    }
+
+    await recordControlAction({ ...command, username, status: 'ok', result });
+    return { ...command, result };
+  } catch (error) {
+    await recordControlAction({
+      ...command,
+      username,
+      status: 'failed',
+      error: error.message
+    });
+    throw error;
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Histograms
+ * Distributions of payload sizes and latencies over the 1, 5 and 15 minute
+ * load windows. Values are counted in exponential buckets (each bucket √2 times
+ * wider than the one below it) within 10-second slots. A window is the sum of
+ * its slots, so windows of several threads merge by adding bucket counts, and
+ * percentiles are estimated from the merged counts (within one bucket, ~20%).
+ */
+
+import { LOAD_WINDOWS } from './load-average.js';
+
+// Width of one time slot, and the slots kept for the longest window
+const SLOT_MS = 10 * 1000;
+const SLOT_COUNT = Math.max(...Object.values(LOAD_WINDOWS)) / (SLOT_MS / 1000);
+
+const BUCKET_FACTOR = Math.SQRT2;
+
+export const PERCENTILES = { p50: 0.5, p95: 0.95, p99: 0.99 };
+
+/**
+ * Get the bucket a value is counted in
+ * Bucket 0 holds values up to 1; bucket i holds values in (√2^(i-1), √2^i].
+ * @param {number} value - Non-negative value
+ * @returns {number} - Bucket index
+ */
+export function bucketIndex(value) {
+  if (value <= 1) {
+    return 0;
+  }
+  return Math.ceil(Math.log(value) / Math.log(BUCKET_FACTOR) - 1e-9);
+}
+
+/**
+ * Create an empty window
+ * @returns {Object} - { count, sum, buckets } (buckets: bucket index → count)
+ */
+export function createHistogramWindow() {
+  return { count: 0, sum: 0, buckets: {} };
+}
+
+/**
+ * Add the counts of one window into another
+ * @param {Object} target - Window to add into (updated in place)
+ * @param {Object} source - Window to add
+ */
+function addWindow(target, source) {
+  target.count += source.count;
+  target.sum += source.sum;
+  for (const [index, count] of Object.entries(source.buckets)) {
+    target.buckets[index] = (target.buckets[index] ?? 0) + count;
+  }
+}
+
+/**
+ * Records values in time slots and sums them into the load windows
+ */
+export class WindowedHistogram {
+  constructor() {
+    // Slot number (time / SLOT_MS) → window of the values recorded in it
+    this.slots = new Map();
+  }
+
+  /**
+   * Record a value
+   * @param {number} value - Non-negative value (bytes, milliseconds)
+   * @param {number} now - Current time in milliseconds
+   */
+  record(value, now = Date.now()) {
+    if (!Number.isFinite(value) || value < 0) {
+      return;
+    }
+    const slotNumber = Math.floor(now / SLOT_MS);
+    let slot = this.slots.get(slotNumber);
+    if (!slot) {
+      slot = createHistogramWindow();
+      this.slots.set(slotNumber, slot);
+      this._prune(slotNumber);
+    }
+    addWindow(slot, {
+      count: 1,
+      sum: value,
+      buckets: { [bucketIndex(value)]: 1 }
+    });
+  }
+
+  /**
+   * Drop slots older than the longest window
+   * @param {number} current - Current slot number
+   */
+  _prune(current) {
+    for (const slotNumber of this.slots.keys()) {
+      if (slotNumber <= current - SLOT_COUNT) {
+        this.slots.delete(slotNumber);
+      }
+    }
+  }
+
+  /**
+   * Sum the slots of each load window
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - { oneMin, fiveMin, fifteenMin } windows
+   */
+  windows(now = Date.now()) {
+    const current = Math.floor(now / SLOT_MS);
+    const windows = {};
+    for (const [window, seconds] of Object.entries(LOAD_WINDOWS)) {
+      const oldest = current - seconds / (SLOT_MS / 1000);
+      windows[window] = createHistogramWindow();
+      for (const [slotNumber, slot] of this.slots) {
+        if (slotNumber > oldest && slotNumber <= current) {
+          addWindow(windows[window], slot);
+        }
+      }
+    }
+    return windows;
+  }
+}
+
+/**
+ * Estimate a percentile of a window, interpolating within its bucket
+ * @param {Object} window - Window ({ count, buckets })
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number|null} - Estimated value, or null if the window is empty
+ */
+export function percentile(window, q) {
+  if (!window?.count) {
+    return null;
+  }
+  const rank = q * window.count;
+  const indexes = Object.keys(window.buckets)
+    .map(Number)
+    .sort((a, b) => a - b);
+  let below = 0;
+  for (const index of indexes) {
+    const count = window.buckets[index];
+    if (below + count >= rank) {
+      const lower = index === 0 ? 0 : BUCKET_FACTOR ** (index - 1);
+      const upper = BUCKET_FACTOR ** index;
+      return lower + ((upper - lower) * (rank - below)) / count;
+    }
+    below += count;
+  }
+  return BUCKET_FACTOR ** indexes[indexes.length - 1];
+}
+
+/**
+ * Summarize a window for reporting
+ * @param {Object} window - Window ({ count, sum, buckets })
+ * @returns {Object} - { count, mean, p50, p95, p99 } (null statistics when empty)
+ */
+export function summarizeWindow(window) {
+  const summary = {
+    count: window?.count ?? 0,
+    mean: window?.count ? window.sum / window.count : null
+  };
+  for (const [name, q] of Object.entries(PERCENTILES)) {
+    summary[name] = percentile(window, q);
+  }
+  return summary;
+}
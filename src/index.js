@@ -18,19 +18,69 @@ export async function handleApplication(scope) {
   );
 
   // Load and normalize configuration
-  loadConfig(options);
+  const config = loadConfig(options);
   logger.info('[MQTT-Broker-Interop-Plugin:Index]: Configuration loaded');
 
+  // Per-topic payload decoding (text, JSON, CBOR, raw bytes)
+  const { setPayloadCodecs } = await import('./payload-codec.js');
+  setPayloadCodecs(config.payload_codecs);
+
+  // Opt-in: store every publish as its own row for replay
+  const { setMessageHistoryOptions } = await import('./message-history.js');
+  setMessageHistoryOptions(config.message_history);
+
+  // Publish rate limits per client id, username and topic prefix
+  const { setRateLimits } = await import('./rate-limit.js');
+  setRateLimits(config.rate_limits);
+
+  // $SYS topic layouts of other brokers (Mosquitto, EMQX, HiveMQ)
+  const { setSysTopicProfiles } = await import('./sys-profiles.js');
+  setSysTopicProfiles(config.sys_topics);
+
+  // Threshold alerts on broker metrics, recorded in mqtt_alerts
+  const { setAlerts, setAlertsTable } = await import('./alerts.js');
+  setAlerts(config.alerts);
+  setAlertsTable(globalThis.tables?.mqtt_alerts);
+
+  // Metrics are kept in memory and written to $SYS once per sys_interval
+  const { metrics, setTopicRouting } = await import('./mqtt.js');
+  setTopicRouting(config.routing);
+  metrics.setSysInterval(config.sys_interval);
+
+  // Expiry of disconnected persistent sessions (for $SYS/broker/clients/expired)
+  const { sessionTracker } = await import('./broker-state.js');
+  sessionTracker.setDefaultExpiry(config.persistent_client_expiration);
+
   logger.info(
     '[MQTT-Broker-Interop-Plugin:Index]: Initializing MQTT Broker Interop Plugin'
   );
 
   // Access $SYS metrics table from global tables object
   try {
-    const { mqtt_sys_metrics } = globalThis.tables || {};
+    const { mqtt_sys_metrics, mqtt_sys_thread_metrics, mqtt_sys_history } =
+      globalThis.tables || {};
 
     if (mqtt_sys_metrics) {
-      const { setSysMetricsTable, upsertSysMetric } = await import('./mqtt.js');
+      const {
+        restoreSysMetrics,
+        setSysMetricsTable,
+        setThreadMetricsTable,
+        upsertSysMetric,
+        flushSysMetrics
+      } = await import('./mqtt.js');
+
+      // Rehydrate counters before the first flush overwrites the persisted rows
+      await restoreSysMetrics(mqtt_sys_metrics, config.restart_counters);
+
+      // Per-thread snapshots are merged into broker-wide totals
+      if (mqtt_sys_thread_metrics) {
+        setThreadMetricsTable(mqtt_sys_thread_metrics);
+      }
+      // Sampled $SYS values for charting broker load over time
+      if (mqtt_sys_history) {
+        const { setSysHistoryTable } = await import('./sys-history.js');
+        setSysHistoryTable(mqtt_sys_history, config.history);
+      }
       setSysMetricsTable(mqtt_sys_metrics);
       logger.info(
         '[MQTT-Broker-Interop-Plugin:Index]: $SYS metrics table initialized'
@@ -42,6 +92,7 @@ export async function handleApplication(scope) {
         process.env.HARPERDB_VERSION || 'HarperDB 4.x'
       );
       upsertSysMetric('$SYS/broker/timestamp', new Date().toISOString());
+      flushSysMetrics();
       logger.info(
         '[MQTT-Broker-Interop-Plugin:Index]: Static $SYS topics (version, timestamp) written to table'
       );
@@ -57,16 +108,84 @@ export async function handleApplication(scope) {
     );
   }
 
+  // Sparkplug B edge-node/device state
+  const { sparkplug_nodes, sparkplug_devices, sparkplug_metrics } =
+    globalThis.tables || {};
+  const { setSparkplugTables } = await import('./sparkplug.js');
+  setSparkplugTables({
+    nodes: sparkplug_nodes,
+    devices: sparkplug_devices,
+    metrics: sparkplug_metrics
+  });
+
+  // Topic access control; rule errors fail startup rather than leaving topics open
+  if (config.acl) {
+    const { loadAclFile, loadAclTable, setAcl } = await import('./acl.js');
+    const { resolve } = await import('node:path');
+    const rules = [];
+    if (config.acl.file) {
+      rules.push(
+        ...loadAclFile(
+          resolve(scope.directory ?? process.cwd(), config.acl.file)
+        )
+      );
+    }
+    if (config.acl.table) {
+      const { mqtt_acl } = globalThis.tables || {};
+      if (!mqtt_acl) {
+        throw new Error(
+          'acl.table is enabled but the mqtt_acl table is missing'
+        );
+      }
+      rules.push(...(await loadAclTable(mqtt_acl)));
+    }
+    setAcl({ rules, admins: config.acl.admins });
+  }
+
   // Note: $SYS topics resource is automatically loaded from jsResource config in config.yaml
   // Do NOT register it manually here to avoid "Conflicting paths" error
   logger.info(
     '[MQTT-Broker-Interop-Plugin:Index]: Resources will be loaded from jsResource config (src/resources.js)'
   );
 
-  // Note: MQTT publish interception is not currently implemented
-  // HarperDB's @export directive handles subscriptions (table → MQTT)
-  // but does not provide hooks for intercepting publishes (MQTT → table)
-  // Future implementation would require finding appropriate HarperDB APIs
+  // Index of retained messages (mqtt_retained), with optional expiry
+  const { scanRetained, setRetainedTable, setRetainedTtl } = await import(
+    './retained.js'
+  );
+  setRetainedTable(globalThis.tables?.mqtt_retained);
+  setRetainedTtl(config.retained_message_ttl);
+  // The index is shared by all threads, so the primary thread counts the
+  // retained messages, at startup and on each scan of the message tables
+  const { isPrimaryThread } = await import('./thread-metrics.js');
+  if (isPrimaryThread()) {
+    try {
+      metrics.onRetainedIndexScanned(await scanRetained());
+    } catch (error) {
+      logger.error(
+        '[MQTT-Broker-Interop-Plugin:Index]: Failed to count retained messages:',
+        error
+      );
+    }
+  }
+
+  // Admin control actions (see the control resource), broadcast between threads
+  // and recorded in mqtt_control_audit
+  const { setControlAuditTable, startControlChannel } = await import(
+    './control.js'
+  );
+  setControlAuditTable(globalThis.tables?.mqtt_control_audit);
+  startControlChannel();
+
+  // The '$SYS' export of mqtt_sys_metrics is served with a subclass that keeps
+  // $SYS/# to ACL admins, like the SYS resource
+  const { registerSysMetricsResource } = await import('./sys-export.js');
+  registerSysMetricsResource(server, globalThis.tables?.mqtt_sys_metrics);
+
+  // Publishes to non-$SYS topics reach the '/' export of mqtt_topics (put() when
+  // retained, publish() otherwise); serve it with a subclass that counts them
+  // and routes them through writeMessageToTable()
+  const { registerTopicsResource } = await import('./ingest.js');
+  registerTopicsResource(server, globalThis.tables?.mqtt_topics);
 
   // Setup MQTT event monitoring (on worker threads)
   if (server?.mqtt?.events) {
@@ -75,6 +194,21 @@ export async function handleApplication(scope) {
     );
     const { setupMqttMonitoring } = await import('./mqtt.js');
     setupMqttMonitoring(server, logger);
+
+    // Bridges connect from the primary thread; publishes admitted by
+    // writeMessageToTable() on any thread are forwarded to them
+    if (config.bridges.length > 0) {
+      const { metrics, getTableNameForTopic, writeMessageToTable } =
+        await import('./mqtt.js');
+      const { isPrimaryThread } = await import('./thread-metrics.js');
+      const { startBridges } = await import('./bridge.js');
+      startBridges(config.bridges, {
+        metrics,
+        publishLocal: (message) =>
+          writeMessageToTable(getTableNameForTopic(message.topic), message),
+        primary: isPrimaryThread()
+      });
+    }
   } else {
     logger.debug(
       '[MQTT-Broker-Interop-Plugin:Index]: MQTT events not available on this thread'
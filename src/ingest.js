@@ -0,0 +1,289 @@
+/**
+ * Publish Ingestion
+ * Harper has no MQTT publish event: a PUBLISH to a non-$SYS topic goes to the
+ * resource exported at `/` (the mqtt_topics table), as put() when retained,
+ * delete() when retained with an empty payload and publish() otherwise. This module replaces that export with a subclass of the
+ * table that sees every message:
+ *
+ * - inbound: put(), delete() and publish() route the message through
+ *   writeMessageToTable() (ACL, rate limits, message history, mqtt_topics) and
+ *   count it if admitted; writeMessageToTable() stores retained messages and
+ *   publishes the others through mqtt_topics, which delivers them to
+ *   subscribers. Refused messages are counted by the ACL and rate limits.
+ * - outbound: subscribe() refuses subscriptions the topic ACL denies, delivers
+ *   stored rows as their original payload bytes and counts every message
+ *   delivered to the subscriber
+ */
+
+import {
+  assertSubscribeAllowed,
+  getTableNameForTopic,
+  metrics,
+  payloadByteLength,
+  writeMessageToTable
+} from './mqtt.js';
+import {
+  encodeStoredPayload,
+  storedPayloadByteLength
+} from './payload-codec.js';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+// Path mqtt_topics is exported at (see schema.graphql)
+export const TOPICS_EXPORT_PATH = '/';
+
+/**
+ * Build the message writeMessageToTable() stores from a Harper publish
+ * @param {string} topic - Topic published to
+ * @param {any} data - Payload as received (Buffer, string or deserialized value)
+ * @param {Object} context - Harper request context (session, qos)
+ * @param {boolean} retain - Whether the message is retained
+ * @returns {Object} - Message (topic, payload, qos, retain, client_id)
+ */
+export function toInboundMessage(topic, data, context, retain = false) {
+  return {
+    topic,
+    payload: data,
+    qos: context?.qos ?? 0,
+    retain,
+    client_id: context?.session?.sessionId ?? null
+  };
+}
+
+/**
+ * Whether an event value is an mqtt_topics row stored by writeMessageToTable()
+ * @param {any} value - Event value
+ * @returns {boolean}
+ */
+function isStoredRow(value) {
+  return Boolean(
+    value && typeof value === 'object' && 'payload_encoding' in value
+  );
+}
+
+/**
+ * Value Harper sends for a stored row: the original payload bytes
+ * Harper writes `data` to the PUBLISH as-is when the value has a contentType,
+ * instead of serializing the row (base64 text plus decoded fields).
+ * @param {any} value - Event value (mqtt_topics row or raw payload)
+ * @returns {any} - { contentType, data } for stored rows, else the value
+ */
+export function toDeliveredValue(value) {
+  if (!isStoredRow(value)) {
+    return value;
+  }
+  return {
+    contentType: value.content_type ?? 'application/octet-stream',
+    data: encodeStoredPayload(value)
+  };
+}
+
+/**
+ * Size of a delivered value: the original payload of stored rows, else the value
+ * @param {any} value - Event value (mqtt_topics row or raw payload)
+ * @returns {number} - Payload size in bytes
+ */
+function deliveredByteLength(value) {
+  if (isStoredRow(value)) {
+    return storedPayloadByteLength(value);
+  }
+  return payloadByteLength(value);
+}
+
+/**
+ * When a delivered row was received, if it was published after the subscription
+ * Rows stored by writeMessageToTable() carry their receive time in `timestamp`;
+ * older rows (the retained message sent on subscribing, replays) have no latency.
+ * @param {any} value - Event value (mqtt_topics row or raw payload)
+ * @param {number} subscribedAt - When the subscription started (ms)
+ * @returns {number|undefined} - Receive time (ms)
+ */
+function receivedSince(value, subscribedAt) {
+  const receivedAt = Date.parse(value?.timestamp);
+  return receivedAt >= subscribedAt ? receivedAt : undefined;
+}
+
+/**
+ * Count the messages a subscription delivers, re-encoding stored rows
+ * Iteration of the subscription itself is replaced, so Harper keeps the object
+ * it returned (end(), send(), listeners) and sees the counted events.
+ * @param {AsyncIterable} subscription - Harper subscription events ({ type, id, value })
+ * @param {string} filter - Subscribed topic or filter
+ * @param {string|null} clientId - Subscriber client id
+ * @param {MqttMetrics} m - Metrics instance
+ * @param {number} subscribedAt - When the subscription started (ms)
+ * @returns {AsyncIterable} - The same subscription, iterating stored rows as
+ *   their payload bytes
+ */
+export function countDeliveries(
+  subscription,
+  filter,
+  clientId,
+  m = metrics,
+  subscribedAt = m.now()
+) {
+  const iterate = subscription[Symbol.asyncIterator].bind(subscription);
+  subscription[Symbol.asyncIterator] = () =>
+    deliveries(
+      { [Symbol.asyncIterator]: iterate },
+      filter,
+      clientId,
+      m,
+      subscribedAt
+    );
+  return subscription;
+}
+
+/**
+ * Count and re-encode subscription events as they are delivered
+ * @param {AsyncIterable} events - Harper subscription events
+ * @param {string} filter - Subscribed topic or filter
+ * @param {string|null} clientId - Subscriber client id
+ * @param {MqttMetrics} m - Metrics instance
+ * @param {number} subscribedAt - When the subscription started (ms)
+ * @returns {AsyncGenerator} - The events, with stored rows as their payload bytes
+ */
+async function* deliveries(events, filter, clientId, m, subscribedAt) {
+  for await (const event of events) {
+    if (event?.value !== undefined && event.type !== 'delete') {
+      const topic = event.id === undefined ? filter : String(event.id);
+      m.onPublishSent(
+        {
+          topic,
+          payload: event.value,
+          qos: event.value?.qos,
+          receivedAt: receivedSince(event.value, subscribedAt)
+        },
+        deliveredByteLength(event.value),
+        clientId
+      );
+    }
+    yield isStoredRow(event?.value)
+      ? { ...event, value: toDeliveredValue(event.value) }
+      : event;
+  }
+}
+
+/**
+ * Create the resource served at `/` in place of the mqtt_topics export
+ * @param {Function} TopicsTable - mqtt_topics table class
+ * @param {Object} options
+ * @param {MqttMetrics} options.metrics - Metrics instance
+ * @param {Function} options.store - Stores or publishes an inbound message,
+ *   resolving to false if it was refused (defaults to writeMessageToTable)
+ * @returns {Function} - Resource class extending the table
+ */
+export function createTopicsResource(
+  TopicsTable,
+  {
+    metrics: m = metrics,
+    store = (message) =>
+      writeMessageToTable(getTableNameForTopic(message.topic), message)
+  } = {}
+) {
+  /**
+   * Route an inbound message and count it unless the ACL or a rate limit
+   * refused it
+   * @param {Object} resource - Resource instance the message was sent to
+   * @param {any} data - Payload
+   * @param {Object} target - Harper request target
+   * @param {boolean} retain - Whether the message is retained
+   */
+  const receive = async (resource, data, target, retain) => {
+    // The session is on the request context; tests pass it as the target
+    const context = resource.getContext?.() ?? target;
+    const message = toInboundMessage(
+      String(resource.getId()),
+      data,
+      context,
+      retain
+    );
+    if ((await store(message)) === false) {
+      return;
+    }
+    m.onPublishReceived(
+      message,
+      payloadByteLength(message.payload),
+      message.client_id
+    );
+  };
+
+  return class MqttTopicsResource extends TopicsTable {
+    /**
+     * Inbound retained PUBLISH: store the message (storing delivers it)
+     * @param {any} data - Payload
+     * @param {Object} target - Harper request target
+     */
+    async put(data, target) {
+      await receive(this, data, target, true);
+    }
+
+    /**
+     * Inbound retained PUBLISH with an empty payload: clear the retained message
+     * @param {Object} target - Harper request target
+     */
+    async delete(target) {
+      await receive(this, Buffer.alloc(0), target, true);
+    }
+
+    /**
+     * Inbound PUBLISH that is not retained: deliver it without storing it
+     * @param {any} data - Payload
+     * @param {Object} target - Harper request target
+     */
+    async publish(data, target) {
+      await receive(this, data, target, false);
+    }
+
+    /**
+     * Subscription: deliver the table's events as the original payloads,
+     * counting each message sent
+     * Throws for subscriptions the topic ACL denies, which Harper refuses.
+     * @param {Object} request - Subscription request
+     * @param {Object} context - Harper request context
+     * @returns {Promise<AsyncIterable>} - Harper's subscription, counting deliveries
+     * @throws {Error} With statusCode 403 if the subscription is denied
+     */
+    async subscribe(request, context) {
+      const filter = String(this.getId?.() ?? request?.path ?? '');
+      const { session, user } =
+        this.getContext?.() ?? context ?? request ?? {};
+      const clientId = session?.sessionId ?? null;
+      assertSubscribeAllowed(
+        clientId,
+        filter,
+        user?.username ?? m.perClient.get(clientId)?.username ?? null
+      );
+      const subscription = await super.subscribe(request, context);
+      return countDeliveries(subscription, filter, clientId, m);
+    }
+  };
+}
+
+/**
+ * Serve `/` with the ingestion resource
+ * @param {Object} harperServer - Harper server (server.resources)
+ * @param {Function} TopicsTable - mqtt_topics table class
+ * @returns {boolean} - True if the resource was registered
+ */
+export function registerTopicsResource(harperServer, TopicsTable) {
+  if (!TopicsTable || typeof harperServer?.resources?.set !== 'function') {
+    logger.warn(
+      '[MQTT-Broker-Interop-Plugin:Ingest]: mqtt_topics or server.resources not available - publishes will not be counted or routed'
+    );
+    return false;
+  }
+  // Replaces the schema's @export(name: "/") of the same table
+  harperServer.resources.set(
+    TOPICS_EXPORT_PATH,
+    createTopicsResource(TopicsTable),
+    undefined,
+    true
+  );
+  logger.info(
+    `[MQTT-Broker-Interop-Plugin:Ingest]: Publish ingestion registered at '${TOPICS_EXPORT_PATH}'`
+  );
+  return true;
+}
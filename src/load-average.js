@@ -0,0 +1,50 @@
+/**
+ * Load Averages
+ * Exponentially-weighted moving averages of event rates, computed the way
+ * Mosquitto computes $SYS/broker/load/*: on every update, the rate since the
+ * previous update (events per minute) is folded into each average with weight
+ * 1 - e^(-elapsed/window), so a steady rate r converges to r in every window.
+ */
+
+// Averaging windows in seconds
+export const LOAD_WINDOWS = {
+  oneMin: 60,
+  fiveMin: 5 * 60,
+  fifteenMin: 15 * 60
+};
+
+/**
+ * Create a load average at zero
+ * @returns {Object} - { oneMin, fiveMin, fifteenMin } in events per minute
+ */
+export function createLoadAverage() {
+  return { oneMin: 0, fiveMin: 0, fifteenMin: 0 };
+}
+
+/**
+ * Fold the events of one update interval into a load average
+ * @param {Object} average - Load average from createLoadAverage() (updated in place)
+ * @param {number} events - Events counted since the previous update
+ * @param {number} elapsedSeconds - Seconds since the previous update
+ * @returns {Object} - The updated average
+ */
+export function updateLoadAverage(average, events, elapsedSeconds) {
+  if (!(elapsedSeconds > 0)) {
+    return average;
+  }
+  const rate = (Math.max(0, events) * 60) / elapsedSeconds;
+  for (const [window, seconds] of Object.entries(LOAD_WINDOWS)) {
+    const exponent = Math.exp(-elapsedSeconds / seconds);
+    average[window] = rate + exponent * (average[window] - rate);
+  }
+  return average;
+}
+
+/**
+ * Round a load average for publishing (two decimals, like Mosquitto's "%.2f")
+ * @param {number} value - Load average
+ * @returns {number} - Rounded value
+ */
+export function roundLoad(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,138 @@
+/**
+ * Message History
+ * Opt-in storage of every publish as its own row in the per-prefix topic table
+ * (see getTableNameForTopic), and replay queries over a topic's recent messages.
+ */
+
+import { isAbsent, parseQueryTime, queryError } from './query-params.js';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+// Default message history options (see the `message_history` plugin option)
+export const DEFAULT_MESSAGE_HISTORY_OPTIONS = {
+  enabled: false,
+  default_limit: 100 // messages returned when a query gives no limit
+};
+
+// Upper bound for the `limit` query parameter
+export const MAX_MESSAGE_LIMIT = 1000;
+
+const ORDERS = ['asc', 'desc'];
+
+let historyOptions = { ...DEFAULT_MESSAGE_HISTORY_OPTIONS };
+
+/**
+ * Configure message history
+ * @param {Object} options - Message history options ({ enabled, default_limit })
+ */
+export function setMessageHistoryOptions(options = {}) {
+  historyOptions = { ...DEFAULT_MESSAGE_HISTORY_OPTIONS, ...options };
+  logger.info(
+    `[MQTT-Broker-Interop-Plugin:MessageHistory]: Message history ${historyOptions.enabled ? 'enabled' : 'disabled'}`
+  );
+}
+
+/**
+ * Whether each publish should be stored as its own row
+ * @returns {boolean} - True when message history is enabled
+ */
+export function isMessageHistoryEnabled() {
+  return historyOptions.enabled;
+}
+
+/**
+ * Validate replay query parameters
+ * @param {Object} query - Raw parameters ({ limit, since, until, order })
+ * @returns {Object} - { limit, since, until, order } with since/until in milliseconds (or null)
+ * @throws {Error} With statusCode 400 for invalid parameters
+ */
+export function parseMessageQuery({ limit, since, until, order }) {
+  const parsedLimit = isAbsent(limit)
+    ? historyOptions.default_limit
+    : Number(limit);
+  if (
+    !Number.isInteger(parsedLimit) ||
+    parsedLimit < 1 ||
+    parsedLimit > MAX_MESSAGE_LIMIT
+  ) {
+    throw queryError(
+      `'limit' must be an integer between 1 and ${MAX_MESSAGE_LIMIT}`
+    );
+  }
+
+  const parsedOrder = isAbsent(order) ? 'desc' : String(order).toLowerCase();
+  if (!ORDERS.includes(parsedOrder)) {
+    throw queryError(`'order' must be one of ${ORDERS.join(', ')}`);
+  }
+
+  const sinceMs = parseQueryTime(since, null, 'since');
+  const untilMs = parseQueryTime(until, null, 'until');
+  if (sinceMs !== null && untilMs !== null && sinceMs > untilMs) {
+    throw queryError("'since' must not be later than 'until'");
+  }
+
+  return {
+    limit: parsedLimit,
+    since: sinceMs,
+    until: untilMs,
+    order: parsedOrder
+  };
+}
+
+/**
+ * Build the search conditions selecting one topic's messages in a time window
+ * @param {string} topic - Concrete topic name
+ * @param {Object} query - Parsed query (see parseMessageQuery())
+ * @returns {Object[]} - HarperDB search conditions
+ */
+function messageConditions(topic, { since, until }) {
+  const conditions = [{ attribute: 'topic', value: topic }];
+  if (since !== null) {
+    conditions.push({
+      attribute: 'timestamp',
+      comparator: 'greater_than_equal',
+      value: new Date(since).toISOString()
+    });
+  }
+  if (until !== null) {
+    conditions.push({
+      attribute: 'timestamp',
+      comparator: 'less_than_equal',
+      value: new Date(until).toISOString()
+    });
+  }
+  return conditions;
+}
+
+/**
+ * Replay a topic's stored messages
+ * Rows are ordered by timestamp, then by id so messages published in the same
+ * millisecond come back in a stable order.
+ * @param {Object} table - Per-prefix topic table
+ * @param {string} topic - Concrete topic name
+ * @param {Object} query - Parsed query (see parseMessageQuery())
+ * @returns {Promise<Object[]>} - Up to query.limit messages, in query.order
+ */
+export async function queryTopicMessages(table, topic, query) {
+  const descending = query.order === 'desc';
+  const messages = [];
+  for await (const row of table.search({
+    conditions: messageConditions(topic, query),
+    sort: { attribute: 'timestamp', descending },
+    limit: query.limit
+  })) {
+    messages.push(row);
+  }
+
+  messages.sort(
+    (a, b) =>
+      String(a.timestamp).localeCompare(String(b.timestamp)) ||
+      String(a.id).localeCompare(String(b.id), undefined, { numeric: true })
+  );
+  if (descending) {
+    messages.reverse();
+  }
+  return messages.slice(0, query.limit);
+}
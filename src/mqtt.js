@@ -3,6 +3,56 @@
  * Provides standard MQTT broker statistics via $SYS topics
  */
 
+import { EventEmitter } from 'node:events';
+import { getHeapStatistics } from 'node:v8';
+import {
+  SNAPSHOT_SECTIONS,
+  getThreadId,
+  isPrimaryThread,
+  mergeSnapshots,
+  publishThreadSnapshot,
+  readThreadSnapshots
+} from './thread-metrics.js';
+import { recordSysHistory } from './sys-history.js';
+import { isMessageHistoryEnabled } from './message-history.js';
+import {
+  codecForTopic,
+  decodePayload,
+  storedPayloadByteLength
+} from './payload-codec.js';
+import { handleSparkplugMessage } from './sparkplug.js';
+import { ACCESS, checkAccess, isAclEnabled } from './acl.js';
+import {
+  countMessageHistory,
+  findMessageHistoryTables,
+  sessionTracker
+} from './broker-state.js';
+import { SubscriptionIndex } from './subscription-index.js';
+import { indexRetained, scanRetained } from './retained.js';
+import { alertTopic, evaluateAlerts, recordAlert } from './alerts.js';
+import { forwardToBridges } from './bridge.js';
+import {
+  createLoadAverage,
+  roundLoad,
+  updateLoadAverage
+} from './load-average.js';
+import { PERCENTILES, WindowedHistogram, percentile } from './histogram.js';
+import {
+  listProfileSysTopics,
+  resolveProfileTopic,
+  withProfileAliases
+} from './sys-profiles.js';
+import {
+  checkRateLimit,
+  isRateLimitEnabled,
+  pruneRateLimitBuckets
+} from './rate-limit.js';
+import {
+  DEFAULT_DATABASE,
+  routeTopic,
+  sanitizeTableSegment
+} from './topic-routing.js';
+
 // Access global server and logger
 const { server } = globalThis;
 const logger = server?.logger || console;
@@ -10,39 +60,187 @@ const logger = server?.logger || console;
 // Access tables from globalThis (it's a global, not an import)
 const {tables} = globalThis;
 
-// Load average time windows
-const TIME_WINDOWS = {
-  ONE_MIN: { ms: 60 * 1000, minutes: 1 },
-  FIVE_MIN: { ms: 5 * 60 * 1000, minutes: 5 },
-  FIFTEEN_MIN: { ms: 15 * 60 * 1000, minutes: 15 }
+// Distributions tracked in MqttMetrics.histograms → $SYS topic prefix
+const HISTOGRAM_TOPICS = {
+  payloadSize: '$SYS/broker/payload/size',
+  deliveryLatency: '$SYS/broker/latency/delivery',
+  ackLatency: '$SYS/broker/latency/ack'
+};
+
+// $SYS topic suffix of each load window
+const WINDOW_TOPICS = { oneMin: '1min', fiveMin: '5min', fifteenMin: '15min' };
+
+// Cumulative counter behind each load average: [section, key]
+const LOAD_COUNTERS = {
+  connections: ['clients', 'connections'],
+  messagesReceived: ['messages', 'received'],
+  messagesSent: ['messages', 'sent'],
+  bytesReceived: ['bytes', 'received'],
+  bytesSent: ['bytes', 'sent'],
+  publishReceived: ['messages', 'publishReceived'],
+  publishSent: ['messages', 'publishSent']
 };
 
+/**
+ * Set of published topics that announces newly seen topics
+ * Listen on `events` for 'added' (topic) to follow the registry without polling
+ */
+class TopicRegistry extends Set {
+  constructor() {
+    super();
+    this.events = new EventEmitter();
+    // One listener per open wildcard subscription
+    this.events.setMaxListeners(0);
+  }
+
+  add(topic) {
+    if (!this.has(topic)) {
+      super.add(topic);
+      this.events.emit('added', topic);
+    }
+    return this;
+  }
+}
+
 // Global topic registry to track all published topics
-export const topicRegistry = new Set();
+export const topicRegistry = new TopicRegistry();
 
 // Table registry to track table metadata
 export const tableRegistry = new Map();
 
+// Subscriptions per session (see subscription-index.js); every subscription
+// count is changed only when a subscription is really added or removed
+export const subscriptionIndex = new SubscriptionIndex();
+
 // $SYS metrics table reference (set during plugin initialization)
 let sysMetricsTable = null;
 
+// Per-thread snapshot table reference (set during plugin initialization)
+let threadMetricsTable = null;
+
+// Default metrics update / $SYS flush interval (Mosquitto's sys_interval default)
+const DEFAULT_SYS_INTERVAL_SECONDS = 10;
+
+// Minimum time between counts of the message tables for store/messages/*
+const STORE_SCAN_MIN_INTERVAL_MS = 60 * 1000;
+
+// A thread snapshot stays valid for this many update intervals without a refresh
+const THREAD_SNAPSHOT_MAX_AGE_INTERVALS = 3;
+
+// Pending $SYS writes (topic → serialized value), flushed once per sys_interval
+const pendingSysMetrics = new Map();
+
+// Last value written per $SYS topic, so unchanged metrics are not rewritten
+const writtenSysMetrics = new Map();
+
+// Cumulative counters and peaks rehydrated from mqtt_sys_metrics on restart
+// (topic → [section, key]); gauges such as clients/connected always start at zero
+const RESUMABLE_COUNTERS = {
+  '$SYS/broker/clients/maximum': ['clients', 'maximum'],
+  '$SYS/broker/clients/expired': ['clients', 'expired'],
+  '$SYS/broker/messages/received': ['messages', 'received'],
+  '$SYS/broker/messages/sent': ['messages', 'sent'],
+  '$SYS/broker/publish/messages/received': ['messages', 'publishReceived'],
+  '$SYS/broker/publish/messages/sent': ['messages', 'publishSent'],
+  '$SYS/broker/publish/messages/dropped': ['messages', 'publishDropped'],
+  '$SYS/broker/bytes/received': ['bytes', 'received'],
+  '$SYS/broker/bytes/sent': ['bytes', 'sent']
+};
+
+// Resumable values that are peaks rather than running totals
+const RESUMABLE_PEAKS = new Set(['$SYS/broker/clients/maximum']);
+
+const RESTARTS_TOPIC = '$SYS/broker/restarts';
+
+// Broker-wide $SYS topics affected by each event, announced to push subscribers
+const CHANGED_TOPICS = {
+  connect: [
+    '$SYS/broker/clients/connected',
+    '$SYS/broker/clients/maximum',
+    '$SYS/broker/clients/total'
+  ],
+  disconnect: [
+    '$SYS/broker/clients/connected',
+    '$SYS/broker/clients/disconnected',
+    '$SYS/broker/clients/total'
+  ],
+  publishReceived: [
+    '$SYS/broker/messages/received',
+    '$SYS/broker/publish/messages/received',
+    '$SYS/broker/bytes/received'
+  ],
+  publishSent: [
+    '$SYS/broker/messages/sent',
+    '$SYS/broker/publish/messages/sent',
+    '$SYS/broker/bytes/sent'
+  ],
+  subscriptions: ['$SYS/broker/subscriptions/count'],
+  retained: [
+    '$SYS/broker/retained messages/count',
+    '$SYS/broker/retained messages/bytes'
+  ],
+  inflight: ['$SYS/broker/messages/inflight'],
+  dropped: ['$SYS/broker/publish/messages/dropped'],
+  expired: [
+    '$SYS/broker/clients/expired',
+    '$SYS/broker/clients/disconnected',
+    '$SYS/broker/clients/total'
+  ],
+  resumed: ['$SYS/broker/clients/disconnected', '$SYS/broker/clients/total'],
+  stored: [
+    '$SYS/broker/messages/stored',
+    '$SYS/broker/store/messages/count',
+    '$SYS/broker/store/messages/bytes'
+  ],
+  sparkplug: [
+    '$SYS/broker/sparkplug/messages/received',
+    '$SYS/broker/sparkplug/messages/invalid',
+    '$SYS/broker/sparkplug/nodes/online',
+    '$SYS/broker/sparkplug/nodes/offline',
+    '$SYS/broker/sparkplug/devices/online',
+    '$SYS/broker/sparkplug/devices/offline',
+    '$SYS/broker/sparkplug/rebirths',
+    '$SYS/broker/sparkplug/seq/errors'
+  ],
+  aclDenied: [
+    '$SYS/broker/acl/denied/publish',
+    '$SYS/broker/acl/denied/subscribe'
+  ]
+};
+
 /**
  * MqttMetrics - Tracks MQTT broker statistics
  * This is the primary extension point for adding new metrics
+ *
+ * Emits 'change' with an array of $SYS topics whose values may have changed,
+ * so subscriptions can push updates instead of polling.
  */
-export class MqttMetrics {
-  constructor() {
+export class MqttMetrics extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.now - Clock returning milliseconds (injectable for tests)
+   */
+  constructor({ now = Date.now } = {}) {
+    super();
+    this.now = now;
+    // One listener per open $SYS subscription
+    this.setMaxListeners(0);
     logger.info(
       '[MQTT-Broker-Interop-Plugin:MQTT]: Initializing MQTT metrics tracking'
     );
     this.startTime = new Date();
+    this.threadId = getThreadId();
+
+    // Broker-wide totals merged from all threads (null until the first sync)
+    this.aggregate = null;
 
     this.clients = {
       connected: 0,
       disconnected: 0, // persistent sessions
       maximum: 0,
       total: 0,
-      expired: 0 // expired persistent sessions
+      expired: 0, // expired persistent sessions
+      connections: 0 // connections accepted (feeds load/connections)
     };
 
     this.messages = {
@@ -69,43 +267,89 @@ export class MqttMetrics {
       count: 0
     };
 
+    // Retained messages and their payload bytes: each thread counts the changes
+    // it makes (the primary thread also counts the index at startup and expires
+    // messages), so the totals are the sum over threads
     this.retained = {
-      count: 0
+      count: 0,
+      bytes: 0
     };
 
+    // Broker lifecycle (restarts is only non-zero on the primary thread)
+    this.broker = {
+      restarts: 0
+    };
+
+    // Sparkplug B edge nodes and devices (see sparkplug.js)
+    this.sparkplug = {
+      messages: 0,
+      invalid: 0, // payloads that failed to decode
+      nodes: { online: 0, offline: 0 },
+      devices: { online: 0, offline: 0 },
+      rebirths: 0,
+      sequenceErrors: 0
+    };
+
+    // Publishes and subscriptions rejected by the topic ACL (see acl.js)
+    this.acl = {
+      denied: { publish: 0, subscribe: 0 }
+    };
+
+    // Bridges to remote brokers, by bridge name (see bridge.js)
+    this.bridges = {};
+
     // System metrics
     this.heap = {
       current: 0,
-      maximum: 0
+      maximum: 0,
+      // V8 heap size limit (alert rules compare heap.current against it)
+      limit: 0
     };
 
-    // Load averages
-    this.load = {
-      connections: { oneMin: 0, fiveMin: 0, fifteenMin: 0 },
-      messagesReceived: { oneMin: 0, fiveMin: 0, fifteenMin: 0 },
-      messagesSent: { oneMin: 0, fiveMin: 0, fifteenMin: 0 },
-      bytesReceived: { oneMin: 0, fiveMin: 0, fifteenMin: 0 },
-      bytesSent: { oneMin: 0, fiveMin: 0, fifteenMin: 0 },
-      publishReceived: { oneMin: 0, fiveMin: 0, fifteenMin: 0 },
-      publishSent: { oneMin: 0, fiveMin: 0, fifteenMin: 0 }
-    };
+    // Load averages (events per minute, see load-average.js)
+    this.load = {};
+    for (const metric of Object.keys(LOAD_COUNTERS)) {
+      this.load[metric] = createLoadAverage();
+    }
 
-    // Track samples for load average calculation
-    this._loadSamples = {
-      connections: [],
-      messagesReceived: [],
-      messagesSent: [],
-      bytesReceived: [],
-      bytesSent: [],
-      publishReceived: [],
-      publishSent: []
-    };
+    // Per-client statistics (client-id → stats), removed when the client disconnects
+    this.perClient = new Map();
+
+    // Counter values and time of the last load average update (null until the first)
+    this._loadBaseline = null;
+
+    // Distributions over the load windows (see histogram.js): payload bytes,
+    // publish received → sent latency and QoS 1/2 acknowledgement round trip (ms).
+    // Recorded continuously; the windows in this.histograms are summed each tick.
+    this._histograms = {};
+    this.histograms = {};
+    for (const name of Object.keys(HISTOGRAM_TOPICS)) {
+      this._histograms[name] = new WindowedHistogram();
+      this.histograms[name] = this._histograms[name].windows(0);
+    }
+    // QoS 1/2 deliveries awaiting acknowledgement: client id → packet id → sent time
+    this._awaitingAck = new Map();
 
-    // Update system metrics periodically (delayed start after table initialization)
+    // Message table scan in progress, and when the last one started
+    this._storeScan = null;
+    this._lastStoreScan = -Infinity;
+
+    // Update system metrics and flush $SYS writes periodically
+    this._metricsInterval = null;
+    this.setSysInterval(DEFAULT_SYS_INTERVAL_SECONDS);
+  }
+
+  /**
+   * Set how often system metrics are updated and $SYS rows are written
+   * @param {number} seconds - Interval in seconds (sys_interval)
+   */
+  setSysInterval(seconds) {
+    this.stopMetricsUpdates();
+    this.sysIntervalMs = seconds * 1000;
     this._metricsInterval = setInterval(
       () => this._updateSystemMetrics(),
-      10000
-    ); // Update every 10 seconds
+      this.sysIntervalMs
+    );
     // Allow Node.js to exit if this is the only thing keeping it alive (important for tests)
     if (this._metricsInterval.unref) {
       this._metricsInterval.unref();
@@ -126,11 +370,12 @@ export class MqttMetrics {
     logger.debug('[MQTT-Broker-Interop-Plugin:MQTT]: Client connecting');
   }
 
-  onConnect(clientId, persistent) {
+  onConnect(clientId, persistent, username = null) {
     logger.debug(
       `[MQTT-Broker-Interop-Plugin:MQTT]: Client connected - clientId: ${clientId}, persistent: ${persistent}`
     );
     this.clients.connected++;
+    this.clients.connections++;
     this.clients.total = this.clients.connected + this.clients.disconnected;
 
     if (this.clients.connected > this.clients.maximum) {
@@ -140,10 +385,20 @@ export class MqttMetrics {
       );
     }
 
-    // Upsert metrics to table
-    upsertSysMetric('$SYS/broker/clients/connected', this.clients.connected);
-    upsertSysMetric('$SYS/broker/clients/total', this.clients.total);
-    upsertSysMetric('$SYS/broker/clients/maximum', this.clients.maximum);
+    if (clientId) {
+      const now = new Date();
+      this.perClient.set(clientId, {
+        clientId,
+        username: username ?? null,
+        connectedAt: now,
+        lastActivity: now,
+        messages: { received: 0, sent: 0, dropped: 0 },
+        bytes: { received: 0, sent: 0 },
+        subscriptions: new Set()
+      });
+      this._upsertClientMetrics(clientId);
+    }
+    this._notifyChange(CHANGED_TOPICS.connect, clientId);
   }
 
   onDisconnect(clientId, persistent) {
@@ -160,15 +415,17 @@ export class MqttMetrics {
 
     this.clients.total = this.clients.connected + this.clients.disconnected;
 
-    // Upsert metrics to table
-    upsertSysMetric('$SYS/broker/clients/connected', this.clients.connected);
-    upsertSysMetric(
-      '$SYS/broker/clients/disconnected',
-      this.clients.disconnected
-    );
+    this._awaitingAck.delete(clientId);
+    if (this.perClient.has(clientId)) {
+      this.perClient.delete(clientId);
+      for (const topic of clientSysTopics(clientId)) {
+        deleteSysMetric(topic);
+      }
+    }
+    this._notifyChange(CHANGED_TOPICS.disconnect);
   }
 
-  onPublishReceived(message, byteCount) {
+  onPublishReceived(message, byteCount, clientId = message?.client_id) {
     logger.trace(
       `[MQTT-Broker-Interop-Plugin:MQTT]: Message received - topic: ${message.topic}, bytes: ${byteCount}`
     );
@@ -176,16 +433,30 @@ export class MqttMetrics {
     this.messages.publishReceived++;
     this.bytes.received += byteCount;
 
-    // Upsert metrics to table
-    upsertSysMetric('$SYS/broker/messages/received', this.messages.received);
-    upsertSysMetric(
-      '$SYS/broker/publish/messages/received',
-      this.messages.publishReceived
+    const now = this.now();
+    this._histograms.payloadSize.record(
+      message?.payload === undefined
+        ? byteCount
+        : payloadByteLength(message.payload),
+      now
     );
-    upsertSysMetric('$SYS/broker/bytes/received', this.bytes.received);
+
+    const client = this._touchClient(clientId);
+    if (client) {
+      client.messages.received++;
+      client.bytes.received += byteCount;
+    }
+    this._notifyChange(CHANGED_TOPICS.publishReceived, client?.clientId);
   }
 
-  onPublishSent(message, byteCount) {
+  /**
+   * Record a message delivered to a subscriber
+   * @param {Object} message - Delivered message; receivedAt (ms) is when the
+   *   broker received it, absent for retained or replayed messages
+   * @param {number} byteCount - Payload size in bytes
+   * @param {string|null} clientId - Subscriber client id
+   */
+  onPublishSent(message, byteCount, clientId = null) {
     logger.trace(
       `[MQTT-Broker-Interop-Plugin:MQTT]: Message sent - topic: ${message.topic}, bytes: ${byteCount}`
     );
@@ -193,13 +464,52 @@ export class MqttMetrics {
     this.messages.publishSent++;
     this.bytes.sent += byteCount;
 
-    // Upsert metrics to table
-    upsertSysMetric('$SYS/broker/messages/sent', this.messages.sent);
-    upsertSysMetric(
-      '$SYS/broker/publish/messages/sent',
-      this.messages.publishSent
-    );
-    upsertSysMetric('$SYS/broker/bytes/sent', this.bytes.sent);
+    const receivedAt = message?.receivedAt;
+    if (typeof receivedAt === 'number') {
+      const now = this.now();
+      this._histograms.deliveryLatency.record(
+        Math.max(now - receivedAt, 0),
+        now
+      );
+    }
+
+    const client = this._touchClient(clientId);
+    if (client) {
+      client.messages.sent++;
+      client.bytes.sent += byteCount;
+    }
+    this._notifyChange(CHANGED_TOPICS.publishSent, client?.clientId);
+  }
+
+  /**
+   * Record a QoS 1/2 delivery the subscriber has to acknowledge
+   * @param {string} clientId - Subscriber client id
+   * @param {number} packetId - MQTT packet identifier of the delivery
+   */
+  onPublishAwaitingAck(clientId, packetId) {
+    if (!clientId || packetId === undefined) {
+      return;
+    }
+    if (!this._awaitingAck.has(clientId)) {
+      this._awaitingAck.set(clientId, new Map());
+    }
+    this._awaitingAck.get(clientId).set(packetId, this.now());
+  }
+
+  /**
+   * Record the acknowledgement of a QoS 1/2 delivery (PUBACK or PUBCOMP)
+   * @param {string} clientId - Subscriber client id
+   * @param {number} packetId - MQTT packet identifier of the delivery
+   */
+  onPublishAcknowledged(clientId, packetId) {
+    const awaiting = this._awaitingAck.get(clientId);
+    const sentAt = awaiting?.get(packetId);
+    if (sentAt === undefined) {
+      return;
+    }
+    awaiting.delete(packetId);
+    const now = this.now();
+    this._histograms.ackLatency.record(now - sentAt, now);
   }
 
   onSubscribe(clientId, topic) {
@@ -208,11 +518,12 @@ export class MqttMetrics {
     );
     this.subscriptions.count++;
 
-    // Upsert metrics to table
-    upsertSysMetric(
-      '$SYS/broker/subscriptions/count',
-      this.subscriptions.count
-    );
+    const client = this._touchClient(clientId);
+    if (client) {
+      client.subscriptions.add(topic);
+      this._upsertClientMetrics(clientId);
+    }
+    this._notifyChange(CHANGED_TOPICS.subscriptions, client?.clientId);
   }
 
   onUnsubscribe(clientId, topic) {
@@ -221,32 +532,58 @@ export class MqttMetrics {
     );
     this.subscriptions.count--;
 
-    // Upsert metrics to table
-    upsertSysMetric(
-      '$SYS/broker/subscriptions/count',
-      this.subscriptions.count
-    );
+    const client = this._touchClient(clientId);
+    if (client) {
+      client.subscriptions.delete(topic);
+      this._upsertClientMetrics(clientId);
+    }
+    this._notifyChange(CHANGED_TOPICS.subscriptions, client?.clientId);
   }
 
-  onRetainedMessageAdded() {
+  onRetainedMessageAdded(byteCount = 0) {
     logger.debug('[MQTT-Broker-Interop-Plugin:MQTT]: Retained message added');
     this.retained.count++;
-
-    // Upsert metrics to table
-    upsertSysMetric('$SYS/broker/retained messages/count', this.retained.count);
+    this.retained.bytes += byteCount;
+    this._notifyChange(CHANGED_TOPICS.retained);
   }
 
-  onRetainedMessageRemoved() {
+  onRetainedMessageRemoved(byteCount = 0) {
     logger.debug('[MQTT-Broker-Interop-Plugin:MQTT]: Retained message removed');
     this.retained.count--;
+    this.retained.bytes -= byteCount;
+    this._notifyChange(CHANGED_TOPICS.retained);
+  }
 
-    // Upsert metrics to table
-    upsertSysMetric('$SYS/broker/retained messages/count', this.retained.count);
+  /**
+   * Set the retained message totals counted in the index (primary thread)
+   * The index is the only source of these totals: other threads keep zero, so
+   * the merged snapshot is the primary thread's count.
+   * @param {Object} totals - Result of scanRetained() ({ count, bytes })
+   */
+  onRetainedIndexScanned({ count, bytes }) {
+    logger.debug(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Retained messages indexed - count: ${count}, bytes: ${bytes}`
+    );
+    this.retained.count = count;
+    this.retained.bytes = bytes;
+    this._notifyChange(CHANGED_TOPICS.retained);
   }
 
-  onMessageDropped() {
-    logger.warn('[MQTT-Broker-Interop-Plugin:MQTT]: Message dropped');
+  /**
+   * Count a publish that was dropped (e.g. by a rate limit)
+   * @param {string|null} clientId - Publishing client, for its per-client counter
+   */
+  onMessageDropped(clientId = null) {
+    logger.debug(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Message dropped - clientId: ${clientId}`
+    );
     this.messages.publishDropped++;
+
+    const client = clientId ? this.perClient.get(clientId) : undefined;
+    if (client) {
+      client.messages.dropped++;
+    }
+    this._notifyChange(CHANGED_TOPICS.dropped, client?.clientId);
   }
 
   onMessageInflight(delta) {
@@ -254,6 +591,7 @@ export class MqttMetrics {
       `[MQTT-Broker-Interop-Plugin:MQTT]: Message inflight delta: ${delta}, total: ${this.messages.inflight + delta}`
     );
     this.messages.inflight += delta;
+    this._notifyChange(CHANGED_TOPICS.inflight);
   }
 
   onMessageStored(delta) {
@@ -261,198 +599,496 @@ export class MqttMetrics {
       `[MQTT-Broker-Interop-Plugin:MQTT]: Message stored delta: ${delta}, total: ${this.messages.stored + delta}`
     );
     this.messages.stored += delta;
+    this._notifyChange(CHANGED_TOPICS.stored);
   }
 
-  onExpiredClient() {
-    logger.info('[MQTT-Broker-Interop-Plugin:MQTT]: Client session expired');
-    this.clients.expired++;
+  /**
+   * Apply the result of a message table count
+   * @param {Object} totals - { messageCount, messageBytes }: retained messages
+   *   plus message history rows (see countMessageHistory())
+   */
+  onStoreScanned({ messageCount, messageBytes }) {
+    this.store.messageCount = messageCount;
+    this.store.messageBytes = messageBytes;
+    this.onMessageStored(messageCount - this.messages.stored);
   }
 
-  _updateSystemMetrics() {
-    // Update heap metrics
-    if (process.memoryUsage) {
-      const memUsage = process.memoryUsage();
-      this.heap.current = memUsage.heapUsed;
-      this.heap.maximum = Math.max(this.heap.maximum, memUsage.heapUsed);
+  /**
+   * Apply the outcome of a processed Sparkplug B message
+   * @param {Object} outcome - Result of handleSparkplugMessage()
+   */
+  onSparkplugMessage(outcome) {
+    this.sparkplug.messages++;
+    if (outcome.invalid) {
+      this.sparkplug.invalid++;
+    }
+    for (const kind of ['nodes', 'devices']) {
+      this.sparkplug[kind].online += outcome[kind].online;
+      this.sparkplug[kind].offline += outcome[kind].offline;
+    }
+    if (outcome.rebirth) {
+      this.sparkplug.rebirths++;
+    }
+    if (outcome.sequenceError) {
+      this.sparkplug.sequenceErrors++;
     }
+    this._notifyChange(CHANGED_TOPICS.sparkplug);
+  }
 
-    // Calculate load averages
-    const now = Date.now();
+  /**
+   * Count a publish or subscription rejected by the topic ACL
+   * @param {string} action - 'publish' or 'subscribe'
+   */
+  onAclDenied(action) {
+    this.acl.denied[action]++;
+    this._notifyChange(CHANGED_TOPICS.aclDenied);
+  }
 
-    // Add current sample
-    this._loadSamples.connections.push({
-      time: now,
-      value: this.clients.connected
-    });
-    this._loadSamples.messagesReceived.push({
-      time: now,
-      value: this.messages.received
-    });
-    this._loadSamples.messagesSent.push({
-      time: now,
-      value: this.messages.sent
-    });
-    this._loadSamples.bytesReceived.push({
-      time: now,
-      value: this.bytes.received
-    });
-    this._loadSamples.bytesSent.push({ time: now, value: this.bytes.sent });
-    this._loadSamples.publishReceived.push({
-      time: now,
-      value: this.messages.publishReceived
-    });
-    this._loadSamples.publishSent.push({
-      time: now,
-      value: this.messages.publishSent
-    });
+  /**
+   * Get (or create) the counters of a bridge
+   * @param {string} name - Bridge name
+   * @returns {Object} - Bridge counters
+   */
+  _bridge(name) {
+    this.bridges[name] ??= {
+      connections: 0, // connections started on this thread
+      connected: 0,
+      reconnects: 0,
+      messages: { sent: 0, received: 0, suppressed: 0, dropped: 0 }
+    };
+    return this.bridges[name];
+  }
 
-    // Clean old samples (keep 15 minutes worth)
-    const cutoff = now - 15 * 60 * 1000;
-    Object.keys(this._loadSamples).forEach((key) => {
-      this._loadSamples[key] = this._loadSamples[key].filter(
-        (s) => s.time > cutoff
-      );
-    });
+  onBridgeStarted(name) {
+    this._bridge(name).connections++;
+    this._notifyChange(bridgeSysTopics(name));
+  }
 
-    // Calculate averages
-    this._calculateLoadAverages();
+  onBridgeStopped(name) {
+    this._bridge(name).connections--;
+    this._notifyChange(bridgeSysTopics(name));
+  }
 
-    // Upsert heap metrics to table
-    upsertSysMetric('$SYS/broker/heap/current', this.heap.current);
-    upsertSysMetric('$SYS/broker/heap/maximum', this.heap.maximum);
+  onBridgeConnected(name) {
+    this._bridge(name).connected++;
+    this._notifyChange(bridgeSysTopics(name));
+  }
 
-    // Upsert uptime
-    const uptime = Math.floor((Date.now() - this.startTime.getTime()) / 1000);
-    upsertSysMetric('$SYS/broker/uptime', uptime);
+  onBridgeDisconnected(name) {
+    this._bridge(name).connected--;
+    this._notifyChange(bridgeSysTopics(name));
+  }
 
-    // Upsert load averages
-    upsertSysMetric(
-      '$SYS/broker/load/connections/1min',
-      this.load.connections.oneMin
-    );
-    upsertSysMetric(
-      '$SYS/broker/load/connections/5min',
-      this.load.connections.fiveMin
-    );
-    upsertSysMetric(
-      '$SYS/broker/load/connections/15min',
-      this.load.connections.fifteenMin
-    );
+  onBridgeReconnect(name) {
+    this._bridge(name).reconnects++;
+    this._notifyChange(bridgeSysTopics(name));
+  }
 
-    upsertSysMetric(
-      '$SYS/broker/load/messages/received/1min',
-      this.load.messagesReceived.oneMin
-    );
-    upsertSysMetric(
-      '$SYS/broker/load/messages/received/5min',
-      this.load.messagesReceived.fiveMin
-    );
-    upsertSysMetric(
-      '$SYS/broker/load/messages/received/15min',
-      this.load.messagesReceived.fifteenMin
-    );
+  /**
+   * Count a message handled by a bridge
+   * @param {string} name - Bridge name
+   * @param {string} kind - 'sent', 'received', 'suppressed' (loop) or 'dropped'
+   */
+  onBridgeMessage(name, kind) {
+    this._bridge(name).messages[kind]++;
+    this._notifyChange(bridgeSysTopics(name));
+  }
 
-    upsertSysMetric(
-      '$SYS/broker/load/messages/sent/1min',
-      this.load.messagesSent.oneMin
-    );
-    upsertSysMetric(
-      '$SYS/broker/load/messages/sent/5min',
-      this.load.messagesSent.fiveMin
-    );
-    upsertSysMetric(
-      '$SYS/broker/load/messages/sent/15min',
-      this.load.messagesSent.fifteenMin
+  /**
+   * Count a disconnected persistent session that expired
+   * @param {string} clientId - MQTT client id
+   */
+  onExpiredClient(clientId) {
+    logger.info(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Client session expired - clientId: ${clientId}`
     );
+    this.clients.expired++;
+    if (this.clients.disconnected > 0) {
+      this.clients.disconnected--;
+    }
+    this.clients.total = this.clients.connected + this.clients.disconnected;
+    this._notifyChange(CHANGED_TOPICS.expired);
+  }
 
-    upsertSysMetric(
-      '$SYS/broker/load/bytes/received/1min',
-      this.load.bytesReceived.oneMin
-    );
-    upsertSysMetric(
-      '$SYS/broker/load/bytes/received/5min',
-      this.load.bytesReceived.fiveMin
-    );
-    upsertSysMetric(
-      '$SYS/broker/load/bytes/received/15min',
-      this.load.bytesReceived.fifteenMin
+  /**
+   * Count a client reconnecting to its disconnected persistent session
+   * @param {string} clientId - MQTT client id
+   */
+  onSessionResumed(clientId) {
+    logger.debug(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Persistent session resumed - clientId: ${clientId}`
     );
+    if (this.clients.disconnected > 0) {
+      this.clients.disconnected--;
+    }
+    this.clients.total = this.clients.connected + this.clients.disconnected;
+    this._notifyChange(CHANGED_TOPICS.resumed);
+  }
 
-    upsertSysMetric(
-      '$SYS/broker/load/bytes/sent/1min',
-      this.load.bytesSent.oneMin
-    );
-    upsertSysMetric(
-      '$SYS/broker/load/bytes/sent/5min',
-      this.load.bytesSent.fiveMin
-    );
-    upsertSysMetric(
-      '$SYS/broker/load/bytes/sent/15min',
-      this.load.bytesSent.fifteenMin
-    );
+  /**
+   * Set a connected client's subscriptions to those its session already holds
+   * (a resumed persistent session keeps the subscriptions of its last connection)
+   * @param {string} clientId - MQTT client id
+   * @param {string[]} filters - Topic filters of the session
+   */
+  restoreClientSubscriptions(clientId, filters) {
+    const client = this.perClient.get(clientId);
+    if (!client) {
+      return;
+    }
+    client.subscriptions = new Set(filters);
+    this._upsertClientMetrics(clientId);
+    this._notifyChange(CHANGED_TOPICS.subscriptions, clientId);
+  }
 
-    upsertSysMetric(
-      '$SYS/broker/load/publish/received/1min',
-      this.load.publishReceived.oneMin
-    );
-    upsertSysMetric(
-      '$SYS/broker/load/publish/received/5min',
-      this.load.publishReceived.fiveMin
-    );
-    upsertSysMetric(
-      '$SYS/broker/load/publish/received/15min',
-      this.load.publishReceived.fifteenMin
+  /**
+   * Continue counting from values persisted before a restart
+   * Running totals are added to the current counts (events may already have been
+   * counted since startup); peaks take the larger of the two.
+   * @param {Object} counters - Persisted values keyed by $SYS topic (see RESUMABLE_COUNTERS)
+   */
+  resumeCounters(counters) {
+    for (const [topic, [section, key]] of Object.entries(RESUMABLE_COUNTERS)) {
+      const value = counters[topic];
+      if (!Number.isFinite(value) || value < 0) {
+        continue;
+      }
+      this[section][key] = RESUMABLE_PEAKS.has(topic)
+        ? Math.max(this[section][key], value)
+        : this[section][key] + value;
+    }
+    // Resumed totals are not traffic: start the next load interval from them
+    this._loadBaseline = null;
+    logger.info(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Resumed counters - messages received: ${this.messages.received}, clients maximum: ${this.clients.maximum}`
     );
+  }
 
-    upsertSysMetric(
-      '$SYS/broker/load/publish/sent/1min',
-      this.load.publishSent.oneMin
-    );
-    upsertSysMetric(
-      '$SYS/broker/load/publish/sent/5min',
-      this.load.publishSent.fiveMin
+  /**
+   * Reset running totals, peaks and traffic statistics to zero
+   * Gauges (connected clients, subscriptions, retained and stored messages) keep
+   * their values; the peak client count restarts from the connected count.
+   */
+  resetCounters() {
+    for (const target of [this, this.aggregate]) {
+      if (!target) {
+        continue;
+      }
+      for (const [section, key] of Object.values(RESUMABLE_COUNTERS)) {
+        target[section][key] = 0;
+      }
+      target.clients.maximum = target.clients.connected;
+      target.acl.denied = { publish: 0, subscribe: 0 };
+    }
+    for (const client of this.perClient.values()) {
+      client.messages = { received: 0, sent: 0, dropped: 0 };
+      client.bytes = { received: 0, sent: 0 };
+    }
+    for (const metric of Object.keys(LOAD_COUNTERS)) {
+      this.load[metric] = createLoadAverage();
+    }
+    this._loadBaseline = null;
+    for (const name of Object.keys(HISTOGRAM_TOPICS)) {
+      this._histograms[name] = new WindowedHistogram();
+      this.histograms[name] = this._histograms[name].windows(0);
+    }
+    logger.info('[MQTT-Broker-Interop-Plugin:MQTT]: Metric counters reset');
+    this._notifyChange(Object.keys(SYS_TOPIC_MAP));
+  }
+
+  /**
+   * Serializable snapshot of this thread's counters, for cross-thread aggregation
+   * @returns {Object} - Snapshot with threadId, startTime and all metric sections
+   */
+  snapshot() {
+    const snapshot = {
+      threadId: this.threadId,
+      startTime: this.startTime.toISOString()
+    };
+    for (const section of SNAPSHOT_SECTIONS) {
+      snapshot[section] = JSON.parse(JSON.stringify(this[section]));
+    }
+    return snapshot;
+  }
+
+  /**
+   * Metrics to expose as broker-wide values
+   * @returns {Object} - Merged totals across threads, or this instance when not aggregated
+   */
+  view() {
+    return this.aggregate ?? this;
+  }
+
+  /**
+   * Publish this thread's snapshot, merge all live threads and, on the primary
+   * thread, write the merged totals to the $SYS table
+   */
+  async syncThreads() {
+    if (!threadMetricsTable) {
+      return;
+    }
+
+    const own = this.snapshot();
+    // Subscriptions ride along for listSubscriptions(); they are not merged
+    await publishThreadSnapshot(threadMetricsTable, {
+      ...own,
+      subscriptionList: subscriptionIndex.list()
+    });
+    const others = (
+      await readThreadSnapshots(
+        threadMetricsTable,
+        THREAD_SNAPSHOT_MAX_AGE_INTERVALS * this.sysIntervalMs
+      )
+    ).filter((snapshot) => snapshot.threadId !== this.threadId);
+
+    this.aggregate = mergeSnapshots([own, ...others], this.aggregate);
+    logger.trace(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Merged metrics from ${this.aggregate.threads} threads`
     );
-    upsertSysMetric(
-      '$SYS/broker/load/publish/sent/15min',
-      this.load.publishSent.fifteenMin
+
+    if (isPrimaryThread()) {
+      upsertBrokerSysMetrics(this.aggregate);
+    }
+  }
+
+  /**
+   * Announce $SYS topics whose values may have changed
+   * Subscribers re-read the values, so the list may safely include unchanged topics
+   * @param {string[]} topics - Broker-wide $SYS topics
+   * @param {string} clientId - Client whose per-client topics also changed (optional)
+   */
+  _notifyChange(topics, clientId = null) {
+    if (this.listenerCount('change') === 0) {
+      return;
+    }
+    const changed = withProfileAliases(topics);
+    this.emit(
+      'change',
+      clientId ? [...changed, ...clientSysTopics(clientId)] : changed
     );
   }
 
-  _calculateLoadAverages() {
-    const now = Date.now();
+  /**
+   * Get per-client stats and refresh its last-activity timestamp
+   * @param {string} clientId - MQTT client id
+   * @returns {Object|undefined} - Client stats entry, if the client is connected
+   */
+  _touchClient(clientId) {
+    const client = clientId ? this.perClient.get(clientId) : undefined;
+    if (client) {
+      client.lastActivity = new Date();
+    }
+    return client;
+  }
+
+  /**
+   * Write all $SYS/broker/clients/<client-id>/... topics for one client
+   * @param {string} clientId - MQTT client id
+   */
+  _upsertClientMetrics(clientId) {
+    const client = this.perClient.get(clientId);
+    if (!client) {
+      return;
+    }
+    for (const [suffix, handler] of Object.entries(CLIENT_SYS_TOPIC_MAP)) {
+      upsertSysMetric(clientSysTopic(clientId, suffix), handler(client));
+    }
+  }
+
+  /**
+   * Plain-object snapshot of per-client statistics, keyed by client id
+   * @returns {Object} - Client stats with subscriptions as arrays
+   */
+  getClientStats() {
+    const stats = {};
+    for (const [clientId, client] of this.perClient) {
+      stats[clientId] = {
+        ...client,
+        messages: { ...client.messages },
+        bytes: { ...client.bytes },
+        subscriptions: Array.from(client.subscriptions)
+      };
+    }
+    return stats;
+  }
+
+  /**
+   * Sample broker state that is not reported by events (see broker-state.js)
+   * @param {number} now - Current time in milliseconds
+   */
+  _sampleBrokerState(now = this.now()) {
+    for (const clientId of sessionTracker.expire(now)) {
+      releaseSubscriptions(clientId);
+      this.onExpiredClient(clientId);
+    }
+
+    // Rate limit buckets of idle clients and users
+    pruneRateLimitBuckets(now);
+
+    const inflight = sessionTracker.inflight();
+    if (inflight !== this.messages.inflight) {
+      this.onMessageInflight(inflight - this.messages.inflight);
+    }
+
+    // The tables are shared by all threads, so the primary thread counts them
+    const topicsTable = globalThis.tables?.mqtt_topics;
+    if (
+      !topicsTable ||
+      !isPrimaryThread() ||
+      this._storeScan ||
+      now - this._lastStoreScan <
+        Math.max(this.sysIntervalMs, STORE_SCAN_MIN_INTERVAL_MS)
+    ) {
+      return;
+    }
+    this._lastStoreScan = now;
+    // mqtt_topics holds the retained messages, which the index already counts
+    this._storeScan = Promise.all([
+      countMessageHistory(
+        findMessageHistoryTables(globalThis.databases, topicsTable)
+      ),
+      scanRetained(now)
+    ])
+      .then(([history, retained]) => {
+        this.onStoreScanned({
+          messageCount: retained.count + history.messageCount,
+          messageBytes: retained.bytes + history.messageBytes
+        });
+        this.onRetainedIndexScanned(retained);
+      })
+      .catch((error) => {
+        logger.error(
+          '[MQTT-Broker-Interop-Plugin:MQTT]: Failed to scan message tables:',
+          error
+        );
+      })
+      .finally(() => {
+        this._storeScan = null;
+      });
+  }
+
+  _updateSystemMetrics() {
+    const now = this.now();
+    this._sampleBrokerState(now);
 
-    // Helper function to calculate load average for a time window
-    const calculatePeriodAverage = (samples, cutoffTime, minutes) => {
-      const periodSamples = samples.filter((s) => s.time > cutoffTime);
-      if (periodSamples.length > 0) {
-        const delta =
-          periodSamples[periodSamples.length - 1].value -
-          periodSamples[0].value;
-        return delta / minutes;
+    // Update heap metrics
+    if (process.memoryUsage) {
+      const memUsage = process.memoryUsage();
+      this.heap.current = memUsage.heapUsed;
+      this.heap.maximum = Math.max(this.heap.maximum, memUsage.heapUsed);
+    }
+    this.heap.limit = getHeapStatistics().heap_size_limit;
+
+    this._calculateLoadAverages(now);
+    for (const [name, histogram] of Object.entries(this._histograms)) {
+      this.histograms[name] = histogram.windows(now);
+    }
+
+    // Upsert per-client counters (each thread owns its own clients)
+    for (const clientId of this.perClient.keys()) {
+      this._upsertClientMetrics(clientId);
+    }
+
+    // With cross-thread aggregation, broker-wide rows come from merged totals
+    if (threadMetricsTable) {
+      this.syncThreads()
+        .catch((error) => {
+          logger.error(
+            '[MQTT-Broker-Interop-Plugin:MQTT]: Failed to sync thread metrics:',
+            error
+          );
+        })
+        .finally(() => {
+          this._evaluateAlerts(now);
+          flushSysMetrics();
+          this._recordHistory();
+          this._notifyPeriodicChange();
+        });
+      return;
+    }
+
+    upsertBrokerSysMetrics(this);
+    this._evaluateAlerts(now);
+    flushSysMetrics();
+    this._recordHistory();
+    this._notifyPeriodicChange();
+  }
+
+  /**
+   * Evaluate alert rules against broker-wide metrics (primary thread only, so
+   * each transition is published once) and publish their transitions
+   * @param {number} now - Current time in milliseconds
+   */
+  _evaluateAlerts(now = this.now()) {
+    if (!isPrimaryThread()) {
+      return;
+    }
+    for (const alert of evaluateAlerts(this.view(), now)) {
+      publishAlert(alertTopic(alert.rule), alert);
+      recordAlert(alert);
+    }
+  }
+
+  /**
+   * Sample broker-wide metrics into the history table (primary thread only,
+   * so merged totals are recorded once)
+   */
+  _recordHistory() {
+    if (!isPrimaryThread()) {
+      return;
+    }
+    const m = this.view();
+    const values = {};
+    for (const [topic, handler] of Object.entries(SYS_TOPIC_MAP)) {
+      const value = handler(m);
+      if (typeof value === 'number') {
+        values[topic] = value;
       }
-      return 0;
-    };
+    }
+    recordSysHistory(values);
+  }
+
+  /**
+   * Announce every $SYS topic after a periodic update
+   * Heap, uptime, load and merged cross-thread values change without an event
+   */
+  _notifyPeriodicChange() {
+    if (this.listenerCount('change') === 0) {
+      return;
+    }
+    this.emit('change', [
+      ...Object.keys(SYS_TOPIC_MAP),
+      ...listProfileSysTopics(),
+      ...listBridgeSysTopics(this.view()),
+      ...listClientSysTopics(this)
+    ]);
+  }
 
-    // Calculate load averages for each metric across all time windows
-    Object.keys(this._loadSamples).forEach((metric) => {
-      const samples = this._loadSamples[metric];
+  /**
+   * Fold the events counted since the previous update into the load averages
+   * @param {number} now - Current time in milliseconds
+   */
+  _calculateLoadAverages(now) {
+    const counts = {};
+    for (const [metric, [section, key]] of Object.entries(LOAD_COUNTERS)) {
+      counts[metric] = this[section][key];
+    }
 
-      this.load[metric].oneMin = calculatePeriodAverage(
-        samples,
-        now - TIME_WINDOWS.ONE_MIN.ms,
-        TIME_WINDOWS.ONE_MIN.minutes
-      );
-      this.load[metric].fiveMin = calculatePeriodAverage(
-        samples,
-        now - TIME_WINDOWS.FIVE_MIN.ms,
-        TIME_WINDOWS.FIVE_MIN.minutes
-      );
-      this.load[metric].fifteenMin = calculatePeriodAverage(
-        samples,
-        now - TIME_WINDOWS.FIFTEEN_MIN.ms,
-        TIME_WINDOWS.FIFTEEN_MIN.minutes
-      );
-    });
+    const baseline = this._loadBaseline;
+    if (baseline) {
+      const elapsedSeconds = (now - baseline.time) / 1000;
+      if (elapsedSeconds <= 0) {
+        return;
+      }
+      for (const metric of Object.keys(LOAD_COUNTERS)) {
+        updateLoadAverage(
+          this.load[metric],
+          counts[metric] - baseline.counts[metric],
+          elapsedSeconds
+        );
+      }
+    }
+    this._loadBaseline = { time: now, counts };
   }
 }
 
@@ -494,87 +1130,261 @@ const SYS_TOPIC_MAP = {
   '$SYS/broker/clients/disconnected': (m) => m.clients.disconnected,
   '$SYS/broker/clients/maximum': (m) => m.clients.maximum,
   '$SYS/broker/clients/total': (m) => m.clients.total,
+  '$SYS/broker/clients/expired': (m) => m.clients.expired,
 
   // Message metrics
   '$SYS/broker/messages/received': (m) => m.messages.received,
   '$SYS/broker/messages/sent': (m) => m.messages.sent,
   '$SYS/broker/messages/inflight': (m) => m.messages.inflight,
+  '$SYS/broker/messages/stored': (m) => m.messages.stored,
   '$SYS/broker/publish/messages/received': (m) => m.messages.publishReceived,
   '$SYS/broker/publish/messages/sent': (m) => m.messages.publishSent,
+  '$SYS/broker/publish/messages/dropped': (m) => m.messages.publishDropped,
 
   // Bandwidth metrics
   '$SYS/broker/bytes/received': (m) => m.bytes.received,
   '$SYS/broker/bytes/sent': (m) => m.bytes.sent,
 
+  // Storage metrics
+  '$SYS/broker/store/messages/count': (m) => m.store.messageCount,
+  '$SYS/broker/store/messages/bytes': (m) => m.store.messageBytes,
+
   // Subscription metrics
   '$SYS/broker/subscriptions/count': (m) => m.subscriptions.count,
   '$SYS/broker/retained messages/count': (m) => m.retained.count,
+  '$SYS/broker/retained messages/bytes': (m) => m.retained.bytes,
 
   // System metrics
   '$SYS/broker/heap/current': (m) => m.heap.current,
-  '$SYS/broker/heap/current size': (m) => m.heap.current,
   '$SYS/broker/heap/maximum': (m) => m.heap.maximum,
-  '$SYS/broker/heap/maximum size': (m) => m.heap.maximum,
   '$SYS/broker/uptime': (m) =>
     Math.floor((Date.now() - m.startTime.getTime()) / 1000),
+  '$SYS/broker/restarts': (m) => m.broker.restarts,
+
+  // Topic ACL
+  '$SYS/broker/acl/denied/publish': (m) => m.acl.denied.publish,
+  '$SYS/broker/acl/denied/subscribe': (m) => m.acl.denied.subscribe,
+
+  // Sparkplug B
+  '$SYS/broker/sparkplug/messages/received': (m) => m.sparkplug.messages,
+  '$SYS/broker/sparkplug/messages/invalid': (m) => m.sparkplug.invalid,
+  '$SYS/broker/sparkplug/nodes/online': (m) => m.sparkplug.nodes.online,
+  '$SYS/broker/sparkplug/nodes/offline': (m) => m.sparkplug.nodes.offline,
+  '$SYS/broker/sparkplug/devices/online': (m) => m.sparkplug.devices.online,
+  '$SYS/broker/sparkplug/devices/offline': (m) => m.sparkplug.devices.offline,
+  '$SYS/broker/sparkplug/rebirths': (m) => m.sparkplug.rebirths,
+  '$SYS/broker/sparkplug/seq/errors': (m) => m.sparkplug.sequenceErrors,
 
   // Load averages - Connections
   '$SYS/broker/load/connections/1min': (m) =>
-    Math.round(m.load.connections.oneMin),
+    roundLoad(m.load.connections.oneMin),
   '$SYS/broker/load/connections/5min': (m) =>
-    Math.round(m.load.connections.fiveMin),
+    roundLoad(m.load.connections.fiveMin),
   '$SYS/broker/load/connections/15min': (m) =>
-    Math.round(m.load.connections.fifteenMin),
+    roundLoad(m.load.connections.fifteenMin),
 
   // Load averages - Messages received
   '$SYS/broker/load/messages/received/1min': (m) =>
-    Math.round(m.load.messagesReceived.oneMin),
+    roundLoad(m.load.messagesReceived.oneMin),
   '$SYS/broker/load/messages/received/5min': (m) =>
-    Math.round(m.load.messagesReceived.fiveMin),
+    roundLoad(m.load.messagesReceived.fiveMin),
   '$SYS/broker/load/messages/received/15min': (m) =>
-    Math.round(m.load.messagesReceived.fifteenMin),
+    roundLoad(m.load.messagesReceived.fifteenMin),
 
   // Load averages - Messages sent
   '$SYS/broker/load/messages/sent/1min': (m) =>
-    Math.round(m.load.messagesSent.oneMin),
+    roundLoad(m.load.messagesSent.oneMin),
   '$SYS/broker/load/messages/sent/5min': (m) =>
-    Math.round(m.load.messagesSent.fiveMin),
+    roundLoad(m.load.messagesSent.fiveMin),
   '$SYS/broker/load/messages/sent/15min': (m) =>
-    Math.round(m.load.messagesSent.fifteenMin),
+    roundLoad(m.load.messagesSent.fifteenMin),
 
   // Load averages - Bytes received
   '$SYS/broker/load/bytes/received/1min': (m) =>
-    Math.round(m.load.bytesReceived.oneMin),
+    roundLoad(m.load.bytesReceived.oneMin),
   '$SYS/broker/load/bytes/received/5min': (m) =>
-    Math.round(m.load.bytesReceived.fiveMin),
+    roundLoad(m.load.bytesReceived.fiveMin),
   '$SYS/broker/load/bytes/received/15min': (m) =>
-    Math.round(m.load.bytesReceived.fifteenMin),
+    roundLoad(m.load.bytesReceived.fifteenMin),
 
   // Load averages - Bytes sent
-  '$SYS/broker/load/bytes/sent/1min': (m) =>
-    Math.round(m.load.bytesSent.oneMin),
+  '$SYS/broker/load/bytes/sent/1min': (m) => roundLoad(m.load.bytesSent.oneMin),
   '$SYS/broker/load/bytes/sent/5min': (m) =>
-    Math.round(m.load.bytesSent.fiveMin),
+    roundLoad(m.load.bytesSent.fiveMin),
   '$SYS/broker/load/bytes/sent/15min': (m) =>
-    Math.round(m.load.bytesSent.fifteenMin),
+    roundLoad(m.load.bytesSent.fifteenMin),
 
   // Load averages - Publish received
   '$SYS/broker/load/publish/received/1min': (m) =>
-    Math.round(m.load.publishReceived.oneMin),
+    roundLoad(m.load.publishReceived.oneMin),
   '$SYS/broker/load/publish/received/5min': (m) =>
-    Math.round(m.load.publishReceived.fiveMin),
+    roundLoad(m.load.publishReceived.fiveMin),
   '$SYS/broker/load/publish/received/15min': (m) =>
-    Math.round(m.load.publishReceived.fifteenMin),
+    roundLoad(m.load.publishReceived.fifteenMin),
 
   // Load averages - Publish sent
   '$SYS/broker/load/publish/sent/1min': (m) =>
-    Math.round(m.load.publishSent.oneMin),
+    roundLoad(m.load.publishSent.oneMin),
   '$SYS/broker/load/publish/sent/5min': (m) =>
-    Math.round(m.load.publishSent.fiveMin),
+    roundLoad(m.load.publishSent.fiveMin),
   '$SYS/broker/load/publish/sent/15min': (m) =>
-    Math.round(m.load.publishSent.fifteenMin)
+    roundLoad(m.load.publishSent.fifteenMin)
+};
+
+// Percentiles of each distribution per load window, e.g.
+// $SYS/broker/latency/delivery/p95/5min (null while a window has no values)
+for (const [name, prefix] of Object.entries(HISTOGRAM_TOPICS)) {
+  for (const [window, windowTopic] of Object.entries(WINDOW_TOPICS)) {
+    for (const [label, q] of Object.entries(PERCENTILES)) {
+      SYS_TOPIC_MAP[`${prefix}/${label}/${windowTopic}`] = (m) => {
+        const value = percentile(m.histograms?.[name]?.[window], q);
+        return value === null ? null : Math.round(value * 100) / 100;
+      };
+    }
+  }
+}
+
+// Histogram percentile topics (listed by the $SYS resource)
+export const HISTOGRAM_SYS_TOPICS = Object.keys(SYS_TOPIC_MAP).filter((topic) =>
+  Object.values(HISTOGRAM_TOPICS).some((prefix) =>
+    topic.startsWith(`${prefix}/`)
+  )
+);
+
+/**
+ * Get the value of a compatibility profile alias (see sys-profiles.js)
+ * @param {Object} alias - { native } or { value } from resolveProfileTopic()
+ * @param {Object} m - Metrics to read (an MqttMetrics instance or merged totals)
+ * @returns {any} - Metric value
+ */
+function resolveProfileValue(alias, m) {
+  return alias.native ? SYS_TOPIC_MAP[alias.native](m) : alias.value;
+}
+
+/**
+ * Per-client topic mapping, relative to $SYS/broker/clients/<client-id>/
+ * Each value is a function that receives the client's stats entry
+ */
+const CLIENT_SYS_TOPIC_MAP = {
+  connected: (c) => c.connectedAt.toISOString(),
+  username: (c) => c.username ?? '',
+  'messages/received': (c) => c.messages.received,
+  'messages/sent': (c) => c.messages.sent,
+  'messages/dropped': (c) => c.messages.dropped,
+  'bytes/received': (c) => c.bytes.received,
+  'bytes/sent': (c) => c.bytes.sent,
+  subscriptions: (c) => Array.from(c.subscriptions),
+  last_activity: (c) => c.lastActivity.toISOString()
+};
+
+const CLIENT_SYS_TOPIC_PREFIX = '$SYS/broker/clients/';
+
+/**
+ * Overall state of a bridge across worker threads
+ * @param {Object} bridge - Bridge counters (connections, connected)
+ * @returns {string} - 'connected', 'degraded' (some connections down), 'disconnected' or 'stopped'
+ */
+function bridgeState({ connections, connected }) {
+  if (connections <= 0) {
+    return 'stopped';
+  }
+  if (connected >= connections) {
+    return 'connected';
+  }
+  return connected > 0 ? 'degraded' : 'disconnected';
+}
+
+/**
+ * Per-bridge topic mapping, relative to $SYS/broker/bridges/<name>/
+ * Each value is a function that receives the bridge's (merged) counters
+ */
+const BRIDGE_SYS_TOPIC_MAP = {
+  state: bridgeState,
+  connected: (b) => b.connected,
+  connections: (b) => b.connections,
+  reconnects: (b) => b.reconnects,
+  'messages/sent': (b) => b.messages.sent,
+  'messages/received': (b) => b.messages.received,
+  'messages/suppressed': (b) => b.messages.suppressed,
+  'messages/dropped': (b) => b.messages.dropped
 };
 
+const BRIDGE_SYS_TOPIC_PREFIX = '$SYS/broker/bridges/';
+
+function bridgeSysTopics(name) {
+  return Object.keys(BRIDGE_SYS_TOPIC_MAP).map(
+    (suffix) => `${BRIDGE_SYS_TOPIC_PREFIX}${name}/${suffix}`
+  );
+}
+
+/**
+ * List the $SYS topics of all bridges
+ * @param {Object} m - Metrics to list (an MqttMetrics instance or merged totals)
+ * @returns {string[]} - Topics of the form $SYS/broker/bridges/<name>/<metric>
+ */
+export function listBridgeSysTopics(m = metrics.view()) {
+  return Object.keys(m.bridges ?? {}).flatMap(bridgeSysTopics);
+}
+
+/**
+ * Resolve a $SYS/broker/bridges/<name>/<metric> topic
+ * @param {string} topic - Full $SYS topic path
+ * @param {Object} m - Metrics to read (an MqttMetrics instance or merged totals)
+ * @returns {any} - Metric value, or undefined if not a known bridge topic
+ */
+export function resolveBridgeSysTopic(topic, m = metrics.view()) {
+  if (!topic?.startsWith(BRIDGE_SYS_TOPIC_PREFIX)) {
+    return undefined;
+  }
+  const rest = topic.substring(BRIDGE_SYS_TOPIC_PREFIX.length);
+  const slash = rest.indexOf('/');
+  const bridge = m.bridges?.[rest.slice(0, slash)];
+  const handler = BRIDGE_SYS_TOPIC_MAP[rest.slice(slash + 1)];
+  return slash > 0 && bridge && handler ? handler(bridge) : undefined;
+}
+
+function clientSysTopic(clientId, suffix) {
+  return `${CLIENT_SYS_TOPIC_PREFIX}${clientId}/${suffix}`;
+}
+
+function clientSysTopics(clientId) {
+  return Object.keys(CLIENT_SYS_TOPIC_MAP).map((suffix) =>
+    clientSysTopic(clientId, suffix)
+  );
+}
+
+/**
+ * List the per-client $SYS topics of all connected clients
+ * @param {MqttMetrics} m - Metrics instance (defaults to the singleton)
+ * @returns {string[]} - Topics of the form $SYS/broker/clients/<client-id>/<metric>
+ */
+export function listClientSysTopics(m = metrics) {
+  return Array.from(m.perClient.keys()).flatMap(clientSysTopics);
+}
+
+/**
+ * Resolve a $SYS/broker/clients/<client-id>/<metric> topic
+ * Client ids may themselves contain '/', so the metric is matched from the end
+ * @param {string} topic - Full $SYS topic path
+ * @param {MqttMetrics} m - Metrics instance (defaults to the singleton)
+ * @returns {any} - Metric value, or undefined if not a known per-client topic
+ */
+export function resolveClientSysTopic(topic, m = metrics) {
+  if (!topic?.startsWith(CLIENT_SYS_TOPIC_PREFIX)) {
+    return undefined;
+  }
+  const rest = topic.substring(CLIENT_SYS_TOPIC_PREFIX.length);
+  for (const [suffix, handler] of Object.entries(CLIENT_SYS_TOPIC_MAP)) {
+    if (rest.endsWith(`/${suffix}`)) {
+      const client = m.perClient.get(rest.slice(0, -(suffix.length + 1)));
+      if (client) {
+        return handler(client);
+      }
+    }
+  }
+  return undefined;
+}
+
 /**
  * SysTopics - Resource class that handles all $SYS/* topic requests
  * Maps MQTT $SYS topic paths to current metric values
@@ -599,7 +1409,22 @@ export class SysTopics {
     // Use topic map for efficient lookup
     const handler = SYS_TOPIC_MAP[topic];
     if (handler) {
-      return handler(this.metrics);
+      return handler(this.metrics.view());
+    }
+
+    const alias = resolveProfileTopic(topic);
+    if (alias) {
+      return resolveProfileValue(alias, this.metrics.view());
+    }
+
+    const bridgeValue = resolveBridgeSysTopic(topic, this.metrics.view());
+    if (bridgeValue !== undefined) {
+      return bridgeValue;
+    }
+
+    const clientValue = resolveClientSysTopic(topic, this.metrics);
+    if (clientValue !== undefined) {
+      return clientValue;
     }
 
     // Unknown topic
@@ -621,12 +1446,63 @@ export class SysTopics {
 // Helper Functions
 // ============================================================================
 
+// Compiled `routing:` rules (set during plugin initialization, see topic-routing.js)
+let topicRouting = null;
+
 /**
- * Get table name for a topic based on hierarchy
+ * Set the topic routing rules used by resolveTopicRoute()
+ * @param {Object|null} routing - Compiled routing from compileRouting(), or null for the built-in scheme
+ */
+export function setTopicRouting(routing) {
+  topicRouting = routing;
+  logger.info(
+    `[MQTT-Broker-Interop-Plugin:MQTT]: Topic routing - ${routing ? `${routing.rules.length} rule(s), default: ${routing.default ? `${routing.default.database}.${routing.default.table}` : 'built-in'}` : 'built-in'}`
+  );
+}
+
+/**
+ * Get the database and table a topic is stored in
+ * Configured routing rules are tried first; topics they do not match fall back
+ * to the built-in first-segment scheme
  * @param {string} topic - MQTT topic path
- * @returns {string} - Table name (mqtt_<segment> or mqtt_messages)
+ * @returns {Object} - { database, table }
+ */
+export function resolveTopicRoute(topic) {
+  return (
+    routeTopic(topicRouting, topic) ?? {
+      database: DEFAULT_DATABASE,
+      table: getDefaultTableNameForTopic(topic)
+    }
+  );
+}
+
+/**
+ * Get the table for a route, if it exists
+ * @param {Object} route - { database, table } from resolveTopicRoute()
+ * @returns {Object|undefined} - HarperDB table instance
+ */
+export function getRouteTable({ database, table }) {
+  if (database === DEFAULT_DATABASE) {
+    return globalThis.tables?.[table] || globalThis.databases?.data?.[table];
+  }
+  return globalThis.databases?.[database]?.[table];
+}
+
+/**
+ * Get table name for a topic (see resolveTopicRoute())
+ * @param {string} topic - MQTT topic path
+ * @returns {string} - Table name
  */
 export function getTableNameForTopic(topic) {
+  return resolveTopicRoute(topic).table;
+}
+
+/**
+ * Built-in table naming based on hierarchy
+ * @param {string} topic - MQTT topic path
+ * @returns {string} - Table name (mqtt_<segment> or mqtt_messages)
+ */
+function getDefaultTableNameForTopic(topic) {
   if (!topic) {
     return 'mqtt_messages';
   }
@@ -640,7 +1516,7 @@ export function getTableNameForTopic(topic) {
   }
 
   // Sanitize: lowercase, replace invalid chars with underscore
-  const sanitized = firstSegment.toLowerCase().replace(/[^a-z0-9_]/g, '_');
+  const sanitized = sanitizeTableSegment(firstSegment);
 
   return `mqtt_${sanitized}`;
 }
@@ -654,67 +1530,243 @@ export function generateMessageId() {
 }
 
 /**
- * Upsert a $SYS metric to the table
+ * Queue a $SYS metric write
+ * Values are kept in memory and written by flushSysMetrics() once per sys_interval;
+ * a topic whose value has not changed since the last flush is not rewritten
  * @param {string} topic - $SYS topic path
  * @param {any} value - Metric value
  */
 export function upsertSysMetric(topic, value) {
+  const serialized =
+    typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (
+    !pendingSysMetrics.has(topic) &&
+    writtenSysMetrics.get(topic) === serialized
+  ) {
+    return;
+  }
+  pendingSysMetrics.set(topic, serialized);
+}
+
+/**
+ * Queue every broker-wide $SYS topic for writing
+ * @param {Object} m - Metrics to write (an MqttMetrics instance or merged totals)
+ */
+export function upsertBrokerSysMetrics(m) {
+  for (const [topic, handler] of Object.entries(SYS_TOPIC_MAP)) {
+    upsertSysMetric(topic, handler(m));
+  }
+  for (const topic of listProfileSysTopics()) {
+    upsertSysMetric(topic, resolveProfileValue(resolveProfileTopic(topic), m));
+  }
+  for (const topic of listBridgeSysTopics(m)) {
+    upsertSysMetric(topic, resolveBridgeSysTopic(topic, m));
+  }
+}
+
+/**
+ * Publish an alert transition as a retained JSON message
+ * Topics under $SYS/ are $SYS metrics (written by the next flush); other topics
+ * are written to mqtt_topics like any retained publish.
+ * @param {string} topic - Alert topic (see alerts.js)
+ * @param {Object} alert - Alert message
+ */
+function publishAlert(topic, alert) {
+  if (topic.startsWith('$SYS/')) {
+    upsertSysMetric(topic, alert);
+    return;
+  }
+
+  const mqttTopicsTable = globalThis.tables?.mqtt_topics;
+  if (!mqttTopicsTable) {
+    logger.debug(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: mqtt_topics table not available - alert not published on ${topic}`
+    );
+    return;
+  }
+  const message = {
+    topic,
+    payload: JSON.stringify(alert),
+    qos: 1,
+    retain: true,
+    client_id: '$alerts'
+  };
+  const record = messageToRecord(message, alert.timestamp);
+  Promise.resolve(mqttTopicsTable.put({ ...record, id: topic }))
+    .then(() => indexRetained(message, record))
+    .catch((error) => {
+      logger.error(
+        `[MQTT-Broker-Interop-Plugin:MQTT]: Failed to publish alert on '${topic}':`,
+        error
+      );
+    });
+}
+
+/**
+ * Write all changed $SYS metrics to the table
+ * Metrics stay queued while the table is not yet initialized
+ * @returns {number} - Number of rows written
+ */
+export function flushSysMetrics() {
   if (!sysMetricsTable) {
     logger.debug(
-      `[MQTT-Broker-Interop-Plugin:MQTT]: Cannot upsert metric '${topic}' - table not initialized`
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Cannot flush ${pendingSysMetrics.size} $SYS metrics - table not initialized`
     );
+    return 0;
+  }
+
+  const timestamp = new Date().toISOString();
+  let written = 0;
+  for (const [topic, value] of pendingSysMetrics) {
+    try {
+      // Remove $SYS/ prefix since the table is exported with @export(name: "$SYS")
+      // HarperDB uses the 'id' field (primary key) as the MQTT topic path
+      // So we store the relative path in 'id' and full path in 'topic' for queries
+      const relativePath = topic.startsWith('$SYS/')
+        ? topic.substring(5)
+        : topic;
+
+      sysMetricsTable.put({
+        id: relativePath, // Relative path as ID (e.g., "broker/clients/connected")
+        topic: topic, // Full path for backwards compatibility with queries
+        value,
+        timestamp
+      });
+      writtenSysMetrics.set(topic, value);
+      written++;
+    } catch (error) {
+      logger.error(
+        `[MQTT-Broker-Interop-Plugin:MQTT]: Failed to upsert $SYS metric '${topic}':`,
+        error
+      );
+    }
+  }
+  pendingSysMetrics.clear();
+
+  logger.debug(
+    `[MQTT-Broker-Interop-Plugin:MQTT]: Flushed ${written} changed $SYS metrics`
+  );
+  return written;
+}
+
+/**
+ * Delete a $SYS metric from the table (e.g. per-client topics after disconnect)
+ * @param {string} topic - $SYS topic path
+ */
+export function deleteSysMetric(topic) {
+  pendingSysMetrics.delete(topic);
+  writtenSysMetrics.delete(topic);
+  if (!sysMetricsTable) {
     return;
   }
 
   try {
-    // Remove $SYS/ prefix since the table is exported with @export(name: "$SYS")
-    // HarperDB uses the 'id' field (primary key) as the MQTT topic path
-    // So we store the relative path in 'id' and full path in 'topic' for queries
     const relativePath = topic.startsWith('$SYS/') ? topic.substring(5) : topic;
+    sysMetricsTable.delete(relativePath);
+    logger.debug(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Deleted $SYS metric - ${topic}`
+    );
+  } catch (error) {
+    logger.error(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Failed to delete $SYS metric '${topic}':`,
+      error
+    );
+  }
+}
+
+/**
+ * Set the $SYS metrics table reference
+ * @param {Object} table - HarperDB table instance
+ */
+export function setSysMetricsTable(table) {
+  sysMetricsTable = table;
+  logger.info(
+    '[MQTT-Broker-Interop-Plugin:MQTT]: $SYS metrics table reference set'
+  );
+
+  // Trigger initial system metrics update now that table is available
+  metrics._updateSystemMetrics();
+}
+
+/**
+ * Read a numeric $SYS metric persisted in the table
+ * @param {Object} table - HarperDB table instance (mqtt_sys_metrics)
+ * @param {string} topic - Full $SYS topic path
+ * @returns {Promise<number|undefined>} - Persisted value, or undefined if absent
+ */
+async function readPersistedSysMetric(table, topic) {
+  const record = await table.get(topic.substring(5));
+  const value = Number(record?.value);
+  return record && Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Rehydrate broker state persisted in mqtt_sys_metrics by a previous run
+ * Must run before setSysMetricsTable(), which overwrites the persisted rows.
+ * Only the primary thread restores, so merged totals include the history once.
+ * $SYS/broker/restarts is incremented in both modes so dashboards can tell a
+ * counter reset from a drop in traffic.
+ * @param {Object} table - HarperDB table instance (mqtt_sys_metrics)
+ * @param {string} mode - 'resume' to continue counting, 'reset' to start from zero
+ */
+export async function restoreSysMetrics(table, mode = 'resume') {
+  if (!isPrimaryThread()) {
+    return;
+  }
+
+  try {
+    const previousRestarts = await readPersistedSysMetric(
+      table,
+      RESTARTS_TOPIC
+    );
+    const previousStart = await table.get('broker/timestamp');
+    if (previousRestarts !== undefined || previousStart) {
+      metrics.broker.restarts = (previousRestarts ?? 0) + 1;
+    }
+
+    if (mode === 'resume') {
+      const counters = {};
+      for (const topic of Object.keys(RESUMABLE_COUNTERS)) {
+        counters[topic] = await readPersistedSysMetric(table, topic);
+      }
+      metrics.resumeCounters(counters);
+    }
 
     logger.info(
-      `[MQTT-Broker-Interop-Plugin:MQTT]: Upserting $SYS metric - topic='${topic}', relativePath='${relativePath}', value='${value}'`
-    );
-
-    sysMetricsTable.put({
-      id: relativePath, // Relative path as ID (e.g., "broker/clients/connected")
-      topic: topic, // Full path for backwards compatibility with queries
-      value: String(value),
-      timestamp: new Date().toISOString()
-    });
-    logger.debug(
-      `[MQTT-Broker-Interop-Plugin:MQTT]: Upserted $SYS metric - ${topic} = ${value}`
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Restored $SYS state (mode: ${mode}, restarts: ${metrics.broker.restarts})`
     );
   } catch (error) {
     logger.error(
-      `[MQTT-Broker-Interop-Plugin:MQTT]: Failed to upsert $SYS metric '${topic}':`,
+      '[MQTT-Broker-Interop-Plugin:MQTT]: Failed to restore persisted $SYS metrics:',
       error
     );
   }
 }
 
 /**
- * Set the $SYS metrics table reference
- * @param {Object} table - HarperDB table instance
+ * Set the per-thread metrics table reference, enabling cross-thread aggregation
+ * @param {Object} table - HarperDB table instance (mqtt_sys_thread_metrics)
  */
-export function setSysMetricsTable(table) {
-  sysMetricsTable = table;
+export function setThreadMetricsTable(table) {
+  threadMetricsTable = table;
   logger.info(
-    '[MQTT-Broker-Interop-Plugin:MQTT]: $SYS metrics table reference set'
+    `[MQTT-Broker-Interop-Plugin:MQTT]: Thread metrics table reference set (thread ${metrics.threadId})`
   );
-
-  // Trigger initial system metrics update now that table is available
-  metrics._updateSystemMetrics();
 }
 
 /**
  * Create/get table for a topic
  * @param {string} topic - MQTT topic path
  * @param {string} tableName - Sanitized table name
+ * @param {string} database - Database name (defaults to the topic's routed database)
  */
-export async function createTableForTopic(topic, tableName) {
+export async function createTableForTopic(
+  topic,
+  tableName,
+  database = resolveTopicRoute(topic).database
+) {
   // Check if table exists in global tables
-  const existingTable = globalThis.tables?.[tableName];
+  const existingTable = getRouteTable({ database, table: tableName });
   if (existingTable) {
     logger.debug(
       `[MQTT-Broker-Interop-Plugin:MQTT]: Table '${tableName}' already exists`
@@ -740,24 +1792,27 @@ export async function createTableForTopic(topic, tableName) {
 
     await anyTable.operation({
       operation: 'create_table',
-      database: 'data',
+      database,
       table: tableName,
       primary_key: 'id'
     });
 
     logger.info(
-      `[MQTT-Broker-Interop-Plugin:MQTT]: Table '${tableName}' created successfully`
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Table '${database}.${tableName}' created successfully`
     );
 
     // Return the newly created table
-    return globalThis.tables?.[tableName] || tables[tableName];
+    return (
+      getRouteTable({ database, table: tableName }) ||
+      (database === DEFAULT_DATABASE ? tables[tableName] : undefined)
+    );
   } catch (error) {
     // Ignore "already exists" errors (idempotent)
     if (error.message && error.message.includes('already exists')) {
       logger.debug(
         `[MQTT-Broker-Interop-Plugin:MQTT]: Table '${tableName}' already exists (caught during creation)`
       );
-      return globalThis.tables?.[tableName] || globalThis.databases?.data?.[tableName];
+      return getRouteTable({ database, table: tableName });
     }
 
     logger.error(
@@ -771,20 +1826,203 @@ export async function createTableForTopic(topic, tableName) {
   }
 }
 
+/**
+ * Check a publish against the topic ACL, counting denials
+ * Messages delivered by bridges are not checked; bridges are configured by the operator.
+ * @param {Object} message - Message data (topic, client_id, username)
+ * @returns {boolean} - True if the message may be published
+ */
+export function admitPublish(message) {
+  if (!isAclEnabled() || message.client_id?.startsWith('$bridge/')) {
+    return true;
+  }
+  const username =
+    message.username ?? metrics.perClient.get(message.client_id)?.username;
+  const { allowed, reason } = checkAccess({
+    username,
+    clientId: message.client_id,
+    topic: message.topic,
+    access: ACCESS.WRITE
+  });
+  if (!allowed) {
+    logger.warn(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Publish denied - clientId: ${message.client_id}, username: ${username}, topic: ${message.topic} (${reason})`
+    );
+    metrics.onAclDenied('publish');
+  }
+  return allowed;
+}
+
+/**
+ * Check a subscription against the topic ACL, counting denials
+ * @param {string} clientId - MQTT client id
+ * @param {string} topic - Topic filter
+ * @param {string|null} username - Authenticated username
+ * @returns {boolean} - True if the subscription is allowed
+ */
+export function admitSubscribe(clientId, topic, username = null) {
+  const { allowed, reason } = checkAccess({
+    username,
+    clientId,
+    topic,
+    access: ACCESS.READ
+  });
+  if (!allowed) {
+    logger.warn(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Subscription denied - clientId: ${clientId}, username: ${username}, topic: ${topic} (${reason})`
+    );
+    metrics.onAclDenied('subscribe');
+  }
+  return allowed;
+}
+
+/**
+ * Refuse a subscription the topic ACL denies
+ * Called from the subscribe() of the resources MQTT subscriptions reach; Harper
+ * answers a subscribe() that throws with a failure return code in the SUBACK.
+ * @param {string|null} clientId - MQTT client id
+ * @param {string} topic - Topic filter
+ * @param {string|null} username - Authenticated username
+ * @throws {Error} With statusCode 403 if the subscription is denied
+ */
+export function assertSubscribeAllowed(clientId, topic, username = null) {
+  if (!admitSubscribe(clientId, topic, username)) {
+    const error = new Error(`Subscription to ${topic} is not allowed`);
+    error.statusCode = 403;
+    throw error;
+  }
+}
+
+/**
+ * Size of a message payload in bytes
+ * @param {any} payload - Buffer, string or decoded object
+ * @returns {number} - Payload size
+ */
+export function payloadByteLength(payload) {
+  if (payload === undefined || payload === null) {
+    return 0;
+  }
+  if (typeof payload === 'string') {
+    return Buffer.byteLength(payload);
+  }
+  if (Buffer.isBuffer(payload) || payload instanceof Uint8Array) {
+    return payload.length;
+  }
+  return Buffer.byteLength(JSON.stringify(payload));
+}
+
+/**
+ * Check a publish against the configured rate limits, counting drops
+ * Messages delivered by bridges are not limited.
+ * @param {Object} message - Message data (topic, payload, client_id, username)
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - True if the message is within all limits
+ */
+export function admitRateLimit(message, now = Date.now()) {
+  if (!isRateLimitEnabled() || message.client_id?.startsWith('$bridge/')) {
+    return true;
+  }
+  const { allowed, limit } = checkRateLimit(
+    {
+      clientId: message.client_id,
+      username:
+        message.username ?? metrics.perClient.get(message.client_id)?.username,
+      topic: message.topic,
+      bytes: payloadByteLength(message.payload)
+    },
+    now
+  );
+  if (!allowed) {
+    logger.debug(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Publish rate limited - clientId: ${message.client_id}, topic: ${message.topic} (${limit})`
+    );
+    metrics.onMessageDropped(message.client_id);
+  }
+  return allowed;
+}
+
+/**
+ * Convert a message to the attributes stored for it
+ * The payload is decoded with the topic's codec (see payload-codec.js): text is
+ * stored as-is, binary as base64, and JSON/CBOR object fields become attributes.
+ * @param {Object} message - Message data (topic, payload, qos, retain, client_id, properties)
+ * @param {string} timestamp - Publish time (ISO 8601)
+ * @returns {Object} - Row attributes (without id)
+ */
+export function messageToRecord(message, timestamp) {
+  const decoded = decodePayload(message, codecForTopic(message.topic));
+  return {
+    ...decoded.fields,
+    topic: message.topic,
+    payload: decoded.payload,
+    payload_encoding: decoded.payload_encoding,
+    content_type: decoded.content_type,
+    qos: message.qos,
+    retain: message.retain,
+    timestamp,
+    client_id: message.client_id
+  };
+}
+
 /**
  * Write a message to the appropriate table
- * @param {string} tableName - Table name
+ * Retained messages are kept in mqtt_topics, the latest per topic; other
+ * messages are published through it to current subscribers without being
+ * stored. With message history enabled, every publish is also stored as its own
+ * row in the per-prefix table.
+ * @param {string} tableName - Per-prefix table name (see getTableNameForTopic())
  * @param {Object} message - Message data (topic, payload, qos, retain, client_id)
+ * @returns {Promise<boolean>} - False if the topic ACL or a rate limit refused the message
  */
 export async function writeMessageToTable(tableName, message) {
+  if (!admitPublish(message) || !admitRateLimit(message)) {
+    return false;
+  }
   try {
+    forwardToBridges(message);
+
+    const record = messageToRecord(message, new Date().toISOString());
+
+    // Sparkplug B topics also update edge-node/device state
+    const sparkplugOutcome = await handleSparkplugMessage(message);
+    if (sparkplugOutcome) {
+      metrics.onSparkplugMessage(sparkplugOutcome);
+    }
+
+    if (isMessageHistoryEnabled()) {
+      await writeMessageHistoryRow(tableName, record);
+    }
+
     // Write directly to mqtt_topics table
     const mqttTopicsTable = globalThis.tables?.mqtt_topics;
     if (!mqttTopicsTable) {
       logger.debug(
         '[MQTT-Broker-Interop-Plugin:MQTT]: mqtt_topics table not available'
       );
-      return;
+      return true;
+    }
+
+    // Not retained: deliver to current subscribers, leaving the topic's
+    // retained message in place
+    if (!message.retain) {
+      await mqttTopicsTable.publish(message.topic, {
+        ...record,
+        id: message.topic
+      });
+      logger.trace(
+        `[MQTT-Broker-Interop-Plugin:MQTT]: Published message through mqtt_topics - topic: ${message.topic}`
+      );
+      return true;
+    }
+
+    // A zero-length retained publish clears the topic's retained message
+    if (storedPayloadByteLength(record) === 0) {
+      await mqttTopicsTable.delete(message.topic);
+      await indexRetained(message, record);
+      logger.trace(
+        `[MQTT-Broker-Interop-Plugin:MQTT]: Cleared retained message - topic: ${message.topic}`
+      );
+      return true;
     }
 
     // Get existing record to preserve subscription_count
@@ -798,31 +2036,43 @@ export async function writeMessageToTable(tableName, message) {
       // Ignore, will create new record
     }
 
-    // Convert payload to string if it's a Buffer
-    const payloadStr = Buffer.isBuffer(message.payload)
-      ? message.payload.toString()
-      : message.payload;
-
     // id field must be the topic path for MQTT routing (HarperDB uses id as MQTT topic)
     await mqttTopicsTable.put({
+      ...record,
       id: message.topic, // Use topic path as ID for MQTT routing
-      topic: message.topic,
-      payload: payloadStr,
-      qos: message.qos,
-      retain: message.retain,
-      timestamp: new Date().toISOString(),
-      client_id: message.client_id,
       subscription_count: subscriptionCount
     });
+    await indexRetained(message, record);
 
-    logger.info(
-      `[MQTT-Broker-Interop-Plugin:MQTT]: Wrote message to mqtt_topics - topic: ${message.topic}, payload: ${payloadStr}`
+    logger.trace(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Wrote retained message to mqtt_topics - topic: ${message.topic}, content type: ${record.content_type}`
     );
   } catch (error) {
     logger.error(
       `[MQTT-Broker-Interop-Plugin:MQTT]: Write error: ${error.message}`
     );
   }
+  return true;
+}
+
+/**
+ * Store one publish as its own row in the per-prefix table, creating the table if needed
+ * @param {string} tableName - Per-prefix table name
+ * @param {Object} record - Row attributes from messageToRecord()
+ */
+async function writeMessageHistoryRow(tableName, record) {
+  const table = await createTableForTopic(record.topic, tableName);
+  if (!table) {
+    logger.warn(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Message history table '${tableName}' not available - topic: ${record.topic}`
+    );
+    return;
+  }
+
+  await table.put({ ...record, id: generateMessageId() });
+  logger.trace(
+    `[MQTT-Broker-Interop-Plugin:MQTT]: Stored message history row in '${tableName}' - topic: ${record.topic}`
+  );
 }
 
 /**
@@ -855,10 +2105,311 @@ export function cleanupTable(tableName) {
   tableRegistry.delete(tableName);
 }
 
+/**
+ * Get the per-prefix table a subscription keeps alive
+ * Wildcard filters keep the table of their first topic level.
+ * @param {string} filter - Topic filter
+ * @returns {Object|null} - { tableName, topic } or null ($SYS, or a wildcard first level)
+ */
+function subscriptionTable(filter) {
+  if (filter.startsWith('$SYS')) {
+    return null;
+  }
+  let topic = filter;
+  if (hasWildcard(filter)) {
+    [topic] = filter.split('/');
+    if (!topic || hasWildcard(topic)) {
+      return null;
+    }
+  }
+  return { tableName: getTableNameForTopic(topic), topic };
+}
+
+/**
+ * Whether a topic filter contains a wildcard
+ * @param {string} filter - Topic filter
+ * @returns {boolean} - True for filters containing '+' or '#'
+ */
+function hasWildcard(filter) {
+  return filter.includes('#') || filter.includes('+');
+}
+
+/**
+ * List the active subscriptions of all threads
+ * This thread's subscriptions are current; those of other threads are as of
+ * their last snapshot (at most one sys_interval old).
+ * @returns {Promise<Object[]>} - { client_id, username, filter, qos, subscribed_at, thread_id }
+ */
+export async function listSubscriptions() {
+  const threadId = getThreadId();
+  const subscriptions = subscriptionIndex
+    .list()
+    .map((subscription) => ({ ...subscription, thread_id: threadId }));
+  if (!threadMetricsTable) {
+    return subscriptions;
+  }
+
+  const snapshots = await readThreadSnapshots(
+    threadMetricsTable,
+    THREAD_SNAPSHOT_MAX_AGE_INTERVALS * metrics.sysIntervalMs
+  );
+  for (const snapshot of snapshots) {
+    if (snapshot.threadId === threadId) {
+      continue;
+    }
+    for (const subscription of snapshot.subscriptionList ?? []) {
+      subscriptions.push({ ...subscription, thread_id: snapshot.threadId });
+    }
+  }
+  return subscriptions;
+}
+
+/**
+ * Count a subscription that was added to the index
+ * @param {string} clientId - MQTT client id
+ * @param {string} filter - Topic filter
+ */
+function onSubscriptionAdded(clientId, filter) {
+  metrics.onSubscribe(clientId, filter);
+
+  if (!filter.startsWith('$SYS') && !hasWildcard(filter)) {
+    adjustTopicSubscriptionCount(filter, 1, clientId);
+  }
+
+  const target = subscriptionTable(filter);
+  if (!target) {
+    return;
+  }
+  const { tableName, topic } = target;
+  if (!tableRegistry.has(tableName)) {
+    logger.info(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Creating new table for subscription - table: ${tableName}, topic: ${topic}`
+    );
+    // Fire-and-forget table creation with explicit error handling
+    createTableForTopic(topic, tableName).catch((error) => {
+      logger.error(
+        `[MQTT-Broker-Interop-Plugin:MQTT]: Failed to create table for subscription '${topic}':`,
+        error
+      );
+    });
+    tableRegistry.set(tableName, {
+      tableName,
+      subscriptionCount: 0,
+      hasRetained: false
+    });
+  }
+  const entry = tableRegistry.get(tableName);
+  entry.subscriptionCount++;
+  logger.debug(
+    `[MQTT-Broker-Interop-Plugin:MQTT]: Incremented subscription count for table '${tableName}': ${entry.subscriptionCount}`
+  );
+}
+
+/**
+ * Count a subscription that was removed from the index
+ * @param {string} clientId - MQTT client id
+ * @param {string} filter - Topic filter
+ */
+function onSubscriptionRemoved(clientId, filter) {
+  metrics.onUnsubscribe(clientId, filter);
+
+  if (!filter.startsWith('$SYS') && !hasWildcard(filter)) {
+    adjustTopicSubscriptionCount(filter, -1, clientId);
+  }
+
+  const target = subscriptionTable(filter);
+  const entry = target && tableRegistry.get(target.tableName);
+  if (!entry) {
+    return;
+  }
+  entry.subscriptionCount = Math.max(0, entry.subscriptionCount - 1);
+  logger.debug(
+    `[MQTT-Broker-Interop-Plugin:MQTT]: Decremented subscription count for table '${target.tableName}': ${entry.subscriptionCount}`
+  );
+
+  // Cleanup only if no subscribers AND no retained messages
+  if (entry.subscriptionCount === 0 && !entry.hasRetained) {
+    logger.info(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Table '${target.tableName}' is now inactive, cleaning up`
+    );
+    cleanupTable(target.tableName);
+  }
+}
+
+/**
+ * Remove every subscription of a session (clean disconnect or session expiry)
+ * @param {string} clientId - MQTT client id
+ * @returns {string[]} - The released topic filters
+ */
+export function releaseSubscriptions(clientId) {
+  const filters = subscriptionIndex.removeSession(clientId);
+  for (const filter of filters) {
+    onSubscriptionRemoved(clientId, filter);
+  }
+  if (filters.length > 0) {
+    logger.debug(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Released ${filters.length} subscription(s) - clientId: ${clientId}`
+    );
+  }
+  return filters;
+}
+
+/**
+ * Give up a disconnected persistent session that reconnected on another thread
+ * Its expiry is no longer counted here, and its subscriptions move to the
+ * thread holding the connection if the session was resumed there.
+ * @param {string} clientId - MQTT client id
+ * @param {boolean} resumed - Whether the new connection resumed the session
+ * @returns {Object[]|null} - Subscriptions to hand over (as listed by
+ *   subscriptionIndex.list()), or null if this thread did not hold the session
+ */
+export function handOverSession(clientId, resumed) {
+  if (!sessionTracker.onConnectedElsewhere(clientId)) {
+    return null;
+  }
+  metrics.onSessionResumed(clientId);
+  const subscriptions = subscriptionIndex
+    .list()
+    .filter((subscription) => subscription.client_id === clientId);
+  releaseSubscriptions(clientId);
+  return resumed ? subscriptions : [];
+}
+
+/**
+ * Take over the subscriptions of a session resumed from another thread
+ * @param {string} clientId - MQTT client id
+ * @param {Object[]} subscriptions - Subscriptions from handOverSession()
+ */
+export function adoptSubscriptions(clientId, subscriptions) {
+  for (const { filter, qos, username, subscribed_at } of subscriptions) {
+    const details = { qos, username, subscribedAt: subscribed_at };
+    if (subscriptionIndex.add(clientId, filter, details)) {
+      onSubscriptionAdded(clientId, filter);
+    }
+  }
+  metrics.restoreClientSubscriptions(
+    clientId,
+    subscriptionIndex.filters(clientId)
+  );
+}
+
+/**
+ * Change the subscription_count of a topic's mqtt_topics row
+ * Rows are shared by all threads, so each thread applies its own changes. A row
+ * left without subscribers is deleted unless it holds a retained message.
+ * @param {string} topic - Concrete topic
+ * @param {number} delta - +1 or -1
+ * @param {string} clientId - Subscribing client (recorded on rows created here)
+ */
+function adjustTopicSubscriptionCount(topic, delta, clientId) {
+  const mqttTopicsTable = globalThis.tables?.mqtt_topics;
+  if (!mqttTopicsTable) {
+    return;
+  }
+  setTimeout(async () => {
+    try {
+      const existing = await mqttTopicsTable.get(topic);
+      const exists =
+        typeof existing?.doesExist === 'function'
+          ? existing.doesExist()
+          : Boolean(existing?.doesExist ?? existing?.id === topic);
+      // Keep every stored attribute (payload encoding, JSON/CBOR fields)
+      let existingData = {};
+      if (exists) {
+        existingData =
+          typeof existing.toJSON === 'function'
+            ? existing.toJSON()
+            : { ...existing };
+      } else if (delta < 0) {
+        return;
+      }
+
+      const subscriptionCount = Math.max(
+        0,
+        (existingData.subscription_count || 0) + delta
+      );
+      if (subscriptionCount === 0 && !existingData.retain) {
+        await mqttTopicsTable.delete(topic);
+        logger.debug(
+          `[MQTT-Broker-Interop-Plugin:MQTT]: Deleted record for ${topic} (no subscribers, not retained)`
+        );
+        return;
+      }
+
+      await mqttTopicsTable.put({
+        ...existingData,
+        id: topic,
+        topic,
+        subscription_count: subscriptionCount,
+        payload: existingData.payload || '',
+        qos: existingData.qos ?? 0,
+        retain: existingData.retain ?? false,
+        timestamp: existingData.timestamp || new Date().toISOString(),
+        client_id: existingData.client_id || clientId
+      });
+      logger.debug(
+        `[MQTT-Broker-Interop-Plugin:MQTT]: Updated subscription_count for ${topic}: ${subscriptionCount}`
+      );
+    } catch (error) {
+      logger.error(
+        `[MQTT-Broker-Interop-Plugin:MQTT]: Failed to update subscription_count for ${topic}:`,
+        error
+      );
+    }
+  });
+}
+
 // ============================================================================
 // MQTT Event Monitoring Setup
 // ============================================================================
 
+/**
+ * Whether a session outlives its connection (CONNECT with clean=false)
+ * Harper does not keep the clean flag on its sessions; it only creates its
+ * durable session class, which holds a sessionRecord, for clean=false.
+ * @param {Object} session - Harper MQTT session
+ * @returns {boolean} - True if the session is persistent
+ */
+function isPersistentSession(session) {
+  if (session?.clean !== undefined) {
+    return session.clean === false;
+  }
+  return session?.sessionRecord !== undefined;
+}
+
+/**
+ * Time the QoS 1/2 acknowledgement round trips of a session
+ * Harper has no PUBACK/PUBCOMP event: its sessions assign the packet id of a
+ * QoS 1/2 delivery in needsAcknowledge() and call acknowledge(packetId) when the
+ * PUBACK or PUBCOMP arrives, so both are wrapped here.
+ * @param {Object} session - Harper MQTT session
+ * @param {string} clientId - MQTT client id
+ * @param {MqttMetrics} m - Metrics instance
+ * @returns {boolean} - True if the session's acknowledgements are timed
+ */
+export function trackAcknowledgements(session, clientId, m = metrics) {
+  const { needsAcknowledge, acknowledge } = session ?? {};
+  if (
+    typeof needsAcknowledge !== 'function' ||
+    typeof acknowledge !== 'function'
+  ) {
+    logger.debug(
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Session has no acknowledgement hooks - ack latency not recorded for ${clientId}`
+    );
+    return false;
+  }
+  session.needsAcknowledge = function (...args) {
+    const packetId = needsAcknowledge.apply(this, args);
+    m.onPublishAwaitingAck(clientId, packetId);
+    return packetId;
+  };
+  session.acknowledge = function (packetId, ...args) {
+    m.onPublishAcknowledged(clientId, packetId);
+    return acknowledge.call(this, packetId, ...args);
+  };
+  return true;
+}
+
 /**
  * Setup MQTT event monitoring on worker threads
  * @param {Object} server - HarperDB server instance
@@ -880,21 +2431,31 @@ export function setupMqttMonitoring(server, _logger) {
   );
 
   // Monitor client connections
-  mqttEvents.on('connected', (session, _socket) => {
+  mqttEvents.on('connected', (session, socket) => {
     const clientId = session?.sessionId;
     const username = session?.user?.username;
-    // In MQTT, clean flag determines if session is persistent (clean=false means persistent)
-    const clean = session?.clean ?? true; // Default to true (non-persistent) if not specified
+    const persistent = isPersistentSession(session);
     logger.info(
-      `[MQTT-Broker-Interop-Plugin:MQTT]: Client connected - clientId: ${clientId}, username: ${username}, clean: ${clean}`
+      `[MQTT-Broker-Interop-Plugin:MQTT]: Client connected - clientId: ${clientId}, username: ${username}, clean: ${!persistent}`
     );
 
-    // REMOVED: Wrapping session.publish breaks HarperDB's MQTT validation
-    // session.publish is for OUTGOING messages (table → MQTT subscribers)
-    // We need to intercept INCOMING messages (MQTT publishers → table) differently
-    // For now, we rely on HarperDB's native @export to handle subscriptions
+    metrics.onConnect(clientId, persistent, username);
+    trackAcknowledgements(session, clientId);
+    if (sessionTracker.onConnected(clientId, session, socket)) {
+      metrics.onSessionResumed(clientId);
+    }
 
-    metrics.onConnect(clientId, !clean); // !clean = persistent
+    // Harper sets sessionWasPresent when the client resumed its persistent
+    // session, which keeps the subscriptions of its last connection; any other
+    // session starts without subscriptions
+    if (session?.sessionWasPresent) {
+      metrics.restoreClientSubscriptions(
+        clientId,
+        subscriptionIndex.filters(clientId)
+      );
+    } else if (clientId) {
+      releaseSubscriptions(clientId);
+    }
   });
 
   // Monitor client disconnections
@@ -908,373 +2469,92 @@ export function setupMqttMonitoring(server, _logger) {
     }
 
     const clientId = session.sessionId;
-    // Check if session was persistent - sessionWasPresent indicates persistent session
-    const persistent = session.sessionWasPresent || false;
+    const persistent = isPersistentSession(session);
     logger.info(
       `[MQTT-Broker-Interop-Plugin:MQTT]: Client disconnected - clientId: ${clientId}, persistent: ${persistent}`
     );
+    // Subscriptions of persistent sessions last until the session expires
+    if (!persistent) {
+      releaseSubscriptions(clientId);
+    }
     metrics.onDisconnect(clientId, persistent);
+    sessionTracker.onDisconnected(clientId, persistent);
   });
 
   // NOTE: HarperDB does NOT have a 'publish' event
   // Only these events exist: connection, connected, auth-failed, disconnected
   // See: https://docs.harperdb.io/docs/developers/applications/mqtt#mqtt-events
-  // MQTT publishes are intercepted via server.mqtt.addTopicHandler('#') in index.js instead
+  // Publishes are counted and stored by the resource exported at '/' (see ingest.js)
 
   // Monitor subscription events
   mqttEvents.on('subscribe', (subscriptions, session) => {
     const clientId = session?.sessionId;
-    if (Array.isArray(subscriptions)) {
-      subscriptions.forEach((sub) => {
-        const topic = typeof sub === 'string' ? sub : sub?.topic;
-        logger.info(
-          `[MQTT-Broker-Interop-Plugin:MQTT]: Subscription - clientId: ${clientId}, topic: ${topic}`
-        );
+    if (!Array.isArray(subscriptions)) {
+      return;
+    }
+    for (const sub of subscriptions) {
+      const topic = typeof sub === 'string' ? sub : sub?.topic;
+      logger.info(
+        `[MQTT-Broker-Interop-Plugin:MQTT]: Subscription - clientId: ${clientId}, topic: ${topic}`
+      );
 
-        // Skip empty topics
-        if (!topic) {
-          logger.debug(
-            '[MQTT-Broker-Interop-Plugin:MQTT]: Skipping empty topic subscription'
-          );
-          return;
-        }
+      // Skip empty topics
+      if (!topic) {
+        logger.debug(
+          '[MQTT-Broker-Interop-Plugin:MQTT]: Skipping empty topic subscription'
+        );
+        continue;
+      }
 
-        // Handle $SYS topics - don't create tables
-        if (topic.startsWith('$SYS/') || topic === '$SYS/#') {
-          logger.info(
-            `[MQTT-Broker-Interop-Plugin:MQTT]: $SYS topic subscription detected - clientId: ${clientId}, topic: ${topic}`
-          );
-          metrics.onSubscribe(clientId, topic);
-          // Note: onSysTopicSubscribe removed with polling code
-          return;
-        }
-
-        // Update subscription_count for non-wildcard topics in mqtt_topics table
-        if (!topic.includes('#') && !topic.includes('+')) {
-          const mqttTopicsTable = globalThis.tables?.mqtt_topics;
-          if (mqttTopicsTable) {
-            setTimeout(async () => {
-              try {
-                const existing = await mqttTopicsTable.get(topic);
-                let subscriptionCount = 0;
-                let existingData = {};
-
-                if (existing) {
-                  const doesExist =
-                    typeof existing.doesExist === 'function'
-                      ? existing.doesExist()
-                      : existing.doesExist;
-                  if (doesExist || (existing.id && existing.id === topic)) {
-                    subscriptionCount = existing.subscription_count || 0;
-                    existingData = {
-                      payload: existing.payload,
-                      qos: existing.qos,
-                      retain: existing.retain,
-                      client_id: existing.client_id,
-                      timestamp: existing.timestamp
-                    };
-                  }
-                }
-
-                subscriptionCount++;
-
-                await mqttTopicsTable.put({
-                  id: topic,
-                  topic: topic,
-                  subscription_count: subscriptionCount,
-                  ...existingData,
-                  payload: existingData.payload || '',
-                  qos: existingData.qos ?? 0,
-                  retain: existingData.retain ?? false,
-                  timestamp: existingData.timestamp || new Date().toISOString(),
-                  client_id: existingData.client_id || clientId
-                });
-
-                logger.debug(
-                  `[MQTT-Broker-Interop-Plugin:MQTT]: Updated subscription_count for ${topic}: ${subscriptionCount}`
-                );
-              } catch (error) {
-                logger.error(
-                  `[MQTT-Broker-Interop-Plugin:MQTT]: Failed to update subscription_count for ${topic}:`,
-                  error
-                );
-              }
-            });
-          }
-        }
-
-        // Handle wildcards - extract base topic and create table for it
-        if (topic.includes('#') || topic.includes('+')) {
-          logger.info(
-            `[MQTT-Broker-Interop-Plugin:MQTT]: Wildcard subscription - topic: ${topic}`
-          );
-          metrics.onSubscribe(clientId, topic);
-
-          // Extract base topic (e.g., "testtopic/#" -> "testtopic")
-          const baseTopic = topic.split('/')[0];
-          if (baseTopic && baseTopic !== '#' && baseTopic !== '+') {
-            const tableName = getTableNameForTopic(baseTopic);
-            if (!tableRegistry.has(tableName)) {
-              logger.info(
-                `[MQTT-Broker-Interop-Plugin:MQTT]: Creating table for wildcard base - table: ${tableName}, baseTopic: ${baseTopic}`
-              );
-              // Fire-and-forget table creation with explicit error handling
-              createTableForTopic(baseTopic, tableName).catch((error) => {
-                logger.error(
-                  `[MQTT-Broker-Interop-Plugin:MQTT]: Failed to create table for wildcard base '${baseTopic}':`,
-                  error
-                );
-              });
-              tableRegistry.set(tableName, {
-                tableName,
-                subscriptionCount: 1,
-                hasRetained: false
-              });
-            } else {
-              const entry = tableRegistry.get(tableName);
-              entry.subscriptionCount++;
-            }
-          }
-          return;
-        }
-
-        // Get table name for this topic
-        const tableName = getTableNameForTopic(topic);
-
-        // Create table if doesn't exist (check registry first)
-        if (!tableRegistry.has(tableName)) {
-          logger.info(
-            `[MQTT-Broker-Interop-Plugin:MQTT]: Creating new table for subscription - table: ${tableName}, topic: ${topic}`
-          );
-          // Fire-and-forget table creation with explicit error handling
-          createTableForTopic(topic, tableName).catch((error) => {
-            logger.error(
-              `[MQTT-Broker-Interop-Plugin:MQTT]: Failed to create table for subscription '${topic}':`,
-              error
-            );
-          });
-          tableRegistry.set(tableName, {
-            tableName,
-            subscriptionCount: 0,
-            hasRetained: false
-          });
-        }
-
-        // Increment subscription count
-        const entry = tableRegistry.get(tableName);
-        entry.subscriptionCount++;
+      // Denied subscriptions were refused (and counted) by the subscribe() of
+      // the resource the topic resolves to (see assertSubscribeAllowed())
+      const username =
+        session?.user?.username ?? metrics.perClient.get(clientId)?.username;
+      if (
+        !checkAccess({ username, clientId, topic, access: ACCESS.READ }).allowed
+      ) {
         logger.debug(
-          `[MQTT-Broker-Interop-Plugin:MQTT]: Incremented subscription count for table '${tableName}': ${entry.subscriptionCount}`
+          `[MQTT-Broker-Interop-Plugin:MQTT]: Not tracking denied subscription - clientId: ${clientId}, topic: ${topic}`
         );
+        continue;
+      }
 
-        metrics.onSubscribe(clientId, topic);
-      });
+      // A repeated SUBSCRIBE replaces the existing subscription
+      const details = {
+        qos: sub?.qos ?? 0,
+        username: username ?? null,
+        subscribedAt: new Date().toISOString()
+      };
+      if (!subscriptionIndex.add(clientId, topic, details)) {
+        logger.debug(
+          `[MQTT-Broker-Interop-Plugin:MQTT]: Already subscribed - clientId: ${clientId}, topic: ${topic}`
+        );
+        continue;
+      }
+      onSubscriptionAdded(clientId, topic);
     }
   });
 
   // Monitor unsubscription events
   mqttEvents.on('unsubscribe', (unsubscriptions, session) => {
     const clientId = session?.sessionId;
-    if (Array.isArray(unsubscriptions)) {
-      unsubscriptions.forEach((topic) => {
-        logger.info(
-          `[MQTT-Broker-Interop-Plugin:MQTT]: Unsubscription - clientId: ${clientId}, topic: ${topic}`
-        );
-        metrics.onUnsubscribe(clientId, topic);
-
-        // Skip $SYS topics
-        if (topic && (topic.startsWith('$SYS/') || topic === '$SYS/#')) {
-          logger.info(
-            `[MQTT-Broker-Interop-Plugin:MQTT]: $SYS topic unsubscription detected - clientId: ${clientId}, topic: ${topic}`
-          );
-          // Note: onSysTopicUnsubscribe removed with polling code
-          return;
-        }
-
-        // Skip wildcards
-        if (topic && (topic.includes('#') || topic.includes('+'))) {
-          logger.debug(
-            `[MQTT-Broker-Interop-Plugin:MQTT]: Wildcard unsubscription - topic: ${topic}`
-          );
-          return;
-        }
-
-        // Skip empty topics
-        if (!topic) {
-          return;
-        }
-
-        // Decrement subscription_count for this topic
-        const mqttTopicsTable = globalThis.tables?.mqtt_topics;
-        if (mqttTopicsTable) {
-          setTimeout(async () => {
-            try {
-              const existing = await mqttTopicsTable.get(topic);
-              if (existing && existing.doesExist && existing.doesExist()) {
-                let subscriptionCount = existing.subscription_count || 0;
-                if (subscriptionCount > 0) {
-                  subscriptionCount--;
-
-                  // Delete record if no subscribers and not retained
-                  if (subscriptionCount === 0 && !existing.retain) {
-                    await mqttTopicsTable.delete(topic);
-                    logger.debug(
-                      `[MQTT-Broker-Interop-Plugin:MQTT]: Deleted record for ${topic} (no subscribers, not retained)`
-                    );
-                  } else {
-                    // Keep record but update subscription count
-                    await mqttTopicsTable.put({
-                      id: topic,
-                      topic: topic,
-                      payload: existing.payload,
-                      qos: existing.qos,
-                      retain: existing.retain,
-                      timestamp: existing.timestamp,
-                      client_id: existing.client_id,
-                      subscription_count: subscriptionCount
-                    });
-
-                    logger.debug(
-                      `[MQTT-Broker-Interop-Plugin:MQTT]: Decremented subscription_count for ${topic}: ${subscriptionCount}`
-                    );
-                  }
-                }
-              }
-            } catch (error) {
-              logger.error(
-                `[MQTT-Broker-Interop-Plugin:MQTT]: Failed to decrement subscription_count for ${topic}:`,
-                error
-              );
-            }
-          });
-        }
-
-        // Decrement subscription count
-        const tableName = getTableNameForTopic(topic);
-        const tableEntry = tableRegistry.get(tableName);
-
-        if (tableEntry) {
-          tableEntry.subscriptionCount--;
-          logger.debug(
-            `[MQTT-Broker-Interop-Plugin:MQTT]: Decremented subscription count for table '${tableName}': ${tableEntry.subscriptionCount}`
-          );
-
-          // Cleanup only if no subscribers AND no retained messages
-          if (tableEntry.subscriptionCount === 0 && !tableEntry.hasRetained) {
-            logger.info(
-              `[MQTT-Broker-Interop-Plugin:MQTT]: Table '${tableName}' is now inactive, cleaning up`
-            );
-            cleanupTable(tableName);
-          } else if (tableEntry.subscriptionCount === 0) {
-            logger.info(
-              `[MQTT-Broker-Interop-Plugin:MQTT]: Table '${tableName}' has no subscribers but has retained messages, keeping alive`
-            );
-          }
-        } else {
-          logger.debug(
-            `[MQTT-Broker-Interop-Plugin:MQTT]: Unsubscribe from topic '${topic}' - table '${tableName}' not in registry`
-          );
-        }
-      });
+    if (!Array.isArray(unsubscriptions)) {
+      return;
     }
-  });
-
-  // Monitor retained message events if available
-  if (mqttEvents.on) {
-    mqttEvents.on('retained-added', (packet) => {
-      const topic = packet?.topic;
-      logger.debug(
-        `[MQTT-Broker-Interop-Plugin:MQTT]: Retained message added - topic: ${topic}`
+    for (const topic of unsubscriptions) {
+      logger.info(
+        `[MQTT-Broker-Interop-Plugin:MQTT]: Unsubscription - clientId: ${clientId}, topic: ${topic}`
       );
-      metrics.onRetainedMessageAdded();
-    });
+      if (topic && subscriptionIndex.remove(clientId, topic)) {
+        onSubscriptionRemoved(clientId, topic);
+      }
+    }
+  });
 
-    mqttEvents.on('retained-removed', (topic) => {
-      logger.debug(
-        `[MQTT-Broker-Interop-Plugin:MQTT]: Retained message removed - topic: ${topic}`
-      );
-      metrics.onRetainedMessageRemoved();
-    });
-  }
+  // Retained message totals come from the mqtt_retained index, which the
+  // primary thread scans (see _sampleBrokerState())
 
   logger.info(
     '[MQTT-Broker-Interop-Plugin:MQTT]: MQTT event monitoring setup complete'
   );
 }
-
-/*
- * ============================================================================
- * TODO: PHASE 5 - End-to-End Testing & Documentation
- * ============================================================================
- *
- * E2E TESTING:
- * 1. Test with real MQTT client (mosquitto_sub):
- *    mosquitto_sub -h localhost -t '$SYS/#' -v
- *
- * 2. Test with MQTT.js:
- *    const mqtt = require('mqtt');
- *    const client = mqtt.connect('mqtt://localhost:1883');
- *    client.subscribe('$SYS/broker/clients/connected');
- *    client.on('message', (topic, message) => {
- *      console.log(topic, message.toString());
- *    });
- *
- * 3. Test with MQTT Explorer GUI
- *
- * DOCUMENTATION:
- * - Update README with $SYS topics feature
- * - Document all 14 supported topics
- * - Document sys_interval configuration
- * - Add examples of monitoring with standard tools
- * - Note extension points for adding more metrics
- *
- * PERFORMANCE VALIDATION:
- * - Measure overhead of metric tracking
- * - Verify publisher uses minimal resources when no subscribers
- * - Test with high message volume
- */
-
-/*
- * ============================================================================
- * EXTENSION POINTS - For Future Enhancement (Option C Metrics)
- * ============================================================================
- *
- * To add extended metrics, follow these steps:
- *
- * 1. Add new metric category to MqttMetrics constructor:
- *    this.load = { oneMin: 0, fiveMin: 0, fifteenMin: 0 };
- *    this.system = { uptime: 0, heapCurrent: 0, heapMaximum: 0 };
- *    this.perClient = new Map(); // client-id → stats
- *
- * 2. Add methods to update the metrics:
- *    updateLoadAverage() {
- *      // Calculate 1/5/15 minute load averages
- *    }
- *
- * 3. Add topic handlers to SysTopics.get():
- *    if (topic === '$SYS/broker/load/messages/received/1min') {
- *      return this.metrics.load.oneMin;
- *    }
- *    if (topic === '$SYS/broker/uptime') {
- *      const uptime = Date.now() - this.metrics.startTime.getTime();
- *      return Math.floor(uptime / 1000);
- *    }
- *
- * 4. Add topics to publishAllSysTopics() list if they should update periodically
- *
- * 5. Write tests for new metrics following TDD approach
- *
- * Example Extended Topics:
- * - $SYS/broker/load/messages/received/1min
- * - $SYS/broker/load/messages/received/5min
- * - $SYS/broker/load/messages/received/15min
- * - $SYS/broker/load/messages/sent/1min
- * - $SYS/broker/load/messages/sent/5min
- * - $SYS/broker/load/messages/sent/15min
- * - $SYS/broker/uptime (in seconds)
- * - $SYS/broker/heap/current
- * - $SYS/broker/heap/maximum
- * - $SYS/broker/clients/<client-id>/connected
- * - $SYS/broker/clients/<client-id>/messages/sent
- * - $SYS/broker/clients/<client-id>/messages/received
- */
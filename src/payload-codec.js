@@ -0,0 +1,320 @@
+/**
+ * Payload Codecs
+ * Converts MQTT payloads to table attributes without losing bytes. Text payloads
+ * are stored as UTF-8 strings, binary payloads as base64, and JSON/CBOR objects
+ * additionally have their fields stored as attributes of the row.
+ *
+ *   payload_codecs:
+ *     rules:
+ *       - filter: "sensors/+/telemetry"
+ *         codec: "cbor"
+ *       - filter: "cameras/#"
+ *         codec: "raw"
+ *     default: "auto"
+ */
+
+import { TextDecoder } from 'node:util';
+import { decode as decodeCbor } from 'cbor-x';
+import { topicMatches, validateTopicFilter } from './topic-filter.js';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+// Supported codecs ('auto' detects one of the others per message)
+export const CODECS = ['auto', 'raw', 'utf8', 'json', 'cbor'];
+
+// How the stored `payload` string maps back to bytes
+export const PAYLOAD_ENCODINGS = {
+  UTF8: 'utf8',
+  BASE64: 'base64'
+};
+
+// Content types recorded for each decoded codec (unless the publisher set one)
+const CODEC_CONTENT_TYPES = {
+  raw: 'application/octet-stream',
+  utf8: 'text/plain',
+  json: 'application/json',
+  cbor: 'application/cbor'
+};
+
+// Row attributes owned by the plugin; payload fields with these names are not stored
+export const RESERVED_ATTRIBUTES = new Set([
+  'id',
+  'topic',
+  'payload',
+  'payload_encoding',
+  'content_type',
+  'qos',
+  'retain',
+  'timestamp',
+  'client_id',
+  'subscription_count'
+]);
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+// Compiled codec rules (set during plugin initialization)
+let payloadCodecs = { rules: [], default: 'auto' };
+
+/**
+ * Validate and compile the `payload_codecs` config section
+ * @param {Object|undefined} config - Raw config ({ rules, default })
+ * @returns {Object} - Compiled { rules, default }
+ * @throws {Error} If a rule or the default is invalid
+ */
+export function compilePayloadCodecs(config) {
+  if (config === undefined || config === null) {
+    return { rules: [], default: 'auto' };
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(
+      'payload_codecs must be an object with rules and/or default'
+    );
+  }
+
+  const rawRules = config.rules ?? [];
+  if (!Array.isArray(rawRules)) {
+    throw new Error('payload_codecs.rules must be a list');
+  }
+
+  const rules = rawRules.map((rule, i) => {
+    const path = `payload_codecs.rules[${i}]`;
+    const reason = validateTopicFilter(rule?.filter);
+    if (reason) {
+      throw new Error(`${path}.filter is invalid: ${reason}`);
+    }
+    if (!CODECS.includes(rule.codec)) {
+      throw new Error(
+        `${path}.codec must be one of ${CODECS.join(', ')}, got: ${rule.codec}`
+      );
+    }
+    return { filter: rule.filter, codec: rule.codec };
+  });
+
+  const fallback = config.default ?? 'auto';
+  if (!CODECS.includes(fallback)) {
+    throw new Error(
+      `payload_codecs.default must be one of ${CODECS.join(', ')}, got: ${config.default}`
+    );
+  }
+
+  return { rules, default: fallback };
+}
+
+/**
+ * Set the codec rules used by codecForTopic()
+ * @param {Object} codecs - Compiled rules from compilePayloadCodecs()
+ */
+export function setPayloadCodecs(codecs) {
+  payloadCodecs = codecs ?? compilePayloadCodecs();
+  logger.info(
+    `[MQTT-Broker-Interop-Plugin:PayloadCodec]: Payload codecs - ${payloadCodecs.rules.length} rule(s), default: ${payloadCodecs.default}`
+  );
+}
+
+/**
+ * Get the configured codec for a topic (first matching rule, else the default)
+ * @param {string} topic - Topic name
+ * @returns {string} - Codec name
+ */
+export function codecForTopic(topic) {
+  const rule = payloadCodecs.rules.find((r) => topicMatches(r.filter, topic));
+  return rule?.codec ?? payloadCodecs.default;
+}
+
+/**
+ * Decode bytes as UTF-8
+ * @param {Buffer} bytes - Payload bytes
+ * @returns {string|null} - Text, or null if the bytes are not valid UTF-8
+ */
+function decodeUtf8(bytes) {
+  try {
+    return utf8Decoder.decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read MQTT 5 payload properties from a message
+ * @param {Object} message - Message (properties may be nested or top-level)
+ * @returns {Object} - { payloadFormatIndicator, contentType }
+ */
+function getPayloadProperties(message) {
+  const properties = message.properties ?? message;
+  return {
+    payloadFormatIndicator: properties.payloadFormatIndicator,
+    contentType: properties.contentType
+  };
+}
+
+/**
+ * Pick a codec for a message when its topic is configured as 'auto'
+ * The MQTT 5 content type wins; otherwise JSON-looking UTF-8 is JSON, other
+ * UTF-8 (or payloads flagged UTF-8 by the payload format indicator) is text and
+ * anything else is raw. CBOR is only chosen from an explicit content type.
+ * @param {string|null} text - Payload as UTF-8, or null if it is not valid UTF-8
+ * @param {Object} properties - MQTT 5 payload properties
+ * @returns {string} - Codec name
+ */
+function detectCodec(text, { payloadFormatIndicator, contentType }) {
+  const mediaType = contentType?.split(';')[0].trim().toLowerCase();
+  if (mediaType) {
+    if (mediaType === 'application/json' || mediaType.endsWith('+json')) {
+      return 'json';
+    }
+    if (mediaType === 'application/cbor' || mediaType.endsWith('+cbor')) {
+      return 'cbor';
+    }
+    if (mediaType.startsWith('text/')) {
+      return 'utf8';
+    }
+    if (payloadFormatIndicator !== 1) {
+      return 'raw';
+    }
+  }
+  if (text === null) {
+    return 'raw';
+  }
+  const trimmed = text.trim();
+  if (
+    (trimmed.startsWith('{') && trimmed.endsWith('}')) ||
+    (trimmed.startsWith('[') && trimmed.endsWith(']'))
+  ) {
+    return 'json';
+  }
+  return 'utf8';
+}
+
+/**
+ * Keep the fields of a decoded object that can be stored as attributes
+ * @param {any} value - Decoded JSON/CBOR value
+ * @returns {Object|null} - Fields to store, or null for non-objects
+ */
+function toFields(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return null;
+  }
+  const fields = {};
+  for (const [key, fieldValue] of Object.entries(value)) {
+    if (!RESERVED_ATTRIBUTES.has(key)) {
+      fields[key] = fieldValue;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Decode a message payload for storage
+ * @param {Object} message - Message (payload plus optional MQTT 5 properties)
+ * @param {string} codec - Codec name (see CODECS)
+ * @returns {Object} - { payload, payload_encoding, content_type, codec, fields }
+ */
+export function decodePayload(message, codec = 'auto') {
+  const { payload } = message;
+  const properties = getPayloadProperties(message);
+
+  // Payloads already decoded into objects by the broker are JSON
+  if (
+    payload &&
+    typeof payload === 'object' &&
+    !Buffer.isBuffer(payload) &&
+    !(payload instanceof Uint8Array)
+  ) {
+    return {
+      payload: JSON.stringify(payload),
+      payload_encoding: PAYLOAD_ENCODINGS.UTF8,
+      content_type: properties.contentType ?? CODEC_CONTENT_TYPES.json,
+      codec: 'json',
+      fields: toFields(payload)
+    };
+  }
+
+  const bytes =
+    typeof payload === 'string'
+      ? Buffer.from(payload, 'utf8')
+      : Buffer.from(payload ?? []);
+  const text = decodeUtf8(bytes);
+  const selected = codec === 'auto' ? detectCodec(text, properties) : codec;
+
+  const result = (resolved, stored, encoding, fields = null) => ({
+    payload: stored,
+    payload_encoding: encoding,
+    content_type: properties.contentType ?? CODEC_CONTENT_TYPES[resolved],
+    codec: resolved,
+    fields
+  });
+  const raw = () =>
+    result('raw', bytes.toString('base64'), PAYLOAD_ENCODINGS.BASE64);
+
+  if (selected === 'json') {
+    if (text === null) {
+      return raw();
+    }
+    try {
+      return result(
+        'json',
+        text,
+        PAYLOAD_ENCODINGS.UTF8,
+        toFields(JSON.parse(text))
+      );
+    } catch {
+      logger.debug(
+        `[MQTT-Broker-Interop-Plugin:PayloadCodec]: Payload on '${message.topic}' is not valid JSON, storing as text`
+      );
+      return result('utf8', text, PAYLOAD_ENCODINGS.UTF8);
+    }
+  }
+
+  if (selected === 'cbor') {
+    try {
+      return result(
+        'cbor',
+        bytes.toString('base64'),
+        PAYLOAD_ENCODINGS.BASE64,
+        toFields(decodeCbor(bytes))
+      );
+    } catch {
+      logger.debug(
+        `[MQTT-Broker-Interop-Plugin:PayloadCodec]: Payload on '${message.topic}' is not valid CBOR, storing raw bytes`
+      );
+      return raw();
+    }
+  }
+
+  if (selected === 'utf8' && text !== null) {
+    return result('utf8', text, PAYLOAD_ENCODINGS.UTF8);
+  }
+  return raw();
+}
+
+/**
+ * Get the original payload bytes of a stored row
+ * @param {Object} record - Row with payload and payload_encoding
+ * @returns {Buffer} - Payload bytes, byte-exact with what was published
+ */
+export function encodeStoredPayload(record) {
+  if (record.payload === undefined || record.payload === null) {
+    return Buffer.alloc(0);
+  }
+  return Buffer.from(
+    String(record.payload),
+    record.payload_encoding === PAYLOAD_ENCODINGS.BASE64 ? 'base64' : 'utf8'
+  );
+}
+
+/**
+ * Get the size of a stored row's original payload without decoding it
+ * @param {Object} record - Row with payload and payload_encoding
+ * @returns {number} - Payload size in bytes
+ */
+export function storedPayloadByteLength(record) {
+  if (record.payload === undefined || record.payload === null) {
+    return 0;
+  }
+  return Buffer.byteLength(
+    String(record.payload),
+    record.payload_encoding === PAYLOAD_ENCODINGS.BASE64 ? 'base64' : 'utf8'
+  );
+}
@@ -0,0 +1,300 @@
+/**
+ * Prometheus Exposition
+ * Renders MqttMetrics snapshots in the Prometheus text exposition format (v0.0.4)
+ */
+
+export const PROMETHEUS_CONTENT_TYPE =
+  'text/plain; version=0.0.4; charset=utf-8';
+
+// Load average windows, keyed by the property name used in MqttMetrics.load
+const LOAD_WINDOWS = {
+  oneMin: '1min',
+  fiveMin: '5min',
+  fifteenMin: '15min'
+};
+
+// Prometheus metric families for each MqttMetrics.load category
+const LOAD_METRICS = {
+  connections: {
+    name: 'mqtt_broker_load_connections',
+    help: 'Connection rate per minute'
+  },
+  messagesReceived: {
+    name: 'mqtt_broker_load_messages_received',
+    help: 'Message receive rate per minute'
+  },
+  messagesSent: {
+    name: 'mqtt_broker_load_messages_sent',
+    help: 'Message send rate per minute'
+  },
+  bytesReceived: {
+    name: 'mqtt_broker_load_bytes_received',
+    help: 'Byte receive rate per minute'
+  },
+  bytesSent: {
+    name: 'mqtt_broker_load_bytes_sent',
+    help: 'Byte send rate per minute'
+  },
+  publishReceived: {
+    name: 'mqtt_broker_load_publish_received',
+    help: 'Publish receive rate per minute'
+  },
+  publishSent: {
+    name: 'mqtt_broker_load_publish_sent',
+    help: 'Publish send rate per minute'
+  }
+};
+
+/**
+ * Metric families rendered from a metrics snapshot (see getMetrics() in resources.js)
+ * Each value function receives the snapshot and returns a number
+ */
+const METRIC_FAMILIES = [
+  // Client metrics
+  {
+    name: 'mqtt_broker_clients_connected',
+    type: 'gauge',
+    help: 'Currently connected clients',
+    value: (s) => s.clients.connected
+  },
+  {
+    name: 'mqtt_broker_clients_disconnected',
+    type: 'gauge',
+    help: 'Disconnected clients with persistent sessions',
+    value: (s) => s.clients.disconnected
+  },
+  {
+    name: 'mqtt_broker_clients_maximum',
+    type: 'gauge',
+    help: 'Peak concurrent connections',
+    value: (s) => s.clients.maximum
+  },
+  {
+    name: 'mqtt_broker_clients',
+    type: 'gauge',
+    help: 'Total clients (connected + disconnected)',
+    value: (s) => s.clients.total
+  },
+  {
+    name: 'mqtt_broker_clients_expired_total',
+    type: 'counter',
+    help: 'Expired persistent sessions',
+    value: (s) => s.clients.expired
+  },
+
+  // Message metrics
+  {
+    name: 'mqtt_broker_messages_received_total',
+    type: 'counter',
+    help: 'Total messages received',
+    value: (s) => s.messages.received
+  },
+  {
+    name: 'mqtt_broker_messages_sent_total',
+    type: 'counter',
+    help: 'Total messages sent',
+    value: (s) => s.messages.sent
+  },
+  {
+    name: 'mqtt_broker_messages_inflight',
+    type: 'gauge',
+    help: 'QoS > 0 messages awaiting acknowledgment',
+    value: (s) => s.messages.inflight
+  },
+  {
+    name: 'mqtt_broker_messages_stored',
+    type: 'gauge',
+    help: 'Messages in persistent storage',
+    value: (s) => s.messages.stored
+  },
+  {
+    name: 'mqtt_broker_publish_messages_received_total',
+    type: 'counter',
+    help: 'PUBLISH packets received',
+    value: (s) => s.messages.publishReceived
+  },
+  {
+    name: 'mqtt_broker_publish_messages_sent_total',
+    type: 'counter',
+    help: 'PUBLISH packets sent',
+    value: (s) => s.messages.publishSent
+  },
+  {
+    name: 'mqtt_broker_publish_messages_dropped_total',
+    type: 'counter',
+    help: 'Dropped messages',
+    value: (s) => s.messages.publishDropped
+  },
+
+  // Bandwidth metrics
+  {
+    name: 'mqtt_broker_bytes_received_total',
+    type: 'counter',
+    help: 'Total bytes received',
+    value: (s) => s.bytes.received
+  },
+  {
+    name: 'mqtt_broker_bytes_sent_total',
+    type: 'counter',
+    help: 'Total bytes sent',
+    value: (s) => s.bytes.sent
+  },
+
+  // Storage metrics
+  {
+    name: 'mqtt_broker_store_messages',
+    type: 'gauge',
+    help: 'Messages in storage',
+    value: (s) => s.store.messageCount
+  },
+  {
+    name: 'mqtt_broker_store_messages_bytes',
+    type: 'gauge',
+    help: 'Storage size of stored messages in bytes',
+    value: (s) => s.store.messageBytes
+  },
+
+  // Subscriptions & retained
+  {
+    name: 'mqtt_broker_subscriptions',
+    type: 'gauge',
+    help: 'Active subscriptions',
+    value: (s) => s.subscriptions.count
+  },
+  {
+    name: 'mqtt_broker_retained_messages',
+    type: 'gauge',
+    help: 'Retained messages',
+    value: (s) => s.retained.count
+  },
+  {
+    name: 'mqtt_broker_retained_bytes',
+    type: 'gauge',
+    help: 'Payload bytes of retained messages',
+    value: (s) => s.retained.bytes
+  },
+
+  // System metrics
+  {
+    name: 'mqtt_broker_heap_used_bytes',
+    type: 'gauge',
+    help: 'Current heap memory usage in bytes',
+    value: (s) => s.heap.current
+  },
+  {
+    name: 'mqtt_broker_heap_max_bytes',
+    type: 'gauge',
+    help: 'Peak heap memory usage in bytes',
+    value: (s) => s.heap.maximum
+  },
+  {
+    name: 'mqtt_broker_start_time_seconds',
+    type: 'gauge',
+    help: 'Broker start time in seconds since the Unix epoch',
+    value: (s) => new Date(s.startTime).getTime() / 1000
+  },
+  {
+    name: 'mqtt_broker_restarts_total',
+    type: 'counter',
+    help: 'Broker restarts recorded in the $SYS table',
+    value: (s) => s.broker?.restarts ?? 0
+  },
+  {
+    name: 'mqtt_broker_uptime_seconds',
+    type: 'gauge',
+    help: 'Broker uptime in seconds',
+    value: (s) =>
+      Math.floor((Date.now() - new Date(s.startTime).getTime()) / 1000)
+  }
+];
+
+/**
+ * Escape a HELP string (backslash and newline)
+ * @param {string} text - Help text
+ * @returns {string} - Escaped text
+ */
+function escapeHelp(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+/**
+ * Escape a label value (backslash, double quote and newline)
+ * @param {string} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value, including the special float values
+ * @param {number} value - Sample value
+ * @returns {string} - Prometheus sample value
+ */
+function formatValue(value) {
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    return 'NaN';
+  }
+  if (number === Infinity) {
+    return '+Inf';
+  }
+  if (number === -Infinity) {
+    return '-Inf';
+  }
+  return String(number);
+}
+
+/**
+ * Render one metric family
+ * @param {string} name - Metric name
+ * @param {string} type - 'counter' or 'gauge'
+ * @param {string} help - HELP text
+ * @param {Array<{labels: Object, value: number}>} samples - Samples to render
+ * @returns {string} - Exposition text block
+ */
+function formatFamily(name, type, help, samples) {
+  const lines = [
+    `# HELP ${name} ${escapeHelp(help)}`,
+    `# TYPE ${name} ${type}`
+  ];
+  for (const { labels, value } of samples) {
+    const labelPairs = Object.entries(labels || {}).map(
+      ([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`
+    );
+    const labelText = labelPairs.length > 0 ? `{${labelPairs.join(',')}}` : '';
+    lines.push(`${name}${labelText} ${formatValue(value)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a metrics snapshot in Prometheus text exposition format
+ * @param {Object} snapshot - Metrics snapshot (see getMetrics() in resources.js)
+ * @returns {string} - Exposition text, terminated by a newline
+ */
+export function formatPrometheusMetrics(snapshot) {
+  const blocks = METRIC_FAMILIES.map(({ name, type, help, value }) =>
+    formatFamily(name, type, help, [{ labels: {}, value: value(snapshot) }])
+  );
+
+  for (const [category, { name, help }] of Object.entries(LOAD_METRICS)) {
+    const load = snapshot.load?.[category] || {};
+    blocks.push(
+      formatFamily(
+        name,
+        'gauge',
+        help,
+        Object.entries(LOAD_WINDOWS).map(([key, window]) => ({
+          labels: { window },
+          value: load[key] ?? 0
+        }))
+      )
+    );
+  }
+
+  return `${blocks.join('\n')}\n`;
+}
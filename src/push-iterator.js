@@ -0,0 +1,84 @@
+/**
+ * Push-based Subscription Iterators
+ * Adapts EventEmitter events into the async iterators HarperDB expects from a
+ * resource's subscribe(). Unlike an async generator, the iterator can be closed
+ * while it is waiting for the next event, so listeners are released as soon as
+ * the client unsubscribes or disconnects.
+ */
+
+/**
+ * Create an async iterator fed by an EventEmitter
+ * Pending updates are coalesced by key, so a slow consumer only receives the
+ * latest value for each key instead of an ever-growing backlog.
+ * @param {Object} options - Iterator options
+ * @param {EventEmitter} options.emitter - Event source
+ * @param {string} options.event - Event name to listen for
+ * @param {Array} options.initial - Values yielded before any event
+ * @param {Function} options.onEvent - Called as onEvent(payload, push) for each event;
+ *   push(key, value) queues a value for the subscriber
+ * @returns {AsyncIterator} - Iterator that removes its listener on return()/throw()
+ */
+export function createPushIterator({ emitter, event, initial = [], onEvent }) {
+  const initialQueue = [...initial];
+  const pending = new Map();
+  const waiters = [];
+  let done = false;
+
+  const push = (key, value) => {
+    if (done) {
+      return;
+    }
+    const waiter = waiters.shift();
+    if (waiter) {
+      waiter({ value, done: false });
+      return;
+    }
+    // Re-insert so coalesced keys are delivered in order of their latest update
+    pending.delete(key);
+    pending.set(key, value);
+  };
+
+  const listener = (payload) => onEvent(payload, push);
+
+  const close = () => {
+    if (done) {
+      return;
+    }
+    done = true;
+    emitter.off(event, listener);
+    pending.clear();
+    for (const waiter of waiters.splice(0)) {
+      waiter({ value: undefined, done: true });
+    }
+  };
+
+  emitter.on(event, listener);
+
+  return {
+    next() {
+      if (initialQueue.length > 0) {
+        return Promise.resolve({ value: initialQueue.shift(), done: false });
+      }
+      if (pending.size > 0) {
+        const [key, value] = pending.entries().next().value;
+        pending.delete(key);
+        return Promise.resolve({ value, done: false });
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise((resolve) => waiters.push(resolve));
+    },
+    return() {
+      close();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    throw(error) {
+      close();
+      return Promise.reject(error);
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Query Parameters
+ * Shared parsing and validation for resource GET query parameters
+ */
+
+import { URLSearchParams } from 'node:url';
+
+/**
+ * Read a query parameter from a request
+ * Harper passes a URLSearchParams-like target; plain objects and URLs are
+ * accepted for direct calls
+ * @param {Object} request - Request object
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} - Parameter value
+ */
+export function getQueryParam(request, name) {
+  if (typeof request?.get === 'function') {
+    return request.get(name) ?? undefined;
+  }
+  const url = request?.url;
+  if (typeof url === 'string' && url.includes('?')) {
+    return (
+      new URLSearchParams(url.substring(url.indexOf('?') + 1)).get(name) ??
+      undefined
+    );
+  }
+  return request?.[name];
+}
+
+/**
+ * Create a client error for an invalid query
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode 400
+ */
+export function queryError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Whether a query parameter was left out
+ * @param {any} value - Query parameter
+ * @returns {boolean} - True for undefined, null or an empty string
+ */
+export function isAbsent(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Parse a query time (ISO 8601 string or milliseconds since the epoch)
+ * @param {string|number|undefined} value - Query parameter
+ * @param {number} fallback - Value used when the parameter is absent
+ * @param {string} name - Parameter name, for error messages
+ * @returns {number} - Time in milliseconds
+ * @throws {Error} With statusCode 400 if the time cannot be parsed
+ */
+export function parseQueryTime(value, fallback, name) {
+  if (isAbsent(value)) {
+    return fallback;
+  }
+  const time = /^\d+$/.test(String(value))
+    ? Number(value)
+    : Date.parse(String(value));
+  if (Number.isNaN(time)) {
+    throw queryError(
+      `'${name}' must be an ISO 8601 date or epoch milliseconds`
+    );
+  }
+  return time;
+}
@@ -0,0 +1,289 @@
+/**
+ * Rate Limiting
+ * Token-bucket limits on messages/sec and bytes/sec, applied to publishes per
+ * client id, per username and per topic prefix. A publish must fit in every
+ * bucket that applies to it; otherwise it is dropped and no tokens are taken.
+ *
+ *   rate_limits:
+ *     client:              # each client id has its own buckets
+ *       messages: 100      # messages/sec
+ *       bytes: 65536       # bytes/sec
+ *       burst: 2           # bucket size in seconds of rate (default 1)
+ *     username:            # shared by all connections of a user
+ *       messages: 500
+ *     topics:              # shared by all publishers to the prefix
+ *       - prefix: "sensors/"
+ *         messages: 1000
+ *
+ * Buckets are kept per worker thread; a client's connection lives on one thread,
+ * so per-client limits are exact while username and topic limits apply per thread.
+ * Client and username buckets are dropped by pruneRateLimitBuckets() once they
+ * have refilled (a full bucket behaves like a new one), not on disconnect, so
+ * reconnecting does not reset a client's limit.
+ */
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+// Rate keys accepted in each limit
+const RATES = ['messages', 'bytes'];
+
+// Compiled limits (null = rate limiting disabled)
+let limits = null;
+
+// Buckets by key: client id, username, topic prefix
+const buckets = {
+  client: new Map(),
+  username: new Map(),
+  topic: new Map()
+};
+
+/**
+ * Token bucket refilled continuously at `rate` tokens/sec up to `capacity`
+ */
+export class TokenBucket {
+  /**
+   * @param {number} rate - Tokens added per second
+   * @param {number} capacity - Maximum tokens (the allowed burst)
+   * @param {number} now - Current time in milliseconds
+   */
+  constructor(rate, capacity, now = Date.now()) {
+    this.rate = rate;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  /**
+   * Refill the bucket for the time elapsed since the last update
+   * @param {number} now - Current time in milliseconds
+   */
+  refill(now) {
+    const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Whether `amount` tokens are available
+   * @param {number} amount - Tokens needed
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} - True if take() would succeed
+   */
+  canTake(amount, now) {
+    this.refill(now);
+    return this.tokens >= amount;
+  }
+
+  /**
+   * Whether the bucket has refilled to capacity
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} - True if the bucket is full
+   */
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+
+  /**
+   * Remove tokens (callers check canTake() first)
+   * @param {number} amount - Tokens to remove
+   */
+  take(amount) {
+    this.tokens -= amount;
+  }
+}
+
+/**
+ * Validate one limit ({ messages, bytes, burst })
+ * @param {any} limit - Raw limit
+ * @param {string} path - Config path, for error messages
+ * @returns {Object|null} - Compiled { messages, bytes, burst }, or null when not set
+ * @throws {Error} If a rate or the burst is not a positive number
+ */
+function compileLimit(limit, path) {
+  if (limit === undefined || limit === null) {
+    return null;
+  }
+  if (typeof limit !== 'object' || Array.isArray(limit)) {
+    throw new Error(`${path} must be an object with messages and/or bytes`);
+  }
+  const compiled = { messages: null, bytes: null, burst: limit.burst ?? 1 };
+  for (const key of RATES) {
+    const value = limit[key];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new Error(
+        `${path}.${key} must be a positive number per second, got: ${value}`
+      );
+    }
+    compiled[key] = value;
+  }
+  if (compiled.messages === null && compiled.bytes === null) {
+    throw new Error(`${path} must set messages and/or bytes`);
+  }
+  if (typeof compiled.burst !== 'number' || !(compiled.burst > 0)) {
+    throw new Error(
+      `${path}.burst must be a positive number of seconds, got: ${limit.burst}`
+    );
+  }
+  return compiled;
+}
+
+/**
+ * Validate and compile the `rate_limits` config section
+ * @param {Object|undefined} config - Raw config ({ client, username, topics })
+ * @returns {Object|null} - Compiled { client, username, topics }, or null when not configured
+ * @throws {Error} If a limit is invalid
+ */
+export function compileRateLimits(config) {
+  if (config === undefined || config === null) {
+    return null;
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(
+      'rate_limits must be an object with client, username and/or topics'
+    );
+  }
+  const topics = config.topics ?? [];
+  if (!Array.isArray(topics)) {
+    throw new Error('rate_limits.topics must be a list');
+  }
+  return {
+    client: compileLimit(config.client, 'rate_limits.client'),
+    username: compileLimit(config.username, 'rate_limits.username'),
+    topics: topics.map((rule, i) => {
+      const path = `rate_limits.topics[${i}]`;
+      if (typeof rule?.prefix !== 'string' || !rule.prefix) {
+        throw new Error(`${path}.prefix must be a non-empty topic prefix`);
+      }
+      const { prefix, ...limit } = rule;
+      return { prefix, ...compileLimit(limit, path) };
+    })
+  };
+}
+
+/**
+ * Set the limits used by checkRateLimit(), discarding existing buckets
+ * @param {Object|null} compiled - Compiled limits from compileRateLimits(), or null to disable
+ */
+export function setRateLimits(compiled) {
+  limits = compiled ?? null;
+  for (const map of Object.values(buckets)) {
+    map.clear();
+  }
+  if (limits) {
+    logger.info(
+      `[MQTT-Broker-Interop-Plugin:RateLimit]: Rate limits enabled - client: ${Boolean(limits.client)}, username: ${Boolean(limits.username)}, topic prefixes: ${limits.topics.length}`
+    );
+  }
+}
+
+/**
+ * Whether rate limiting is enabled
+ * @returns {boolean} - True once setRateLimits() was given limits
+ */
+export function isRateLimitEnabled() {
+  return limits !== null;
+}
+
+/**
+ * Get (or create) the buckets of one key
+ * @param {Map} map - Buckets by key
+ * @param {string} key - Client id, username or topic prefix
+ * @param {Object} limit - Compiled limit
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - { messages, bytes } token buckets (null for unset rates)
+ */
+function bucketsFor(map, key, limit, now) {
+  let entry = map.get(key);
+  if (!entry) {
+    entry = {};
+    for (const rate of RATES) {
+      entry[rate] =
+        limit[rate] === null
+          ? null
+          : new TokenBucket(limit[rate], limit[rate] * limit.burst, now);
+    }
+    map.set(key, entry);
+  }
+  return entry;
+}
+
+/**
+ * Check a publish against all limits that apply to it, taking tokens if it fits
+ * @param {Object} publish - Publish to check
+ * @param {string|null} publish.clientId - MQTT client id
+ * @param {string|null} publish.username - Authenticated username
+ * @param {string} publish.topic - Topic name
+ * @param {number} publish.bytes - Payload size in bytes
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - { allowed, limit } where limit names the exhausted bucket
+ */
+export function checkRateLimit(
+  { clientId = null, username = null, topic, bytes = 0 },
+  now = Date.now()
+) {
+  if (!limits) {
+    return { allowed: true, limit: null };
+  }
+
+  const applicable = [];
+  if (limits.client && clientId) {
+    applicable.push([
+      `client '${clientId}'`,
+      bucketsFor(buckets.client, clientId, limits.client, now)
+    ]);
+  }
+  if (limits.username && username) {
+    applicable.push([
+      `username '${username}'`,
+      bucketsFor(buckets.username, username, limits.username, now)
+    ]);
+  }
+  for (const rule of limits.topics) {
+    if (topic?.startsWith(rule.prefix)) {
+      applicable.push([
+        `topic prefix '${rule.prefix}'`,
+        bucketsFor(buckets.topic, rule.prefix, rule, now)
+      ]);
+    }
+  }
+
+  const amounts = { messages: 1, bytes };
+  for (const [name, entry] of applicable) {
+    for (const rate of RATES) {
+      if (entry[rate] && !entry[rate].canTake(amounts[rate], now)) {
+        return { allowed: false, limit: `${name} ${rate}/sec` };
+      }
+    }
+  }
+  for (const [, entry] of applicable) {
+    for (const rate of RATES) {
+      entry[rate]?.take(amounts[rate]);
+    }
+  }
+  return { allowed: true, limit: null };
+}
+
+/**
+ * Discard client and username buckets that have refilled
+ * Called periodically; idle keys would otherwise be kept forever.
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Number of keys discarded
+ */
+export function pruneRateLimitBuckets(now = Date.now()) {
+  let pruned = 0;
+  for (const map of [buckets.client, buckets.username]) {
+    for (const [key, entry] of map) {
+      if (RATES.every((rate) => !entry[rate] || entry[rate].isFull(now))) {
+        map.delete(key);
+        pruned++;
+      }
+    }
+  }
+  return pruned;
+}
@@ -1,7 +1,45 @@
 // MQTT $SYS Topics Resource
 // Handles GET requests for $SYS/* topics and wildcard subscriptions
 
-import { SysTopics, metrics, topicRegistry } from './mqtt.js';
+import {
+  HISTOGRAM_SYS_TOPICS,
+  SysTopics,
+  assertSubscribeAllowed,
+  metrics,
+  topicRegistry,
+  listBridgeSysTopics,
+  listClientSysTopics,
+  listSubscriptions
+} from './mqtt.js';
+import { matchSessions, selectSubscriptions } from './subscription-index.js';
+import { listProfileSysTopics } from './sys-profiles.js';
+import {
+  assertValidTopicFilter,
+  hasWildcard,
+  topicMatches,
+  validateTopicName
+} from './topic-filter.js';
+import {
+  formatPrometheusMetrics,
+  PROMETHEUS_CONTENT_TYPE
+} from './prometheus.js';
+import { createPushIterator } from './push-iterator.js';
+import { querySysHistory } from './sys-history.js';
+import { isAclAdmin, isAclEnabled } from './acl.js';
+import {
+  CONTROL_ACTIONS,
+  executeControlCommand,
+  recordControlAction
+} from './control.js';
+import { searchRetained } from './retained.js';
+import { summarizeWindow } from './histogram.js';
+import { getQueryParam, queryError } from './query-params.js';
+import {
+  MAX_MESSAGE_LIMIT,
+  isMessageHistoryEnabled,
+  parseMessageQuery,
+  queryTopicMessages
+} from './message-history.js';
 
 // Access global server and logger
 const { server } = globalThis;
@@ -48,11 +86,27 @@ const ALL_SYS_TOPICS = [
   // Subscriptions & retained
   '$SYS/broker/subscriptions/count',
   '$SYS/broker/retained messages/count',
+  '$SYS/broker/retained messages/bytes',
 
   // System metrics
   '$SYS/broker/heap/current',
   '$SYS/broker/heap/maximum',
   '$SYS/broker/uptime',
+  '$SYS/broker/restarts',
+
+  // Topic ACL
+  '$SYS/broker/acl/denied/publish',
+  '$SYS/broker/acl/denied/subscribe',
+
+  // Sparkplug B
+  '$SYS/broker/sparkplug/messages/received',
+  '$SYS/broker/sparkplug/messages/invalid',
+  '$SYS/broker/sparkplug/nodes/online',
+  '$SYS/broker/sparkplug/nodes/offline',
+  '$SYS/broker/sparkplug/devices/online',
+  '$SYS/broker/sparkplug/devices/offline',
+  '$SYS/broker/sparkplug/rebirths',
+  '$SYS/broker/sparkplug/seq/errors',
 
   // Load averages (1min, 5min, 15min)
   '$SYS/broker/load/connections/1min',
@@ -75,9 +129,52 @@ const ALL_SYS_TOPICS = [
   '$SYS/broker/load/publish/received/15min',
   '$SYS/broker/load/publish/sent/1min',
   '$SYS/broker/load/publish/sent/5min',
-  '$SYS/broker/load/publish/sent/15min'
+  '$SYS/broker/load/publish/sent/15min',
+
+  // Payload size and latency percentiles (p50/p95/p99 per load window)
+  ...HISTOGRAM_SYS_TOPICS
 ];
 
+/**
+ * All currently resolvable $SYS topics: the static list plus profile aliases,
+ * per-bridge and per-client topics
+ * @returns {string[]} - $SYS topic paths
+ */
+function getAvailableSysTopics() {
+  return [
+    ...ALL_SYS_TOPICS,
+    ...listProfileSysTopics(),
+    ...listBridgeSysTopics(),
+    ...listClientSysTopics()
+  ];
+}
+
+/**
+ * Reject $SYS requests from anonymous users, and from non-admin users when the
+ * topic ACL is enabled
+ * Subscriptions are checked with assertSubscribeAllowed(), which also counts denials.
+ * @param {Object} request - Request (user set by HarperDB authentication)
+ * @param {string} topic - Requested topic or filter
+ * @throws {Error} With statusCode 401 without an authenticated user, or 403 for
+ *   non-admin users
+ */
+function assertSysAccess(request, topic) {
+  if (!topic?.startsWith('$SYS')) {
+    return;
+  }
+  const username = request?.user?.username;
+  if (!username) {
+    const error = new Error(`Access to ${topic} requires an authenticated user`);
+    error.statusCode = 401;
+    throw error;
+  }
+  if (!isAclAdmin(username)) {
+    const error = new Error(`Access to ${topic} is restricted to admin users`);
+    error.statusCode = 403;
+    throw error;
+  }
+}
+
 /**
  * Resource class for handling $SYS topic requests and wildcard subscriptions
  * Maps MQTT $SYS topic paths to current metric values
@@ -93,6 +190,7 @@ export class SysTopicsResource {
     logger.trace(
       `[MQTT-Broker-Interop-Plugin:Resources]: SysTopicsResource GET request - topic: ${topic}`
     );
+    assertSysAccess(request, topic);
 
     // Handle wildcard /#  - all non-$SYS topics
     if (topic === '/#' || topic === '#') {
@@ -111,42 +209,31 @@ export class SysTopicsResource {
       };
     }
 
-    // Handle wildcard $SYS/# - all $SYS topics
-    if (topic === '$SYS/#' || topic === '$SYS/*') {
-      const result = {
-        pattern: '$SYS/#',
-        count: ALL_SYS_TOPICS.length,
-        topics: ALL_SYS_TOPICS.map((t) => ({
-          topic: t,
-          value: sysTopics.get({ path: t }),
-          timestamp: new Date().toISOString()
-        })).filter((item) => item.value !== null)
-      };
-      logger.debug(
-        `[MQTT-Broker-Interop-Plugin:Resources]: Returning all $SYS topics - count: ${result.topics.length}`
-      );
-      return result;
-    }
-
-    // Handle partial $SYS wildcards like $SYS/broker/clients/#
-    if (topic && topic.startsWith('$SYS/') && topic.includes('#')) {
-      const prefix = topic.replace('/#', '/').replace('#', '');
-      const matchingTopics = ALL_SYS_TOPICS.filter((t) => t.startsWith(prefix));
-      logger.debug(
-        `[MQTT-Broker-Interop-Plugin:Resources]: Partial $SYS wildcard - prefix: ${prefix}, matches: ${matchingTopics.length}`
-      );
+    // Handle $SYS wildcard filters like $SYS/#, $SYS/broker/clients/# or
+    // $SYS/broker/load/+/1min ($SYS/* is accepted as a legacy alias for $SYS/#)
+    if (topic && (topic === '$SYS/*' || topic.startsWith('$SYS/'))) {
+      const filter = topic === '$SYS/*' ? '$SYS/#' : topic;
+      if (hasWildcard(filter)) {
+        assertValidTopicFilter(filter);
+        const matchingTopics = getAvailableSysTopics().filter((t) =>
+          topicMatches(filter, t)
+        );
+        logger.debug(
+          `[MQTT-Broker-Interop-Plugin:Resources]: $SYS wildcard - filter: ${filter}, matches: ${matchingTopics.length}`
+        );
 
-      return {
-        pattern: topic,
-        count: matchingTopics.length,
-        topics: matchingTopics
-          .map((t) => ({
-            topic: t,
-            value: sysTopics.get({ path: t }),
-            timestamp: new Date().toISOString()
-          }))
-          .filter((item) => item.value !== null)
-      };
+        return {
+          pattern: filter,
+          count: matchingTopics.length,
+          topics: matchingTopics
+            .map((t) => ({
+              topic: t,
+              value: sysTopics.get({ path: t }),
+              timestamp: new Date().toISOString()
+            }))
+            .filter((item) => item.value !== null)
+        };
+      }
     }
 
     // Handle individual $SYS topic
@@ -183,37 +270,281 @@ export class SysTopicsResource {
 
   /**
    * Subscribe to MQTT topic updates
-   * Returns an async iterator for real-time updates
+   * Yields the current value(s) first, then one { topic, value, timestamp }
+   * update per matching topic whose value changed. The iterator stops listening
+   * for metric changes when the client unsubscribes or disconnects.
    * @param {Object} request - Request object with path property
    * @returns {AsyncIterator} - Async iterator for topic updates
    */
-  async *subscribe(request) {
+  subscribe(request) {
     const topic = request.path || request.url;
     logger.info(
       `[MQTT-Broker-Interop-Plugin:Resources]: SysTopicsResource subscribe - topic: ${topic}`
     );
 
-    // Yield initial value
-    const initialValue = this.get(request);
-    if (initialValue !== null) {
-      yield initialValue;
+    // Reject malformed or forbidden filters before the subscription is established
+    // (Harper answers with a failure return code in the SUBACK)
+    assertSubscribeAllowed(
+      request?.session?.sessionId ?? null,
+      topic,
+      request?.user?.username ?? null
+    );
+    const filter = topic === '$SYS/*' ? '$SYS/#' : topic;
+    const isWildcard = Boolean(filter) && hasWildcard(filter);
+    if (isWildcard) {
+      assertValidTopicFilter(filter);
     }
 
-    // Keep subscription alive - yield updates periodically
-    // The subscription will stay open until the client unsubscribes
-    while (true) {
-      await new Promise((resolve) => setTimeout(resolve, 10000)); // 10 second interval
-      const currentValue = this.get(request);
-      if (currentValue !== null) {
-        yield currentValue;
+    const initialValue = this.get(request);
+
+    // Last value delivered per topic (serialized), so unchanged values are skipped
+    const delivered = new Map();
+    const initialTopics = initialValue?.topics ?? [initialValue ?? {}];
+    for (const item of initialTopics) {
+      if (item.topic) {
+        delivered.set(item.topic, JSON.stringify(item.value));
       }
     }
+
+    const matches = isWildcard
+      ? (t) => topicMatches(filter, t)
+      : (t) => t === filter;
+
+    return createPushIterator({
+      emitter: metrics,
+      event: 'change',
+      initial: initialValue !== null ? [initialValue] : [],
+      onEvent: (changedTopics, push) => {
+        for (const changed of changedTopics) {
+          if (!matches(changed)) {
+            continue;
+          }
+          const value = sysTopics.get({ path: changed });
+          const serialized = JSON.stringify(value);
+          if (value === null || delivered.get(changed) === serialized) {
+            continue;
+          }
+          delivered.set(changed, serialized);
+          push(changed, {
+            topic: changed,
+            value,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+    });
   }
 }
 
 // Export the resource for the $SYS path
 export const SYS = SysTopicsResource;
 
+/**
+ * Resource class for inspecting active subscriptions
+ * GET /subscriptions?client_id=...&topic=<filter> lists subscriptions;
+ * GET /subscriptions?match=<topic> lists the sessions a publish on the topic
+ * would be delivered to
+ */
+export class SubscriptionsResource {
+  /**
+   * GET handler listing subscriptions or matching sessions
+   * @param {Object} request - Request with client_id, topic or match parameters
+   * @returns {Promise<Object>} - { count, subscriptions } or { topic, count, sessions }
+   */
+  async get(request) {
+    const clientId = getQueryParam(request, 'client_id');
+    const filter = getQueryParam(request, 'topic');
+    const match = getQueryParam(request, 'match');
+    logger.trace(
+      `[MQTT-Broker-Interop-Plugin:Resources]: SubscriptionsResource GET request - client_id: ${clientId}, topic: ${filter}, match: ${match}`
+    );
+    // Client ids and usernames are visible to admins only, as for $SYS/broker/clients/*
+    assertSysAccess(request, '$SYS/#');
+
+    const subscriptions = selectSubscriptions(await listSubscriptions(), {
+      clientId
+    });
+    if (match !== undefined) {
+      const reason = validateTopicName(match);
+      if (reason) {
+        throw queryError(`Invalid match topic '${match}': ${reason}`);
+      }
+      const sessions = matchSessions(subscriptions, match);
+      return { topic: match, count: sessions.length, sessions };
+    }
+
+    const selected = selectSubscriptions(subscriptions, { filter });
+    return { count: selected.length, subscriptions: selected };
+  }
+}
+
+// Export the subscription introspection resource for the /subscriptions path
+export const subscriptions = SubscriptionsResource;
+
+/**
+ * Execute a control command for an admin, recording denied requests
+ * Allowed for Harper super users, and for ACL admins when the ACL is enabled.
+ * @param {Object} request - Request (user set by HarperDB authentication)
+ * @param {Object} data - Command (see parseControlCommand())
+ * @returns {Promise<Object>} - The command and its result
+ * @throws {Error} With statusCode 403 for other users
+ */
+async function executeAdminCommand(request, data) {
+  const user = request?.user;
+  const username = user?.username ?? null;
+  const allowed =
+    user?.role?.permission?.super_user === true ||
+    (isAclEnabled() && isAclAdmin(username));
+  if (!allowed) {
+    await recordControlAction({
+      action: data?.action,
+      client_id: data?.client_id,
+      filter: data?.filter,
+      username,
+      status: 'denied'
+    });
+    const error = new Error('Control actions are restricted to admin users');
+    error.statusCode = 403;
+    throw error;
+  }
+  return executeControlCommand(data, username);
+}
+
+/**
+ * Resource class for admin control actions
+ * POST /control with { action, client_id } (disconnect, purge_session),
+ * { action: 'clear_retained', filter } or { action: 'reset_metrics' }
+ */
+export class ControlResource {
+  /**
+   * POST handler executing a control action (admins only, see executeAdminCommand())
+   * @param {Object} request - Request (user set by HarperDB authentication)
+   * @param {Object} data - Command
+   * @returns {Promise<Object>} - The command and its result
+   */
+  post(request, data) {
+    logger.trace(
+      `[MQTT-Broker-Interop-Plugin:Resources]: ControlResource POST request - action: ${data?.action}, user: ${request?.user?.username}`
+    );
+    return executeAdminCommand(request, data);
+  }
+}
+
+// Export the control resource for the /control path
+export const control = ControlResource;
+
+/**
+ * Resource class for browsing and clearing retained messages
+ * GET /retained?filter=sensors/#&limit=100 lists the retained messages of
+ * matching topics; DELETE /retained?filter=... clears them
+ */
+export class RetainedResource {
+  /**
+   * GET handler listing retained messages by topic filter
+   * @param {Object} request - Request with filter and limit parameters
+   * @returns {Promise<Object>} - { filter, count, bytes, messages }
+   */
+  async get(request) {
+    const filter = getQueryParam(request, 'filter') ?? '#';
+    const limit = getQueryParam(request, 'limit') ?? MAX_MESSAGE_LIMIT;
+    logger.trace(
+      `[MQTT-Broker-Interop-Plugin:Resources]: RetainedResource GET request - filter: ${filter}, limit: ${limit}`
+    );
+    // Topics and client ids are visible to admins only, as for $SYS/broker/clients/*
+    assertSysAccess(request, '$SYS/#');
+    assertValidTopicFilter(filter);
+    const parsedLimit = Number(limit);
+    if (
+      !Number.isInteger(parsedLimit) ||
+      parsedLimit < 1 ||
+      parsedLimit > MAX_MESSAGE_LIMIT
+    ) {
+      throw queryError(
+        `'limit' must be an integer between 1 and ${MAX_MESSAGE_LIMIT}`
+      );
+    }
+    return { filter, ...(await searchRetained(filter, parsedLimit)) };
+  }
+
+  /**
+   * DELETE handler clearing the retained messages of matching topics
+   * Runs the clear_retained control action, so it is restricted and audited.
+   * @param {Object} request - Request with a filter parameter
+   * @returns {Promise<Object>} - { filter, cleared }
+   */
+  async delete(request) {
+    const filter = getQueryParam(request, 'filter');
+    logger.trace(
+      `[MQTT-Broker-Interop-Plugin:Resources]: RetainedResource DELETE request - filter: ${filter}`
+    );
+    const { result } = await executeAdminCommand(request, {
+      action: CONTROL_ACTIONS.CLEAR_RETAINED,
+      filter
+    });
+    return { filter, ...result };
+  }
+}
+
+// Export the retained message browser for the /retained path
+export const retained = RetainedResource;
+
+/**
+ * Resource class for Prometheus scraping
+ * Renders the MqttMetrics singleton in Prometheus text exposition format.
+ * Restricted like the $SYS topics it mirrors (authenticated users, admins only
+ * when the ACL is enabled).
+ */
+export class PrometheusMetricsResource {
+  /**
+   * GET handler for the /metrics scrape endpoint
+   * @param {Object} request - Request (user set by HarperDB authentication)
+   * @returns {Object} - Response with status, headers and exposition text
+   */
+  get(request) {
+    logger.trace(
+      `[MQTT-Broker-Interop-Plugin:Resources]: PrometheusMetricsResource GET request - user: ${request?.user?.username}`
+    );
+    assertSysAccess(request, '$SYS/#');
+    return {
+      status: 200,
+      headers: { 'Content-Type': PROMETHEUS_CONTENT_TYPE },
+      data: formatPrometheusMetrics(getMetrics())
+    };
+  }
+}
+
+// Export the Prometheus resource for the /metrics path
+// (exported by name since `metrics` is the imported MqttMetrics singleton here)
+export { PrometheusMetricsResource as metrics };
+
+/**
+ * Resource class for querying $SYS metric history
+ * GET /sys_history?topic=$SYS/broker/clients/connected&from=...&to=...&step=300
+ */
+export class SysHistoryResource {
+  /**
+   * GET handler returning recorded samples of one $SYS topic
+   * @param {Object} request - Request with topic, from, to and step parameters
+   * @returns {Promise<Object>} - { topic, from, to, step, count, samples }
+   */
+  get(request) {
+    const query = {
+      topic: getQueryParam(request, 'topic'),
+      from: getQueryParam(request, 'from'),
+      to: getQueryParam(request, 'to'),
+      step: getQueryParam(request, 'step')
+    };
+    logger.trace(
+      `[MQTT-Broker-Interop-Plugin:Resources]: SysHistoryResource GET request - topic: ${query.topic}, from: ${query.from}, to: ${query.to}, step: ${query.step}`
+    );
+    assertSysAccess(request, '$SYS/#');
+    return querySysHistory(query);
+  }
+}
+
+// Export the history query resource for the /sys_history path
+export const sys_history = SysHistoryResource;
+
 /**
  * Resource class for handling wildcard /# subscriptions
  * Returns all non-$SYS topics
@@ -258,37 +589,48 @@ export class WildcardTopicsResource {
 
   /**
    * Subscribe to MQTT topic updates
-   * Returns an async iterator for real-time updates
+   * Yields the current topic list first, then one { topic, timestamp } update
+   * for each newly published non-$SYS topic. The iterator stops listening when
+   * the client unsubscribes or disconnects.
    * @param {Object} request - Request object with path property
    * @returns {AsyncIterator} - Async iterator for topic updates
    */
-  async *subscribe(request) {
+  subscribe(request) {
     const topic = request.path || request.url;
     logger.info(
       `[MQTT-Broker-Interop-Plugin:Resources]: WildcardTopicsResource subscribe - topic: ${topic}`
     );
 
-    // Yield initial value
     const initialValue = this.get(request);
-    if (initialValue !== null) {
-      yield initialValue;
-    }
 
-    // Keep subscription alive - yield updates periodically
-    // The subscription will stay open until the client unsubscribes
-    while (true) {
-      await new Promise((resolve) => setTimeout(resolve, 10000)); // 10 second interval
-      const currentValue = this.get(request);
-      if (currentValue !== null) {
-        yield currentValue;
+    return createPushIterator({
+      emitter: topicRegistry.events,
+      event: 'added',
+      initial: initialValue !== null ? [initialValue] : [],
+      onEvent: (added, push) => {
+        if (initialValue === null || added.startsWith('$SYS/')) {
+          return;
+        }
+        push(added, { topic: added, timestamp: new Date().toISOString() });
       }
-    }
+    });
   }
 }
 
 // Export the wildcard resource
 export const Wildcard = WildcardTopicsResource;
 
+/**
+ * Read the retained message stored for a topic in mqtt_topics
+ * @param {string} topic - Concrete topic name
+ * @returns {Promise<Object>} - { topic, count, messages } with at most one message
+ */
+async function getLatestMessage(topic) {
+  const latest = await globalThis.tables?.mqtt_topics?.get(topic);
+  const messages = latest && latest.doesExist?.() !== false ? [latest] : [];
+  return { topic, count: messages.length, messages };
+}
+
 /**
  * Dynamic Topics Resource - handles non-$SYS MQTT topics
  * NOTE: This is intentionally NOT exported as $wildcard to allow HarperDB's
@@ -304,7 +646,10 @@ export class DynamicTopicsResource {
    * @returns {Object|Array} - Messages from the topic's table
    */
   async get(request) {
-    const topic = request.path || request.url;
+    const path = request.path || request.url;
+    const topic = path.includes('?')
+      ? path.substring(0, path.indexOf('?'))
+      : path;
     logger.debug(
       `[MQTT-Broker-Interop-Plugin:Resources]: DynamicTopicsResource GET request - topic: ${topic}`
     );
@@ -317,38 +662,49 @@ export class DynamicTopicsResource {
       return null;
     }
 
+    // Reject malformed replay parameters before touching any table
+    const query = parseMessageQuery({
+      limit: getQueryParam(request, 'limit'),
+      since: getQueryParam(request, 'since'),
+      until: getQueryParam(request, 'until'),
+      order: getQueryParam(request, 'order')
+    });
+
+    // Without message history only the retained message per topic is stored
+    if (!isMessageHistoryEnabled()) {
+      return getLatestMessage(topic);
+    }
+
     // Import helper functions
-    const { getTableNameForTopic } = await import('./mqtt.js');
+    const { resolveTopicRoute, getRouteTable } = await import('./mqtt.js');
 
-    // Get the table name for this topic
-    const tableName = getTableNameForTopic(topic);
+    // Get the database and table for this topic
+    const route = resolveTopicRoute(topic);
+    const tableName = route.table;
 
     // Check if table exists (don't create on GET)
-    const table = globalThis.tables?.[tableName];
+    const table = getRouteTable(route);
     if (!table) {
       logger.debug(
         `[MQTT-Broker-Interop-Plugin:Resources]: Table '${tableName}' not found for topic: ${topic}`
       );
-      return { topic, messages: [] };
+      return { topic, order: query.order, count: 0, messages: [] };
     }
 
     // Return recent messages from the table
     try {
-      const messages = [];
-      for await (const message of table.search()) {
-        messages.push(message);
-      }
+      const messages = await queryTopicMessages(table, topic, query);
 
       logger.debug(
         `[MQTT-Broker-Interop-Plugin:Resources]: Returning ${messages.length} messages for topic: ${topic}`
       );
-      return { topic, messages };
+      return { topic, order: query.order, count: messages.length, messages };
     } catch (error) {
       logger.error(
         '[MQTT-Broker-Interop-Plugin:Resources]: Error reading messages:',
         error
       );
-      return { topic, messages: [] };
+      return { topic, order: query.order, count: 0, messages: [] };
     }
   }
 
@@ -374,9 +730,8 @@ export class DynamicTopicsResource {
     }
 
     // For concrete topics, check if table exists (will be created on first publish)
-    const { getTableNameForTopic } = await import('./mqtt.js');
-    const tableName = getTableNameForTopic(topic);
-    const table = globalThis.tables?.[tableName];
+    const { resolveTopicRoute, getRouteTable } = await import('./mqtt.js');
+    const table = getRouteTable(resolveTopicRoute(topic));
 
     if (!table) {
       logger.info(
@@ -452,19 +807,43 @@ export class AllTopicsResource {
 // all MQTT publish/subscribe operations natively through HarperDB's @export mechanism.
 // No custom resource class is needed.
 
+/**
+ * Summarize each distribution per load window
+ * @param {Object} histograms - Windows by distribution (MqttMetrics.histograms)
+ * @returns {Object} - distribution → window → { count, mean, p50, p95, p99 }
+ */
+function summarizeHistograms(histograms = {}) {
+  const summaries = {};
+  for (const [name, windows] of Object.entries(histograms)) {
+    summaries[name] = {};
+    for (const [window, counts] of Object.entries(windows)) {
+      summaries[name][window] = summarizeWindow(counts);
+    }
+  }
+  return summaries;
+}
+
 // Export a helper to get current metrics directly
 export function getMetrics() {
   logger.trace('[MQTT-Broker-Interop-Plugin:Resources]: getMetrics called');
+  // Broker-wide values are merged across worker threads when aggregation is enabled
+  const brokerMetrics = metrics.view();
   const metricsSnapshot = {
-    startTime: metrics.startTime,
-    clients: { ...metrics.clients },
-    messages: { ...metrics.messages },
-    bytes: { ...metrics.bytes },
-    subscriptions: { ...metrics.subscriptions },
-    retained: { ...metrics.retained },
-    store: { ...metrics.store },
-    heap: { ...metrics.heap },
-    load: JSON.parse(JSON.stringify(metrics.load))
+    startTime: brokerMetrics.startTime,
+    clients: { ...brokerMetrics.clients },
+    messages: { ...brokerMetrics.messages },
+    bytes: { ...brokerMetrics.bytes },
+    subscriptions: { ...brokerMetrics.subscriptions },
+    retained: { ...brokerMetrics.retained },
+    broker: { ...brokerMetrics.broker },
+    sparkplug: JSON.parse(JSON.stringify(brokerMetrics.sparkplug)),
+    bridges: JSON.parse(JSON.stringify(brokerMetrics.bridges ?? {})),
+    acl: { denied: { ...brokerMetrics.acl.denied } },
+    store: { ...brokerMetrics.store },
+    heap: { ...brokerMetrics.heap },
+    load: JSON.parse(JSON.stringify(brokerMetrics.load)),
+    histograms: summarizeHistograms(brokerMetrics.histograms),
+    perClient: metrics.getClientStats()
   };
   logger.debug(
     `[MQTT-Broker-Interop-Plugin:Resources]: Returning metrics snapshot - clients: ${metricsSnapshot.clients.connected}, messages: ${metricsSnapshot.messages.received}`
@@ -0,0 +1,190 @@
+/**
+ * Retained Messages
+ * Index of the retained messages held in mqtt_topics (topic, payload size, QoS,
+ * set time and publishing client), kept in the mqtt_retained table as messages
+ * are stored. It backs the retained resource (wildcard search, delete by
+ * filter), the retained message count and bytes, and the expiry of retained
+ * messages after retained_message_ttl or their MQTT 5 message expiry interval.
+ * The retained counters are recomputed from the index by scanRetained(), not
+ * adjusted as messages are stored, so concurrent writers cannot make them drift.
+ */
+
+import { storedPayloadByteLength } from './payload-codec.js';
+import { topicMatches } from './topic-filter.js';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+let retainedTable = null;
+// Seconds a retained message is kept without its own expiry interval (null = never)
+let defaultTtl = null;
+
+/**
+ * Set the table retained messages are indexed in
+ * @param {Object|null} table - HarperDB table instance (mqtt_retained)
+ */
+export function setRetainedTable(table) {
+  retainedTable = table ?? null;
+}
+
+/**
+ * Set how long retained messages are kept
+ * @param {number|null} seconds - retained_message_ttl (null = never expire)
+ */
+export function setRetainedTtl(seconds) {
+  defaultTtl = seconds ?? null;
+}
+
+/**
+ * Build the index entry for a stored message
+ * @param {Object} message - Message data (topic, retain, properties)
+ * @param {Object} record - Stored attributes (see messageToRecord())
+ * @returns {Object|null} - Entry, or null if the message leaves no retained message
+ */
+export function retainedEntry(message, record) {
+  const payloadBytes = storedPayloadByteLength(record);
+  // A zero-length retained publish clears the retained message (MQTT §3.3.1.3)
+  if (!message.retain || payloadBytes === 0) {
+    return null;
+  }
+  const ttl = message.properties?.messageExpiryInterval ?? defaultTtl;
+  return {
+    id: message.topic,
+    topic: message.topic,
+    payload_bytes: payloadBytes,
+    qos: record.qos ?? 0,
+    client_id: record.client_id ?? null,
+    retained_at: record.timestamp,
+    expires_at:
+      ttl === null
+        ? null
+        : new Date(Date.parse(record.timestamp) + ttl * 1000).toISOString()
+  };
+}
+
+/**
+ * Get the index entry of a topic
+ * @param {string} topic - Topic
+ * @returns {Promise<Object|null>} - Entry, or null if the topic has no retained message
+ */
+async function getEntry(topic) {
+  const entry = await retainedTable?.get(topic);
+  return entry && entry.doesExist() ? entry : null;
+}
+
+/**
+ * Update the index after a retained message was stored or cleared for its topic
+ * @param {Object} message - Message data (topic, retain, properties)
+ * @param {Object} record - Stored attributes (see messageToRecord())
+ * @returns {Promise<Object|null>} - The topic's new entry, or null if it has none
+ */
+export async function indexRetained(message, record) {
+  if (!retainedTable) {
+    return null;
+  }
+  const entry = retainedEntry(message, record);
+  if (entry) {
+    await retainedTable.put(entry);
+  } else if (await getEntry(message.topic)) {
+    await retainedTable.delete(message.topic);
+  }
+  return entry;
+}
+
+/**
+ * List retained messages whose topic matches a filter
+ * @param {string} filter - Valid topic filter
+ * @param {number} limit - Maximum number of messages returned
+ * @returns {Promise<Object>} - { count, bytes, messages } (count and bytes of all matches)
+ */
+export async function searchRetained(filter, limit = Infinity) {
+  const matches = [];
+  for await (const entry of retainedTable?.search({ conditions: [] }) ?? []) {
+    if (topicMatches(filter, entry.topic)) {
+      matches.push(entry);
+    }
+  }
+  matches.sort((a, b) => a.topic.localeCompare(b.topic));
+  return {
+    count: matches.length,
+    bytes: matches.reduce((sum, entry) => sum + entry.payload_bytes, 0),
+    messages: matches.slice(0, limit)
+  };
+}
+
+/**
+ * Delete the retained messages of the given topics from mqtt_topics and the index
+ * @param {Object} topicsTable - mqtt_topics table
+ * @param {string[]} topics - Topics to clear
+ * @param {Function} onRemoved - Called with each index entry removed
+ */
+async function removeRetained(topicsTable, topics, onRemoved) {
+  for (const topic of topics) {
+    await topicsTable.delete(topic);
+    const entry = await getEntry(topic);
+    if (entry) {
+      await retainedTable.delete(topic);
+      onRemoved(entry);
+    }
+  }
+}
+
+/**
+ * Delete the retained messages of all topics matching a filter
+ * mqtt_topics is scanned rather than the index, so messages retained before
+ * the index existed are cleared too.
+ * @param {string} filter - Valid topic filter
+ * @param {Function} onRemoved - Called with each index entry removed
+ * @returns {Promise<Object>} - { cleared } (number of messages deleted)
+ */
+export async function deleteRetained(filter, onRemoved = () => {}) {
+  const topicsTable = globalThis.tables?.mqtt_topics;
+  if (!topicsTable) {
+    const error = new Error('mqtt_topics table not available');
+    error.statusCode = 503;
+    throw error;
+  }
+  const topics = [];
+  for await (const row of topicsTable.search({
+    conditions: [],
+    select: ['id', 'retain']
+  })) {
+    if (row.retain && topicMatches(filter, String(row.id))) {
+      topics.push(String(row.id));
+    }
+  }
+  await removeRetained(topicsTable, topics, onRemoved);
+  return { cleared: topics.length };
+}
+
+/**
+ * Expire retained messages past their expiry time and total the rest
+ * @param {number} now - Current time in milliseconds
+ * @param {Function} onRemoved - Called with each expired index entry
+ * @returns {Promise<Object>} - { count, bytes, expired }
+ */
+export async function scanRetained(now = Date.now(), onRemoved = () => {}) {
+  const totals = { count: 0, bytes: 0, expired: 0 };
+  const topicsTable = globalThis.tables?.mqtt_topics;
+  if (!retainedTable || !topicsTable) {
+    return totals;
+  }
+  const expired = [];
+  for await (const entry of retainedTable.search({ conditions: [] })) {
+    if (entry.expires_at && Date.parse(entry.expires_at) <= now) {
+      expired.push(entry.topic);
+    } else {
+      totals.count++;
+      totals.bytes += entry.payload_bytes ?? 0;
+    }
+  }
+  await removeRetained(topicsTable, expired, onRemoved);
+  totals.expired = expired.length;
+  if (expired.length > 0) {
+    logger.info(
+      `[MQTT-Broker-Interop-Plugin:Retained]: Expired ${expired.length} retained message(s)`
+    );
+  }
+  return totals;
+}
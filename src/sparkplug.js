@@ -0,0 +1,448 @@
+/**
+ * Sparkplug B
+ * Recognizes the Sparkplug B namespace (spBv1.0/<group>/<msg_type>/<edge_node>[/<device>]),
+ * decodes its protobuf payloads and keeps edge-node/device birth-death state in
+ * the sparkplug_nodes, sparkplug_devices and sparkplug_metrics tables.
+ *
+ * bdSeq ties an NDEATH to the NBIRTH of the same session, so a late death
+ * certificate from a previous session never marks a reborn node offline. seq
+ * must increase by one (mod 256) on every message after NBIRTH; a gap, or data
+ * from a node whose birth was not seen, flags the node as needing a rebirth.
+ *
+ * State is kept per worker thread; an edge node's messages all arrive over its
+ * own connection, so they are handled by the same thread.
+ */
+
+import sparkplugPayload from 'sparkplug-payload';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+export const SPARKPLUG_NAMESPACE = 'spBv1.0';
+
+// Message types published under spBv1.0/<group>/<msg_type>/...
+export const MESSAGE_TYPES = [
+  'NBIRTH',
+  'NDEATH',
+  'DBIRTH',
+  'DDEATH',
+  'NDATA',
+  'DDATA',
+  'NCMD',
+  'DCMD'
+];
+
+const DEVICE_MESSAGE_TYPES = new Set(['DBIRTH', 'DDEATH', 'DDATA', 'DCMD']);
+
+const BD_SEQ_METRIC = 'bdSeq';
+const SEQ_MODULUS = 256;
+
+const spB = sparkplugPayload.get(SPARKPLUG_NAMESPACE);
+
+// State tables (set during plugin initialization)
+let stateTables = { nodes: null, devices: null, metrics: null };
+
+// Edge-node state by `<group>/<edge_node>`
+const nodeStates = new Map();
+
+/**
+ * Set the Sparkplug state tables
+ * @param {Object} tables - { nodes, devices, metrics } HarperDB table instances (any may be null)
+ */
+export function setSparkplugTables({
+  nodes = null,
+  devices = null,
+  metrics = null
+} = {}) {
+  stateTables = { nodes, devices, metrics };
+  logger.info(
+    `[MQTT-Broker-Interop-Plugin:Sparkplug]: Sparkplug state tables ${nodes ? 'initialized' : 'not available'}`
+  );
+}
+
+/**
+ * Forget all edge-node state (tests and plugin reloads)
+ */
+export function resetSparkplugState() {
+  nodeStates.clear();
+}
+
+/**
+ * Parse a Sparkplug B topic
+ * Host application STATE topics (spBv1.0/STATE/<host_id>) are not edge-node
+ * traffic and are not parsed.
+ * @param {string} topic - Topic name
+ * @returns {Object|null} - { group_id, message_type, edge_node_id, device_id }, or null if not a Sparkplug B topic
+ */
+export function parseSparkplugTopic(topic) {
+  const levels = topic?.split('/');
+  if (!levels || levels[0] !== SPARKPLUG_NAMESPACE) {
+    return null;
+  }
+  const [, group, messageType, edgeNode, device, ...rest] = levels;
+  if (!MESSAGE_TYPES.includes(messageType) || !group || !edgeNode) {
+    return null;
+  }
+  const isDeviceMessage = DEVICE_MESSAGE_TYPES.has(messageType);
+  if (rest.length > 0 || (isDeviceMessage ? !device : device !== undefined)) {
+    return null;
+  }
+  return {
+    group_id: group,
+    message_type: messageType,
+    edge_node_id: edgeNode,
+    device_id: isDeviceMessage ? device : null
+  };
+}
+
+/**
+ * Convert decoded protobuf values to plain JSON-friendly values
+ * 64-bit integers become numbers (or strings beyond Number.MAX_SAFE_INTEGER),
+ * bytes become base64.
+ * @param {any} value - Decoded value
+ * @returns {any} - Plain value
+ */
+function toPlainValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value.toNumber === 'function') {
+    const number = value.toNumber();
+    return Number.isSafeInteger(number) ? number : value.toString();
+  }
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return Buffer.from(value).toString('base64');
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, toPlainValue(v)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Decode a Sparkplug B protobuf payload
+ * @param {Buffer|Uint8Array} bytes - Payload bytes
+ * @returns {Object} - { timestamp, seq, metrics: [{ name, alias, datatype, value, timestamp }] }
+ * @throws {Error} If the payload is not a valid Sparkplug B payload
+ */
+export function decodeSparkplugPayload(bytes) {
+  const payload = spB.decodePayload(bytes);
+  return {
+    timestamp: toPlainValue(payload.timestamp),
+    seq: toPlainValue(payload.seq),
+    metrics: (payload.metrics ?? []).map((metric) => ({
+      name: metric.name ?? null,
+      alias: toPlainValue(metric.alias),
+      datatype: metric.type ?? null,
+      value: toPlainValue(metric.value),
+      timestamp: toPlainValue(metric.timestamp)
+    }))
+  };
+}
+
+/**
+ * Move a node or device between online and offline, tracking gauge deltas
+ * Entities never seen alive are not counted as offline.
+ * @param {Object} entity - Node or device state ({ online, born })
+ * @param {boolean} online - New status
+ * @param {Object} delta - { online, offline } gauge deltas to update
+ */
+function setOnline(entity, online, delta) {
+  if (entity.online === online) {
+    return;
+  }
+  if (entity.born) {
+    delta[online ? 'offline' : 'online']--;
+  }
+  delta[online ? 'online' : 'offline']++;
+  entity.online = online;
+  entity.born = true;
+}
+
+/**
+ * Get (or create) the in-memory state of an edge node
+ * @param {string} key - `<group>/<edge_node>`
+ * @returns {Object} - Node state
+ */
+function getNodeState(key) {
+  let state = nodeStates.get(key);
+  if (!state) {
+    state = {
+      online: false,
+      born: false,
+      bdSeq: null,
+      seq: null,
+      rebirthRequired: false,
+      rebirths: 0,
+      sequenceErrors: 0,
+      birthTimestamp: null,
+      deathTimestamp: null,
+      lastSeen: null,
+      aliases: new Map(),
+      devices: new Map()
+    };
+    nodeStates.set(key, state);
+  }
+  return state;
+}
+
+/**
+ * Get (or create) the in-memory state of a device attached to an edge node
+ * @param {Object} nodeState - Edge-node state (see getNodeState())
+ * @param {string} deviceId - Device id
+ * @returns {Object} - Device state
+ */
+function getDeviceState(nodeState, deviceId) {
+  let state = nodeState.devices.get(deviceId);
+  if (!state) {
+    state = {
+      online: false,
+      born: false,
+      birthTimestamp: null,
+      deathTimestamp: null,
+      lastSeen: null,
+      aliases: new Map()
+    };
+    nodeState.devices.set(deviceId, state);
+  }
+  return state;
+}
+
+/**
+ * Record the metric names of a birth certificate so later data messages can use aliases
+ * @param {Map} aliases - Alias → metric name
+ * @param {Object[]} metrics - Decoded birth metrics
+ */
+function learnAliases(aliases, metrics) {
+  aliases.clear();
+  for (const metric of metrics) {
+    if (metric.alias !== null && metric.name) {
+      aliases.set(metric.alias, metric.name);
+    }
+  }
+}
+
+/**
+ * Convert a millisecond timestamp to ISO 8601
+ * @param {number|string|null} ms - Epoch milliseconds
+ * @param {string} fallback - Value used when ms is absent
+ * @returns {string} - ISO timestamp
+ */
+function toIsoTime(ms, fallback) {
+  const time = Number(ms);
+  return ms === null || !Number.isFinite(time)
+    ? fallback
+    : new Date(time).toISOString();
+}
+
+/**
+ * Put a row into a state table, logging failures
+ * @param {Object|null} table - HarperDB table instance
+ * @param {Object} record - Row to write
+ */
+async function putState(table, record) {
+  if (!table) {
+    return;
+  }
+  try {
+    await table.put(record);
+  } catch (error) {
+    logger.error(
+      `[MQTT-Broker-Interop-Plugin:Sparkplug]: Failed to write state '${record.id}':`,
+      error
+    );
+  }
+}
+
+/**
+ * Process one Sparkplug B message and update the state tables
+ * @param {Object} message - Message data (topic, payload)
+ * @param {number} now - Current time in milliseconds (injectable for tests)
+ * @returns {Promise<Object|null>} - Outcome for metrics, or null if the topic is not Sparkplug B:
+ *   { messageType, nodes: {online, offline}, devices: {online, offline} (deltas),
+ *     rebirth, sequenceError, rebirthRequired, stale, invalid }
+ */
+export async function handleSparkplugMessage(message, now = Date.now()) {
+  const parsed = parseSparkplugTopic(message.topic);
+  if (!parsed) {
+    return null;
+  }
+
+  const {
+    group_id: group,
+    message_type: messageType,
+    edge_node_id: edgeNode,
+    device_id: device
+  } = parsed;
+  const outcome = {
+    messageType,
+    nodes: { online: 0, offline: 0 },
+    devices: { online: 0, offline: 0 },
+    rebirth: false,
+    sequenceError: false,
+    rebirthRequired: false,
+    stale: false,
+    invalid: false
+  };
+
+  let payload;
+  try {
+    const { payload: raw } = message;
+    payload = decodeSparkplugPayload(
+      typeof raw === 'string' ? Buffer.from(raw, 'base64') : raw
+    );
+  } catch (error) {
+    logger.warn(
+      `[MQTT-Broker-Interop-Plugin:Sparkplug]: Invalid Sparkplug B payload on '${message.topic}': ${error.message}`
+    );
+    outcome.invalid = true;
+    return outcome;
+  }
+
+  // Commands are sent to nodes by host applications and do not change node state
+  if (messageType === 'NCMD' || messageType === 'DCMD') {
+    return outcome;
+  }
+
+  const nodeKey = `${group}/${edgeNode}`;
+  const state = getNodeState(nodeKey);
+  const nowIso = new Date(now).toISOString();
+  const bdSeq =
+    payload.metrics.find((metric) => metric.name === BD_SEQ_METRIC)?.value ??
+    null;
+
+  // Devices whose rows need rewriting (taken offline, or addressed by this message)
+  const changedDevices = new Set();
+  const takeDevicesOffline = () => {
+    for (const [deviceId, deviceState] of state.devices) {
+      if (deviceState.online) {
+        setOnline(deviceState, false, outcome.devices);
+        deviceState.deathTimestamp = nowIso;
+        changedDevices.add(deviceId);
+      }
+    }
+  };
+
+  if (messageType === 'NBIRTH') {
+    if (state.online) {
+      outcome.rebirth = true;
+      state.rebirths++;
+      // A rebirth invalidates all device births of the previous session
+      takeDevicesOffline();
+    }
+    setOnline(state, true, outcome.nodes);
+    state.bdSeq = bdSeq;
+    state.seq = payload.seq;
+    state.rebirthRequired = false;
+    state.birthTimestamp = toIsoTime(payload.timestamp, nowIso);
+    learnAliases(state.aliases, payload.metrics);
+  } else if (messageType === 'NDEATH') {
+    if (!state.online || (state.bdSeq !== null && bdSeq !== state.bdSeq)) {
+      // Death certificate of an earlier session (or of a node never seen alive)
+      outcome.stale = true;
+      logger.debug(
+        `[MQTT-Broker-Interop-Plugin:Sparkplug]: Ignoring stale NDEATH for ${nodeKey} (bdSeq ${bdSeq}, current ${state.bdSeq})`
+      );
+      return outcome;
+    }
+    setOnline(state, false, outcome.nodes);
+    state.deathTimestamp = toIsoTime(payload.timestamp, nowIso);
+    takeDevicesOffline();
+  } else {
+    // DBIRTH, DDEATH, NDATA, DDATA: seq continues from the previous message
+    if (!state.online) {
+      state.rebirthRequired = true;
+    } else if (payload.seq !== (state.seq + 1) % SEQ_MODULUS) {
+      outcome.sequenceError = true;
+      state.sequenceErrors++;
+      state.rebirthRequired = true;
+      logger.warn(
+        `[MQTT-Broker-Interop-Plugin:Sparkplug]: seq gap for ${nodeKey} - expected ${(state.seq + 1) % SEQ_MODULUS}, got ${payload.seq}`
+      );
+    }
+    state.seq = payload.seq;
+  }
+  state.lastSeen = nowIso;
+  outcome.rebirthRequired = state.rebirthRequired;
+
+  // Device birth/death
+  let deviceState = null;
+  if (device) {
+    deviceState = getDeviceState(state, device);
+    if (messageType === 'DBIRTH') {
+      setOnline(deviceState, true, outcome.devices);
+      deviceState.birthTimestamp = toIsoTime(payload.timestamp, nowIso);
+      learnAliases(deviceState.aliases, payload.metrics);
+    } else if (messageType === 'DDEATH') {
+      setOnline(deviceState, false, outcome.devices);
+      deviceState.deathTimestamp = toIsoTime(payload.timestamp, nowIso);
+    }
+    deviceState.lastSeen = nowIso;
+    changedDevices.add(device);
+  }
+
+  await putState(stateTables.nodes, {
+    id: nodeKey,
+    group_id: group,
+    edge_node_id: edgeNode,
+    online: state.online,
+    bd_seq: state.bdSeq,
+    seq: state.seq,
+    rebirth_required: state.rebirthRequired,
+    rebirths: state.rebirths,
+    sequence_errors: state.sequenceErrors,
+    birth_timestamp: state.birthTimestamp,
+    death_timestamp: state.deathTimestamp,
+    last_seen: state.lastSeen
+  });
+  for (const deviceId of changedDevices) {
+    const changed = state.devices.get(deviceId);
+    await putState(stateTables.devices, {
+      id: `${nodeKey}/${deviceId}`,
+      group_id: group,
+      edge_node_id: edgeNode,
+      device_id: deviceId,
+      online: changed.online,
+      birth_timestamp: changed.birthTimestamp,
+      death_timestamp: changed.deathTimestamp,
+      last_seen: changed.lastSeen
+    });
+  }
+
+  // Latest metric values from births and data messages
+  if (messageType !== 'NDEATH' && messageType !== 'DDEATH') {
+    const aliases = device ? deviceState.aliases : state.aliases;
+    const owner = device ? `${nodeKey}/${device}` : nodeKey;
+    for (const metric of payload.metrics) {
+      const name = metric.name ?? aliases.get(metric.alias);
+      if (!name) {
+        logger.debug(
+          `[MQTT-Broker-Interop-Plugin:Sparkplug]: Unknown alias ${metric.alias} for ${owner}`
+        );
+        continue;
+      }
+      await putState(stateTables.metrics, {
+        id: `${owner}:${name}`,
+        group_id: group,
+        edge_node_id: edgeNode,
+        device_id: device,
+        name,
+        alias: metric.alias,
+        datatype: metric.datatype,
+        value: metric.value,
+        timestamp: toIsoTime(metric.timestamp ?? payload.timestamp, nowIso)
+      });
+    }
+  }
+
+  logger.debug(
+    `[MQTT-Broker-Interop-Plugin:Sparkplug]: ${messageType} ${device ? `${nodeKey}/${device}` : nodeKey} - online: ${state.online}, seq: ${state.seq}`
+  );
+  return outcome;
+}
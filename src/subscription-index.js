@@ -0,0 +1,180 @@
+/**
+ * Subscription Index
+ * Which topic filters each session is subscribed to. MQTT subscribe and
+ * unsubscribe events are not idempotent (a client may re-subscribe a filter it
+ * already has, or disconnect without unsubscribing), so subscription counts are
+ * changed only when the index reports that a subscription was really added or
+ * removed. Each worker thread indexes the sessions of its own connections.
+ */
+
+import { topicMatches } from './topic-filter.js';
+
+export class SubscriptionIndex {
+  constructor() {
+    // Client id → Map of topic filter → { qos, username, subscribedAt }
+    this.bySession = new Map();
+    // Topic filter → Set of client ids
+    this.byFilter = new Map();
+  }
+
+  /**
+   * Record a subscription
+   * A repeated subscription replaces the details of the existing one.
+   * @param {string} clientId - MQTT client id
+   * @param {string} filter - Topic filter
+   * @param {Object} details - { qos, username, subscribedAt } of the SUBSCRIBE
+   * @returns {boolean} - False if the session already had this subscription
+   */
+  add(clientId, filter, details = {}) {
+    let filters = this.bySession.get(clientId);
+    const exists = filters?.has(filter) ?? false;
+    if (!filters) {
+      filters = new Map();
+      this.bySession.set(clientId, filters);
+    }
+    filters.set(filter, details);
+    if (exists) {
+      return false;
+    }
+
+    if (!this.byFilter.has(filter)) {
+      this.byFilter.set(filter, new Set());
+    }
+    this.byFilter.get(filter).add(clientId);
+    return true;
+  }
+
+  /**
+   * Remove a subscription
+   * @param {string} clientId - MQTT client id
+   * @param {string} filter - Topic filter
+   * @returns {boolean} - False if the session did not have this subscription
+   */
+  remove(clientId, filter) {
+    const filters = this.bySession.get(clientId);
+    if (!filters?.delete(filter)) {
+      return false;
+    }
+    if (filters.size === 0) {
+      this.bySession.delete(clientId);
+    }
+
+    const sessions = this.byFilter.get(filter);
+    sessions.delete(clientId);
+    if (sessions.size === 0) {
+      this.byFilter.delete(filter);
+    }
+    return true;
+  }
+
+  /**
+   * Remove every subscription of a session
+   * @param {string} clientId - MQTT client id
+   * @returns {string[]} - The removed topic filters
+   */
+  removeSession(clientId) {
+    const filters = this.filters(clientId);
+    for (const filter of filters) {
+      this.remove(clientId, filter);
+    }
+    return filters;
+  }
+
+  /**
+   * List the filters a session is subscribed to
+   * @param {string} clientId - MQTT client id
+   * @returns {string[]} - Topic filters
+   */
+  filters(clientId) {
+    return Array.from(this.bySession.get(clientId)?.keys() ?? []);
+  }
+
+  /**
+   * List the sessions subscribed to a filter
+   * @param {string} filter - Topic filter
+   * @returns {string[]} - Client ids
+   */
+  sessions(filter) {
+    return Array.from(this.byFilter.get(filter) ?? []);
+  }
+
+  /**
+   * Count the sessions subscribed to a filter
+   * @param {string} filter - Topic filter
+   * @returns {number} - Subscriber count
+   */
+  count(filter) {
+    return this.byFilter.get(filter)?.size ?? 0;
+  }
+
+  /**
+   * List every subscription with its details
+   * @returns {Object[]} - { client_id, username, filter, qos, subscribed_at }
+   */
+  list() {
+    const subscriptions = [];
+    for (const [clientId, filters] of this.bySession) {
+      for (const [filter, details] of filters) {
+        subscriptions.push({
+          client_id: clientId,
+          username: details.username ?? null,
+          filter,
+          qos: details.qos ?? 0,
+          subscribed_at: details.subscribedAt ?? null
+        });
+      }
+    }
+    return subscriptions;
+  }
+
+  clear() {
+    this.bySession.clear();
+    this.byFilter.clear();
+  }
+}
+
+/**
+ * Select subscriptions by client and/or topic filter
+ * @param {Object[]} subscriptions - Subscriptions (see SubscriptionIndex.list())
+ * @param {Object} query
+ * @param {string} query.clientId - Only this client's subscriptions
+ * @param {string} query.filter - Only subscriptions to exactly this filter
+ * @returns {Object[]} - Matching subscriptions
+ */
+export function selectSubscriptions(subscriptions, { clientId, filter } = {}) {
+  return subscriptions.filter(
+    (subscription) =>
+      (clientId === undefined || subscription.client_id === clientId) &&
+      (filter === undefined || subscription.filter === filter)
+  );
+}
+
+/**
+ * Find the sessions a publish on a topic would be delivered to
+ * A session with several matching filters receives the message at the highest
+ * QoS they were granted.
+ * @param {Object[]} subscriptions - Subscriptions (see SubscriptionIndex.list())
+ * @param {string} topic - Topic name
+ * @returns {Object[]} - { client_id, username, qos, filters } per receiving session
+ */
+export function matchSessions(subscriptions, topic) {
+  const sessions = new Map();
+  for (const subscription of subscriptions) {
+    if (!topicMatches(subscription.filter, topic)) {
+      continue;
+    }
+    let session = sessions.get(subscription.client_id);
+    if (!session) {
+      session = {
+        client_id: subscription.client_id,
+        username: subscription.username,
+        qos: 0,
+        filters: []
+      };
+      sessions.set(subscription.client_id, session);
+    }
+    session.qos = Math.max(session.qos, subscription.qos);
+    session.filters.push(subscription.filter);
+  }
+  return Array.from(sessions.values());
+}
@@ -0,0 +1,93 @@
+/**
+ * $SYS Export
+ * mqtt_sys_metrics is exported at `$SYS` so MQTT clients (and REST requests)
+ * can read the stored $SYS topics. This module replaces that export with a
+ * subclass of the table that applies the topic ACL's admin-only rule for
+ * $SYS/#, like the SYS resource does:
+ *
+ * - allowRead() denies reads (GET, search, subscribe) to non-admin users
+ * - subscribe() refuses non-admin subscriptions, counting the denial
+ */
+
+import { assertSubscribeAllowed, metrics } from './mqtt.js';
+import { isAclAdmin } from './acl.js';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+// Path mqtt_sys_metrics is exported at (see schema.graphql)
+export const SYS_EXPORT_PATH = '$SYS';
+
+/**
+ * Create the resource served at `$SYS` in place of the mqtt_sys_metrics export
+ * @param {Function} SysMetricsTable - mqtt_sys_metrics table class
+ * @returns {Function} - Resource class extending the table
+ */
+export function createSysMetricsResource(SysMetricsTable) {
+  return class SysMetricsResource extends SysMetricsTable {
+    /**
+     * Read access: admins only when the topic ACL is enabled
+     * @param {Object} user - Authenticated Harper user
+     * @param {Object} target - Requested target
+     * @param {Object} context - Harper request context
+     * @returns {boolean|Promise<boolean>} - Whether the user may read
+     */
+    allowRead(user, target, context) {
+      if (!isAclAdmin(user?.username)) {
+        return false;
+      }
+      return super.allowRead(user, target, context);
+    }
+
+    /**
+     * Subscription: refused for non-admin users when the topic ACL is enabled
+     * @param {Object} request - Subscription request
+     * @param {Object} context - Harper request context
+     * @returns {Promise<AsyncIterable>} - Subscription events
+     * @throws {Error} With statusCode 403 if the subscription is denied
+     */
+    async subscribe(request, context) {
+      const id = this.getId?.();
+      const topic =
+        id === undefined || id === null || id === ''
+          ? `${SYS_EXPORT_PATH}/#`
+          : `${SYS_EXPORT_PATH}/${id}`;
+      const { session, user } = context ?? request ?? {};
+      const clientId = session?.sessionId ?? null;
+      assertSubscribeAllowed(
+        clientId,
+        topic,
+        user?.username ?? metrics.perClient.get(clientId)?.username ?? null
+      );
+      const events = await super.subscribe(request, context);
+      return events;
+    }
+  };
+}
+
+/**
+ * Serve `$SYS` with the guarded resource
+ * @param {Object} harperServer - Harper server (server.resources)
+ * @param {Function} SysMetricsTable - mqtt_sys_metrics table class
+ * @returns {boolean} - True if the resource was registered
+ */
+export function registerSysMetricsResource(harperServer, SysMetricsTable) {
+  if (!SysMetricsTable || typeof harperServer?.resources?.set !== 'function') {
+    logger.warn(
+      '[MQTT-Broker-Interop-Plugin:SysExport]: mqtt_sys_metrics or server.resources not available - the $SYS export is not restricted to admins'
+    );
+    return false;
+  }
+  // Replaces the schema's @export(name: "$SYS") of the same table
+  harperServer.resources.set(
+    SYS_EXPORT_PATH,
+    createSysMetricsResource(SysMetricsTable),
+    undefined,
+    true
+  );
+  logger.info(
+    `[MQTT-Broker-Interop-Plugin:SysExport]: Admin-only $SYS export registered at '${SYS_EXPORT_PATH}'`
+  );
+  return true;
+}
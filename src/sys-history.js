@@ -0,0 +1,217 @@
+/**
+ * $SYS Metric History
+ * Records sampled values of the broker-wide $SYS metrics in the mqtt_sys_history
+ * table and answers time-range queries, so broker load can be charted without
+ * an external time-series database.
+ */
+
+import { isAbsent, parseQueryTime, queryError } from './query-params.js';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+// Default history options (see the `history` plugin option)
+export const DEFAULT_HISTORY_OPTIONS = {
+  enabled: true,
+  interval: 60, // seconds between recorded samples
+  retention: 24 * 60 * 60 // seconds samples are kept
+};
+
+// Query window used when a query gives no `from`
+const DEFAULT_QUERY_WINDOW_MS = 60 * 60 * 1000;
+
+// History table reference and options (set during plugin initialization)
+let historyTable = null;
+let historyOptions = { ...DEFAULT_HISTORY_OPTIONS };
+
+// Time of the last recorded sample, used to downsample metric ticks
+let lastSampleAt = 0;
+
+// In-flight prune, so slow deletes never overlap
+let pruning = null;
+
+/**
+ * Set the history table reference and options
+ * @param {Object|null} table - HarperDB table instance (mqtt_sys_history), or null to disable
+ * @param {Object} options - History options ({ enabled, interval, retention })
+ */
+export function setSysHistoryTable(table, options = {}) {
+  historyOptions = { ...DEFAULT_HISTORY_OPTIONS, ...options };
+  historyTable = historyOptions.enabled ? table : null;
+  lastSampleAt = 0;
+  logger.info(
+    `[MQTT-Broker-Interop-Plugin:SysHistory]: $SYS history ${historyTable ? `recording every ${historyOptions.interval}s, retained for ${historyOptions.retention}s` : 'disabled'}`
+  );
+}
+
+/**
+ * Record one sample per metric, if the sampling interval has elapsed
+ * Called on every metrics tick; ticks falling inside the interval are skipped.
+ * @param {Object} values - Numeric metric values keyed by full $SYS topic
+ * @param {number} now - Current time in milliseconds (injectable for tests)
+ * @returns {number} - Number of samples written
+ */
+export function recordSysHistory(values, now = Date.now()) {
+  if (!historyTable || now - lastSampleAt < historyOptions.interval * 1000) {
+    return 0;
+  }
+  lastSampleAt = now;
+
+  const timestamp = new Date(now).toISOString();
+  let written = 0;
+  for (const [topic, value] of Object.entries(values)) {
+    try {
+      historyTable.put({
+        id: `${topic.substring(5)}@${timestamp}`,
+        topic,
+        value,
+        timestamp
+      });
+      written++;
+    } catch (error) {
+      logger.error(
+        `[MQTT-Broker-Interop-Plugin:SysHistory]: Failed to record '${topic}':`,
+        error
+      );
+    }
+  }
+  logger.trace(
+    `[MQTT-Broker-Interop-Plugin:SysHistory]: Recorded ${written} samples at ${timestamp}`
+  );
+
+  pruning ??= pruneSysHistory(now)
+    .catch((error) => {
+      logger.error(
+        '[MQTT-Broker-Interop-Plugin:SysHistory]: Failed to prune history:',
+        error
+      );
+    })
+    .finally(() => {
+      pruning = null;
+    });
+  return written;
+}
+
+/**
+ * Delete samples older than the retention period
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<number>} - Number of samples deleted
+ */
+export async function pruneSysHistory(now = Date.now()) {
+  if (!historyTable) {
+    return 0;
+  }
+
+  const cutoff = new Date(now - historyOptions.retention * 1000).toISOString();
+  let deleted = 0;
+  for await (const row of historyTable.search({
+    conditions: [
+      { attribute: 'timestamp', comparator: 'less_than', value: cutoff }
+    ]
+  })) {
+    await historyTable.delete(row.id);
+    deleted++;
+  }
+  if (deleted > 0) {
+    logger.debug(
+      `[MQTT-Broker-Interop-Plugin:SysHistory]: Pruned ${deleted} samples older than ${cutoff}`
+    );
+  }
+  return deleted;
+}
+
+/**
+ * Average samples into fixed-width time buckets
+ * @param {Array<{timestamp: string, value: number}>} samples - Samples in time order
+ * @param {number} stepMs - Bucket width in milliseconds
+ * @param {number} fromMs - Start of the first bucket
+ * @returns {Array<Object>} - One { timestamp, value, min, max, count } per non-empty bucket
+ */
+export function downsampleSamples(samples, stepMs, fromMs) {
+  const buckets = new Map();
+  for (const sample of samples) {
+    const time = Date.parse(sample.timestamp);
+    const start = fromMs + Math.floor((time - fromMs) / stepMs) * stepMs;
+    const bucket = buckets.get(start);
+    if (bucket) {
+      bucket.sum += sample.value;
+      bucket.min = Math.min(bucket.min, sample.value);
+      bucket.max = Math.max(bucket.max, sample.value);
+      bucket.count++;
+    } else {
+      buckets.set(start, {
+        sum: sample.value,
+        min: sample.value,
+        max: sample.value,
+        count: 1
+      });
+    }
+  }
+  return Array.from(buckets, ([start, { sum, min, max, count }]) => ({
+    timestamp: new Date(start).toISOString(),
+    value: sum / count,
+    min,
+    max,
+    count
+  }));
+}
+
+/**
+ * Query recorded samples of one metric over a time window
+ * @param {Object} query - Query parameters
+ * @param {string} query.topic - Full $SYS topic (e.g. $SYS/broker/load/connections/1min)
+ * @param {string|number} query.from - Window start (default: one hour before `to`)
+ * @param {string|number} query.to - Window end (default: now)
+ * @param {string|number} query.step - Optional bucket width in seconds for downsampling
+ * @param {number} now - Current time in milliseconds (injectable for tests)
+ * @returns {Promise<Object>} - { topic, from, to, step, count, samples }
+ * @throws {Error} With statusCode 400 for invalid parameters
+ */
+export async function querySysHistory(
+  { topic, from, to, step },
+  now = Date.now()
+) {
+  if (!topic || !topic.startsWith('$SYS/')) {
+    throw queryError("'topic' must be a $SYS topic");
+  }
+  const toMs = parseQueryTime(to, now, 'to');
+  const fromMs = parseQueryTime(from, toMs - DEFAULT_QUERY_WINDOW_MS, 'from');
+  if (fromMs > toMs) {
+    throw queryError("'from' must not be later than 'to'");
+  }
+  const stepSeconds = isAbsent(step) ? null : Number(step);
+  if (stepSeconds !== null && !(stepSeconds > 0)) {
+    throw queryError("'step' must be a positive number of seconds");
+  }
+
+  const samples = [];
+  if (historyTable) {
+    for await (const row of historyTable.search({
+      conditions: [
+        { attribute: 'topic', value: topic },
+        {
+          attribute: 'timestamp',
+          comparator: 'between',
+          value: [new Date(fromMs).toISOString(), new Date(toMs).toISOString()]
+        }
+      ]
+    })) {
+      samples.push({ timestamp: row.timestamp, value: Number(row.value) });
+    }
+  }
+  samples.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  const result =
+    stepSeconds === null
+      ? samples
+      : downsampleSamples(samples, stepSeconds * 1000, fromMs);
+  return {
+    topic,
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    step: stepSeconds,
+    count: result.length,
+    samples: result
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * $SYS Compatibility Profiles
+ * Publishes the plugin's $SYS/broker metrics under the topic layouts other
+ * brokers use, so dashboards built for them work unchanged. The native
+ * $SYS/broker tree is always published (metric history and restart counters
+ * are keyed by it); each profile adds aliases resolved from the same metrics.
+ *
+ *   sys_topics:
+ *     profiles: ["mosquitto", "emqx"]
+ *     node: "harper@plant-1" # {node} in per-node topics (default: harper@<hostname>)
+ */
+
+import { hostname } from 'node:os';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+/**
+ * Profile topic → native $SYS topic, or a function of the node name for values
+ * that have no native topic. `{node}` is replaced by the configured node name.
+ */
+const PROFILE_TOPICS = {
+  // Mosquitto: names used by older releases and deprecated client counts
+  mosquitto: {
+    '$SYS/broker/heap/current size': '$SYS/broker/heap/current',
+    '$SYS/broker/heap/maximum size': '$SYS/broker/heap/maximum',
+    '$SYS/broker/clients/active': '$SYS/broker/clients/connected',
+    '$SYS/broker/clients/inactive': '$SYS/broker/clients/disconnected'
+  },
+
+  // EMQX: one subtree per node under $SYS/brokers
+  emqx: {
+    '$SYS/brokers': (node) => node,
+    '$SYS/brokers/{node}/version': '$SYS/broker/version',
+    '$SYS/brokers/{node}/uptime': '$SYS/broker/uptime',
+    '$SYS/brokers/{node}/datetime': '$SYS/broker/timestamp',
+    '$SYS/brokers/{node}/sysdescr': () => 'HarperDB MQTT Broker',
+    '$SYS/brokers/{node}/stats/connections/count':
+      '$SYS/broker/clients/connected',
+    '$SYS/brokers/{node}/stats/connections/max': '$SYS/broker/clients/maximum',
+    '$SYS/brokers/{node}/stats/sessions/count': '$SYS/broker/clients/total',
+    '$SYS/brokers/{node}/stats/subscriptions/count':
+      '$SYS/broker/subscriptions/count',
+    '$SYS/brokers/{node}/stats/retained/count':
+      '$SYS/broker/retained messages/count',
+    '$SYS/brokers/{node}/metrics/bytes/received': '$SYS/broker/bytes/received',
+    '$SYS/brokers/{node}/metrics/bytes/sent': '$SYS/broker/bytes/sent',
+    '$SYS/brokers/{node}/metrics/messages/received':
+      '$SYS/broker/messages/received',
+    '$SYS/brokers/{node}/metrics/messages/sent': '$SYS/broker/messages/sent',
+    '$SYS/brokers/{node}/metrics/messages/dropped':
+      '$SYS/broker/publish/messages/dropped',
+    '$SYS/brokers/{node}/metrics/messages/retained':
+      '$SYS/broker/retained messages/count',
+    '$SYS/brokers/{node}/metrics/packets/publish/received':
+      '$SYS/broker/publish/messages/received',
+    '$SYS/brokers/{node}/metrics/packets/publish/sent':
+      '$SYS/broker/publish/messages/sent'
+  },
+
+  // HiveMQ $SYS topic extension: publish and retained counts under messages/
+  hivemq: {
+    '$SYS/broker/messages/publish/received':
+      '$SYS/broker/publish/messages/received',
+    '$SYS/broker/messages/publish/sent': '$SYS/broker/publish/messages/sent',
+    '$SYS/broker/messages/publish/dropped':
+      '$SYS/broker/publish/messages/dropped',
+    '$SYS/broker/messages/retained/count': '$SYS/broker/retained messages/count'
+  }
+};
+
+export const SYS_PROFILES = Object.keys(PROFILE_TOPICS);
+
+// Profiles enabled when sys_topics is not configured (keeps the Mosquitto aliases)
+export const DEFAULT_SYS_PROFILES = ['mosquitto'];
+
+// Compiled aliases: profile topic → { native } or { value }
+let aliases = new Map();
+// Native topic → profile topics, for change notifications
+let aliasesByNative = new Map();
+
+/**
+ * Default node name for per-node topics
+ * @returns {string} - harper@<hostname>, with MQTT-reserved characters replaced
+ */
+function defaultNodeName() {
+  return `harper@${hostname().replace(/[/+#]/g, '_')}`;
+}
+
+/**
+ * Validate and compile the `sys_topics` config section
+ * @param {Object|undefined} config - Raw config ({ profiles, node })
+ * @returns {Object} - Compiled { profiles, node }
+ * @throws {Error} If a profile is unknown or the node name is not a topic level
+ */
+export function compileSysTopics(config) {
+  if (config === undefined || config === null) {
+    return { profiles: [...DEFAULT_SYS_PROFILES], node: defaultNodeName() };
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('sys_topics must be an object with profiles and/or node');
+  }
+
+  const profiles =
+    typeof config.profiles === 'string'
+      ? [config.profiles]
+      : (config.profiles ?? DEFAULT_SYS_PROFILES);
+  if (!Array.isArray(profiles)) {
+    throw new Error('sys_topics.profiles must be a list of profile names');
+  }
+  for (const profile of profiles) {
+    if (!SYS_PROFILES.includes(profile)) {
+      throw new Error(
+        `sys_topics.profiles must contain only ${SYS_PROFILES.join(', ')}, got: ${profile}`
+      );
+    }
+  }
+
+  const node = config.node ?? defaultNodeName();
+  if (typeof node !== 'string' || !node || /[/+#]/.test(node)) {
+    throw new Error(
+      `sys_topics.node must be a non-empty name without '/', '+' or '#', got: ${config.node}`
+    );
+  }
+  return { profiles: [...new Set(profiles)], node };
+}
+
+/**
+ * Build the alias lookups of the given profiles
+ * @param {Object} compiled - Compiled { profiles, node } from compileSysTopics()
+ */
+function buildAliases(compiled) {
+  aliases = new Map();
+  aliasesByNative = new Map();
+  for (const profile of compiled.profiles) {
+    for (const [template, source] of Object.entries(PROFILE_TOPICS[profile])) {
+      const topic = template.replaceAll('{node}', compiled.node);
+      if (typeof source === 'function') {
+        aliases.set(topic, { value: source(compiled.node) });
+        continue;
+      }
+      aliases.set(topic, { native: source });
+      if (!aliasesByNative.has(source)) {
+        aliasesByNative.set(source, []);
+      }
+      aliasesByNative.get(source).push(topic);
+    }
+  }
+}
+
+/**
+ * Enable the aliases of the given profiles
+ * @param {Object} compiled - Compiled { profiles, node } from compileSysTopics()
+ */
+export function setSysTopicProfiles(compiled) {
+  buildAliases(compiled);
+  logger.info(
+    `[MQTT-Broker-Interop-Plugin:SysProfiles]: $SYS profiles: ${compiled.profiles.join(', ') || '(none)'} - ${aliases.size} alias topic(s), node: ${compiled.node}`
+  );
+}
+
+/**
+ * List the alias topics of the enabled profiles
+ * @returns {string[]} - $SYS topic paths
+ */
+export function listProfileSysTopics() {
+  return Array.from(aliases.keys());
+}
+
+/**
+ * Look up an alias topic
+ * @param {string} topic - $SYS topic path
+ * @returns {Object|null} - { native } to read a native topic, { value } for a
+ *   constant, or null if the topic is not an alias
+ */
+export function resolveProfileTopic(topic) {
+  return aliases.get(topic) ?? null;
+}
+
+/**
+ * Add the alias topics of changed native topics
+ * @param {string[]} topics - Changed native $SYS topics
+ * @returns {string[]} - The topics followed by their aliases
+ */
+export function withProfileAliases(topics) {
+  if (aliasesByNative.size === 0) {
+    return topics;
+  }
+  return topics.flatMap((topic) => [
+    topic,
+    ...(aliasesByNative.get(topic) ?? [])
+  ]);
+}
+
+// Default aliases are available before the plugin applies its configuration
+buildAliases(compileSysTopics());
@@ -0,0 +1,147 @@
+/**
+ * Cross-Thread Metric Aggregation
+ * Each Harper worker thread owns its own MqttMetrics singleton. Threads publish
+ * their counters to the mqtt_sys_thread_metrics table, and the merged totals are
+ * what get exposed as broker-wide $SYS topics.
+ */
+
+import { threadId } from 'node:worker_threads';
+
+// Access global server and logger
+const { server } = globalThis;
+const logger = server?.logger || console;
+
+// Metric sections that are merged across threads
+export const SNAPSHOT_SECTIONS = [
+  'clients',
+  'messages',
+  'bytes',
+  'store',
+  'subscriptions',
+  'retained',
+  'broker',
+  'sparkplug',
+  'bridges',
+  'acl',
+  'heap',
+  'load',
+  'histograms'
+];
+
+/**
+ * Whether this thread is responsible for writing broker-wide $SYS rows
+ * Harper numbers its worker threads from 0; outside Harper there is only one thread
+ * @returns {boolean} - True on the first worker thread
+ */
+export function isPrimaryThread() {
+  return (globalThis.server?.workerIndex ?? 0) === 0;
+}
+
+/**
+ * Get the id this thread publishes its snapshot under
+ * @returns {number} - Node.js thread id
+ */
+export function getThreadId() {
+  return threadId;
+}
+
+/**
+ * Recursively add numeric leaves of source into target
+ * @param {Object} target - Accumulator
+ * @param {Object} source - Values to add
+ */
+function sumInto(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (typeof value === 'number') {
+      target[key] = (target[key] ?? 0) + value;
+    } else if (value && typeof value === 'object') {
+      target[key] ??= {};
+      sumInto(target[key], value);
+    }
+  }
+}
+
+/**
+ * Merge per-thread snapshots into broker-wide totals
+ * Counters, gauges and load windows are summed; peaks take the maximum of the
+ * per-thread peaks, the merged current value and the previous merged peak.
+ * @param {Object[]} snapshots - Per-thread snapshots (see MqttMetrics.snapshot())
+ * @param {Object|null} previous - Previous merged result, to keep peaks monotonic
+ * @returns {Object} - Merged metrics with the same shape as MqttMetrics
+ */
+export function mergeSnapshots(snapshots, previous = null) {
+  const merged = { threads: snapshots.length };
+  for (const section of SNAPSHOT_SECTIONS) {
+    merged[section] = {};
+  }
+
+  let startTime = null;
+  let maxClients = 0;
+  let maxHeap = 0;
+  for (const snapshot of snapshots) {
+    for (const section of SNAPSHOT_SECTIONS) {
+      sumInto(merged[section], snapshot[section]);
+    }
+    const threadStart = new Date(snapshot.startTime);
+    if (!startTime || threadStart < startTime) {
+      startTime = threadStart;
+    }
+    maxClients = Math.max(maxClients, snapshot.clients?.maximum ?? 0);
+    maxHeap = Math.max(maxHeap, snapshot.heap?.maximum ?? 0);
+  }
+
+  merged.startTime = startTime || new Date();
+  merged.clients.maximum = Math.max(
+    maxClients,
+    merged.clients.connected ?? 0,
+    previous?.clients?.maximum ?? 0
+  );
+  merged.heap.maximum = Math.max(
+    maxHeap,
+    merged.heap.current ?? 0,
+    previous?.heap?.maximum ?? 0
+  );
+  return merged;
+}
+
+/**
+ * Publish this thread's snapshot to the thread metrics table
+ * @param {Object} table - HarperDB table instance (mqtt_sys_thread_metrics)
+ * @param {Object} snapshot - Snapshot from MqttMetrics.snapshot()
+ */
+export async function publishThreadSnapshot(table, snapshot) {
+  await table.put({
+    id: String(snapshot.threadId),
+    thread_id: snapshot.threadId,
+    snapshot: JSON.stringify(snapshot),
+    timestamp: new Date().toISOString()
+  });
+  logger.trace(
+    `[MQTT-Broker-Interop-Plugin:ThreadMetrics]: Published snapshot for thread ${snapshot.threadId}`
+  );
+}
+
+/**
+ * Read the snapshots of all live threads
+ * Threads that have not published within maxAgeMs (exited or restarted) are ignored
+ * @param {Object} table - HarperDB table instance (mqtt_sys_thread_metrics)
+ * @param {number} maxAgeMs - Maximum snapshot age in milliseconds
+ * @returns {Promise<Object[]>} - Parsed snapshots
+ */
+export async function readThreadSnapshots(table, maxAgeMs) {
+  const now = Date.now();
+  const snapshots = [];
+  for await (const row of table.search()) {
+    if (now - Date.parse(row.timestamp) > maxAgeMs) {
+      continue;
+    }
+    try {
+      snapshots.push(JSON.parse(row.snapshot));
+    } catch (error) {
+      logger.warn(
+        `[MQTT-Broker-Interop-Plugin:ThreadMetrics]: Ignoring unreadable snapshot for thread ${row.id}: ${error.message}`
+      );
+    }
+  }
+  return snapshots;
+}
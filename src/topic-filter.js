@@ -0,0 +1,133 @@
+/**
+ * MQTT Topic Filters
+ * Topic filter validation and matching per MQTT 3.1.1 §4.7
+ */
+
+const SINGLE_LEVEL_WILDCARD = '+';
+const MULTI_LEVEL_WILDCARD = '#';
+const LEVEL_SEPARATOR = '/';
+
+/**
+ * Check whether a string contains MQTT wildcard characters
+ * @param {string} topic - Topic name or filter
+ * @returns {boolean} - True if the string contains '+' or '#'
+ */
+export function hasWildcard(topic) {
+  return (
+    topic.includes(SINGLE_LEVEL_WILDCARD) ||
+    topic.includes(MULTI_LEVEL_WILDCARD)
+  );
+}
+
+/**
+ * Validate a topic filter
+ * @param {string} filter - Topic filter (may contain wildcards)
+ * @returns {string|null} - Reason the filter is malformed, or null if it is valid
+ */
+export function validateTopicFilter(filter) {
+  if (typeof filter !== 'string' || filter.length === 0) {
+    return 'topic filter must be a non-empty string';
+  }
+  if (filter.includes('\u0000')) {
+    return 'topic filter must not contain the null character';
+  }
+
+  const levels = filter.split(LEVEL_SEPARATOR);
+  for (let i = 0; i < levels.length; i++) {
+    const level = levels[i];
+    if (level.includes(MULTI_LEVEL_WILDCARD)) {
+      if (level !== MULTI_LEVEL_WILDCARD) {
+        return "'#' must occupy an entire topic level";
+      }
+      if (i !== levels.length - 1) {
+        return "'#' must be the last character of the topic filter";
+      }
+    }
+    if (
+      level.includes(SINGLE_LEVEL_WILDCARD) &&
+      level !== SINGLE_LEVEL_WILDCARD
+    ) {
+      return "'+' must occupy an entire topic level";
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a topic name (as used in PUBLISH)
+ * @param {string} topic - Topic name
+ * @returns {string|null} - Reason the topic name is malformed, or null if it is valid
+ */
+export function validateTopicName(topic) {
+  if (typeof topic !== 'string' || topic.length === 0) {
+    return 'topic name must be a non-empty string';
+  }
+  if (topic.includes('\u0000')) {
+    return 'topic name must not contain the null character';
+  }
+  if (hasWildcard(topic)) {
+    return 'topic name must not contain wildcard characters';
+  }
+  return null;
+}
+
+/**
+ * Throw if a topic filter is malformed
+ * @param {string} filter - Topic filter
+ * @throws {Error} With statusCode 400 if the filter is malformed
+ */
+export function assertValidTopicFilter(filter) {
+  const reason = validateTopicFilter(filter);
+  if (reason) {
+    const error = new Error(`Invalid topic filter '${filter}': ${reason}`);
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+/**
+ * Match a topic name against a topic filter, capturing wildcard levels
+ * Filters starting with a wildcard never match topics starting with '$' (§4.7.2)
+ * @param {string} filter - Valid topic filter
+ * @param {string} topic - Topic name
+ * @returns {string[]|null} - Topic levels matched by each '+', in order, or null if no match
+ */
+export function captureTopicLevels(filter, topic) {
+  if (
+    topic.startsWith('$') &&
+    (filter.startsWith(SINGLE_LEVEL_WILDCARD) ||
+      filter.startsWith(MULTI_LEVEL_WILDCARD))
+  ) {
+    return null;
+  }
+
+  const filterLevels = filter.split(LEVEL_SEPARATOR);
+  const topicLevels = topic.split(LEVEL_SEPARATOR);
+  const captures = [];
+  for (let i = 0; i < filterLevels.length; i++) {
+    const level = filterLevels[i];
+    // '#' also matches the parent level ("sport/#" matches "sport")
+    if (level === MULTI_LEVEL_WILDCARD) {
+      return captures;
+    }
+    if (i >= topicLevels.length) {
+      return null;
+    }
+    if (level === SINGLE_LEVEL_WILDCARD) {
+      captures.push(topicLevels[i]);
+    } else if (level !== topicLevels[i]) {
+      return null;
+    }
+  }
+  return filterLevels.length === topicLevels.length ? captures : null;
+}
+
+/**
+ * Check whether a topic name matches a topic filter
+ * @param {string} filter - Valid topic filter
+ * @param {string} topic - Topic name
+ * @returns {boolean} - True if the topic matches the filter
+ */
+export function topicMatches(filter, topic) {
+  return captureTopicLevels(filter, topic) !== null;
+}
@@ -0,0 +1,138 @@
+/**
+ * Topic Routing
+ * Declarative topic → database/table routing from the `routing:` config section.
+ * Rules are topic filters tried in order; `{n}` in a database or table name is
+ * replaced by the topic level matched by the filter's n-th '+' wildcard.
+ *
+ *   routing:
+ *     rules:
+ *       - filter: "+/+/sensors/#"
+ *         table: "mqtt_{1}_{2}_sensors"
+ *       - filter: "+/alarms/#"
+ *         database: "alarms"
+ *         table: "alarms_{1}"
+ *     default:
+ *       table: "mqtt_messages"
+ */
+
+import { captureTopicLevels, validateTopicFilter } from './topic-filter.js';
+
+// Database used when a rule does not name one
+export const DEFAULT_DATABASE = 'data';
+
+// Database/table name templates: identifier characters and {n} placeholders,
+// starting with a literal so substituted names are always valid identifiers
+const NAME_TEMPLATE = /^[A-Za-z_](?:[A-Za-z0-9_]|\{\d+\})*$/;
+const PLACEHOLDER = /\{(\d+)\}/g;
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Sanitize a topic level for use in a table name
+ * @param {string} level - Topic level
+ * @returns {string} - Lowercase level with invalid characters replaced by '_'
+ */
+export function sanitizeTableSegment(level) {
+  return level.toLowerCase().replace(/[^a-z0-9_]/g, '_');
+}
+
+/**
+ * Validate a database or table name template
+ * @param {any} template - Name template from config
+ * @param {number} wildcards - Number of '+' wildcards in the rule's filter
+ * @param {string} path - Config path, for error messages
+ * @throws {Error} If the template is malformed or references a missing wildcard
+ */
+function validateNameTemplate(template, wildcards, path) {
+  if (typeof template !== 'string' || !NAME_TEMPLATE.test(template)) {
+    throw new Error(
+      `${path} must start with a letter or '_' and contain only letters, digits, '_' and {n} placeholders, got: ${template}`
+    );
+  }
+  for (const [, index] of template.matchAll(PLACEHOLDER)) {
+    if (Number(index) < 1 || Number(index) > wildcards) {
+      throw new Error(
+        `${path} references {${index}} but the filter has ${wildcards} '+' wildcard(s)`
+      );
+    }
+  }
+}
+
+/**
+ * Validate and compile the `routing:` config section
+ * @param {Object|undefined} routing - Raw routing config ({ rules, default })
+ * @returns {Object|null} - Compiled { rules, default }, or null when routing is not configured
+ * @throws {Error} If a rule or the default is invalid
+ */
+export function compileRouting(routing) {
+  if (routing === undefined || routing === null) {
+    return null;
+  }
+  if (typeof routing !== 'object' || Array.isArray(routing)) {
+    throw new Error('routing must be an object with rules and/or default');
+  }
+
+  const rawRules = routing.rules ?? [];
+  if (!Array.isArray(rawRules)) {
+    throw new Error('routing.rules must be a list');
+  }
+
+  const rules = rawRules.map((rule, i) => {
+    const path = `routing.rules[${i}]`;
+    const reason = validateTopicFilter(rule?.filter);
+    if (reason) {
+      throw new Error(`${path}.filter is invalid: ${reason}`);
+    }
+    const wildcards = rule.filter
+      .split('/')
+      .filter((level) => level === '+').length;
+    const database = rule.database ?? DEFAULT_DATABASE;
+    validateNameTemplate(database, wildcards, `${path}.database`);
+    validateNameTemplate(rule.table, wildcards, `${path}.table`);
+    return { filter: rule.filter, database, table: rule.table };
+  });
+
+  let fallback = null;
+  if (routing.default !== undefined && routing.default !== null) {
+    const database = routing.default.database ?? DEFAULT_DATABASE;
+    for (const [key, name] of [
+      ['database', database],
+      ['table', routing.default.table]
+    ]) {
+      if (typeof name !== 'string' || !IDENTIFIER.test(name)) {
+        throw new Error(
+          `routing.default.${key} must be a valid identifier, got: ${name}`
+        );
+      }
+    }
+    fallback = { database, table: routing.default.table };
+  }
+
+  return { rules, default: fallback };
+}
+
+/**
+ * Route a topic to a database and table
+ * @param {Object|null} routing - Compiled routing (see compileRouting())
+ * @param {string} topic - Topic name
+ * @returns {Object|null} - { database, table }, or null if no rule matches and there is no default
+ */
+export function routeTopic(routing, topic) {
+  if (!routing || !topic) {
+    return routing?.default ?? null;
+  }
+
+  for (const rule of routing.rules) {
+    const captures = captureTopicLevels(rule.filter, topic);
+    if (captures) {
+      const substitute = (template) =>
+        template.replace(PLACEHOLDER, (_, index) =>
+          sanitizeTableSegment(captures[Number(index) - 1])
+        );
+      return {
+        database: substitute(rule.database),
+        table: substitute(rule.table)
+      };
+    }
+  }
+  return routing.default;
+}
@@ -0,0 +1,378 @@
+/**
+ * Tests for topic ACL parsing and enforcement
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import {
+  ACCESS,
+  checkAccess,
+  filterCovers,
+  filtersOverlap,
+  isAclAdmin,
+  parseAclFile,
+  rowsToAclRules,
+  setAcl
+} from '../src/acl.js';
+import { normalizeConfig } from '../src/config-loader.js';
+import {
+  admitPublish,
+  admitSubscribe,
+  metrics,
+  setupMqttMonitoring,
+  subscriptionIndex,
+  SysTopics
+} from '../src/mqtt.js';
+import { SysTopicsResource } from '../src/resources.js';
+import { createTopicsResource } from '../src/ingest.js';
+
+metrics.stopMetricsUpdates();
+
+const ACL_FILE = `
+# Anonymous clients
+topic read public/#
+
+user alice
+topic readwrite sensors/#
+topic deny sensors/secret/#
+
+user bob
+topic sensors/+/temperature
+
+clientid gateway-1
+topic write telemetry/#
+
+pattern readwrite users/%u/#
+pattern write devices/%c/status
+`;
+
+const read = (topic, username = null, clientId = 'c1') =>
+  checkAccess({ username, clientId, topic, access: ACCESS.READ }).allowed;
+const write = (topic, username = null, clientId = 'c1') =>
+  checkAccess({ username, clientId, topic, access: ACCESS.WRITE }).allowed;
+
+describe('ACL file parsing', () => {
+  it('should parse user, clientid, topic and pattern lines', () => {
+    const rules = parseAclFile(ACL_FILE);
+    assert.deepEqual(rules[0], {
+      scope: 'anonymous',
+      name: null,
+      access: 'read',
+      topic: 'public/#'
+    });
+    assert.deepEqual(rules[2], {
+      scope: 'user',
+      name: 'alice',
+      access: 'deny',
+      topic: 'sensors/secret/#'
+    });
+    // Access level defaults to readwrite
+    assert.equal(rules[3].access, 'readwrite');
+    assert.deepEqual(rules[4], {
+      scope: 'client',
+      name: 'gateway-1',
+      access: 'write',
+      topic: 'telemetry/#'
+    });
+    assert.deepEqual(rules[5], {
+      scope: 'pattern',
+      name: null,
+      access: 'readwrite',
+      topic: 'users/%u/#'
+    });
+  });
+
+  it('should keep spaces inside topics', () => {
+    const [rule] = parseAclFile('topic read my topic/#');
+    assert.equal(rule.topic, 'my topic/#');
+  });
+
+  it('should name the line of an invalid entry', () => {
+    assert.throws(
+      () => parseAclFile('user alice\nfoo bar', 'acl.conf'),
+      /acl\.conf:2: unknown keyword 'foo'/
+    );
+    assert.throws(
+      () => parseAclFile('topic read a/#/b', 'acl.conf'),
+      /acl\.conf:1: topic is invalid/
+    );
+    assert.throws(() => parseAclFile('user'), /user requires a name/);
+  });
+
+  it('should convert mqtt_acl rows to rules', () => {
+    const rules = rowsToAclRules([
+      { id: '1', username: 'alice', topic: 'a/#', access: 'read' },
+      { id: '2', clientid: 'gw', topic: 'b/#' },
+      { id: '3', pattern: true, username: 'ignored', topic: 'u/%u' },
+      { id: '4', topic: 'public/#', access: 'read' }
+    ]);
+    assert.deepEqual(
+      rules.map((r) => [r.scope, r.name, r.access]),
+      [
+        ['user', 'alice', 'read'],
+        ['client', 'gw', 'readwrite'],
+        ['pattern', null, 'readwrite'],
+        ['anonymous', null, 'read']
+      ]
+    );
+    assert.throws(
+      () => rowsToAclRules([{ id: 'x', topic: 'a', access: 'all' }]),
+      /mqtt_acl row 'x': access must be one of/
+    );
+  });
+});
+
+describe('Topic filter comparison', () => {
+  it('should check whether an ACL topic covers a whole filter', () => {
+    assert.equal(filterCovers('sensors/#', 'sensors/+/temp'), true);
+    assert.equal(filterCovers('sensors/+/temp', 'sensors/a/temp'), true);
+    assert.equal(filterCovers('sensors/+/temp', 'sensors/#'), false);
+    assert.equal(filterCovers('sensors/a', 'sensors/+'), false);
+    assert.equal(filterCovers('#', '$SYS/broker'), false);
+  });
+
+  it('should check whether two filters overlap', () => {
+    assert.equal(filtersOverlap('sensors/secret/#', 'sensors/#'), true);
+    assert.equal(filtersOverlap('sensors/secret/#', 'sensors/+/x'), true);
+    assert.equal(filtersOverlap('sensors/secret/#', 'sensors/public'), false);
+    assert.equal(filtersOverlap('a/+', 'a/b/c'), false);
+  });
+});
+
+describe('Access checks', () => {
+  afterEach(() => setAcl(null));
+
+  it('should allow everything while access control is disabled', () => {
+    setAcl(null);
+    assert.equal(write('anything', 'nobody'), true);
+    assert.equal(read('$SYS/#'), true);
+    assert.equal(isAclAdmin(null), true);
+  });
+
+  it('should apply user, client and anonymous rules', () => {
+    setAcl({ rules: parseAclFile(ACL_FILE) });
+    assert.equal(write('sensors/a/temperature', 'alice'), true);
+    assert.equal(write('sensors/a/temperature', 'bob'), true);
+    assert.equal(write('sensors/a/humidity', 'bob'), false);
+    assert.equal(write('telemetry/x', null, 'gateway-1'), true);
+    assert.equal(read('telemetry/x', null, 'gateway-1'), false);
+    assert.equal(read('public/news'), true);
+    assert.equal(write('public/news'), false);
+    // Anonymous rules do not apply to authenticated users
+    assert.equal(read('public/news', 'alice'), false);
+  });
+
+  it('should require grants to cover the whole subscription', () => {
+    setAcl({ rules: parseAclFile(ACL_FILE) });
+    assert.equal(read('sensors/+/temperature', 'bob'), true);
+    assert.equal(read('sensors/#', 'bob'), false);
+  });
+
+  it('should deny subscriptions that could receive denied topics', () => {
+    setAcl({ rules: parseAclFile(ACL_FILE) });
+    assert.equal(read('sensors/public/x', 'alice'), true);
+    assert.equal(read('sensors/secret/x', 'alice'), false);
+    assert.equal(read('sensors/#', 'alice'), false);
+    assert.equal(write('sensors/secret/x', 'alice'), false);
+    assert.equal(
+      checkAccess({
+        username: 'alice',
+        topic: 'sensors/secret/x',
+        access: ACCESS.WRITE
+      }).reason,
+      "denied by 'sensors/secret/#'"
+    );
+  });
+
+  it('should substitute %u and %c in pattern rules', () => {
+    setAcl({ rules: parseAclFile(ACL_FILE) });
+    assert.equal(write('users/carol/inbox', 'carol'), true);
+    assert.equal(write('users/dave/inbox', 'carol'), false);
+    assert.equal(write('devices/pump-7/status', null, 'pump-7'), true);
+    assert.equal(write('devices/pump-8/status', null, 'pump-7'), false);
+    // Anonymous clients have no %u
+    assert.equal(write('users//inbox'), false);
+  });
+
+  it('should not let wildcards in usernames widen pattern rules', () => {
+    setAcl({ rules: parseAclFile('pattern readwrite users/%u/#') });
+    assert.equal(read('users/#/inbox', '#'), false);
+    assert.equal(read('users/+/inbox', '+'), false);
+    assert.equal(write('users/a/b/c', 'a/b'), false);
+  });
+
+  it('should restrict $SYS to admins', () => {
+    setAcl({ rules: parseAclFile('topic readwrite #'), admins: ['root'] });
+    assert.equal(read('$SYS/broker/uptime', 'alice'), false);
+    assert.equal(read('$SYS/#', 'root'), true);
+    assert.equal(write('anything', 'root'), true);
+    assert.equal(isAclAdmin('root'), true);
+    assert.equal(isAclAdmin('alice'), false);
+    assert.equal(isAclAdmin(null), false);
+  });
+});
+
+describe('ACL enforcement', () => {
+  afterEach(() => setAcl(null));
+
+  it('should count denied publishes and subscriptions', () => {
+    setAcl({ rules: parseAclFile(ACL_FILE), admins: ['root'] });
+    const before = { ...metrics.acl.denied };
+
+    assert.equal(
+      admitPublish({
+        topic: 'sensors/a/x',
+        client_id: 'c1',
+        username: 'alice'
+      }),
+      true
+    );
+    assert.equal(
+      admitPublish({ topic: 'private/x', client_id: 'c1', username: 'alice' }),
+      false
+    );
+    assert.equal(admitSubscribe('c1', 'sensors/#', 'alice'), false);
+    assert.equal(admitSubscribe('c1', '$SYS/#', 'alice'), false);
+    assert.equal(admitSubscribe('c1', '$SYS/#', 'root'), true);
+
+    assert.equal(metrics.acl.denied.publish, before.publish + 1);
+    assert.equal(metrics.acl.denied.subscribe, before.subscribe + 2);
+    const sysTopics = new SysTopics();
+    assert.equal(
+      sysTopics.get({ path: '$SYS/broker/acl/denied/subscribe' }),
+      before.subscribe + 2
+    );
+  });
+
+  it('should not check messages delivered by bridges', () => {
+    setAcl({ rules: [] });
+    assert.equal(
+      admitPublish({ topic: 'remote/x', client_id: '$bridge/cloud' }),
+      true
+    );
+  });
+
+  it('should look up the username of connected clients', () => {
+    setAcl({ rules: parseAclFile(ACL_FILE) });
+    metrics.onConnect('acl-client', false, 'alice');
+    try {
+      assert.equal(
+        admitPublish({ topic: 'sensors/a/x', client_id: 'acl-client' }),
+        true
+      );
+    } finally {
+      metrics.onDisconnect('acl-client', false);
+    }
+  });
+
+  it('should reject $SYS resource requests from non-admin users', () => {
+    setAcl({ rules: [], admins: ['root'] });
+    const resource = new SysTopicsResource();
+    const request = {
+      path: '$SYS/broker/uptime',
+      user: { username: 'alice' }
+    };
+    assert.throws(
+      () => resource.get(request),
+      (error) => error.statusCode === 403
+    );
+    assert.throws(
+      () => resource.subscribe(request),
+      (error) => error.statusCode === 403
+    );
+    assert.notEqual(
+      resource.get({ ...request, user: { username: 'root' } }),
+      null
+    );
+  });
+});
+
+describe('Subscription refusal', () => {
+  /**
+   * Stand-in for the mqtt_topics table class, recording established subscriptions
+   */
+  class MockTopicsTable {
+    static subscribed = [];
+
+    constructor(id) {
+      this.id = id;
+    }
+
+    getId() {
+      return this.id;
+    }
+
+    async subscribe() {
+      MockTopicsTable.subscribed.push(this.id);
+      return (async function* () {})();
+    }
+  }
+
+  afterEach(() => {
+    setAcl(null);
+    MockTopicsTable.subscribed.length = 0;
+  });
+
+  it('should refuse denied subscriptions from the subscribe path', async () => {
+    setAcl({ rules: parseAclFile(ACL_FILE) });
+    const events = new EventEmitter();
+    setupMqttMonitoring({ mqtt: { events } });
+    const Resource = createTopicsResource(MockTopicsTable);
+    const user = { username: 'alice' };
+    const context = { session: { sessionId: 'refused', user }, user };
+    const before = metrics.acl.denied.subscribe;
+
+    // Harper answers a subscribe() that throws with a failure SUBACK code
+    await assert.rejects(new Resource('private/#').subscribe({}, context), {
+      statusCode: 403
+    });
+    await new Resource('sensors/a/#').subscribe({}, context);
+    assert.deepEqual(MockTopicsTable.subscribed, ['sensors/a/#']);
+    assert.equal(metrics.acl.denied.subscribe, before + 1);
+
+    // The subscribe event does not track (or count again) the refused filter
+    events.emit('subscribe', ['private/#', 'sensors/a/#'], context.session);
+    assert.deepEqual(subscriptionIndex.filters('refused'), ['sensors/a/#']);
+    assert.equal(metrics.acl.denied.subscribe, before + 1);
+    events.emit('disconnected', context.session);
+  });
+
+  it('should let every subscription through without an ACL', async () => {
+    const Resource = createTopicsResource(MockTopicsTable);
+    await new Resource('#').subscribe({}, { session: { sessionId: 'c1' } });
+    assert.deepEqual(MockTopicsTable.subscribed, ['#']);
+  });
+});
+
+describe('ACL configuration', () => {
+  it('should be disabled unless configured', () => {
+    assert.equal(normalizeConfig({}).acl, null);
+  });
+
+  it('should apply defaults', () => {
+    assert.deepEqual(normalizeConfig({ acl: { file: 'acl.conf' } }).acl, {
+      file: 'acl.conf',
+      table: false,
+      admins: []
+    });
+  });
+
+  it('should reject invalid options', () => {
+    assert.throws(
+      () => normalizeConfig({ acl: { admins: ['root'] } }),
+      /acl requires a rule source/
+    );
+    assert.throws(
+      () => normalizeConfig({ acl: { table: 'yes' } }),
+      /acl\.table must be true or false/
+    );
+    assert.throws(
+      () => normalizeConfig({ acl: { table: true, admins: 'root' } }),
+      /acl\.admins must be a list of usernames/
+    );
+  });
+});
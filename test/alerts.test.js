@@ -0,0 +1,201 @@
+/**
+ * Tests for threshold alerts on broker metrics
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compileAlerts,
+  evaluateAlerts,
+  parseCondition,
+  readMetric,
+  setAlerts,
+  setAlertsTable
+} from '../src/alerts.js';
+import { normalizeConfig } from '../src/config-loader.js';
+import { MqttMetrics, metrics, setSysMetricsTable } from '../src/mqtt.js';
+
+metrics.stopMetricsUpdates();
+
+const T0 = 1_000_000;
+
+/**
+ * Mock table that keeps rows by id
+ */
+function createTable() {
+  return {
+    rows: new Map(),
+    put(record) {
+      this.rows.set(record.id, record);
+    },
+    delete(id) {
+      this.rows.delete(id);
+    }
+  };
+}
+
+describe('alerts configuration', () => {
+  it('should parse conditions with an optional duration', () => {
+    assert.deepEqual(parseCondition('clients.connected > 5000 for 2m'), {
+      metric: 'clients.connected',
+      operator: '>',
+      threshold: 5000,
+      forMs: 120_000
+    });
+    assert.deepEqual(parseCondition('load.messagesReceived.oneMin<1'), {
+      metric: 'load.messagesReceived.oneMin',
+      operator: '<',
+      threshold: 1,
+      forMs: 0
+    });
+    assert.equal(parseCondition('heap.percent >= 90 for 30s').forMs, 30_000);
+  });
+
+  it('should reject malformed conditions and unknown metrics', () => {
+    assert.throws(
+      () => parseCondition('clients.connected above 5000'),
+      /condition must look like/
+    );
+    assert.throws(
+      () => parseCondition('cpu.usage > 90'),
+      /metric must start with one of clients, /
+    );
+    assert.throws(
+      () => compileAlerts({ rules: [{ name: 'x', condition: 'heap > 1' }] }),
+      /alerts\.rules\[0\]\.condition must look like/
+    );
+  });
+
+  it('should validate rule names and the topic prefix', () => {
+    assert.equal(normalizeConfig({}).alerts, null);
+    assert.throws(
+      () => compileAlerts({ rules: [{ name: 'a/b', condition: 'x.y > 1' }] }),
+      /alerts\.rules\[0\]\.name must contain only/
+    );
+    assert.throws(
+      () =>
+        compileAlerts({
+          rules: [
+            { name: 'a', condition: 'clients.connected > 1' },
+            { name: 'a', condition: 'clients.connected > 2' }
+          ]
+        }),
+      /alerts\.rules\[1\]\.name 'a' is used by another rule/
+    );
+    assert.throws(
+      () => compileAlerts({ topic_prefix: 'alerts/#' }),
+      /alerts\.topic_prefix must be a topic name/
+    );
+
+    const compiled = normalizeConfig({
+      alerts: { rules: [{ name: 'a', condition: 'clients.connected > 1' }] }
+    }).alerts;
+    assert.equal(compiled.topic_prefix, '$SYS/alerts');
+    assert.equal(compiled.rules[0].severity, 'warning');
+  });
+});
+
+describe('Alert evaluation', () => {
+  afterEach(() => {
+    setAlerts(null);
+    setAlertsTable(null);
+  });
+
+  it('should read metric paths and heap percentage', () => {
+    const m = { clients: { connected: 3 }, heap: { current: 25, limit: 100 } };
+    assert.equal(readMetric(m, 'clients.connected'), 3);
+    assert.equal(readMetric(m, 'clients.missing'), null);
+    assert.equal(readMetric(m, 'heap.percent'), 25);
+    assert.equal(
+      readMetric({ heap: { current: 1, limit: 0 } }, 'heap.percent'),
+      null
+    );
+  });
+
+  it('should fire after the condition holds for its duration, then resolve', () => {
+    setAlerts(
+      compileAlerts({
+        rules: [
+          {
+            name: 'busy',
+            condition: 'clients.connected > 10 for 2m',
+            severity: 'critical'
+          }
+        ]
+      })
+    );
+    const busy = { clients: { connected: 11 } };
+    assert.deepEqual(evaluateAlerts(busy, T0), []);
+    assert.deepEqual(evaluateAlerts(busy, T0 + 60_000), []);
+
+    const [fired] = evaluateAlerts(busy, T0 + 120_000);
+    assert.equal(fired.rule, 'busy');
+    assert.equal(fired.state, 'firing');
+    assert.equal(fired.severity, 'critical');
+    assert.equal(fired.value, 11);
+    assert.equal(fired.threshold, 10);
+    assert.equal(fired.since, new Date(T0).toISOString());
+    assert.deepEqual(evaluateAlerts(busy, T0 + 180_000), []);
+
+    const [resolved] = evaluateAlerts(
+      { clients: { connected: 4 } },
+      T0 + 240_000
+    );
+    assert.equal(resolved.state, 'resolved');
+    assert.equal(resolved.value, 4);
+    assert.equal(resolved.since, fired.since);
+  });
+
+  it('should restart the duration when the condition stops holding', () => {
+    setAlerts(
+      compileAlerts({
+        rules: [{ name: 'quiet', condition: 'load.x.oneMin < 1 for 1m' }]
+      })
+    );
+    const quiet = { load: { x: { oneMin: 0 } } };
+    assert.deepEqual(evaluateAlerts(quiet, T0), []);
+    assert.deepEqual(
+      evaluateAlerts({ load: { x: { oneMin: 5 } } }, T0 + 30_000),
+      []
+    );
+    assert.deepEqual(evaluateAlerts(quiet, T0 + 60_000), []);
+    assert.equal(evaluateAlerts(quiet, T0 + 120_000).length, 1);
+  });
+
+  it('should publish transitions as retained $SYS topics and record them', () => {
+    const sysTable = createTable();
+    const alertsTable = createTable();
+    setSysMetricsTable(sysTable);
+    setAlertsTable(alertsTable);
+    setAlerts(
+      compileAlerts({
+        rules: [{ name: 'any-client', condition: 'clients.connected >= 1' }]
+      })
+    );
+
+    // Both transitions happen within the same millisecond
+    const m = new MqttMetrics({ now: () => T0 });
+    m.stopMetricsUpdates();
+    m.onConnect('c1', false);
+    m._updateSystemMetrics();
+
+    const row = sysTable.rows.get('alerts/any-client');
+    assert.ok(row, 'alert topic written');
+    const alert = JSON.parse(row.value);
+    assert.equal(alert.state, 'firing');
+    assert.equal(alert.metric, 'clients.connected');
+    assert.equal(alertsTable.rows.size, 1);
+    assert.equal([...alertsTable.rows.values()][0].rule, 'any-client');
+
+    m.onDisconnect('c1', false);
+    m._updateSystemMetrics();
+    assert.equal(
+      JSON.parse(sysTable.rows.get('alerts/any-client').value).state,
+      'resolved'
+    );
+    assert.equal(alertsTable.rows.size, 2);
+  });
+});
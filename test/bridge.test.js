@@ -0,0 +1,516 @@
+/**
+ * Tests for MQTT bridges, against an in-process broker standing in for the remote
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { createServer } from 'node:net';
+import { BroadcastChannel } from 'node:worker_threads';
+import { Aedes } from 'aedes';
+import mqtt from 'mqtt';
+import {
+  Bridge,
+  LOOP_MARKER,
+  compileBridges,
+  forwardToBridges,
+  localToRemote,
+  remoteToLocal,
+  startBridges,
+  stopBridges
+} from '../src/bridge.js';
+import { loadConfig } from '../src/config-loader.js';
+import { createTopicsResource } from '../src/ingest.js';
+import { setAcl } from '../src/acl.js';
+import {
+  MqttMetrics,
+  listBridgeSysTopics,
+  metrics,
+  resolveBridgeSysTopic
+} from '../src/mqtt.js';
+
+metrics.stopMetricsUpdates();
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns truthy when done
+ * @param {number} timeout - Milliseconds before failing
+ */
+async function waitFor(condition, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe('compileBridges', () => {
+  it('applies defaults', () => {
+    const [bridge] = compileBridges([
+      {
+        name: 'cloud',
+        address: 'mqtt://remote:1883',
+        topics: [{ pattern: 'sensors/#' }]
+      }
+    ]);
+
+    assert.equal(bridge.client_id, 'harper-bridge-cloud');
+    assert.equal(bridge.protocol_version, 4);
+    assert.equal(bridge.reconnect_period, 5);
+    assert.deepEqual(bridge.topics, [
+      {
+        pattern: 'sensors/#',
+        direction: 'out',
+        qos: 0,
+        local_prefix: '',
+        remote_prefix: ''
+      }
+    ]);
+  });
+
+  it('accepts Mosquitto-style topic lines', () => {
+    const [bridge] = compileBridges([
+      {
+        name: 'cloud',
+        address: 'mqtt://remote:1883',
+        topics: ['# both 1 site1/ plants/site1/', 'cmd/+ in 2 "" remote/']
+      }
+    ]);
+
+    assert.deepEqual(bridge.topics, [
+      {
+        pattern: '#',
+        direction: 'both',
+        qos: 1,
+        local_prefix: 'site1/',
+        remote_prefix: 'plants/site1/'
+      },
+      {
+        pattern: 'cmd/+',
+        direction: 'in',
+        qos: 2,
+        local_prefix: '',
+        remote_prefix: 'remote/'
+      }
+    ]);
+  });
+
+  it('rejects invalid bridges with the failing path', () => {
+    const valid = { name: 'a', address: 'mqtt://x', topics: ['#'] };
+    const cases = [
+      [{ ...valid, name: 'a/b' }, /bridges\[0\].name/],
+      [{ ...valid, address: 'remote:1883' }, /bridges\[0\].address/],
+      [{ ...valid, topics: [] }, /bridges\[0\].topics must be a non-empty/],
+      [{ ...valid, topics: ['a/#/b'] }, /topics\[0\].pattern is invalid/],
+      [{ ...valid, topics: ['# sideways'] }, /topics\[0\].direction/],
+      [{ ...valid, topics: ['# out 3'] }, /topics\[0\].qos/],
+      [{ ...valid, topics: ['# out 1 a/+/ b/'] }, /topics\[0\].local_prefix/],
+      [{ ...valid, protocol_version: 6 }, /protocol_version/]
+    ];
+    for (const [bridge, error] of cases) {
+      assert.throws(() => compileBridges([bridge]), error);
+    }
+    assert.throws(() => compileBridges([valid, valid]), /used more than once/);
+  });
+
+  it('is applied when the config is loaded', () => {
+    assert.deepEqual(loadConfig({}).bridges, []);
+    assert.throws(
+      () => loadConfig({ bridges: [{ name: 'x' }] }),
+      /bridges\[0\].address/
+    );
+  });
+});
+
+describe('topic remapping', () => {
+  const rule = {
+    pattern: 'sensors/#',
+    direction: 'both',
+    qos: 1,
+    local_prefix: 'site1/',
+    remote_prefix: 'plants/site1/'
+  };
+
+  it('maps local topics out through the prefixes', () => {
+    assert.equal(
+      localToRemote(rule, 'site1/sensors/temp'),
+      'plants/site1/sensors/temp'
+    );
+    assert.equal(localToRemote(rule, 'site2/sensors/temp'), null);
+    assert.equal(localToRemote(rule, 'site1/cameras/front'), null);
+  });
+
+  it('maps remote topics in through the prefixes', () => {
+    assert.equal(
+      remoteToLocal(rule, 'plants/site1/sensors/temp'),
+      'site1/sensors/temp'
+    );
+    assert.equal(remoteToLocal(rule, 'plants/site2/sensors/temp'), null);
+  });
+
+  it('respects the direction', () => {
+    assert.equal(
+      localToRemote({ ...rule, direction: 'in' }, 'site1/sensors/a'),
+      null
+    );
+    assert.equal(
+      remoteToLocal({ ...rule, direction: 'out' }, 'plants/site1/sensors/a'),
+      null
+    );
+  });
+});
+
+/**
+ * Stand-in for the mqtt_topics table class: one instance per topic
+ */
+class MockTopicsTable {
+  constructor(id) {
+    this.id = id;
+  }
+
+  getId() {
+    return this.id;
+  }
+}
+
+/**
+ * Publish from a local client the way Harper does: through the `/` export of
+ * mqtt_topics, which stores the message with writeMessageToTable()
+ * @param {string} topic - Topic
+ * @param {string} payload - Payload
+ * @param {number} qos - QoS
+ */
+async function publishLocally(topic, payload, qos) {
+  const ingestMetrics = new MqttMetrics();
+  ingestMetrics.stopMetricsUpdates();
+  const TopicsResource = createTopicsResource(MockTopicsTable, {
+    metrics: ingestMetrics
+  });
+  await new TopicsResource(topic).publish(Buffer.from(payload), {
+    qos,
+    session: { sessionId: 'device-1' }
+  });
+}
+
+describe('Bridge against a remote broker', () => {
+  let broker;
+  let tcpServer;
+  let address;
+  let remote;
+  let bridgeMetrics;
+  let delivered;
+
+  before(async () => {
+    broker = await Aedes.createBroker();
+    tcpServer = createServer(broker.handle);
+    await new Promise((resolve) => tcpServer.listen(0, '127.0.0.1', resolve));
+    address = `mqtt://127.0.0.1:${tcpServer.address().port}`;
+    remote = await mqtt.connectAsync(address, { clientId: 'remote-app' });
+  });
+
+  after(async () => {
+    await remote.endAsync();
+    await new Promise((resolve) => broker.close(resolve));
+    await new Promise((resolve) => tcpServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    bridgeMetrics = new MqttMetrics();
+    bridgeMetrics.stopMetricsUpdates();
+    delivered = [];
+  });
+
+  afterEach(async () => {
+    setAcl(null);
+    await stopBridges();
+    remote.removeAllListeners('message');
+    await remote.unsubscribeAsync('#');
+  });
+
+  const start = (topics, options = {}) => {
+    const [bridge] = startBridges(
+      compileBridges([{ name: 'cloud', address, topics, reconnect_period: 0 }]),
+      {
+        metrics: bridgeMetrics,
+        publishLocal: (message) => {
+          delivered.push(message);
+        },
+        ...options
+      }
+    );
+    return bridge;
+  };
+
+  const sys = (suffix) =>
+    resolveBridgeSysTopic(`$SYS/broker/bridges/cloud/${suffix}`, bridgeMetrics);
+
+  it('forwards local publishes out with remapped topics and downgraded QoS', async () => {
+    start(['sensors/# out 1 site1/ plants/site1/']);
+    await waitFor(() => sys('state') === 'connected');
+
+    const received = [];
+    remote.on('message', (topic, payload, packet) => {
+      received.push({ topic, payload: payload.toString(), qos: packet.qos });
+    });
+    await remote.subscribeAsync('#', { qos: 2 });
+
+    await publishLocally('site1/sensors/temp', '21.5', 2);
+    await publishLocally('site1/cameras/front', 'x', 0);
+
+    await waitFor(() => received.length === 1);
+    assert.deepEqual(received, [
+      { topic: 'plants/site1/sensors/temp', payload: '21.5', qos: 1 }
+    ]);
+    assert.equal(sys('messages/sent'), 1);
+  });
+
+  it('does not forward publishes the ACL denies', async () => {
+    start(['sensors/# out 1']);
+    await waitFor(() => sys('state') === 'connected');
+
+    const received = [];
+    remote.on('message', (topic) => received.push(topic));
+    await remote.subscribeAsync('#', { qos: 2 });
+
+    setAcl({ rules: [] });
+    await publishLocally('sensors/temp', '21.5', 1);
+    setAcl(null);
+    await publishLocally('sensors/humidity', '40', 1);
+
+    await waitFor(() => received.length === 1);
+    assert.deepEqual(received, ['sensors/humidity']);
+    assert.equal(sys('messages/sent'), 1);
+  });
+
+  it('delivers remote publishes locally', async () => {
+    start(['cmd/# in 1 site1/ plants/site1/']);
+    await waitFor(() => sys('state') === 'connected');
+    // Let the bridge's subscription settle
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    await remote.publishAsync('plants/site1/cmd/valve', 'open', { qos: 2 });
+
+    await waitFor(() => delivered.length === 1);
+    assert.equal(delivered[0].topic, 'site1/cmd/valve');
+    assert.equal(delivered[0].payload.toString(), 'open');
+    assert.equal(delivered[0].qos, 1);
+    assert.equal(delivered[0].client_id, '$bridge/cloud');
+    assert.equal(sys('messages/received'), 1);
+  });
+
+  it('hands publishes over to the primary thread on other threads', async () => {
+    assert.equal(start(['sensors/# both 1'], { primary: false }), undefined);
+    // Stands in for the primary thread
+    const primaryThread = new BroadcastChannel('mqtt-broker-interop:bridges');
+    try {
+      const handedOver = new Promise((resolve) => {
+        primaryThread.onmessage = ({ data }) => resolve(data);
+      });
+      const message = {
+        topic: 'sensors/temp',
+        payload: Buffer.from('21.5'),
+        qos: 1,
+        retain: false,
+        client_id: 'device-1'
+      };
+      assert.equal(forwardToBridges({ ...message, properties: {} }), 0);
+
+      const { type, message: sent } = await handedOver;
+      assert.equal(type, 'publish');
+      assert.deepEqual({ ...sent, payload: Buffer.from(sent.payload) }, message);
+      // No connection of its own
+      assert.equal(sys('state'), undefined);
+    } finally {
+      primaryThread.close();
+    }
+  });
+
+  it('forwards publishes handed over by other threads', async () => {
+    start(['sensors/# out 1']);
+    await waitFor(() => sys('state') === 'connected');
+
+    const received = [];
+    remote.on('message', (topic, payload) => {
+      received.push({ topic, payload: payload.toString() });
+    });
+    await remote.subscribeAsync('#', { qos: 2 });
+
+    const otherThread = new BroadcastChannel('mqtt-broker-interop:bridges');
+    try {
+      otherThread.postMessage({
+        type: 'publish',
+        message: { topic: 'sensors/temp', payload: Buffer.from('7'), qos: 1 }
+      });
+      await waitFor(() => received.length === 1);
+      assert.deepEqual(received, [{ topic: 'sensors/temp', payload: '7' }]);
+      assert.equal(sys('messages/sent'), 1);
+    } finally {
+      otherThread.close();
+    }
+  });
+
+  it('suppresses messages echoed back by the remote broker', async () => {
+    start(['loop/# both 1']);
+    await waitFor(() => sys('state') === 'connected');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    await publishLocally('loop/a', '1', 1);
+
+    await waitFor(() => sys('messages/suppressed') === 1);
+    assert.equal(sys('messages/sent'), 1);
+    assert.equal(delivered.length, 0);
+  });
+
+  it('never forwards inbound messages back out', async () => {
+    const bridge = start(['loop/# both 1']);
+    await waitFor(() => sys('state') === 'connected');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    await remote.publishAsync('loop/b', '2', { qos: 1 });
+    await waitFor(() => delivered.length === 1);
+
+    // The local broker re-publishing the delivered message, tagged with its origin
+    assert.equal(bridge.forwardOut(delivered[0]), false);
+    // ... or without the tag: caught by echo suppression
+    assert.equal(
+      bridge.forwardOut({ ...delivered[0], client_id: 'someone' }),
+      false
+    );
+    assert.equal(sys('messages/sent'), 0);
+  });
+
+  it('reports bridge state under $SYS/broker/bridges/<name>/', async () => {
+    start(['sensors/#']);
+    await waitFor(() => sys('state') === 'connected');
+
+    assert.equal(sys('connected'), 1);
+    assert.equal(sys('connections'), 1);
+    assert.ok(
+      listBridgeSysTopics(bridgeMetrics).includes(
+        '$SYS/broker/bridges/cloud/messages/dropped'
+      )
+    );
+
+    await stopBridges();
+    assert.equal(sys('state'), 'stopped');
+    assert.equal(sys('connected'), 0);
+  });
+
+  it('reports a disconnected bridge when the remote is unreachable', async () => {
+    startBridges(
+      compileBridges([
+        {
+          name: 'offline',
+          address: 'mqtt://127.0.0.1:1',
+          topics: ['#'],
+          reconnect_period: 0
+        }
+      ]),
+      { metrics: bridgeMetrics, publishLocal: () => {} }
+    );
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    assert.equal(
+      resolveBridgeSysTopic('$SYS/broker/bridges/offline/state', bridgeMetrics),
+      'disconnected'
+    );
+  });
+});
+
+describe('MQTT 5 loop guard', () => {
+  /**
+   * Stand-in for an mqtt.js client recording subscriptions and publishes
+   * @returns {EventEmitter} - Client stub
+   */
+  function createClient() {
+    const client = new EventEmitter();
+    client.subscribed = null;
+    client.published = [];
+    client.subscribe = (subscriptions, callback) => {
+      client.subscribed = subscriptions;
+      callback(null);
+    };
+    client.publish = (topic, payload, options, callback) => {
+      client.published.push({ topic, options });
+      callback(null);
+    };
+    client.endAsync = async () => {};
+    return client;
+  }
+
+  /**
+   * Start a bridge on a client stub
+   * @param {number} protocolVersion - MQTT protocol version
+   * @returns {Object} - { bridge, client, delivered, bridgeMetrics }
+   */
+  function startStubBridge(protocolVersion) {
+    const client = createClient();
+    const delivered = [];
+    const bridgeMetrics = new MqttMetrics();
+    bridgeMetrics.stopMetricsUpdates();
+    const [config] = compileBridges([
+      {
+        name: 'cloud',
+        address: 'mqtt://remote:1883',
+        protocol_version: protocolVersion,
+        topics: ['loop/# both 1']
+      }
+    ]);
+    const bridge = new Bridge(config, {
+      metrics: bridgeMetrics,
+      publishLocal: (message) => delivered.push(message),
+      connect: () => client
+    });
+    bridge.start();
+    client.emit('connect');
+    return { bridge, client, delivered, bridgeMetrics };
+  }
+
+  it('subscribes with No Local on MQTT 5 only', () => {
+    assert.deepEqual(startStubBridge(5).client.subscribed, {
+      'loop/#': { qos: 1, nl: true }
+    });
+    assert.deepEqual(startStubBridge(4).client.subscribed, {
+      'loop/#': { qos: 1 }
+    });
+  });
+
+  it('marks outbound publishes and drops them when they come back', async () => {
+    const { bridge, client, delivered, bridgeMetrics } = startStubBridge(5);
+    assert.equal(bridge.forwardOut({ topic: 'loop/a', payload: '1' }), true);
+    const marker = { [LOOP_MARKER]: 'harper-bridge-cloud' };
+    assert.deepEqual(client.published[0].options.properties, {
+      userProperties: marker
+    });
+
+    // Caught by the marker even when the payload was changed on the way
+    const echoed = { qos: 1, properties: { userProperties: marker } };
+    assert.equal(await bridge._onRemoteMessage('loop/a', 'x', echoed), false);
+    assert.equal(
+      resolveBridgeSysTopic(
+        '$SYS/broker/bridges/cloud/messages/suppressed',
+        bridgeMetrics
+      ),
+      1
+    );
+
+    // Messages another bridge forwarded are delivered
+    const other = {
+      qos: 1,
+      properties: { userProperties: { [LOOP_MARKER]: 'harper-site2' } }
+    };
+    assert.equal(await bridge._onRemoteMessage('loop/b', 'y', other), true);
+    assert.equal(delivered.length, 1);
+  });
+
+  it('sends no properties on MQTT 3.1.1', () => {
+    const { bridge, client } = startStubBridge(4);
+    bridge.forwardOut({ topic: 'loop/a', payload: '1' });
+    assert.equal(client.published[0].options.properties, undefined);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Tests for inflight, stored and expired metrics sampled from broker state
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SessionTracker,
+  countAwaitingAcks,
+  countMessageHistory,
+  findMessageHistoryTables,
+  tracksAcks
+} from '../src/broker-state.js';
+import { normalizeConfig } from '../src/config-loader.js';
+import { MqttMetrics, SysTopics, metrics } from '../src/mqtt.js';
+import { storedPayloadByteLength } from '../src/payload-codec.js';
+
+metrics.stopMetricsUpdates();
+
+const T0 = 1_000_000;
+
+/**
+ * Table stub reporting its attributes, record count and size
+ * @param {string[]} attributes - Attribute names
+ * @param {number} recordCount - Rows in the table
+ * @param {number} size - Storage size in bytes
+ * @returns {Object} - Table stub (search() fails: rows must not be read)
+ */
+function createTable(attributes, recordCount = 0, size = 0) {
+  return {
+    attributes: attributes.map((name) => ({ name })),
+    async getRecordCount() {
+      return { recordCount };
+    },
+    getSize() {
+      return size;
+    },
+    search() {
+      throw new Error('rows should not be read');
+    }
+  };
+}
+
+describe('Session expiry', () => {
+  it('should expire persistent sessions after persistent_client_expiration', () => {
+    const tracker = new SessionTracker();
+    tracker.setDefaultExpiry(60);
+    tracker.onConnected('a', {});
+    tracker.onDisconnected('a', true, T0);
+    assert.deepEqual(tracker.expire(T0 + 59_000), []);
+    assert.deepEqual(tracker.expire(T0 + 60_000), ['a']);
+    assert.deepEqual(tracker.expire(T0 + 120_000), []);
+  });
+
+  it('should never expire sessions without a configured expiry', () => {
+    const tracker = new SessionTracker();
+    tracker.onDisconnected('a', true, T0);
+    assert.deepEqual(tracker.expire(T0 + 1e12), []);
+    assert.deepEqual(tracker.warned, new Set(['expiry']));
+  });
+
+  it('should not track clean sessions or resumed sessions', () => {
+    const tracker = new SessionTracker();
+    tracker.setDefaultExpiry(5);
+    tracker.onDisconnected('clean', false, T0);
+    tracker.onDisconnected('resumed', true, T0);
+    assert.equal(tracker.onConnected('resumed', {}), true);
+    assert.equal(tracker.onConnected('new', {}), false);
+    assert.deepEqual(tracker.expire(T0 + 10_000), []);
+  });
+
+  it('should stop expiring sessions that reconnected on another thread', () => {
+    const tracker = new SessionTracker();
+    tracker.setDefaultExpiry(5);
+    tracker.onDisconnected('moved', true, T0);
+    assert.equal(tracker.onConnectedElsewhere('moved'), true);
+    assert.equal(tracker.onConnectedElsewhere('moved'), false);
+    assert.deepEqual(tracker.expire(T0 + 10_000), []);
+  });
+
+  it('should announce connections', () => {
+    const tracker = new SessionTracker();
+    const announced = [];
+    tracker.events.on('connected', (...args) => announced.push(args));
+    tracker.onConnected('a', { sessionWasPresent: true });
+    tracker.onConnected('b', {});
+    assert.deepEqual(announced, [
+      ['a', true],
+      ['b', false]
+    ]);
+  });
+});
+
+describe('Inflight messages', () => {
+  /**
+   * Session shaped like Harper's: awaitingAcks is created on the first QoS 1/2 delivery
+   * @param {number[]} packetIds - Deliveries awaiting acknowledgement
+   * @returns {Object} - Session stub
+   */
+  function createSession(packetIds) {
+    const session = {
+      awaitingAcks: undefined,
+      acknowledge(packetId) {
+        this.awaitingAcks?.delete(packetId);
+      }
+    };
+    if (packetIds.length > 0) {
+      session.awaitingAcks = new Map(packetIds.map((id) => [id, {}]));
+    }
+    return session;
+  }
+
+  it('should count deliveries awaiting acknowledgement', () => {
+    assert.equal(countAwaitingAcks(createSession([1])), 1);
+    assert.equal(countAwaitingAcks(createSession([])), 0);
+    assert.equal(countAwaitingAcks({}), 0);
+
+    const tracker = new SessionTracker();
+    const a = createSession([1]);
+    tracker.onConnected('a', a);
+    tracker.onConnected('b', createSession([1, 2]));
+    assert.equal(tracker.inflight(), 3);
+    a.acknowledge(1);
+    assert.equal(tracker.inflight(), 2);
+    tracker.onDisconnected('b', false);
+    assert.equal(tracker.inflight(), 0);
+    assert.deepEqual(tracker.warned, new Set());
+  });
+
+  it('should warn once about sessions that do not track acknowledgements', () => {
+    assert.equal(tracksAcks(createSession([])), true);
+    assert.equal(tracksAcks({}), false);
+
+    const tracker = new SessionTracker();
+    tracker.onConnected('a', {});
+    tracker.onConnected('b', {});
+    assert.deepEqual(tracker.warned, new Set(['acks']));
+    assert.equal(tracker.inflight(), 0);
+  });
+});
+
+describe('Message store scan', () => {
+  it('should measure stored payload bytes without decoding', () => {
+    assert.equal(storedPayloadByteLength({ payload: 'héllo' }), 6);
+    assert.equal(
+      storedPayloadByteLength({
+        payload: Buffer.from([0, 1, 2, 3, 4]).toString('base64'),
+        payload_encoding: 'base64'
+      }),
+      5
+    );
+    assert.equal(storedPayloadByteLength({}), 0);
+  });
+
+  it('should find the message history tables', () => {
+    const row = ['id', 'topic', 'payload', 'payload_encoding'];
+    const topics = createTable(row);
+    const sensors = createTable(row);
+    const alarms = createTable(row);
+    const tables = findMessageHistoryTables(
+      {
+        data: { mqtt_topics: topics, mqtt_sensors: sensors },
+        alarms: { alarms_kitchen: alarms },
+        other: { users: createTable(['id', 'name']) }
+      },
+      topics
+    );
+    assert.deepEqual(tables, [sensors, alarms]);
+    assert.deepEqual(findMessageHistoryTables(undefined, topics), []);
+  });
+
+  it('should count history rows without reading them', async () => {
+    const row = ['id', 'topic', 'payload_encoding'];
+    const broken = createTable(row);
+    broken.getRecordCount = async () => {
+      throw new Error('closed');
+    };
+    const totals = await countMessageHistory([
+      createTable(row, 3, 4096),
+      createTable(row, 2, 8192),
+      broken
+    ]);
+    assert.deepEqual(totals, { messageCount: 5, messageBytes: 12288 });
+  });
+});
+
+describe('Broker state metrics', () => {
+  it('should resolve the stored, store and expired topics', () => {
+    const sysTopics = new SysTopics();
+    for (const topic of [
+      '$SYS/broker/clients/expired',
+      '$SYS/broker/messages/stored',
+      '$SYS/broker/store/messages/count',
+      '$SYS/broker/store/messages/bytes'
+    ]) {
+      assert.equal(typeof sysTopics.get({ path: topic }), 'number', topic);
+    }
+  });
+
+  it('should apply store scans', () => {
+    const m = new MqttMetrics();
+    m.stopMetricsUpdates();
+    m.onStoreScanned({ messageCount: 5, messageBytes: 100 });
+    m.onStoreScanned({ messageCount: 3, messageBytes: 40 });
+    assert.equal(m.messages.stored, 3);
+    assert.deepEqual(m.store, { messageCount: 3, messageBytes: 40 });
+  });
+
+  it('should move expired and resumed sessions out of disconnected', () => {
+    const m = new MqttMetrics();
+    m.stopMetricsUpdates();
+    m.onConnect('a', true);
+    m.onConnect('b', true);
+    m.onDisconnect('a', true);
+    m.onDisconnect('b', true);
+    assert.equal(m.clients.disconnected, 2);
+
+    m.onExpiredClient('a');
+    m.onConnect('b', true);
+    m.onSessionResumed('b');
+    assert.deepEqual(
+      [m.clients.expired, m.clients.disconnected, m.clients.total],
+      [1, 0, 1]
+    );
+  });
+});
+
+describe('Persistent client expiration option', () => {
+  it('should default to never and validate the value', () => {
+    assert.equal(normalizeConfig({}).persistent_client_expiration, null);
+    assert.equal(
+      normalizeConfig({ persistent_client_expiration: 3600 })
+        .persistent_client_expiration,
+      3600
+    );
+    assert.throws(
+      () => normalizeConfig({ persistent_client_expiration: '1h' }),
+      /persistent_client_expiration must be a positive number of seconds/
+    );
+  });
+});
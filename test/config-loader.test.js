@@ -0,0 +1,92 @@
+/**
+ * Tests for configuration loading and normalization
+ */
+
+import './helpers/setup-logger.js';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { loadConfig, normalizeConfig } from '../src/config-loader.js';
+
+describe('loadConfig', () => {
+  it('loads the default config.yaml', () => {
+    const config = loadConfig();
+
+    assert.equal(config.pluginModule, './src/index.js');
+  });
+
+  it('accepts an options object with a nested config', () => {
+    const config = loadConfig({ config: { sys_interval: 5 } });
+
+    assert.equal(config.sys_interval, 5);
+  });
+
+  it('wraps validation errors', () => {
+    assert.throws(
+      () => loadConfig({ sys_interval: 'often' }),
+      /Failed to load configuration: sys_interval/
+    );
+  });
+});
+
+describe('normalizeConfig', () => {
+  describe('sys_interval', () => {
+    it('defaults to 10 seconds', () => {
+      assert.equal(normalizeConfig({}).sys_interval, 10);
+    });
+
+    it('rejects zero and negative intervals', () => {
+      assert.throws(() => normalizeConfig({ sys_interval: 0 }));
+      assert.throws(() => normalizeConfig({ sys_interval: -5 }));
+    });
+  });
+
+  describe('restart_counters', () => {
+    it('defaults to resume', () => {
+      assert.equal(normalizeConfig({}).restart_counters, 'resume');
+    });
+
+    it('accepts reset', () => {
+      assert.equal(
+        normalizeConfig({ restart_counters: 'reset' }).restart_counters,
+        'reset'
+      );
+    });
+
+    it('rejects unknown modes', () => {
+      assert.throws(
+        () => normalizeConfig({ restart_counters: 'keep' }),
+        /restart_counters must be one of resume, reset/
+      );
+    });
+  });
+
+  describe('history', () => {
+    it('records every 60 seconds for a day by default', () => {
+      assert.deepEqual(normalizeConfig({}).history, {
+        enabled: true,
+        interval: 60,
+        retention: 86400
+      });
+    });
+
+    it('accepts false to disable history', () => {
+      assert.equal(normalizeConfig({ history: false }).history.enabled, false);
+    });
+
+    it('rejects non-positive interval and retention', () => {
+      assert.throws(
+        () => normalizeConfig({ history: { interval: 0 } }),
+        /history.interval must be a positive number/
+      );
+      assert.throws(
+        () => normalizeConfig({ history: { retention: 'forever' } }),
+        /history.retention must be a positive number/
+      );
+    });
+  });
+
+  it('passes unknown options through', () => {
+    assert.equal(normalizeConfig({ package: 'x' }).package, 'x');
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Tests for admin control actions and their audit trail
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { BroadcastChannel } from 'node:worker_threads';
+import {
+  CONTROL_ACTIONS,
+  applyThreadCommand,
+  executeControlCommand,
+  mergeThreadResults,
+  parseControlCommand,
+  setControlAuditTable,
+  startControlChannel,
+  stopControlChannel
+} from '../src/control.js';
+import {
+  metrics,
+  setupMqttMonitoring,
+  subscriptionIndex
+} from '../src/mqtt.js';
+import { sessionTracker } from '../src/broker-state.js';
+import { ControlResource } from '../src/resources.js';
+import { setAcl } from '../src/acl.js';
+
+metrics.stopMetricsUpdates();
+
+const SUPER_USER = {
+  username: 'admin',
+  role: { permission: { super_user: true } }
+};
+
+/**
+ * Mock client socket recording whether it was closed
+ * @returns {Object} - Socket with destroy()
+ */
+function createSocket() {
+  return {
+    destroyed: false,
+    destroy() {
+      this.destroyed = true;
+    }
+  };
+}
+
+/**
+ * Mock table recording puts and deletes
+ * @param {Object[]} rows - Initial rows
+ * @returns {Object} - Table with search, put and delete
+ */
+function createTable(rows = []) {
+  return {
+    rows: new Map(rows.map((row) => [row.id, row])),
+    async *search() {
+      yield* this.rows.values();
+    },
+    async put(row) {
+      this.rows.set(row.id, row);
+    },
+    async delete(id) {
+      this.rows.delete(id);
+    }
+  };
+}
+
+describe('Control commands', () => {
+  it('should validate commands', () => {
+    assert.deepEqual(
+      parseControlCommand({ action: 'disconnect', client_id: 'c1', x: 1 }),
+      { action: 'disconnect', client_id: 'c1' }
+    );
+    assert.deepEqual(parseControlCommand({ action: 'reset_metrics' }), {
+      action: 'reset_metrics'
+    });
+    for (const data of [
+      undefined,
+      { action: 'shutdown' },
+      { action: 'purge_session' },
+      { action: 'clear_retained' },
+      { action: 'clear_retained', filter: 'a/#/b' }
+    ]) {
+      assert.throws(() => parseControlCommand(data), { statusCode: 400 });
+    }
+  });
+
+  it('should combine the results of several threads', () => {
+    assert.deepEqual(
+      mergeThreadResults([
+        { disconnected: false, reset: false },
+        { disconnected: true, reset: false }
+      ]),
+      { disconnected: true, reset: false }
+    );
+  });
+});
+
+describe('Thread commands', () => {
+  let events;
+
+  beforeEach(() => {
+    events = new EventEmitter();
+    setupMqttMonitoring({ mqtt: { events } });
+  });
+
+  it('should disconnect a connected client', () => {
+    const socket = createSocket();
+    events.emit('connected', { sessionId: 'kick-me' }, socket);
+    assert.deepEqual(
+      applyThreadCommand({ action: 'disconnect', client_id: 'kick-me' }),
+      { disconnected: true }
+    );
+    assert.equal(socket.destroyed, true);
+    events.emit('disconnected', { sessionId: 'kick-me' });
+
+    assert.deepEqual(
+      applyThreadCommand({ action: 'disconnect', client_id: 'kick-me' }),
+      { disconnected: false }
+    );
+  });
+
+  it('should reset counters but keep gauges', () => {
+    events.emit('connected', { sessionId: 'r1' });
+    metrics.onPublishReceived({ topic: 'a', payload: 'x' }, 1, 'r1');
+    const { connected } = metrics.clients;
+
+    applyThreadCommand({ action: CONTROL_ACTIONS.RESET_METRICS });
+    assert.equal(metrics.messages.received, 0);
+    assert.equal(metrics.bytes.received, 0);
+    assert.equal(metrics.clients.maximum, connected);
+    assert.equal(metrics.clients.connected, connected);
+    assert.equal(metrics.perClient.get('r1').messages.received, 0);
+    events.emit('disconnected', { sessionId: 'r1' });
+  });
+});
+
+describe('ControlResource', () => {
+  let audit;
+  const previousTables = globalThis.tables;
+
+  beforeEach(() => {
+    audit = createTable();
+    setControlAuditTable(audit);
+  });
+
+  afterEach(() => {
+    setControlAuditTable(null);
+    setAcl(null);
+    stopControlChannel();
+    globalThis.tables = previousTables;
+  });
+
+  it('should clear retained messages matching a filter', async () => {
+    globalThis.tables = {
+      mqtt_topics: createTable([
+        { id: 'devices/a/status', retain: true },
+        { id: 'devices/b/status', retain: true },
+        { id: 'devices/c/status', retain: false },
+        { id: 'other/status', retain: true }
+      ])
+    };
+    const result = await new ControlResource().post(
+      { user: SUPER_USER },
+      { action: 'clear_retained', filter: 'devices/+/status' }
+    );
+    assert.deepEqual(result.result, { cleared: 2 });
+    assert.deepEqual(
+      [...globalThis.tables.mqtt_topics.rows.keys()],
+      ['devices/c/status', 'other/status']
+    );
+
+    const [row] = audit.rows.values();
+    assert.equal(row.action, 'clear_retained');
+    assert.equal(row.filter, 'devices/+/status');
+    assert.equal(row.username, 'admin');
+    assert.equal(row.status, 'ok');
+    assert.deepEqual(JSON.parse(row.result), { cleared: 2 });
+  });
+
+  it('should deny and audit non-admin requests', async () => {
+    const resource = new ControlResource();
+    const command = { action: 'disconnect', client_id: 'c1' };
+    const bob = { user: { username: 'bob' } };
+    await assert.rejects(resource.post(bob, command), { statusCode: 403 });
+    // Without the ACL there are no ACL admins
+    await assert.rejects(resource.post({}, command), { statusCode: 403 });
+
+    setAcl({ rules: [], admins: ['ops'] });
+    const result = await resource.post({ user: { username: 'ops' } }, command);
+    assert.equal(result.result.disconnected, false);
+
+    assert.deepEqual(
+      [...audit.rows.values()].map((row) => [row.username, row.status]),
+      [
+        ['bob', 'denied'],
+        [null, 'denied'],
+        ['ops', 'ok']
+      ]
+    );
+  });
+
+  it('should audit rejected commands', async () => {
+    await assert.rejects(
+      new ControlResource().post({ user: SUPER_USER }, { action: 'reboot' }),
+      { statusCode: 400 }
+    );
+    const [row] = audit.rows.values();
+    assert.equal(row.status, 'rejected');
+    assert.match(row.error, /action must be one of/);
+  });
+
+  it('should report purge_session as unsupported', async () => {
+    const socket = createSocket();
+    const events = new EventEmitter();
+    setupMqttMonitoring({ mqtt: { events } });
+    events.emit('connected', { sessionId: 'p1', clean: false }, socket);
+    // Harper has no API for dropping its copy of the session
+    await assert.rejects(
+      executeControlCommand(
+        { action: 'purge_session', client_id: 'p1' },
+        'admin'
+      ),
+      { statusCode: 501 }
+    );
+    assert.equal(socket.destroyed, false);
+    const [row] = audit.rows.values();
+    assert.deepEqual(
+      [row.action, row.client_id, row.status],
+      ['purge_session', 'p1', 'unsupported']
+    );
+    events.emit('disconnected', { sessionId: 'p1' });
+  });
+
+  it('should apply commands on the other threads', async () => {
+    startControlChannel();
+    // Stands in for another worker thread holding the connection
+    const otherThread = new BroadcastChannel('mqtt-broker-interop:control');
+    otherThread.onmessage = ({ data }) => {
+      if (data.type === 'command') {
+        otherThread.postMessage({
+          type: 'reply',
+          requestId: data.requestId,
+          result: { disconnected: data.command.client_id === 'remote' }
+        });
+      }
+    };
+    const previousServer = globalThis.server;
+    try {
+      const { result } = await executeControlCommand(
+        { action: 'disconnect', client_id: 'remote' },
+        'admin'
+      );
+      assert.deepEqual(result, { disconnected: true, threads: 2 });
+
+      // Knowing the thread count, the reply of the only other thread is enough
+      globalThis.server = { ...previousServer, workerCount: 2 };
+      const start = Date.now();
+      await executeControlCommand(
+        { action: 'disconnect', client_id: 'remote' },
+        'admin'
+      );
+      assert.ok(Date.now() - start < 200);
+    } finally {
+      globalThis.server = previousServer;
+      otherThread.close();
+    }
+  });
+
+  it('should hand a session over to the thread it reconnected on', async () => {
+    const events = new EventEmitter();
+    setupMqttMonitoring({ mqtt: { events } });
+    const session = { sessionId: 'moved', clean: false };
+    events.emit('connected', session);
+    events.emit('subscribe', [{ topic: 'moved/#', qos: 1 }], session);
+    events.emit('disconnected', session);
+    const { disconnected } = metrics.clients;
+
+    startControlChannel();
+    const otherThread = new BroadcastChannel('mqtt-broker-interop:control');
+    try {
+      const handedOver = new Promise((resolve) => {
+        otherThread.onmessage = ({ data }) => {
+          if (data.type === 'subscriptions') {
+            resolve(data);
+          }
+        };
+      });
+      otherThread.postMessage({
+        type: 'connected',
+        clientId: 'moved',
+        resumed: true,
+        threadId: -1
+      });
+      const { to, subscriptions } = await handedOver;
+      assert.equal(to, -1);
+      assert.deepEqual(
+        subscriptions.map(({ filter, qos }) => [filter, qos]),
+        [['moved/#', 1]]
+      );
+      // The session no longer expires or holds subscriptions on this thread
+      assert.equal(sessionTracker.disconnected.has('moved'), false);
+      assert.deepEqual(subscriptionIndex.filters('moved'), []);
+      assert.equal(metrics.clients.disconnected, disconnected - 1);
+    } finally {
+      otherThread.close();
+    }
+  });
+
+  it('should adopt the subscriptions of a session resumed here', async () => {
+    const events = new EventEmitter();
+    setupMqttMonitoring({ mqtt: { events } });
+    startControlChannel();
+    const otherThread = new BroadcastChannel('mqtt-broker-interop:control');
+    // Stands in for the thread the session was disconnected on
+    otherThread.onmessage = ({ data }) => {
+      if (data.type === 'connected') {
+        otherThread.postMessage({
+          type: 'subscriptions',
+          clientId: data.clientId,
+          subscriptions: [
+            {
+              client_id: data.clientId,
+              username: null,
+              filter: 'adopted/#',
+              qos: 1,
+              subscribed_at: '2026-01-01T00:00:00.000Z'
+            }
+          ],
+          to: data.threadId
+        });
+      }
+    };
+    const session = {
+      sessionId: 'adopted',
+      clean: false,
+      sessionWasPresent: true
+    };
+    try {
+      events.emit('connected', session);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.deepEqual(subscriptionIndex.filters('adopted'), ['adopted/#']);
+      assert.deepEqual(
+        [...metrics.perClient.get('adopted').subscriptions],
+        ['adopted/#']
+      );
+    } finally {
+      otherThread.close();
+      events.emit('disconnected', { ...session, clean: true });
+    }
+  });
+
+  it('should not wait for replies on a single thread', async () => {
+    startControlChannel();
+    const previousServer = globalThis.server;
+    try {
+      globalThis.server = { ...previousServer, workerCount: 1 };
+      const { result } = await executeControlCommand(
+        { action: 'disconnect', client_id: 'nobody' },
+        'admin'
+      );
+      assert.deepEqual(result, { disconnected: false, threads: 1 });
+    } finally {
+      globalThis.server = previousServer;
+    }
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Tests for payload size and latency histograms
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  WindowedHistogram,
+  bucketIndex,
+  createHistogramWindow,
+  percentile,
+  summarizeWindow
+} from '../src/histogram.js';
+import { mergeSnapshots } from '../src/thread-metrics.js';
+import {
+  MqttMetrics,
+  SysTopics,
+  metrics,
+  trackAcknowledgements
+} from '../src/mqtt.js';
+import { getMetrics } from '../src/resources.js';
+
+metrics.stopMetricsUpdates();
+
+const T0 = 1_000_000_000;
+
+/**
+ * Assert a percentile estimate is within one bucket (√2) of the exact value
+ * @param {number} actual - Estimate
+ * @param {number} expected - Exact value
+ */
+function assertWithinBucket(actual, expected) {
+  assert.ok(
+    actual >= expected / Math.SQRT2 && actual <= expected * Math.SQRT2,
+    `${actual} is not within a bucket of ${expected}`
+  );
+}
+
+describe('WindowedHistogram', () => {
+  it('should bucket values exponentially', () => {
+    assert.equal(bucketIndex(0), 0);
+    assert.equal(bucketIndex(1), 0);
+    assert.equal(bucketIndex(2), 2);
+    assert.equal(bucketIndex(3), 4);
+    assert.equal(bucketIndex(1024), 20);
+  });
+
+  it('should estimate percentiles', () => {
+    const histogram = new WindowedHistogram();
+    for (let value = 1; value <= 1000; value++) {
+      histogram.record(value, T0);
+    }
+    const { oneMin } = histogram.windows(T0);
+    assert.equal(oneMin.count, 1000);
+    assertWithinBucket(percentile(oneMin, 0.5), 500);
+    assertWithinBucket(percentile(oneMin, 0.95), 950);
+    assertWithinBucket(percentile(oneMin, 0.99), 990);
+
+    const summary = summarizeWindow(oneMin);
+    assert.equal(summary.mean, 500.5);
+    assert.deepEqual(summarizeWindow(createHistogramWindow()), {
+      count: 0,
+      mean: null,
+      p50: null,
+      p95: null,
+      p99: null
+    });
+  });
+
+  it('should keep values in each load window for its duration', () => {
+    const histogram = new WindowedHistogram();
+    histogram.record(10, T0);
+    histogram.record(10, T0 + 4 * 60 * 1000);
+
+    let windows = histogram.windows(T0 + 4 * 60 * 1000);
+    assert.deepEqual(
+      [windows.oneMin.count, windows.fiveMin.count, windows.fifteenMin.count],
+      [1, 2, 2]
+    );
+
+    windows = histogram.windows(T0 + 14 * 60 * 1000);
+    assert.deepEqual(
+      [windows.oneMin.count, windows.fiveMin.count, windows.fifteenMin.count],
+      [0, 0, 2]
+    );
+
+    histogram.record(10, T0 + 30 * 60 * 1000);
+    assert.equal(histogram.slots.size, 1);
+  });
+
+  it('should ignore invalid values', () => {
+    const histogram = new WindowedHistogram();
+    histogram.record(-1, T0);
+    histogram.record(NaN, T0);
+    assert.equal(histogram.windows(T0).oneMin.count, 0);
+  });
+});
+
+describe('Broker histograms', () => {
+  /**
+   * Metrics instance driven by a manual clock
+   * @returns {Object} - { m, setTime(ms) }
+   */
+  function createClockedMetrics() {
+    let time = T0;
+    const m = new MqttMetrics({ now: () => time });
+    m.stopMetricsUpdates();
+    return {
+      m,
+      setTime(ms) {
+        time = ms;
+      }
+    };
+  }
+
+  it('should record payload sizes and delivery latency', () => {
+    const { m, setTime } = createClockedMetrics();
+    const message = { topic: 'a', payload: Buffer.alloc(100), qos: 0 };
+    m.onPublishReceived(message, 120);
+    setTime(T0 + 40);
+    m.onPublishSent({ ...message, receivedAt: T0 }, 120, 'sub');
+    // Messages not seen on receipt (retained, replayed) have no latency
+    m.onPublishSent({ topic: 'a', payload: 'x' }, 10, 'sub');
+    m._updateSystemMetrics();
+
+    assert.equal(m.histograms.payloadSize.oneMin.count, 1);
+    assert.equal(m.histograms.deliveryLatency.oneMin.count, 1);
+    assertWithinBucket(percentile(m.histograms.payloadSize.oneMin, 0.5), 100);
+    assertWithinBucket(
+      percentile(m.histograms.deliveryLatency.oneMin, 0.99),
+      40
+    );
+  });
+
+  it('should record QoS 1/2 acknowledgement round trips', () => {
+    const { m, setTime } = createClockedMetrics();
+    m.onConnect('sub', false);
+    m.onPublishAwaitingAck('sub', 7);
+    m.onPublishAwaitingAck('sub', 8);
+    setTime(T0 + 25);
+    m.onPublishAcknowledged('sub', 7);
+    m.onPublishAcknowledged('sub', 7); // duplicate
+    m.onPublishAcknowledged('other', 8); // unknown client
+    m.onDisconnect('sub', false);
+    m.onPublishAcknowledged('sub', 8); // after disconnect
+    m._updateSystemMetrics();
+
+    assert.equal(m.histograms.ackLatency.oneMin.count, 1);
+    assertWithinBucket(percentile(m.histograms.ackLatency.oneMin, 0.5), 25);
+  });
+
+  it('should time acknowledgements through the Harper session', () => {
+    const { m, setTime } = createClockedMetrics();
+    // Shaped like Harper's SubscriptionsSession
+    let nextPacketId = 1;
+    const acknowledged = [];
+    const session = {
+      awaitingAcks: new Map(),
+      needsAcknowledge(update) {
+        const packetId = nextPacketId++;
+        this.awaitingAcks.set(packetId, update);
+        return packetId;
+      },
+      acknowledge(packetId) {
+        this.awaitingAcks.get(packetId)?.acknowledge();
+        this.awaitingAcks.delete(packetId);
+      }
+    };
+    assert.equal(trackAcknowledgements(session, 'sub', m), true);
+    assert.equal(trackAcknowledgements({}, 'other', m), false);
+
+    const packetId = session.needsAcknowledge({
+      acknowledge: () => acknowledged.push('a')
+    });
+    assert.equal(packetId, 1);
+    setTime(T0 + 30);
+    // Harper calls acknowledge() for PUBACK and PUBCOMP
+    session.acknowledge(packetId);
+    m._updateSystemMetrics();
+
+    assert.deepEqual(acknowledged, ['a']);
+    assert.equal(session.awaitingAcks.size, 0);
+    assert.equal(m.histograms.ackLatency.oneMin.count, 1);
+    assertWithinBucket(percentile(m.histograms.ackLatency.oneMin, 0.5), 30);
+  });
+
+  it('should merge windows across threads', () => {
+    const a = new MqttMetrics({ now: () => T0 });
+    const b = new MqttMetrics({ now: () => T0 });
+    a.stopMetricsUpdates();
+    b.stopMetricsUpdates();
+    for (let i = 0; i < 99; i++) {
+      a.onPublishReceived({ topic: 'a', payload: 'x'.repeat(10) }, 10);
+    }
+    b.onPublishReceived({ topic: 'a', payload: 'x'.repeat(5000) }, 5000);
+    a._updateSystemMetrics();
+    b._updateSystemMetrics();
+
+    const merged = mergeSnapshots([a.snapshot(), b.snapshot()]);
+    const window = merged.histograms.payloadSize.fiveMin;
+    assert.equal(window.count, 100);
+    assertWithinBucket(percentile(window, 0.5), 10);
+    assertWithinBucket(percentile(window, 1), 5000);
+  });
+
+  it('should publish percentile topics and report them in getMetrics()', () => {
+    const sysTopics = new SysTopics();
+    assert.equal(
+      sysTopics.get({ path: '$SYS/broker/latency/ack/p99/15min' }),
+      null
+    );
+
+    const { m } = createClockedMetrics();
+    m.onPublishReceived({ topic: 'a', payload: 'x'.repeat(64) }, 64);
+    m._updateSystemMetrics();
+    sysTopics.metrics = m;
+    const p95 = sysTopics.get({ path: '$SYS/broker/payload/size/p95/1min' });
+    assertWithinBucket(p95, 64);
+    assert.equal(p95, Math.round(p95 * 100) / 100);
+
+    const { histograms } = getMetrics();
+    assert.deepEqual(Object.keys(histograms), [
+      'payloadSize',
+      'deliveryLatency',
+      'ackLatency'
+    ]);
+    assert.deepEqual(Object.keys(histograms.deliveryLatency.fiveMin), [
+      'count',
+      'mean',
+      'p50',
+      'p95',
+      'p99'
+    ]);
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * Tests for publish ingestion through the `/` export of mqtt_topics
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TOPICS_EXPORT_PATH,
+  countDeliveries,
+  createTopicsResource,
+  registerTopicsResource,
+  toInboundMessage
+} from '../src/ingest.js';
+import { MqttMetrics, metrics } from '../src/mqtt.js';
+import { compileRateLimits, setRateLimits } from '../src/rate-limit.js';
+import { setAcl } from '../src/acl.js';
+
+metrics.stopMetricsUpdates();
+
+/**
+ * Minimal stand-in for the mqtt_topics table class: static get/put/publish on a
+ * shared row store, and instances (one per topic) whose subscribe() replays the
+ * puts and publishes
+ */
+class MockTopicsTable {
+  static rows = new Map();
+  static events = [];
+
+  static async get(id) {
+    const row = this.rows.get(id);
+    return row && { ...row, doesExist: () => true };
+  }
+
+  static async put(record) {
+    this.rows.set(record.id, record);
+    this.events.push({ type: 'put', id: record.id, value: record });
+  }
+
+  static async delete(id) {
+    this.rows.delete(id);
+    this.events.push({ type: 'delete', id });
+  }
+
+  static async publish(id, message) {
+    this.events.push({ type: 'message', id, value: message });
+  }
+
+  constructor(id) {
+    this.id = id;
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  async subscribe() {
+    const { events } = MockTopicsTable;
+    // Like Harper's Subscription: an iterable queue with its own methods
+    return {
+      ended: false,
+      end() {
+        this.ended = true;
+      },
+      async *[Symbol.asyncIterator]() {
+        // Includes events put while iterating, like a live subscription
+        for (let i = 0; i < events.length && !this.ended; i++) {
+          yield events[i];
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Mock Harper server with a resources map
+ * @returns {Object} - { resources }
+ */
+function createMockServer() {
+  const resources = new Map();
+  return {
+    resources: {
+      set(path, resource, exportTypes, force) {
+        resources.set(path, { resource, force });
+      },
+      get: (path) => resources.get(path)?.resource,
+      entries: resources
+    }
+  };
+}
+
+/**
+ * Collect an async iterable
+ * @param {AsyncIterable} iterable - Iterable
+ * @returns {Promise<Array>} - Values
+ */
+async function collect(iterable) {
+  const values = [];
+  for await (const value of iterable) {
+    values.push(value);
+  }
+  return values;
+}
+
+const previousTables = globalThis.tables;
+after(() => {
+  globalThis.tables = previousTables;
+});
+
+describe('Publish ingestion', () => {
+  beforeEach(() => {
+    MockTopicsTable.rows.clear();
+    MockTopicsTable.events.length = 0;
+    globalThis.tables = { mqtt_topics: MockTopicsTable };
+  });
+
+  it('should build inbound messages from the Harper request context', () => {
+    assert.deepEqual(
+      toInboundMessage(
+        'a/b',
+        'hi',
+        { qos: 1, session: { sessionId: 'c1' } },
+        true
+      ),
+      { topic: 'a/b', payload: 'hi', qos: 1, retain: true, client_id: 'c1' }
+    );
+    assert.deepEqual(toInboundMessage('a', 'x'), {
+      topic: 'a',
+      payload: 'x',
+      qos: 0,
+      retain: false,
+      client_id: null
+    });
+  });
+
+  it('should replace the / export and count and store publishes', async () => {
+    const server = createMockServer();
+    assert.equal(registerTopicsResource(server, MockTopicsTable), true);
+    assert.equal(server.resources.entries.get(TOPICS_EXPORT_PATH).force, true);
+
+    const Resource = server.resources.get(TOPICS_EXPORT_PATH);
+    assert.ok(new Resource('x') instanceof MockTopicsTable);
+
+    const { received } = metrics.messages;
+    const bytes = metrics.bytes.received;
+    // Harper sends retained publishes to put()
+    await new Resource('sensors/temp').put(Buffer.from('21.5'), {
+      qos: 1,
+      session: { sessionId: 'sensor-1' }
+    });
+
+    assert.equal(metrics.messages.received, received + 1);
+    assert.equal(metrics.bytes.received, bytes + 4);
+    const row = MockTopicsTable.rows.get('sensors/temp');
+    assert.equal(row.payload, '21.5');
+    assert.equal(row.client_id, 'sensor-1');
+    assert.equal(row.retain, true);
+  });
+
+  it('should deliver publishes that are not retained without storing them', async () => {
+    const server = createMockServer();
+    registerTopicsResource(server, MockTopicsTable);
+    const Resource = server.resources.get(TOPICS_EXPORT_PATH);
+    await new Resource('a').put('retained', {});
+    await new Resource('a').publish('live', { session: { sessionId: 'c1' } });
+
+    assert.equal(MockTopicsTable.rows.get('a').payload, 'retained');
+    const [, published] = MockTopicsTable.events;
+    assert.equal(published.type, 'message');
+    assert.equal(published.id, 'a');
+    assert.equal(published.value.payload, 'live');
+    assert.equal(published.value.retain, false);
+    assert.equal(published.value.client_id, 'c1');
+  });
+
+  it('should clear retained messages Harper deletes', async () => {
+    const Resource = createTopicsResource(MockTopicsTable);
+    await new Resource('a').put('1', {});
+    // Harper sends retained publishes with an empty payload to delete()
+    await new Resource('a').delete({});
+    assert.equal(MockTopicsTable.rows.has('a'), false);
+  });
+
+  it('should take the session from the request context', async () => {
+    const Resource = createTopicsResource(MockTopicsTable);
+    const resource = new Resource('a');
+    resource.getContext = () => ({ session: { sessionId: 'ctx' } });
+    await resource.put('1', { url: '/a' });
+    assert.equal(MockTopicsTable.rows.get('a').client_id, 'ctx');
+  });
+
+  it('should not count or store rate-limited publishes', async () => {
+    const server = createMockServer();
+    registerTopicsResource(server, MockTopicsTable);
+    const Resource = server.resources.get(TOPICS_EXPORT_PATH);
+    setRateLimits(compileRateLimits({ client: { messages: 1 } }));
+    try {
+      const context = { session: { sessionId: 'noisy' } };
+      const { received } = metrics.messages;
+      await new Resource('a').publish('1', context);
+      await new Resource('b').publish('2', context);
+      assert.equal(metrics.messages.received, received + 1);
+      assert.deepEqual(
+        MockTopicsTable.events.map((event) => event.id),
+        ['a']
+      );
+    } finally {
+      setRateLimits(null);
+    }
+  });
+
+  it('should not count or store publishes the ACL denies', async () => {
+    const server = createMockServer();
+    registerTopicsResource(server, MockTopicsTable);
+    const Resource = server.resources.get(TOPICS_EXPORT_PATH);
+    setAcl({ rules: [] });
+    try {
+      const { received } = metrics.messages;
+      const bytes = metrics.bytes.received;
+      await new Resource('a').publish('1', { session: { sessionId: 'c1' } });
+      assert.equal(metrics.messages.received, received);
+      assert.equal(metrics.bytes.received, bytes);
+      assert.equal(MockTopicsTable.events.length, 0);
+    } finally {
+      setAcl(null);
+    }
+  });
+
+  it('should count messages delivered to subscribers', async () => {
+    const server = createMockServer();
+    registerTopicsResource(server, MockTopicsTable);
+    const Resource = server.resources.get(TOPICS_EXPORT_PATH);
+    await new Resource('a').publish('hello', {});
+
+    const { sent } = metrics.messages;
+    const bytes = metrics.bytes.sent;
+    const events = await collect(
+      await new Resource('a').subscribe({}, { session: { sessionId: 'sub' } })
+    );
+    assert.equal(events.length, 1);
+    assert.deepEqual(events[0].value.data, Buffer.from('hello'));
+    assert.equal(metrics.messages.sent, sent + 1);
+    assert.equal(metrics.bytes.sent, bytes + 5);
+  });
+
+  it('should deliver the original bytes of binary publishes', async () => {
+    const server = createMockServer();
+    registerTopicsResource(server, MockTopicsTable);
+    const Resource = server.resources.get(TOPICS_EXPORT_PATH);
+    const bytes = Buffer.from([0x00, 0xff, 0x80, 0x7b, 0x22, 0x0a]);
+    await new Resource('cameras/1').put(bytes, {
+      session: { sessionId: 'cam' }
+    });
+    assert.equal(
+      MockTopicsTable.rows.get('cameras/1').payload_encoding,
+      'base64'
+    );
+
+    const [event] = await collect(
+      await new Resource('cameras/1').subscribe(
+        {},
+        { session: { sessionId: 'sub' } }
+      )
+    );
+    assert.equal(event.id, 'cameras/1');
+    assert.equal(event.value.contentType, 'application/octet-stream');
+    assert.ok(Buffer.isBuffer(event.value.data));
+    assert.deepEqual(event.value.data, bytes);
+  });
+
+  it('should deliver decoded JSON publishes as the published text', async () => {
+    const server = createMockServer();
+    registerTopicsResource(server, MockTopicsTable);
+    const Resource = server.resources.get(TOPICS_EXPORT_PATH);
+    const text = '{"temp": 21.5,  "unit":"C"}';
+    await new Resource('sensors/1').publish(Buffer.from(text), {});
+
+    const [event] = await collect(
+      await new Resource('sensors/1').subscribe({}, {})
+    );
+    assert.equal(event.value.contentType, 'application/json');
+    assert.equal(event.value.data.toString(), text);
+  });
+
+  it('should record delivery latency of messages published after subscribing', async () => {
+    const m = new MqttMetrics();
+    m.stopMetricsUpdates();
+    const Resource = createTopicsResource(MockTopicsTable, { metrics: m });
+    // Retained message stored before the subscription
+    await MockTopicsTable.put({
+      id: 'a',
+      topic: 'a',
+      payload: 'old',
+      payload_encoding: 'utf8',
+      timestamp: new Date(Date.now() - 60_000).toISOString()
+    });
+
+    const subscription = await new Resource('a').subscribe(
+      {},
+      { session: { sessionId: 'sub' } }
+    );
+    await new Resource('a').publish('new', { session: { sessionId: 'pub' } });
+    const events = await collect(subscription);
+    m._updateSystemMetrics();
+
+    assert.deepEqual(
+      events.map((event) => event.value.data.toString()),
+      ['old', 'new']
+    );
+    assert.equal(m.messages.sent, 2);
+    assert.equal(m.histograms.deliveryLatency.oneMin.count, 1);
+    assert.ok(m.histograms.deliveryLatency.oneMin.sum < 60_000);
+  });
+
+  it('should skip deletes and use stored payload sizes', async () => {
+    const m = new MqttMetrics();
+    m.stopMetricsUpdates();
+    const events = (async function* () {
+      yield {
+        type: 'put',
+        id: 'bin',
+        value: { payload: 'AAECAw==', payload_encoding: 'base64' }
+      };
+      yield { type: 'delete', id: 'bin' };
+      yield { type: 'publish', value: 'raw' };
+    })();
+    const delivered = await collect(countDeliveries(events, 'x/#', 'c', m));
+    assert.equal(delivered.length, 3);
+    assert.equal(m.messages.sent, 2);
+    assert.equal(m.bytes.sent, 4 + 3);
+  });
+
+  it('should return the Harper subscription itself', async () => {
+    const Resource = createTopicsResource(MockTopicsTable);
+    await new Resource('a').put('1', {});
+    await new Resource('a').publish('2', {});
+
+    const subscription = await new Resource('a').subscribe({}, {});
+    const delivered = [];
+    for await (const event of subscription) {
+      delivered.push(event.value.data.toString());
+      // Harper ends subscriptions it removes
+      subscription.end();
+    }
+    assert.equal(typeof subscription.end, 'function');
+    assert.equal(subscription.ended, true);
+    assert.deepEqual(delivered, ['1']);
+  });
+
+  it('should not register without a resources map or table', () => {
+    assert.equal(registerTopicsResource({}, MockTopicsTable), false);
+    assert.equal(registerTopicsResource(createMockServer(), undefined), false);
+  });
+});
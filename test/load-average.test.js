@@ -0,0 +1,122 @@
+/**
+ * Tests for exponentially-weighted load averages
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createLoadAverage,
+  roundLoad,
+  updateLoadAverage
+} from '../src/load-average.js';
+import { MqttMetrics, SysTopics, metrics } from '../src/mqtt.js';
+
+metrics.stopMetricsUpdates();
+
+const T0 = 1_000_000;
+
+/**
+ * Metrics instance driven by a manual clock
+ * @returns {Object} - { m, advance(seconds) }
+ */
+function createClockedMetrics() {
+  let time = T0;
+  const m = new MqttMetrics({ now: () => time });
+  m.stopMetricsUpdates();
+  return {
+    m,
+    advance(seconds) {
+      time += seconds * 1000;
+      m._updateSystemMetrics();
+    }
+  };
+}
+
+describe('updateLoadAverage', () => {
+  it('should apply the Mosquitto EWMA formula', () => {
+    const average = updateLoadAverage(createLoadAverage(), 60, 60);
+    // 60 events/min for one minute: 60 * (1 - e^-1), 60 * (1 - e^-0.2), ...
+    assert.ok(Math.abs(average.oneMin - 60 * (1 - Math.exp(-1))) < 1e-9);
+    assert.ok(Math.abs(average.fiveMin - 60 * (1 - Math.exp(-0.2))) < 1e-9);
+    assert.ok(
+      Math.abs(average.fifteenMin - 60 * (1 - Math.exp(-1 / 15))) < 1e-9
+    );
+  });
+
+  it('should converge to a steady rate in every window', () => {
+    const average = createLoadAverage();
+    for (let i = 0; i < 1000; i++) {
+      updateLoadAverage(average, 5, 10); // 30 events per minute
+    }
+    assert.equal(roundLoad(average.oneMin), 30);
+    assert.equal(roundLoad(average.fiveMin), 30);
+    assert.equal(roundLoad(average.fifteenMin), 30);
+  });
+
+  it('should decay without events and ignore empty intervals', () => {
+    const average = { oneMin: 10, fiveMin: 10, fifteenMin: 10 };
+    updateLoadAverage(average, 0, 60);
+    assert.ok(Math.abs(average.oneMin - 10 * Math.exp(-1)) < 1e-9);
+    assert.deepEqual(updateLoadAverage({ ...average }, 5, 0), average);
+  });
+
+  it('should round to two decimals', () => {
+    assert.equal(roundLoad(1.23456), 1.23);
+    assert.equal(roundLoad(0.005), 0.01);
+  });
+});
+
+describe('Broker load averages', () => {
+  it('should start from the first update rather than from zero traffic', () => {
+    const { m, advance } = createClockedMetrics();
+    for (let i = 0; i < 500; i++) {
+      m.onPublishReceived({ topic: 'a' }, 10);
+    }
+    advance(0); // first update sets the baseline
+    assert.equal(m.load.messagesReceived.oneMin, 0);
+
+    for (let i = 0; i < 10; i++) {
+      m.onPublishReceived({ topic: 'a' }, 10);
+    }
+    advance(10); // 10 messages in 10 s = 60 per minute
+    const expected = 60 * (1 - Math.exp(-10 / 60));
+    assert.ok(Math.abs(m.load.messagesReceived.oneMin - expected) < 1e-9);
+  });
+
+  it('should count connections, not changes in the connected count', () => {
+    const { m, advance } = createClockedMetrics();
+    advance(0);
+    for (let i = 0; i < 6; i++) {
+      m.onConnect(`c${i}`, false);
+      m.onDisconnect(`c${i}`, false);
+    }
+    advance(60);
+    assert.equal(m.clients.connected, 0);
+    assert.ok(m.load.connections.oneMin > 3);
+  });
+
+  it('should not count resumed totals as traffic', () => {
+    const { m, advance } = createClockedMetrics();
+    advance(0);
+    m.resumeCounters({ '$SYS/broker/messages/received': 1_000_000 });
+    advance(10);
+    advance(10);
+    assert.equal(m.load.messagesReceived.oneMin, 0);
+  });
+
+  it('should publish load topics with decimal precision', () => {
+    const { m, advance } = createClockedMetrics();
+    advance(0);
+    m.onPublishReceived({ topic: 'a' }, 10);
+    advance(60);
+    const sysTopics = new SysTopics();
+    sysTopics.metrics = m;
+    assert.equal(
+      sysTopics.get({ path: '$SYS/broker/load/messages/received/1min' }),
+      roundLoad(1 - Math.exp(-1))
+    );
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Tests for opt-in message history and topic replay
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, after, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { URLSearchParams } from 'node:url';
+import { metrics, writeMessageToTable } from '../src/mqtt.js';
+import {
+  setMessageHistoryOptions,
+  parseMessageQuery
+} from '../src/message-history.js';
+import { DynamicTopicsResource } from '../src/resources.js';
+
+/**
+ * Mock table supporting the search conditions used for replay
+ */
+function createTable() {
+  const rows = new Map();
+  const comparators = {
+    equals: (actual, value) => actual === value,
+    greater_than_equal: (actual, value) => actual >= value,
+    less_than_equal: (actual, value) => actual <= value
+  };
+  return {
+    rows,
+    put(record) {
+      rows.set(record.id, { ...record });
+    },
+    publish() {},
+    get(id) {
+      const row = rows.get(id);
+      return row ? { ...row, doesExist: () => true } : undefined;
+    },
+    async *search({ conditions = [] } = {}) {
+      for (const row of Array.from(rows.values())) {
+        if (
+          conditions.every(({ attribute, comparator = 'equals', value }) =>
+            comparators[comparator](row[attribute], value)
+          )
+        ) {
+          yield row;
+        }
+      }
+    }
+  };
+}
+
+describe('Message history', () => {
+  let savedTables;
+  let tables;
+
+  before(() => {
+    savedTables = globalThis.tables;
+  });
+
+  after(() => {
+    globalThis.tables = savedTables;
+    setMessageHistoryOptions();
+    metrics.stopMetricsUpdates();
+  });
+
+  beforeEach(() => {
+    tables = { mqtt_topics: createTable(), mqtt_sensors: createTable() };
+    globalThis.tables = tables;
+    setMessageHistoryOptions({ enabled: true, default_limit: 3 });
+  });
+
+  async function publish(topic, payload, timestamp, retain = false) {
+    mock.timers.enable({ apis: ['Date'], now: timestamp });
+    try {
+      await writeMessageToTable('mqtt_sensors', {
+        topic,
+        payload: Buffer.from(payload),
+        qos: 1,
+        retain,
+        client_id: 'sensor-1'
+      });
+    } finally {
+      mock.timers.reset();
+    }
+  }
+
+  const T0 = Date.parse('2026-05-01T08:00:00.000Z');
+
+  describe('writeMessageToTable', () => {
+    it('stores each publish as its own row in the per-prefix table', async () => {
+      await publish('sensors/temp', '20', T0);
+      await publish('sensors/temp', '21', T0 + 1000);
+
+      const rows = Array.from(tables.mqtt_sensors.rows.values());
+      assert.equal(rows.length, 2);
+      assert.deepEqual(
+        rows.map((row) => row.payload),
+        ['20', '21']
+      );
+      assert.ok(rows.every((row) => row.topic === 'sensors/temp'));
+      assert.notEqual(rows[0].id, rows[1].id);
+    });
+
+    it('keeps only retained messages in mqtt_topics', async () => {
+      await publish('sensors/temp', '20', T0, true);
+      await publish('sensors/temp', '21', T0 + 1000);
+
+      assert.equal(tables.mqtt_sensors.rows.size, 2);
+      assert.equal(tables.mqtt_topics.rows.size, 1);
+      assert.equal(tables.mqtt_topics.rows.get('sensors/temp').payload, '20');
+    });
+
+    it('writes no history rows when disabled', async () => {
+      setMessageHistoryOptions({ enabled: false });
+      await publish('sensors/temp', '20', T0);
+
+      assert.equal(tables.mqtt_sensors.rows.size, 0);
+      assert.equal(tables.mqtt_topics.rows.size, 0);
+    });
+  });
+
+  describe('DynamicTopicsResource GET', () => {
+    let resource;
+
+    beforeEach(async () => {
+      resource = new DynamicTopicsResource();
+      for (let i = 0; i < 5; i++) {
+        await publish('sensors/temp', `t${i}`, T0 + i * 60_000);
+      }
+      await publish('sensors/humidity', 'h0', T0 + 30_000);
+    });
+
+    it('returns only the requested topic, most recent first', async () => {
+      const result = await resource.get({ path: 'sensors/temp' });
+
+      assert.equal(result.order, 'desc');
+      assert.deepEqual(
+        result.messages.map((m) => m.payload),
+        ['t4', 't3', 't2']
+      );
+    });
+
+    it('applies limit, since, until and order', async () => {
+      const request = new URLSearchParams({
+        limit: '2',
+        since: new Date(T0 + 60_000).toISOString(),
+        until: String(T0 + 180_000),
+        order: 'asc'
+      });
+      request.path = 'sensors/temp';
+
+      const result = await resource.get(request);
+
+      assert.equal(result.count, 2);
+      assert.deepEqual(
+        result.messages.map((m) => m.payload),
+        ['t1', 't2']
+      );
+    });
+
+    it('reads parameters from the request URL', async () => {
+      const result = await resource.get({
+        url: 'sensors/temp?limit=1&order=asc'
+      });
+
+      assert.equal(result.topic, 'sensors/temp');
+      assert.deepEqual(
+        result.messages.map((m) => m.payload),
+        ['t0']
+      );
+    });
+
+    it('returns the retained message when history is disabled', async () => {
+      await publish('sensors/temp', 'retained', T0 + 10 * 60_000, true);
+      setMessageHistoryOptions({ enabled: false });
+
+      const result = await resource.get({ path: 'sensors/temp' });
+
+      assert.equal(result.count, 1);
+      assert.equal(result.messages[0].payload, 'retained');
+    });
+
+    it('returns no messages for a topic without a table', async () => {
+      const result = await resource.get({ path: 'home/temp' });
+
+      assert.equal(result.count, 0);
+    });
+  });
+});
+
+describe('parseMessageQuery', () => {
+  it('defaults to the configured limit in descending order', () => {
+    setMessageHistoryOptions({ enabled: true, default_limit: 25 });
+
+    assert.deepEqual(parseMessageQuery({}), {
+      limit: 25,
+      since: null,
+      until: null,
+      order: 'desc'
+    });
+    setMessageHistoryOptions();
+  });
+
+  it('rejects invalid parameters with status 400', () => {
+    const invalid = [
+      { limit: '0' },
+      { limit: '1001' },
+      { limit: 'ten' },
+      { order: 'newest' },
+      { since: 'last week' },
+      { since: '2026-05-02T00:00:00Z', until: '2026-05-01T00:00:00Z' }
+    ];
+    for (const query of invalid) {
+      assert.throws(
+        () => parseMessageQuery(query),
+        (error) => error.statusCode === 400,
+        JSON.stringify(query)
+      );
+    }
+  });
+});
@@ -315,6 +315,98 @@ describe('MqttMetrics', () => {
   });
 });
 
+describe('per-client statistics', () => {
+  it('records connect time and username on connect', async () => {
+    const { MqttMetrics } = await import(mqttjs);
+    const metrics = new MqttMetrics();
+
+    metrics.onConnect('client1', false, 'alice');
+
+    const client = metrics.perClient.get('client1');
+    assert.ok(client);
+    assert.equal(client.username, 'alice');
+    assert.ok(client.connectedAt instanceof Date);
+  });
+
+  it('counts messages and bytes in and out per client', async () => {
+    const { MqttMetrics } = await import(mqttjs);
+    const metrics = new MqttMetrics();
+
+    metrics.onConnect('client1', false);
+    metrics.onConnect('client2', false);
+    metrics.onPublishReceived({ topic: 'a', client_id: 'client1' }, 100);
+    metrics.onPublishReceived({ topic: 'a', client_id: 'client1' }, 50);
+    metrics.onPublishSent({ topic: 'a' }, 100, 'client2');
+
+    const client1 = metrics.perClient.get('client1');
+    const client2 = metrics.perClient.get('client2');
+    assert.equal(client1.messages.received, 2);
+    assert.equal(client1.bytes.received, 150);
+    assert.equal(client2.messages.sent, 1);
+    assert.equal(client2.bytes.sent, 100);
+    assert.equal(client2.messages.received, 0);
+  });
+
+  it('tracks the subscription list per client', async () => {
+    const { MqttMetrics } = await import(mqttjs);
+    const metrics = new MqttMetrics();
+
+    metrics.onConnect('client1', false);
+    metrics.onSubscribe('client1', 'home/#');
+    metrics.onSubscribe('client1', 'office/light');
+    metrics.onUnsubscribe('client1', 'home/#');
+
+    assert.deepEqual(
+      Array.from(metrics.perClient.get('client1').subscriptions),
+      ['office/light']
+    );
+  });
+
+  it('updates last activity on publish', async () => {
+    const { MqttMetrics } = await import(mqttjs);
+    const metrics = new MqttMetrics();
+
+    metrics.onConnect('client1', false);
+    const client = metrics.perClient.get('client1');
+    client.lastActivity = new Date(0);
+    metrics.onPublishReceived({ topic: 'a', client_id: 'client1' }, 1);
+
+    assert.ok(client.lastActivity.getTime() > 0);
+  });
+
+  it('removes the client on disconnect', async () => {
+    const { MqttMetrics } = await import(mqttjs);
+    const metrics = new MqttMetrics();
+
+    metrics.onConnect('client1', false);
+    metrics.onDisconnect('client1', false);
+
+    assert.equal(metrics.perClient.has('client1'), false);
+  });
+
+  it('ignores publishes from unknown clients', async () => {
+    const { MqttMetrics } = await import(mqttjs);
+    const metrics = new MqttMetrics();
+
+    metrics.onPublishReceived({ topic: 'a', client_id: 'ghost' }, 10);
+
+    assert.equal(metrics.perClient.size, 0);
+    assert.equal(metrics.messages.received, 1);
+  });
+
+  it('returns a plain snapshot from getClientStats', async () => {
+    const { MqttMetrics } = await import(mqttjs);
+    const metrics = new MqttMetrics();
+
+    metrics.onConnect('client1', false, 'alice');
+    metrics.onSubscribe('client1', 'home/#');
+
+    const stats = metrics.getClientStats();
+    assert.equal(stats.client1.username, 'alice');
+    assert.deepEqual(stats.client1.subscriptions, ['home/#']);
+  });
+});
+
 // Phase 2: SysTopics Resource class tests
 
 describe('SysTopics', () => {
@@ -469,6 +561,52 @@ describe('SysTopics', () => {
     });
   });
 
+  describe('per-client topics', () => {
+    it('resolves $SYS/broker/clients/<client-id>/ topics', async () => {
+      const { SysTopics, metrics } = await import(mqttjs);
+      const sys = new SysTopics();
+      metrics.onConnect('sensor-7', false, 'bob');
+      metrics.onPublishReceived({ topic: 't', client_id: 'sensor-7' }, 42);
+
+      assert.equal(
+        sys.get({ path: '$SYS/broker/clients/sensor-7/username' }),
+        'bob'
+      );
+      assert.equal(
+        sys.get({ path: '$SYS/broker/clients/sensor-7/messages/received' }),
+        1
+      );
+      assert.equal(
+        sys.get({ path: '$SYS/broker/clients/sensor-7/bytes/received' }),
+        42
+      );
+
+      metrics.onDisconnect('sensor-7', false);
+    });
+
+    it('resolves client ids containing slashes', async () => {
+      const { SysTopics, metrics } = await import(mqttjs);
+      const sys = new SysTopics();
+      metrics.onConnect('site/3/gw', false, 'gw');
+
+      assert.equal(
+        sys.get({ path: '$SYS/broker/clients/site/3/gw/username' }),
+        'gw'
+      );
+
+      metrics.onDisconnect('site/3/gw', false);
+    });
+
+    it('returns null for disconnected clients', async () => {
+      const { SysTopics } = await import(mqttjs);
+      const sys = new SysTopics();
+
+      const result = sys.get({ path: '$SYS/broker/clients/gone/username' });
+
+      assert.equal(result, null);
+    });
+  });
+
   describe('unknown topics', () => {
     it('returns null for unknown topic', async () => {
       const { SysTopics } = await import(mqttjs);
@@ -0,0 +1,243 @@
+/**
+ * Tests for payload codecs and byte-exact payload storage
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import { encode as encodeCbor } from 'cbor-x';
+import {
+  codecForTopic,
+  compilePayloadCodecs,
+  decodePayload,
+  encodeStoredPayload,
+  setPayloadCodecs
+} from '../src/payload-codec.js';
+import { messageToRecord, metrics } from '../src/mqtt.js';
+import { loadConfig } from '../src/config-loader.js';
+
+metrics.stopMetricsUpdates();
+
+const decode = (payload, codec, properties) =>
+  decodePayload({ topic: 'test/topic', payload, properties }, codec);
+
+describe('decodePayload', () => {
+  describe('auto detection', () => {
+    it('stores UTF-8 text as text', () => {
+      const decoded = decode(Buffer.from('21.5 °C'), 'auto');
+
+      assert.equal(decoded.codec, 'utf8');
+      assert.equal(decoded.payload, '21.5 °C');
+      assert.equal(decoded.payload_encoding, 'utf8');
+      assert.equal(decoded.content_type, 'text/plain');
+    });
+
+    it('parses JSON objects into fields', () => {
+      const decoded = decode(Buffer.from('{"temp":21.5,"unit":"C"}'), 'auto');
+
+      assert.equal(decoded.codec, 'json');
+      assert.equal(decoded.payload, '{"temp":21.5,"unit":"C"}');
+      assert.deepEqual(decoded.fields, { temp: 21.5, unit: 'C' });
+    });
+
+    it('stores invalid UTF-8 as base64', () => {
+      const bytes = Buffer.from([0xff, 0xfe, 0x00, 0x80]);
+      const decoded = decode(bytes, 'auto');
+
+      assert.equal(decoded.codec, 'raw');
+      assert.equal(decoded.payload, bytes.toString('base64'));
+      assert.equal(decoded.payload_encoding, 'base64');
+      assert.equal(decoded.content_type, 'application/octet-stream');
+    });
+
+    it('treats JSON-looking text that does not parse as text', () => {
+      const decoded = decode(Buffer.from('{not json}'), 'auto');
+
+      assert.equal(decoded.codec, 'utf8');
+      assert.equal(decoded.fields, null);
+    });
+
+    it('uses the MQTT 5 content type', () => {
+      const cbor = encodeCbor({ temp: 20 });
+
+      assert.equal(
+        decode(cbor, 'auto', { contentType: 'application/cbor' }).codec,
+        'cbor'
+      );
+      assert.equal(
+        decode(Buffer.from('[1,2]'), 'auto', {
+          contentType: 'application/vnd.acme+json; charset=utf-8'
+        }).codec,
+        'json'
+      );
+      assert.equal(
+        decode(Buffer.from('{"a":1}'), 'auto', {
+          contentType: 'application/x-protobuf'
+        }).codec,
+        'raw'
+      );
+    });
+
+    it('keeps the publisher content type', () => {
+      const decoded = decode(Buffer.from('hello'), 'auto', {
+        contentType: 'text/markdown'
+      });
+
+      assert.equal(decoded.content_type, 'text/markdown');
+    });
+
+    it('treats unknown content types flagged UTF-8 as text', () => {
+      const decoded = decode(Buffer.from('a,b,c'), 'auto', {
+        contentType: 'application/x-csv',
+        payloadFormatIndicator: 1
+      });
+
+      assert.equal(decoded.codec, 'utf8');
+    });
+  });
+
+  describe('configured codecs', () => {
+    it('raw stores even text as base64', () => {
+      const decoded = decode(Buffer.from('hello'), 'raw');
+
+      assert.equal(decoded.payload, 'aGVsbG8=');
+      assert.equal(decoded.payload_encoding, 'base64');
+    });
+
+    it('cbor decodes object fields and keeps the original bytes', () => {
+      const bytes = encodeCbor({ temp: 21.5, tags: ['a', 'b'] });
+      const decoded = decode(bytes, 'cbor');
+
+      assert.equal(decoded.codec, 'cbor');
+      assert.deepEqual(decoded.fields, { temp: 21.5, tags: ['a', 'b'] });
+      assert.equal(decoded.payload, bytes.toString('base64'));
+    });
+
+    it('cbor falls back to raw for malformed payloads', () => {
+      const decoded = decode(Buffer.from([0x1f]), 'cbor');
+
+      assert.equal(decoded.codec, 'raw');
+    });
+
+    it('utf8 falls back to raw for invalid UTF-8', () => {
+      assert.equal(decode(Buffer.from([0xc3, 0x28]), 'utf8').codec, 'raw');
+    });
+
+    it('json stores non-object values without fields', () => {
+      const decoded = decode(Buffer.from('[1,2,3]'), 'json');
+
+      assert.equal(decoded.codec, 'json');
+      assert.equal(decoded.fields, null);
+    });
+
+    it('never lets payload fields replace plugin attributes', () => {
+      const decoded = decode(
+        Buffer.from('{"id":"x","topic":"y","timestamp":1,"value":2}'),
+        'json'
+      );
+
+      assert.deepEqual(decoded.fields, { value: 2 });
+    });
+  });
+
+  it('accepts string and pre-parsed object payloads', () => {
+    assert.equal(decode('plain', 'auto').payload, 'plain');
+
+    const decoded = decode({ temp: 1 }, 'auto');
+    assert.equal(decoded.payload, '{"temp":1}');
+    assert.deepEqual(decoded.fields, { temp: 1 });
+  });
+});
+
+describe('encodeStoredPayload', () => {
+  it('round-trips binary payloads byte-exact', () => {
+    for (let i = 0; i < 20; i++) {
+      const bytes = randomBytes(1 + i * 13);
+      for (const codec of ['auto', 'raw', 'cbor', 'utf8', 'json']) {
+        const stored = decode(bytes, codec);
+        assert.deepEqual(encodeStoredPayload(stored), bytes, codec);
+      }
+    }
+  });
+
+  it('round-trips text and JSON byte-exact', () => {
+    for (const text of ['', 'héllo wörld ✓', '{ "spaced" : [1, 2] }']) {
+      const bytes = Buffer.from(text);
+      assert.deepEqual(encodeStoredPayload(decode(bytes, 'auto')), bytes);
+    }
+  });
+
+  it('returns an empty buffer for rows without a payload', () => {
+    assert.equal(encodeStoredPayload({}).length, 0);
+  });
+});
+
+describe('payload codec rules', () => {
+  afterEach(() => {
+    setPayloadCodecs(null);
+  });
+
+  it('uses the first matching rule, then the default', () => {
+    setPayloadCodecs(
+      compilePayloadCodecs({
+        rules: [
+          { filter: 'sensors/+/telemetry', codec: 'cbor' },
+          { filter: 'sensors/#', codec: 'json' }
+        ],
+        default: 'raw'
+      })
+    );
+
+    assert.equal(codecForTopic('sensors/a/telemetry'), 'cbor');
+    assert.equal(codecForTopic('sensors/a/status'), 'json');
+    assert.equal(codecForTopic('cameras/front'), 'raw');
+  });
+
+  it('defaults to auto', () => {
+    assert.equal(codecForTopic('anything'), 'auto');
+  });
+
+  it('rejects invalid rules when the config is loaded', () => {
+    assert.throws(
+      () =>
+        loadConfig({
+          payload_codecs: { rules: [{ filter: 'a/#', codec: 'protobuf' }] }
+        }),
+      /payload_codecs.rules\[0\].codec must be one of/
+    );
+    assert.throws(
+      () =>
+        compilePayloadCodecs({ rules: [{ filter: 'a/#/b', codec: 'raw' }] }),
+      /payload_codecs.rules\[0\].filter is invalid/
+    );
+    assert.throws(
+      () => compilePayloadCodecs({ default: 'xml' }),
+      /payload_codecs.default/
+    );
+  });
+
+  it('applies to stored message records', () => {
+    setPayloadCodecs(
+      compilePayloadCodecs({ rules: [{ filter: 'sensors/#', codec: 'cbor' }] })
+    );
+
+    const record = messageToRecord(
+      {
+        topic: 'sensors/a',
+        payload: encodeCbor({ temp: 19 }),
+        qos: 1,
+        retain: false,
+        client_id: 'c1'
+      },
+      '2026-01-01T00:00:00.000Z'
+    );
+
+    assert.equal(record.temp, 19);
+    assert.equal(record.payload_encoding, 'base64');
+    assert.equal(record.content_type, 'application/cbor');
+    assert.equal(record.topic, 'sensors/a');
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for Prometheus exposition of MqttMetrics
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatPrometheusMetrics } from '../src/prometheus.js';
+import { metrics } from '../src/mqtt.js';
+import { PrometheusMetricsResource, getMetrics } from '../src/resources.js';
+import { setAcl } from '../src/acl.js';
+
+after(() => {
+  metrics.stopMetricsUpdates();
+});
+
+function sampleValue(text, sample) {
+  const line = text.split('\n').find((l) => l.startsWith(`${sample} `));
+  return line === undefined ? undefined : Number(line.split(' ').pop());
+}
+
+describe('formatPrometheusMetrics', () => {
+  it('renders counters with _total suffix and counter type', () => {
+    const snapshot = getMetrics();
+    snapshot.messages.received = 123;
+
+    const text = formatPrometheusMetrics(snapshot);
+
+    assert.ok(
+      text.includes('# TYPE mqtt_broker_messages_received_total counter')
+    );
+    assert.equal(sampleValue(text, 'mqtt_broker_messages_received_total'), 123);
+  });
+
+  it('renders gauges with gauge type', () => {
+    const snapshot = getMetrics();
+    snapshot.clients.connected = 7;
+
+    const text = formatPrometheusMetrics(snapshot);
+
+    assert.ok(text.includes('# TYPE mqtt_broker_clients_connected gauge'));
+    assert.equal(sampleValue(text, 'mqtt_broker_clients_connected'), 7);
+  });
+
+  it('includes a HELP line before every TYPE line', () => {
+    const lines = formatPrometheusMetrics(getMetrics()).split('\n');
+
+    lines.forEach((line, index) => {
+      if (line.startsWith('# TYPE ')) {
+        const name = line.split(' ')[2];
+        assert.ok(lines[index - 1].startsWith(`# HELP ${name} `));
+      }
+    });
+  });
+
+  it('renders load averages with a window label', () => {
+    const snapshot = getMetrics();
+    snapshot.load.messagesReceived = { oneMin: 1.5, fiveMin: 2, fifteenMin: 3 };
+
+    const text = formatPrometheusMetrics(snapshot);
+
+    assert.equal(
+      sampleValue(text, 'mqtt_broker_load_messages_received{window="1min"}'),
+      1.5
+    );
+    assert.equal(
+      sampleValue(text, 'mqtt_broker_load_messages_received{window="15min"}'),
+      3
+    );
+  });
+
+  it('covers clients, messages, bytes, subscriptions, retained and heap', () => {
+    const text = formatPrometheusMetrics(getMetrics());
+
+    for (const name of [
+      'mqtt_broker_clients_maximum',
+      'mqtt_broker_bytes_sent_total',
+      'mqtt_broker_subscriptions',
+      'mqtt_broker_retained_messages',
+      'mqtt_broker_heap_used_bytes',
+      'mqtt_broker_uptime_seconds'
+    ]) {
+      assert.notEqual(sampleValue(text, name), undefined, name);
+    }
+  });
+
+  it('ends with a newline and has no blank lines', () => {
+    const text = formatPrometheusMetrics(getMetrics());
+
+    assert.ok(text.endsWith('\n'));
+    assert.ok(!text.slice(0, -1).includes('\n\n'));
+  });
+});
+
+describe('PrometheusMetricsResource', () => {
+  afterEach(() => {
+    setAcl(null);
+  });
+
+  it('returns exposition text with the Prometheus content type', () => {
+    const resource = new PrometheusMetricsResource();
+
+    const response = resource.get({
+      path: '/metrics',
+      user: { username: 'prometheus' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(
+      response.headers['Content-Type'],
+      /^text\/plain; version=0\.0\.4/
+    );
+    assert.ok(response.data.includes('mqtt_broker_clients_connected'));
+  });
+
+  it('is restricted to admins when the ACL is enabled', () => {
+    setAcl({ rules: [], admins: ['prometheus'] });
+    const resource = new PrometheusMetricsResource();
+
+    assert.throws(() => resource.get({ user: { username: 'alice' } }), {
+      statusCode: 403
+    });
+    assert.throws(() => resource.get({}), { statusCode: 401 });
+    const response = resource.get({ user: { username: 'prometheus' } });
+    assert.equal(response.status, 200);
+  });
+
+  it('requires an authenticated user when the ACL is disabled', () => {
+    const resource = new PrometheusMetricsResource();
+
+    assert.throws(() => resource.get({ path: '/metrics' }), {
+      statusCode: 401
+    });
+    assert.equal(resource.get({ user: { username: 'alice' } }).status, 200);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for push-based subscription iterators
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'node:events';
+import { createPushIterator } from '../src/push-iterator.js';
+
+function createIterator(emitter, initial = []) {
+  return createPushIterator({
+    emitter,
+    event: 'update',
+    initial,
+    onEvent: ({ key, value }, push) => push(key, value)
+  });
+}
+
+describe('createPushIterator', () => {
+  it('yields initial values before events', async () => {
+    const emitter = new EventEmitter();
+    const iterator = createIterator(emitter, ['initial']);
+
+    emitter.emit('update', { key: 'a', value: 1 });
+
+    assert.deepEqual(await iterator.next(), { value: 'initial', done: false });
+    assert.deepEqual(await iterator.next(), { value: 1, done: false });
+    await iterator.return();
+  });
+
+  it('resolves a waiting next() as soon as an event arrives', async () => {
+    const emitter = new EventEmitter();
+    const iterator = createIterator(emitter);
+
+    const pending = iterator.next();
+    emitter.emit('update', { key: 'a', value: 1 });
+
+    assert.deepEqual(await pending, { value: 1, done: false });
+    await iterator.return();
+  });
+
+  it('coalesces pending updates by key', async () => {
+    const emitter = new EventEmitter();
+    const iterator = createIterator(emitter);
+
+    emitter.emit('update', { key: 'a', value: 1 });
+    emitter.emit('update', { key: 'b', value: 2 });
+    emitter.emit('update', { key: 'a', value: 3 });
+
+    assert.equal((await iterator.next()).value, 2);
+    assert.equal((await iterator.next()).value, 3);
+    await iterator.return();
+  });
+
+  it('removes its listener and ends on return()', async () => {
+    const emitter = new EventEmitter();
+    const iterator = createIterator(emitter);
+    assert.equal(emitter.listenerCount('update'), 1);
+
+    const pending = iterator.next();
+    await iterator.return();
+
+    assert.deepEqual(await pending, { value: undefined, done: true });
+    assert.equal(emitter.listenerCount('update'), 0);
+    assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+  });
+
+  it('removes its listener on throw()', async () => {
+    const emitter = new EventEmitter();
+    const iterator = createIterator(emitter);
+
+    await assert.rejects(() => iterator.throw(new Error('boom')), /boom/);
+    assert.equal(emitter.listenerCount('update'), 0);
+  });
+
+  it('ends a for await loop that breaks', async () => {
+    const emitter = new EventEmitter();
+    const iterator = createIterator(emitter, ['initial']);
+
+    for await (const value of iterator) {
+      assert.equal(value, 'initial');
+      break;
+    }
+    assert.equal(emitter.listenerCount('update'), 0);
+  });
+});
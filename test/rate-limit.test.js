@@ -0,0 +1,250 @@
+/**
+ * Tests for publish rate limiting and drop accounting
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TokenBucket,
+  checkRateLimit,
+  compileRateLimits,
+  pruneRateLimitBuckets,
+  setRateLimits
+} from '../src/rate-limit.js';
+import { normalizeConfig } from '../src/config-loader.js';
+import {
+  admitRateLimit,
+  metrics,
+  resolveClientSysTopic,
+  SysTopics
+} from '../src/mqtt.js';
+
+metrics.stopMetricsUpdates();
+
+const T0 = 1_000_000;
+
+describe('TokenBucket', () => {
+  it('should start full and refill at the configured rate', () => {
+    const bucket = new TokenBucket(2, 4, T0);
+    for (let i = 0; i < 4; i++) {
+      assert.equal(bucket.canTake(1, T0), true);
+      bucket.take(1);
+    }
+    assert.equal(bucket.canTake(1, T0), false);
+    assert.equal(bucket.canTake(1, T0 + 500), true);
+    // Refill never exceeds the capacity
+    assert.equal(bucket.canTake(5, T0 + 60_000), false);
+    assert.equal(bucket.canTake(4, T0 + 60_000), true);
+  });
+});
+
+describe('Rate limit configuration', () => {
+  it('should be disabled unless configured', () => {
+    assert.equal(normalizeConfig({}).rate_limits, null);
+  });
+
+  it('should compile limits with a default burst of one second', () => {
+    assert.deepEqual(
+      compileRateLimits({
+        client: { messages: 10 },
+        topics: [{ prefix: 'sensors/', bytes: 1024, burst: 2 }]
+      }),
+      {
+        client: { messages: 10, bytes: null, burst: 1 },
+        username: null,
+        topics: [{ prefix: 'sensors/', messages: null, bytes: 1024, burst: 2 }]
+      }
+    );
+  });
+
+  it('should reject invalid limits', () => {
+    assert.throws(
+      () => compileRateLimits({ client: { messages: 0 } }),
+      /rate_limits\.client\.messages must be a positive number/
+    );
+    assert.throws(
+      () => compileRateLimits({ username: {} }),
+      /rate_limits\.username must set messages and\/or bytes/
+    );
+    assert.throws(
+      () => compileRateLimits({ client: { bytes: 10, burst: -1 } }),
+      /rate_limits\.client\.burst must be a positive number/
+    );
+    assert.throws(
+      () => compileRateLimits({ topics: [{ messages: 1 }] }),
+      /rate_limits\.topics\[0\]\.prefix must be a non-empty topic prefix/
+    );
+    assert.throws(
+      () => normalizeConfig({ rate_limits: [] }),
+      /rate_limits must be an object/
+    );
+  });
+});
+
+describe('Rate limit checks', () => {
+  afterEach(() => setRateLimits(null));
+
+  it('should allow everything while rate limiting is disabled', () => {
+    setRateLimits(null);
+    assert.equal(checkRateLimit({ clientId: 'a', topic: 't' }).allowed, true);
+  });
+
+  it('should limit messages per client id', () => {
+    setRateLimits(compileRateLimits({ client: { messages: 2 } }));
+    const publish = { clientId: 'a', topic: 't' };
+    assert.equal(checkRateLimit(publish, T0).allowed, true);
+    assert.equal(checkRateLimit(publish, T0).allowed, true);
+    assert.deepEqual(checkRateLimit(publish, T0), {
+      allowed: false,
+      limit: "client 'a' messages/sec"
+    });
+    // Other clients have their own buckets
+    assert.equal(
+      checkRateLimit({ ...publish, clientId: 'b' }, T0).allowed,
+      true
+    );
+    assert.equal(checkRateLimit(publish, T0 + 500).allowed, true);
+  });
+
+  it('should limit bytes per username across clients', () => {
+    setRateLimits(compileRateLimits({ username: { bytes: 100 } }));
+    const publish = { username: 'alice', topic: 't', bytes: 60 };
+    assert.equal(
+      checkRateLimit({ ...publish, clientId: 'a' }, T0).allowed,
+      true
+    );
+    assert.deepEqual(checkRateLimit({ ...publish, clientId: 'b' }, T0), {
+      allowed: false,
+      limit: "username 'alice' bytes/sec"
+    });
+    assert.equal(
+      checkRateLimit({ ...publish, username: 'bob', clientId: 'b' }, T0)
+        .allowed,
+      true
+    );
+  });
+
+  it('should limit topic prefixes across publishers', () => {
+    setRateLimits(
+      compileRateLimits({ topics: [{ prefix: 'sensors/', messages: 1 }] })
+    );
+    assert.equal(
+      checkRateLimit({ clientId: 'a', topic: 'sensors/1' }, T0).allowed,
+      true
+    );
+    assert.equal(
+      checkRateLimit({ clientId: 'b', topic: 'sensors/2' }, T0).allowed,
+      false
+    );
+    assert.equal(
+      checkRateLimit({ clientId: 'b', topic: 'other/2' }, T0).allowed,
+      true
+    );
+  });
+
+  it('should not take tokens for dropped publishes', () => {
+    setRateLimits(
+      compileRateLimits({
+        client: { messages: 10 },
+        topics: [{ prefix: 'slow/', messages: 1 }]
+      })
+    );
+    checkRateLimit({ clientId: 'a', topic: 'slow/1' }, T0);
+    for (let i = 0; i < 5; i++) {
+      assert.equal(
+        checkRateLimit({ clientId: 'a', topic: 'slow/1' }, T0).allowed,
+        false
+      );
+    }
+    // Only the first publish was taken from the client bucket
+    for (let i = 0; i < 9; i++) {
+      assert.equal(
+        checkRateLimit({ clientId: 'a', topic: 'fast/1' }, T0).allowed,
+        true
+      );
+    }
+    assert.equal(
+      checkRateLimit({ clientId: 'a', topic: 'fast/1' }, T0).allowed,
+      false
+    );
+  });
+
+  it('should keep client buckets across reconnects until they refill', () => {
+    setRateLimits(compileRateLimits({ client: { messages: 1 } }));
+    const publish = { clientId: 'a', topic: 't' };
+    metrics.onConnect('a', false);
+    assert.equal(checkRateLimit(publish, T0).allowed, true);
+    metrics.onDisconnect('a', false);
+    metrics.onConnect('a', false);
+    assert.equal(checkRateLimit(publish, T0).allowed, false);
+    metrics.onDisconnect('a', false);
+
+    assert.equal(pruneRateLimitBuckets(T0 + 500), 0);
+    assert.equal(checkRateLimit(publish, T0 + 500).allowed, false);
+    assert.equal(pruneRateLimitBuckets(T0 + 1000), 1);
+  });
+
+  it('should discard idle username buckets', () => {
+    setRateLimits(
+      compileRateLimits({
+        username: { messages: 1, bytes: 100 },
+        topics: [{ prefix: 't', messages: 10 }]
+      })
+    );
+    checkRateLimit({ username: 'alice', topic: 't', bytes: 50 }, T0);
+    // Messages refill after 1s, bytes after 0.5s
+    assert.equal(pruneRateLimitBuckets(T0 + 600), 0);
+    assert.equal(pruneRateLimitBuckets(T0 + 1000), 1);
+    assert.equal(pruneRateLimitBuckets(T0 + 1000), 0);
+  });
+});
+
+describe('Drop accounting', () => {
+  afterEach(() => setRateLimits(null));
+
+  it('should count dropped publishes broker-wide and per client', () => {
+    setRateLimits(compileRateLimits({ client: { messages: 1 } }));
+    metrics.onConnect('noisy', false, null);
+    try {
+      const before = metrics.messages.publishDropped;
+      const message = { topic: 't', payload: 'x', client_id: 'noisy' };
+      assert.equal(admitRateLimit(message, T0), true);
+      assert.equal(admitRateLimit(message, T0), false);
+      assert.equal(admitRateLimit(message, T0), false);
+
+      assert.equal(metrics.messages.publishDropped, before + 2);
+      assert.equal(
+        new SysTopics().get({ path: '$SYS/broker/publish/messages/dropped' }),
+        before + 2
+      );
+      assert.equal(
+        resolveClientSysTopic('$SYS/broker/clients/noisy/messages/dropped'),
+        2
+      );
+    } finally {
+      metrics.onDisconnect('noisy', false);
+    }
+  });
+
+  it('should not limit messages delivered by bridges', () => {
+    setRateLimits(
+      compileRateLimits({ topics: [{ prefix: 't', messages: 1 }] })
+    );
+    const message = { topic: 't', payload: 'x', client_id: '$bridge/cloud' };
+    assert.equal(admitRateLimit(message, T0), true);
+    assert.equal(admitRateLimit(message, T0), true);
+  });
+
+  it('should count payload bytes', () => {
+    setRateLimits(compileRateLimits({ client: { bytes: 4 } }));
+    const message = { topic: 't', client_id: 'c' };
+    assert.equal(
+      admitRateLimit({ ...message, payload: Buffer.alloc(4) }, T0),
+      true
+    );
+    assert.equal(admitRateLimit({ ...message, payload: 'é' }, T0), false);
+  });
+});
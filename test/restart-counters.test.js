@@ -0,0 +1,173 @@
+/**
+ * Tests for rehydrating $SYS counters across broker restarts
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MqttMetrics, metrics, restoreSysMetrics } from '../src/mqtt.js';
+import { SysTopicsResource } from '../src/resources.js';
+
+after(() => {
+  metrics.stopMetricsUpdates();
+});
+
+/**
+ * Mock mqtt_sys_metrics table holding rows written by a previous run
+ * @param {Object} values - Persisted values keyed by relative $SYS path
+ */
+function createPersistedTable(values) {
+  const rows = new Map(
+    Object.entries(values).map(([id, value]) => [
+      id,
+      { id, topic: `$SYS/${id}`, value: String(value) }
+    ])
+  );
+  return {
+    get(id) {
+      return Promise.resolve(rows.get(id));
+    }
+  };
+}
+
+const PREVIOUS_RUN = {
+  'broker/timestamp': '2026-01-01T00:00:00.000Z',
+  'broker/clients/maximum': 42,
+  'broker/clients/connected': 17,
+  'broker/messages/received': 1000,
+  'broker/messages/sent': 900,
+  'broker/bytes/sent': 64000
+};
+
+describe('restoreSysMetrics', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = metrics.snapshot();
+  });
+
+  function restoreSingleton() {
+    for (const section of ['clients', 'messages', 'bytes', 'broker']) {
+      Object.assign(metrics[section], saved[section]);
+    }
+  }
+
+  it('resumes cumulative counters and peaks', async () => {
+    try {
+      const { received } = metrics.messages;
+      await restoreSysMetrics(createPersistedTable(PREVIOUS_RUN), 'resume');
+
+      assert.equal(metrics.messages.received, received + 1000);
+      assert.equal(metrics.bytes.sent, saved.bytes.sent + 64000);
+      assert.equal(
+        metrics.clients.maximum,
+        Math.max(42, saved.clients.maximum)
+      );
+    } finally {
+      restoreSingleton();
+    }
+  });
+
+  it('never restores gauges such as clients/connected', async () => {
+    try {
+      await restoreSysMetrics(createPersistedTable(PREVIOUS_RUN), 'resume');
+
+      assert.equal(metrics.clients.connected, saved.clients.connected);
+    } finally {
+      restoreSingleton();
+    }
+  });
+
+  it('starts from zero in reset mode but still counts the restart', async () => {
+    try {
+      await restoreSysMetrics(
+        createPersistedTable({ ...PREVIOUS_RUN, 'broker/restarts': 4 }),
+        'reset'
+      );
+
+      assert.equal(metrics.messages.received, saved.messages.received);
+      assert.equal(metrics.broker.restarts, 5);
+    } finally {
+      restoreSingleton();
+    }
+  });
+
+  it('reports zero restarts on a fresh install', async () => {
+    try {
+      await restoreSysMetrics(createPersistedTable({}), 'resume');
+
+      assert.equal(metrics.broker.restarts, 0);
+    } finally {
+      restoreSingleton();
+    }
+  });
+
+  it('counts the first restart of an existing install', async () => {
+    try {
+      await restoreSysMetrics(createPersistedTable(PREVIOUS_RUN), 'resume');
+
+      assert.equal(metrics.broker.restarts, 1);
+      const sysResource = new SysTopicsResource();
+      const restarts = sysResource.get({
+        path: '$SYS/broker/restarts',
+        user: { username: 'admin' }
+      });
+      assert.equal(restarts.value, 1);
+    } finally {
+      restoreSingleton();
+    }
+  });
+
+  it('ignores unreadable persisted values', async () => {
+    try {
+      await restoreSysMetrics(
+        createPersistedTable({ 'broker/messages/received': 'n/a' }),
+        'resume'
+      );
+
+      assert.equal(metrics.messages.received, saved.messages.received);
+    } finally {
+      restoreSingleton();
+    }
+  });
+
+  it('keeps running on a table error', async () => {
+    const table = {
+      get() {
+        return Promise.reject(new Error('storage offline'));
+      }
+    };
+
+    await restoreSysMetrics(table, 'resume');
+    assert.equal(metrics.broker.restarts, saved.broker.restarts);
+  });
+});
+
+describe('MqttMetrics.resumeCounters', () => {
+  it('adds events counted since startup to the persisted totals', () => {
+    const local = new MqttMetrics();
+    local.stopMetricsUpdates();
+    local.onPublishReceived({ topic: 'early/bird' }, 10);
+
+    local.resumeCounters({
+      '$SYS/broker/messages/received': 500,
+      '$SYS/broker/bytes/received': 5000
+    });
+
+    assert.equal(local.messages.received, 501);
+    assert.equal(local.bytes.received, 5010);
+  });
+
+  it('keeps the larger peak', () => {
+    const local = new MqttMetrics();
+    local.stopMetricsUpdates();
+    local.onConnect('a', false);
+    local.onConnect('b', false);
+
+    local.resumeCounters({ '$SYS/broker/clients/maximum': 1 });
+
+    assert.equal(local.clients.maximum, 2);
+  });
+});
@@ -0,0 +1,383 @@
+/**
+ * Tests for the retained message index, browser and expiry
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  deleteRetained,
+  retainedEntry,
+  scanRetained,
+  searchRetained,
+  setRetainedTable,
+  setRetainedTtl
+} from '../src/retained.js';
+import {
+  MqttMetrics,
+  SysTopics,
+  metrics,
+  writeMessageToTable
+} from '../src/mqtt.js';
+import { RetainedResource } from '../src/resources.js';
+import { setControlAuditTable } from '../src/control.js';
+import { normalizeConfig } from '../src/config-loader.js';
+
+metrics.stopMetricsUpdates();
+
+const T0 = Date.parse('2026-05-01T00:00:00.000Z');
+
+const SUPER_USER = {
+  username: 'admin',
+  role: { permission: { super_user: true } }
+};
+
+/**
+ * Mock table keyed by id
+ * @param {Object[]} rows - Initial rows
+ * @returns {Object} - Table with get, search, put, delete and publish
+ */
+function createTable(rows = []) {
+  return {
+    rows: new Map(rows.map((row) => [row.id, row])),
+    async get(id) {
+      const row = this.rows.get(id);
+      return row && { ...row, doesExist: () => true };
+    },
+    async *search() {
+      yield* [...this.rows.values()];
+    },
+    async put(row) {
+      this.rows.set(row.id, row);
+    },
+    async delete(id) {
+      this.rows.delete(id);
+    },
+    async publish() {}
+  };
+}
+
+/**
+ * Index entry for a topic
+ * @param {string} topic - Topic
+ * @param {number} bytes - Payload size
+ * @param {string|null} expiresAt - Expiry time (ISO 8601)
+ * @returns {Object} - mqtt_retained row
+ */
+function entry(topic, bytes, expiresAt = null) {
+  return {
+    id: topic,
+    topic,
+    payload_bytes: bytes,
+    qos: 0,
+    client_id: 'c1',
+    retained_at: new Date(T0).toISOString(),
+    expires_at: expiresAt
+  };
+}
+
+describe('Retained message index', () => {
+  const previousTables = globalThis.tables;
+  let topics;
+  let index;
+
+  beforeEach(() => {
+    topics = createTable();
+    index = createTable();
+    globalThis.tables = { mqtt_topics: topics };
+    setRetainedTable(index);
+  });
+
+  afterEach(() => {
+    setRetainedTable(null);
+    setRetainedTtl(null);
+    globalThis.tables = previousTables;
+  });
+
+  it('should build entries for retained messages only', () => {
+    const record = {
+      payload: 'on',
+      qos: 1,
+      client_id: 'lamp',
+      timestamp: '2026-05-01T00:00:00.000Z'
+    };
+    assert.deepEqual(retainedEntry({ topic: 'lamp', retain: true }, record), {
+      id: 'lamp',
+      topic: 'lamp',
+      payload_bytes: 2,
+      qos: 1,
+      client_id: 'lamp',
+      retained_at: '2026-05-01T00:00:00.000Z',
+      expires_at: null
+    });
+    assert.equal(retainedEntry({ topic: 'lamp', retain: false }, record), null);
+    // A zero-length retained publish clears the retained message
+    assert.equal(
+      retainedEntry(
+        { topic: 'lamp', retain: true },
+        { ...record, payload: '' }
+      ),
+      null
+    );
+  });
+
+  it('should validate retained_message_ttl', () => {
+    assert.equal(normalizeConfig({}).retained_message_ttl, null);
+    assert.equal(
+      normalizeConfig({ retained_message_ttl: 86400 }).retained_message_ttl,
+      86400
+    );
+    assert.throws(
+      () => normalizeConfig({ retained_message_ttl: 0 }),
+      /retained_message_ttl must be a positive number of seconds/
+    );
+  });
+
+  it('should expire entries after the TTL or message expiry interval', () => {
+    const record = { payload: 'x', timestamp: '2026-05-01T00:00:00.000Z' };
+    setRetainedTtl(60);
+    assert.equal(
+      retainedEntry({ topic: 'a', retain: true }, record).expires_at,
+      '2026-05-01T00:01:00.000Z'
+    );
+    const message = {
+      topic: 'a',
+      retain: true,
+      properties: { messageExpiryInterval: 5 }
+    };
+    assert.equal(
+      retainedEntry(message, record).expires_at,
+      '2026-05-01T00:00:05.000Z'
+    );
+  });
+
+  it('should index retained publishes as they are stored', async () => {
+    const { count, bytes } = metrics.retained;
+    const message = { topic: 'home/lamp', payload: 'on', qos: 1, retain: true };
+    await writeMessageToTable('mqtt_home', { ...message, client_id: 'lamp' });
+    const row = index.rows.get('home/lamp');
+    assert.equal(row.payload_bytes, 2);
+    assert.equal(row.qos, 1);
+    assert.equal(row.client_id, 'lamp');
+    assert.equal(row.retained_at, topics.rows.get('home/lamp').timestamp);
+
+    // A new retained message replaces the old one
+    await writeMessageToTable('mqtt_home', { ...message, payload: 'off' });
+    assert.equal(index.rows.get('home/lamp').payload_bytes, 3);
+
+    // A message that is not retained leaves the retained message in place
+    await writeMessageToTable('mqtt_home', { ...message, retain: false });
+    assert.equal(topics.rows.get('home/lamp').payload, 'off');
+    assert.equal(index.rows.has('home/lamp'), true);
+
+    // A zero-length retained publish clears it
+    await writeMessageToTable('mqtt_home', { ...message, payload: '' });
+    assert.equal(topics.rows.has('home/lamp'), false);
+    assert.equal(index.rows.has('home/lamp'), false);
+    // Totals only change when the index is scanned
+    assert.deepEqual(metrics.retained, { count, bytes });
+  });
+
+  it('should count concurrent retained publishes once', async () => {
+    const message = { topic: 'home/lamp', payload: 'on', retain: true };
+    await Promise.all([
+      writeMessageToTable('mqtt_home', message),
+      writeMessageToTable('mqtt_home', { ...message, payload: 'off' }),
+      writeMessageToTable('mqtt_home', { ...message, topic: 'home/fan' })
+    ]);
+    const m = new MqttMetrics({ now: () => T0 });
+    m.stopMetricsUpdates();
+    m.onRetainedIndexScanned(await scanRetained(T0));
+    m.onRetainedIndexScanned(await scanRetained(T0));
+    assert.equal(m.retained.count, 2);
+    assert.equal(
+      m.retained.bytes,
+      index.rows.get('home/lamp').payload_bytes + 2
+    );
+  });
+
+  it('should only delete index entries that exist', async () => {
+    const deleted = [];
+    const remove = index.delete;
+    index.delete = async (id) => {
+      deleted.push(id);
+      await remove.call(index, id);
+    };
+    const clear = { payload: '', retain: true };
+    await writeMessageToTable('mqtt_home', { topic: 'home/a', ...clear });
+    await writeMessageToTable('mqtt_home', {
+      topic: 'home/b',
+      payload: '1',
+      retain: true
+    });
+    await writeMessageToTable('mqtt_home', { topic: 'home/b', ...clear });
+    assert.deepEqual(deleted, ['home/b']);
+  });
+
+  it('should search by wildcard filter', async () => {
+    for (const row of [
+      entry('sensors/b/temp', 4),
+      entry('sensors/a/temp', 2),
+      entry('sensors/a/humidity', 8),
+      entry('$SYS/broker/version', 5)
+    ]) {
+      await index.put(row);
+    }
+    const result = await searchRetained('sensors/+/temp');
+    assert.equal(result.count, 2);
+    assert.equal(result.bytes, 6);
+    assert.deepEqual(
+      result.messages.map((m) => m.topic),
+      ['sensors/a/temp', 'sensors/b/temp']
+    );
+
+    const limited = await searchRetained('#', 1);
+    assert.equal(limited.count, 3);
+    assert.deepEqual(
+      limited.messages.map((m) => m.topic),
+      ['sensors/a/humidity']
+    );
+  });
+
+  it('should delete retained messages by filter', async () => {
+    await topics.put({ id: 'a/1', retain: true });
+    await topics.put({ id: 'a/2', retain: false });
+    await topics.put({ id: 'b/1', retain: true });
+    await index.put(entry('a/1', 1));
+    await index.put(entry('b/1', 1));
+
+    const removed = [];
+    assert.deepEqual(
+      await deleteRetained('a/#', (row) => removed.push(row.topic)),
+      { cleared: 1 }
+    );
+    assert.deepEqual([...topics.rows.keys()], ['a/2', 'b/1']);
+    assert.deepEqual([...index.rows.keys()], ['b/1']);
+    assert.deepEqual(removed, ['a/1']);
+  });
+
+  it('should expire messages and total the rest', async () => {
+    await topics.put({ id: 'old', retain: true });
+    await topics.put({ id: 'new', retain: true });
+    await index.put(entry('old', 10, new Date(T0 - 1).toISOString()));
+    await index.put(entry('new', 7, new Date(T0 + 1).toISOString()));
+
+    const expired = [];
+    assert.deepEqual(
+      await scanRetained(T0, (row) => expired.push(row.topic)),
+      {
+        count: 1,
+        bytes: 7,
+        expired: 1
+      }
+    );
+    assert.deepEqual([...topics.rows.keys()], ['new']);
+    assert.deepEqual([...index.rows.keys()], ['new']);
+    assert.deepEqual(expired, ['old']);
+  });
+
+  it('should recount indexed messages at startup and on each scan', async () => {
+    await topics.put({ id: 'a', retain: true });
+    await index.put(entry('a', 10, new Date(T0 + 1000).toISOString()));
+    await index.put(entry('b', 5));
+    const m = new MqttMetrics({ now: () => T0 });
+    m.stopMetricsUpdates();
+    m.onRetainedIndexScanned(await scanRetained(T0));
+
+    const sysTopics = new SysTopics();
+    sysTopics.metrics = m;
+    assert.equal(
+      sysTopics.get({ path: '$SYS/broker/retained messages/count' }),
+      2
+    );
+    assert.equal(
+      sysTopics.get({ path: '$SYS/broker/retained messages/bytes' }),
+      15
+    );
+
+    m._sampleBrokerState(T0 + 1000);
+    await m._storeScan;
+    assert.deepEqual(m.retained, { count: 1, bytes: 5 });
+    // mqtt_topics is counted from the index rather than read
+    assert.deepEqual(m.store, { messageCount: 1, messageBytes: 5 });
+  });
+});
+
+describe('RetainedResource', () => {
+  const previousTables = globalThis.tables;
+  let topics;
+  let audit;
+
+  beforeEach(() => {
+    topics = createTable([
+      { id: 'devices/a/status', retain: true },
+      { id: 'devices/b/status', retain: true }
+    ]);
+    const index = createTable([
+      entry('devices/a/status', 3),
+      entry('devices/b/status', 4)
+    ]);
+    audit = createTable();
+    globalThis.tables = { mqtt_topics: topics };
+    setRetainedTable(index);
+    setControlAuditTable(audit);
+  });
+
+  afterEach(() => {
+    setRetainedTable(null);
+    setControlAuditTable(null);
+    globalThis.tables = previousTables;
+  });
+
+  it('should list retained messages', async () => {
+    const resource = new RetainedResource();
+    const user = SUPER_USER;
+    const result = await resource.get({
+      url: '/retained?filter=devices/%2B/status',
+      user
+    });
+    assert.equal(result.filter, 'devices/+/status');
+    assert.equal(result.count, 2);
+    assert.equal(result.bytes, 7);
+    assert.equal((await resource.get({ user })).filter, '#');
+
+    await assert.rejects(resource.get({ filter: 'a/#/b', user }), {
+      statusCode: 400
+    });
+    await assert.rejects(resource.get({ limit: '0', user }), {
+      statusCode: 400
+    });
+    // Anonymous requests are refused even without an ACL
+    await assert.rejects(resource.get({}), { statusCode: 401 });
+  });
+
+  it('should clear retained messages as an audited admin action', async () => {
+    const resource = new RetainedResource();
+    await assert.rejects(
+      resource.delete({ filter: 'devices/#', user: { username: 'bob' } }),
+      { statusCode: 403 }
+    );
+    assert.equal(topics.rows.size, 2);
+
+    const result = await resource.delete({
+      filter: 'devices/a/#',
+      user: SUPER_USER
+    });
+    assert.deepEqual(result, { filter: 'devices/a/#', cleared: 1 });
+    assert.deepEqual([...topics.rows.keys()], ['devices/b/status']);
+    assert.deepEqual(await scanRetained(T0), {
+      count: 1,
+      bytes: 4,
+      expired: 0
+    });
+    assert.deepEqual(
+      [...audit.rows.values()].map((row) => [row.action, row.status]),
+      [
+        ['clear_retained', 'denied'],
+        ['clear_retained', 'ok']
+      ]
+    );
+  });
+});
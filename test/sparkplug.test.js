@@ -0,0 +1,335 @@
+/**
+ * Tests for Sparkplug B decoding and edge-node/device state tracking
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sparkplugPayload from 'sparkplug-payload';
+import {
+  decodeSparkplugPayload,
+  handleSparkplugMessage,
+  parseSparkplugTopic,
+  resetSparkplugState,
+  setSparkplugTables
+} from '../src/sparkplug.js';
+import { MqttMetrics, metrics, writeMessageToTable } from '../src/mqtt.js';
+import { SysTopicsResource } from '../src/resources.js';
+
+metrics.stopMetricsUpdates();
+
+const spB = sparkplugPayload.get('spBv1.0');
+const NOW = Date.parse('2026-03-01T12:00:00.000Z');
+
+/**
+ * Mock table recording the latest row per id
+ */
+function createTable() {
+  const rows = new Map();
+  return {
+    rows,
+    put(record) {
+      rows.set(record.id, { ...record });
+    }
+  };
+}
+
+function encode(payload) {
+  return spB.encodePayload({ timestamp: NOW, ...payload });
+}
+
+function nbirth(bdSeq, extraMetrics = []) {
+  return {
+    topic: 'spBv1.0/plant1/NBIRTH/edge1',
+    payload: encode({
+      seq: 0,
+      metrics: [
+        { name: 'bdSeq', type: 'UInt64', value: bdSeq },
+        { name: 'Node Control/Rebirth', type: 'Boolean', value: false },
+        { name: 'Temperature', alias: 1, type: 'Double', value: 20.5 },
+        ...extraMetrics
+      ]
+    })
+  };
+}
+
+function ndeath(bdSeq) {
+  return {
+    topic: 'spBv1.0/plant1/NDEATH/edge1',
+    payload: encode({
+      metrics: [{ name: 'bdSeq', type: 'UInt64', value: bdSeq }]
+    })
+  };
+}
+
+function ndata(seq, metricList) {
+  return {
+    topic: 'spBv1.0/plant1/NDATA/edge1',
+    payload: encode({ seq, metrics: metricList })
+  };
+}
+
+function deviceMessage(type, seq, metricList = []) {
+  return {
+    topic: `spBv1.0/plant1/${type}/edge1/pump1`,
+    payload: encode({ seq, metrics: metricList })
+  };
+}
+
+describe('Sparkplug B', () => {
+  let tables;
+
+  beforeEach(() => {
+    resetSparkplugState();
+    tables = {
+      nodes: createTable(),
+      devices: createTable(),
+      metrics: createTable()
+    };
+    setSparkplugTables(tables);
+  });
+
+  after(() => {
+    resetSparkplugState();
+    setSparkplugTables();
+  });
+
+  describe('parseSparkplugTopic', () => {
+    it('parses node and device topics', () => {
+      assert.deepEqual(parseSparkplugTopic('spBv1.0/plant1/NDATA/edge1'), {
+        group_id: 'plant1',
+        message_type: 'NDATA',
+        edge_node_id: 'edge1',
+        device_id: null
+      });
+      assert.deepEqual(
+        parseSparkplugTopic('spBv1.0/plant1/DBIRTH/edge1/pump1'),
+        {
+          group_id: 'plant1',
+          message_type: 'DBIRTH',
+          edge_node_id: 'edge1',
+          device_id: 'pump1'
+        }
+      );
+    });
+
+    it('rejects other and malformed topics', () => {
+      for (const topic of [
+        'home/temperature',
+        'spBv1.0/STATE/scada1',
+        'spBv1.0/plant1/NDATA',
+        'spBv1.0/plant1/NDATA/edge1/pump1',
+        'spBv1.0/plant1/DDATA/edge1',
+        'spBv1.0/plant1/DDATA/edge1/pump1/extra',
+        'spAv1.0/plant1/NDATA/edge1'
+      ]) {
+        assert.equal(parseSparkplugTopic(topic), null, topic);
+      }
+    });
+  });
+
+  describe('decodeSparkplugPayload', () => {
+    it('converts 64-bit integers and bytes to plain values', () => {
+      const decoded = decodeSparkplugPayload(
+        encode({
+          seq: 7,
+          metrics: [
+            { name: 'count', type: 'UInt64', value: 42 },
+            { name: 'blob', type: 'Bytes', value: Buffer.from([1, 2, 3]) },
+            { name: 'label', type: 'String', value: 'ok' }
+          ]
+        })
+      );
+
+      assert.equal(decoded.timestamp, NOW);
+      assert.equal(decoded.seq, 7);
+      assert.deepEqual(
+        decoded.metrics.map(({ name, datatype, value }) => ({
+          name,
+          datatype,
+          value
+        })),
+        [
+          { name: 'count', datatype: 'UInt64', value: 42 },
+          { name: 'blob', datatype: 'Bytes', value: 'AQID' },
+          { name: 'label', datatype: 'String', value: 'ok' }
+        ]
+      );
+    });
+  });
+
+  describe('handleSparkplugMessage', () => {
+    it('ignores non-Sparkplug topics', async () => {
+      assert.equal(
+        await handleSparkplugMessage({ topic: 'home/temp', payload: '1' }),
+        null
+      );
+    });
+
+    it('marks a node online on NBIRTH and stores its metrics', async () => {
+      const outcome = await handleSparkplugMessage(nbirth(3), NOW);
+
+      assert.deepEqual(outcome.nodes, { online: 1, offline: 0 });
+      const node = tables.nodes.rows.get('plant1/edge1');
+      assert.equal(node.online, true);
+      assert.equal(node.bd_seq, 3);
+      assert.equal(node.seq, 0);
+      assert.equal(node.birth_timestamp, new Date(NOW).toISOString());
+
+      const metric = tables.metrics.rows.get('plant1/edge1:Temperature');
+      assert.equal(metric.value, 20.5);
+      assert.equal(metric.datatype, 'Double');
+      assert.equal(metric.device_id, null);
+    });
+
+    it('resolves metric aliases from the birth certificate', async () => {
+      await handleSparkplugMessage(nbirth(3), NOW);
+      await handleSparkplugMessage(
+        ndata(1, [{ alias: 1, type: 'Double', value: 22.25 }]),
+        NOW
+      );
+
+      const metric = tables.metrics.rows.get('plant1/edge1:Temperature');
+      assert.equal(metric.value, 22.25);
+      assert.equal(metric.alias, 1);
+    });
+
+    it('flags a seq gap as requiring a rebirth', async () => {
+      await handleSparkplugMessage(nbirth(3), NOW);
+      await handleSparkplugMessage(ndata(1, []), NOW);
+      const outcome = await handleSparkplugMessage(ndata(5, []), NOW);
+
+      assert.equal(outcome.sequenceError, true);
+      assert.equal(outcome.rebirthRequired, true);
+      const node = tables.nodes.rows.get('plant1/edge1');
+      assert.equal(node.rebirth_required, true);
+      assert.equal(node.sequence_errors, 1);
+      assert.equal(node.seq, 5);
+    });
+
+    it('wraps seq at 256', async () => {
+      await handleSparkplugMessage(nbirth(3), NOW);
+      for (let seq = 1; seq <= 256; seq++) {
+        const outcome = await handleSparkplugMessage(ndata(seq % 256, []));
+        assert.equal(outcome.sequenceError, false, `seq ${seq}`);
+      }
+    });
+
+    it('requires a rebirth for data from a node whose birth was not seen', async () => {
+      const outcome = await handleSparkplugMessage(ndata(12, []), NOW);
+
+      assert.equal(outcome.rebirthRequired, true);
+      assert.equal(outcome.sequenceError, false);
+      assert.equal(tables.nodes.rows.get('plant1/edge1').online, false);
+    });
+
+    it('clears the rebirth flag on the next NBIRTH and counts the rebirth', async () => {
+      await handleSparkplugMessage(nbirth(3), NOW);
+      await handleSparkplugMessage(ndata(9, []), NOW);
+      const outcome = await handleSparkplugMessage(nbirth(4), NOW);
+
+      assert.equal(outcome.rebirth, true);
+      assert.deepEqual(outcome.nodes, { online: 0, offline: 0 });
+      const node = tables.nodes.rows.get('plant1/edge1');
+      assert.equal(node.rebirth_required, false);
+      assert.equal(node.rebirths, 1);
+      assert.equal(node.bd_seq, 4);
+    });
+
+    it('marks the node and its devices offline on a matching NDEATH', async () => {
+      await handleSparkplugMessage(nbirth(3), NOW);
+      await handleSparkplugMessage(deviceMessage('DBIRTH', 1), NOW);
+      const outcome = await handleSparkplugMessage(ndeath(3), NOW + 1000);
+
+      assert.deepEqual(outcome.nodes, { online: -1, offline: 1 });
+      assert.deepEqual(outcome.devices, { online: -1, offline: 1 });
+      const node = tables.nodes.rows.get('plant1/edge1');
+      assert.equal(node.online, false);
+      assert.equal(node.birth_timestamp, new Date(NOW).toISOString());
+      assert.ok(node.death_timestamp);
+      assert.equal(tables.devices.rows.get('plant1/edge1/pump1').online, false);
+    });
+
+    it('ignores an NDEATH from an earlier session', async () => {
+      await handleSparkplugMessage(nbirth(3), NOW);
+      await handleSparkplugMessage(nbirth(4), NOW);
+      const outcome = await handleSparkplugMessage(ndeath(3), NOW);
+
+      assert.equal(outcome.stale, true);
+      assert.equal(tables.nodes.rows.get('plant1/edge1').online, true);
+    });
+
+    it('tracks device births, deaths and metrics', async () => {
+      await handleSparkplugMessage(nbirth(3), NOW);
+      const birth = await handleSparkplugMessage(
+        deviceMessage('DBIRTH', 1, [
+          { name: 'Speed', alias: 10, type: 'Int32', value: 1200 }
+        ]),
+        NOW
+      );
+      await handleSparkplugMessage(
+        deviceMessage('DDATA', 2, [{ alias: 10, type: 'Int32', value: 1500 }]),
+        NOW
+      );
+
+      assert.deepEqual(birth.devices, { online: 1, offline: 0 });
+      assert.equal(tables.devices.rows.get('plant1/edge1/pump1').online, true);
+      const metric = tables.metrics.rows.get('plant1/edge1/pump1:Speed');
+      assert.equal(metric.value, 1500);
+      assert.equal(metric.device_id, 'pump1');
+
+      const death = await handleSparkplugMessage(
+        deviceMessage('DDEATH', 3),
+        NOW
+      );
+      assert.deepEqual(death.devices, { online: -1, offline: 1 });
+      assert.equal(tables.devices.rows.get('plant1/edge1/pump1').online, false);
+    });
+
+    it('reports undecodable payloads', async () => {
+      const outcome = await handleSparkplugMessage({
+        topic: 'spBv1.0/plant1/NDATA/edge1',
+        payload: Buffer.from([0xff, 0xff, 0xff])
+      });
+
+      assert.equal(outcome.invalid, true);
+      assert.equal(tables.nodes.rows.size, 0);
+    });
+  });
+
+  describe('metrics', () => {
+    it('keeps online/offline gauges and counters', async () => {
+      const m = new MqttMetrics();
+      m.stopMetricsUpdates();
+      const apply = async (message) =>
+        m.onSparkplugMessage(await handleSparkplugMessage(message, NOW));
+
+      await apply(nbirth(3));
+      await apply(deviceMessage('DBIRTH', 1));
+      await apply(ndata(7, []));
+      await apply(ndeath(3));
+      await apply(nbirth(4));
+
+      assert.equal(m.sparkplug.messages, 5);
+      assert.deepEqual(m.sparkplug.nodes, { online: 1, offline: 0 });
+      assert.deepEqual(m.sparkplug.devices, { online: 0, offline: 1 });
+      assert.equal(m.sparkplug.sequenceErrors, 1);
+      assert.equal(m.sparkplug.rebirths, 0);
+    });
+
+    it('updates state and $SYS topics from the write path', async () => {
+      const before = metrics.sparkplug.nodes.online;
+      await writeMessageToTable('mqtt_spbv1_0', nbirth(3));
+
+      assert.equal(tables.nodes.rows.get('plant1/edge1').online, true);
+      const resource = new SysTopicsResource();
+      const result = resource.get({
+        path: '$SYS/broker/sparkplug/nodes/online',
+        user: { username: 'admin' }
+      });
+      assert.equal(result.value, before + 1);
+    });
+  });
+});
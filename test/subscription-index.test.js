@@ -0,0 +1,370 @@
+/**
+ * Tests for per-session subscription tracking
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import {
+  SubscriptionIndex,
+  matchSessions,
+  selectSubscriptions
+} from '../src/subscription-index.js';
+import {
+  listSubscriptions,
+  metrics,
+  releaseSubscriptions,
+  setThreadMetricsTable,
+  setupMqttMonitoring,
+  subscriptionIndex,
+  tableRegistry
+} from '../src/mqtt.js';
+import { SubscriptionsResource } from '../src/resources.js';
+import { setAcl } from '../src/acl.js';
+import { getThreadId } from '../src/thread-metrics.js';
+
+metrics.stopMetricsUpdates();
+
+describe('SubscriptionIndex', () => {
+  it('should add each subscription of a session once', () => {
+    const index = new SubscriptionIndex();
+    assert.equal(index.add('c1', 'a/#'), true);
+    assert.equal(index.add('c1', 'a/#'), false);
+    assert.equal(index.add('c2', 'a/#'), true);
+    assert.equal(index.count('a/#'), 2);
+    assert.deepEqual(index.sessions('a/#'), ['c1', 'c2']);
+  });
+
+  it('should remove subscriptions and forget empty entries', () => {
+    const index = new SubscriptionIndex();
+    index.add('c1', 'a');
+    assert.equal(index.remove('c1', 'b'), false);
+    assert.equal(index.remove('c2', 'a'), false);
+    assert.equal(index.remove('c1', 'a'), true);
+    assert.equal(index.remove('c1', 'a'), false);
+    assert.equal(index.bySession.size, 0);
+    assert.equal(index.byFilter.size, 0);
+  });
+
+  it('should remove every subscription of a session', () => {
+    const index = new SubscriptionIndex();
+    index.add('c1', 'a');
+    index.add('c1', 'b/+');
+    index.add('c2', 'a');
+    assert.deepEqual(index.removeSession('c1'), ['a', 'b/+']);
+    assert.deepEqual(index.removeSession('c1'), []);
+    assert.deepEqual(index.filters('c2'), ['a']);
+    assert.equal(index.count('b/+'), 0);
+  });
+
+  it('should list subscriptions with the details of the last SUBSCRIBE', () => {
+    const index = new SubscriptionIndex();
+    index.add('c1', 'a/#', { qos: 0, username: 'u1', subscribedAt: 't1' });
+    assert.equal(
+      index.add('c1', 'a/#', { qos: 1, username: 'u1', subscribedAt: 't2' }),
+      false
+    );
+    index.add('c2', 'b');
+    assert.deepEqual(index.list(), [
+      {
+        client_id: 'c1',
+        username: 'u1',
+        filter: 'a/#',
+        qos: 1,
+        subscribed_at: 't2'
+      },
+      {
+        client_id: 'c2',
+        username: null,
+        filter: 'b',
+        qos: 0,
+        subscribed_at: null
+      }
+    ]);
+  });
+});
+
+describe('Subscription queries', () => {
+  const subscriptions = [
+    { client_id: 'c1', username: 'u1', filter: 'sensors/#', qos: 0 },
+    { client_id: 'c1', username: 'u1', filter: 'sensors/+/temp', qos: 2 },
+    { client_id: 'c2', username: null, filter: 'sensors/a/humidity', qos: 1 },
+    { client_id: 'c3', username: null, filter: '#', qos: 1 }
+  ];
+
+  it('should select subscriptions by client and filter', () => {
+    assert.equal(selectSubscriptions(subscriptions).length, 4);
+    assert.deepEqual(
+      selectSubscriptions(subscriptions, { clientId: 'c1' }).map(
+        (s) => s.filter
+      ),
+      ['sensors/#', 'sensors/+/temp']
+    );
+    assert.deepEqual(
+      selectSubscriptions(subscriptions, { filter: '#' }).map(
+        (s) => s.client_id
+      ),
+      ['c3']
+    );
+  });
+
+  it('should find the sessions a publish is delivered to', () => {
+    assert.deepEqual(matchSessions(subscriptions, 'sensors/a/temp'), [
+      {
+        client_id: 'c1',
+        username: 'u1',
+        qos: 2,
+        filters: ['sensors/#', 'sensors/+/temp']
+      },
+      { client_id: 'c3', username: null, qos: 1, filters: ['#'] }
+    ]);
+    assert.deepEqual(
+      matchSessions(subscriptions, 'sensors/a/humidity').map(
+        (s) => s.client_id
+      ),
+      ['c1', 'c2', 'c3']
+    );
+    // '#' does not match $ topics
+    assert.deepEqual(matchSessions(subscriptions, '$SYS/broker/uptime'), []);
+  });
+});
+
+describe('Subscription event handling', () => {
+  let events;
+
+  beforeEach(() => {
+    releaseSubscriptions('c1');
+    releaseSubscriptions('c2');
+    tableRegistry.clear();
+    // Tables already exist, so subscribing does not create any
+    tableRegistry.set('mqtt_messages', {
+      tableName: 'mqtt_messages',
+      subscriptionCount: 0,
+      hasRetained: true
+    });
+    events = new EventEmitter();
+    setupMqttMonitoring({ mqtt: { events } });
+  });
+
+  it('should count a repeated subscription once', () => {
+    const { count } = metrics.subscriptions;
+    events.emit('subscribe', ['sensors/#'], { sessionId: 'c1' });
+    events.emit('subscribe', [{ topic: 'sensors/#' }], { sessionId: 'c1' });
+    assert.equal(metrics.subscriptions.count, count + 1);
+    assert.equal(tableRegistry.get('mqtt_messages').subscriptionCount, 1);
+  });
+
+  it('should release wildcard subscriptions on unsubscribe', () => {
+    const { count } = metrics.subscriptions;
+    events.emit('subscribe', ['sensors/+/temp'], { sessionId: 'c1' });
+    events.emit('unsubscribe', ['sensors/+/temp'], { sessionId: 'c1' });
+    events.emit('unsubscribe', ['sensors/+/temp'], { sessionId: 'c1' });
+    assert.equal(metrics.subscriptions.count, count);
+    assert.equal(tableRegistry.get('mqtt_messages').subscriptionCount, 0);
+    assert.deepEqual(subscriptionIndex.filters('c1'), []);
+  });
+
+  it('should release clean sessions on disconnect', () => {
+    const { count } = metrics.subscriptions;
+    events.emit('subscribe', ['sensors/#', 'alarms/#'], { sessionId: 'c1' });
+    events.emit('subscribe', ['sensors/#'], { sessionId: 'c2' });
+    events.emit('disconnected', { sessionId: 'c1' });
+    assert.equal(metrics.subscriptions.count, count + 1);
+    assert.deepEqual(subscriptionIndex.sessions('sensors/#'), ['c2']);
+    assert.equal(tableRegistry.get('mqtt_messages').subscriptionCount, 1);
+  });
+
+  it('should keep persistent sessions until they expire', () => {
+    const { count } = metrics.subscriptions;
+    events.emit('subscribe', ['sensors/#'], { sessionId: 'c1' });
+    events.emit('disconnected', { sessionId: 'c1', clean: false });
+    assert.equal(metrics.subscriptions.count, count + 1);
+
+    assert.deepEqual(releaseSubscriptions('c1'), ['sensors/#']);
+    assert.equal(metrics.subscriptions.count, count);
+    assert.equal(tableRegistry.get('mqtt_messages').subscriptionCount, 0);
+  });
+
+  it('should restore the subscriptions of a resumed session', () => {
+    const { count } = metrics.subscriptions;
+    const session = { sessionId: 'c1', clean: false, sessionWasPresent: true };
+    events.emit('subscribe', ['sensors/#'], session);
+    events.emit('disconnected', session);
+    events.emit('connected', session);
+    assert.deepEqual([...metrics.perClient.get('c1').subscriptions], [
+      'sensors/#'
+    ]);
+    assert.equal(metrics.subscriptions.count, count + 1);
+
+    events.emit('unsubscribe', ['sensors/#'], session);
+    assert.deepEqual([...metrics.perClient.get('c1').subscriptions], []);
+    assert.equal(metrics.subscriptions.count, count);
+    assert.equal(tableRegistry.get('mqtt_messages').subscriptionCount, 0);
+    events.emit('disconnected', { sessionId: 'c1' });
+  });
+
+  it('should keep a new persistent session across a reconnect', () => {
+    const { count } = metrics.subscriptions;
+    const { disconnected } = metrics.clients;
+    // First connection of the session: Harper had no session to resume
+    events.emit('connected', { sessionId: 'c1', clean: false });
+    events.emit('subscribe', ['sensors/#'], { sessionId: 'c1' });
+    events.emit('disconnected', { sessionId: 'c1', clean: false });
+    assert.equal(metrics.clients.disconnected, disconnected + 1);
+    assert.deepEqual(subscriptionIndex.filters('c1'), ['sensors/#']);
+    assert.equal(tableRegistry.get('mqtt_messages').subscriptionCount, 1);
+
+    events.emit('connected', {
+      sessionId: 'c1',
+      clean: false,
+      sessionWasPresent: true
+    });
+    assert.equal(metrics.clients.disconnected, disconnected);
+    assert.deepEqual([...metrics.perClient.get('c1').subscriptions], [
+      'sensors/#'
+    ]);
+    assert.equal(metrics.subscriptions.count, count + 1);
+    events.emit('disconnected', { sessionId: 'c1' });
+    assert.equal(metrics.subscriptions.count, count);
+  });
+
+  it('should treat Harper durable sessions as persistent', () => {
+    const { count } = metrics.subscriptions;
+    // Harper's durable sessions carry a sessionRecord instead of the clean flag
+    const session = { sessionId: 'c1', sessionRecord: { id: 'c1' } };
+    events.emit('connected', session);
+    events.emit('subscribe', ['sensors/#'], session);
+    events.emit('disconnected', session);
+    assert.deepEqual(subscriptionIndex.filters('c1'), ['sensors/#']);
+    assert.equal(metrics.subscriptions.count, count + 1);
+    releaseSubscriptions('c1');
+  });
+
+  it('should release the subscriptions of a session that was not resumed', () => {
+    const { count } = metrics.subscriptions;
+    events.emit('subscribe', ['sensors/#'], { sessionId: 'c1' });
+    events.emit('disconnected', { sessionId: 'c1', clean: false });
+    // Reconnecting with a clean session discards the persistent one
+    events.emit('connected', { sessionId: 'c1' });
+    assert.deepEqual(subscriptionIndex.filters('c1'), []);
+    assert.equal(metrics.subscriptions.count, count);
+    assert.equal(tableRegistry.get('mqtt_messages').subscriptionCount, 0);
+
+    events.emit('subscribe', ['sensors/#'], { sessionId: 'c1' });
+    events.emit('disconnected', { sessionId: 'c1' });
+    assert.equal(metrics.subscriptions.count, count);
+  });
+});
+
+// Client ids and usernames are not shown to anonymous requests
+const user = { username: 'ops' };
+
+describe('SubscriptionsResource', () => {
+  let events;
+
+  beforeEach(() => {
+    releaseSubscriptions('c1');
+    releaseSubscriptions('c2');
+    events = new EventEmitter();
+    setupMqttMonitoring({ mqtt: { events } });
+    events.emit('subscribe', [{ topic: 'sensors/+/temp', qos: 1 }], {
+      sessionId: 'c1',
+      user: { username: 'alice' }
+    });
+    events.emit('subscribe', [{ topic: 'sensors/#', qos: 0 }], {
+      sessionId: 'c2'
+    });
+  });
+
+  afterEach(() => {
+    setThreadMetricsTable(null);
+    setAcl(null);
+  });
+
+  it('should list subscriptions filtered by client or topic', async () => {
+    const resource = new SubscriptionsResource();
+    const all = await resource.get({ user });
+    assert.equal(all.count, 2);
+    const [subscription] = all.subscriptions;
+    assert.equal(subscription.client_id, 'c1');
+    assert.equal(subscription.username, 'alice');
+    assert.equal(subscription.qos, 1);
+    assert.equal(subscription.thread_id, getThreadId());
+    assert.ok(!Number.isNaN(Date.parse(subscription.subscribed_at)));
+
+    const byClient = await resource.get({
+      url: '/subscriptions?client_id=c2',
+      user
+    });
+    assert.deepEqual(
+      byClient.subscriptions.map((s) => s.filter),
+      ['sensors/#']
+    );
+    const byTopic = await resource.get({ topic: 'sensors/+/temp', user });
+    assert.deepEqual(
+      byTopic.subscriptions.map((s) => s.client_id),
+      ['c1']
+    );
+  });
+
+  it('should answer which sessions receive a publish', async () => {
+    const resource = new SubscriptionsResource();
+    const result = await resource.get({ match: 'sensors/x/temp', user });
+    assert.equal(result.topic, 'sensors/x/temp');
+    assert.deepEqual(
+      result.sessions.map((s) => s.client_id),
+      ['c1', 'c2']
+    );
+    const humidity = await resource.get({
+      match: 'sensors/x/humidity',
+      user
+    });
+    assert.deepEqual(
+      humidity.sessions.map((s) => s.client_id),
+      ['c2']
+    );
+    await assert.rejects(resource.get({ match: 'sensors/+', user }), {
+      statusCode: 400
+    });
+  });
+
+  it('should include the subscriptions of other threads', async () => {
+    const row = {
+      id: '999',
+      timestamp: new Date().toISOString(),
+      snapshot: JSON.stringify({
+        threadId: 999,
+        subscriptionList: [
+          { client_id: 'remote', username: null, filter: 'sensors/a/temp' }
+        ]
+      })
+    };
+    setThreadMetricsTable({
+      async *search() {
+        yield row;
+      }
+    });
+    const subscriptions = await listSubscriptions();
+    assert.deepEqual(
+      subscriptions.map((s) => [s.client_id, s.thread_id]),
+      [
+        ['c1', getThreadId()],
+        ['c2', getThreadId()],
+        ['remote', 999]
+      ]
+    );
+  });
+
+  it('should be restricted to admins when the ACL is enabled', async () => {
+    setAcl({ rules: [], admins: ['root'] });
+    const resource = new SubscriptionsResource();
+    await assert.rejects(resource.get({ user: { username: 'alice' } }), {
+      statusCode: 403
+    });
+    const result = await resource.get({ user: { username: 'root' } });
+    assert.equal(result.count, 2);
+  });
+});
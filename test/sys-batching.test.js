@@ -0,0 +1,128 @@
+/**
+ * Tests and benchmark for batched, throttled $SYS table writes
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { performance } from 'node:perf_hooks';
+import {
+  MqttMetrics,
+  metrics,
+  upsertSysMetric,
+  flushSysMetrics,
+  setSysMetricsTable
+} from '../src/mqtt.js';
+
+after(() => {
+  metrics.stopMetricsUpdates();
+});
+
+/**
+ * Mock table that counts put() calls
+ */
+function createCountingTable() {
+  return {
+    puts: 0,
+    rows: new Map(),
+    put(record) {
+      this.puts++;
+      this.rows.set(record.id, record);
+    },
+    delete(id) {
+      this.rows.delete(id);
+    }
+  };
+}
+
+describe('$SYS write coalescing', () => {
+  let table;
+
+  beforeEach(() => {
+    table = createCountingTable();
+    setSysMetricsTable(table);
+    table.puts = 0;
+  });
+
+  it('keeps counters in memory between flushes', () => {
+    const local = new MqttMetrics();
+    local.stopMetricsUpdates();
+
+    for (let i = 0; i < 1000; i++) {
+      local.onPublishReceived({ topic: 'bench/topic' }, 64);
+      local.onPublishSent({ topic: 'bench/topic' }, 64);
+    }
+
+    assert.equal(table.puts, 0);
+    assert.equal(local.messages.received, 1000);
+  });
+
+  it('writes each changed topic once per flush', () => {
+    upsertSysMetric('$SYS/broker/test/a', 1);
+    upsertSysMetric('$SYS/broker/test/a', 2);
+    upsertSysMetric('$SYS/broker/test/a', 3);
+
+    const written = flushSysMetrics();
+
+    assert.equal(written, 1);
+    assert.equal(table.rows.get('broker/test/a').value, '3');
+  });
+
+  it('skips topics whose value has not changed since the last flush', () => {
+    upsertSysMetric('$SYS/broker/test/b', 5);
+    flushSysMetrics();
+
+    upsertSysMetric('$SYS/broker/test/b', 5);
+    assert.equal(flushSysMetrics(), 0);
+
+    upsertSysMetric('$SYS/broker/test/b', 6);
+    assert.equal(flushSysMetrics(), 1);
+  });
+
+  it('keeps pending writes until the table is available', () => {
+    setSysMetricsTable(null);
+    upsertSysMetric('$SYS/broker/test/c', 'queued');
+    assert.equal(flushSysMetrics(), 0);
+
+    setSysMetricsTable(table);
+    assert.equal(table.rows.get('broker/test/c').value, 'queued');
+  });
+
+  it('changes the update interval with setSysInterval', () => {
+    const local = new MqttMetrics();
+    local.setSysInterval(30);
+
+    assert.equal(local.sysIntervalMs, 30000);
+    local.stopMetricsUpdates();
+  });
+});
+
+describe('$SYS write overhead benchmark', () => {
+  it('replaces three puts per message with one put per changed topic', (t) => {
+    const messageCount = 20000;
+    const table = createCountingTable();
+    setSysMetricsTable(table);
+    const local = new MqttMetrics();
+    local.stopMetricsUpdates();
+    table.puts = 0;
+
+    const start = performance.now();
+    for (let i = 0; i < messageCount; i++) {
+      local.onPublishReceived({ topic: 'bench/topic' }, 128);
+    }
+    local._updateSystemMetrics();
+    const elapsed = performance.now() - start;
+
+    // Previously every message did three table puts (messages, publish, bytes)
+    const previousPuts = messageCount * 3;
+    t.diagnostic(
+      `${messageCount} messages: ${table.puts} puts (previously ${previousPuts}), ${((elapsed * 1e6) / messageCount).toFixed(0)} ns/message`
+    );
+
+    assert.ok(table.puts < 100, `expected < 100 puts, got ${table.puts}`);
+    assert.ok(table.puts * 100 < previousPuts);
+    assert.equal(table.rows.get('broker/messages/received').value, '20000');
+  });
+});
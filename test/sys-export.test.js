@@ -0,0 +1,98 @@
+/**
+ * Tests for the admin-only $SYS export of mqtt_sys_metrics
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SYS_EXPORT_PATH,
+  createSysMetricsResource,
+  registerSysMetricsResource
+} from '../src/sys-export.js';
+import { metrics } from '../src/mqtt.js';
+import { setAcl } from '../src/acl.js';
+
+metrics.stopMetricsUpdates();
+
+/**
+ * Stand-in for the mqtt_sys_metrics table class: readable by every user, with
+ * subscriptions to the stored rows
+ */
+class MockSysMetricsTable {
+  constructor(id) {
+    this.id = id;
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  allowRead() {
+    return true;
+  }
+
+  async subscribe() {
+    return (async function* () {
+      yield { type: 'put', id: '$SYS/broker/uptime', value: { value: '1' } };
+    })();
+  }
+}
+
+describe('$SYS export', () => {
+  afterEach(() => setAcl(null));
+
+  it('should replace the $SYS export of mqtt_sys_metrics', () => {
+    const resources = new Map();
+    const server = {
+      resources: {
+        set: (path, resource, exportTypes, force) =>
+          resources.set(path, { resource, force })
+      }
+    };
+    assert.equal(registerSysMetricsResource(server, MockSysMetricsTable), true);
+    const { resource, force } = resources.get(SYS_EXPORT_PATH);
+    assert.equal(force, true);
+    assert.ok(new resource('broker/uptime') instanceof MockSysMetricsTable);
+
+    assert.equal(registerSysMetricsResource({}, MockSysMetricsTable), false);
+    assert.equal(registerSysMetricsResource(server, undefined), false);
+  });
+
+  it('should be readable by everyone without an ACL', async () => {
+    const Resource = createSysMetricsResource(MockSysMetricsTable);
+    const resource = new Resource('broker/uptime');
+    assert.equal(resource.allowRead({ username: 'alice' }), true);
+    assert.equal(resource.allowRead(undefined), true);
+    await resource.subscribe({}, { session: { sessionId: 'c1' } });
+  });
+
+  it('should restrict reads and subscriptions to ACL admins', async () => {
+    setAcl({ rules: [], admins: ['root'] });
+    const Resource = createSysMetricsResource(MockSysMetricsTable);
+    const resource = new Resource('broker/uptime');
+    const before = metrics.acl.denied.subscribe;
+
+    assert.equal(resource.allowRead({ username: 'alice' }), false);
+    assert.equal(resource.allowRead(undefined), false);
+    assert.equal(resource.allowRead({ username: 'root' }), true);
+
+    await assert.rejects(
+      resource.subscribe({}, { user: { username: 'alice' } }),
+      { statusCode: 403 }
+    );
+    await assert.rejects(new Resource('').subscribe({}, {}), {
+      statusCode: 403
+    });
+    assert.equal(metrics.acl.denied.subscribe, before + 2);
+
+    const events = await resource.subscribe(
+      {},
+      { user: { username: 'root' } }
+    );
+    const { value: event } = await events.next();
+    assert.equal(event.id, '$SYS/broker/uptime');
+  });
+});
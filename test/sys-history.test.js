@@ -0,0 +1,246 @@
+/**
+ * Tests for $SYS metric history recording and range queries
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { URLSearchParams } from 'node:url';
+import {
+  setSysHistoryTable,
+  recordSysHistory,
+  pruneSysHistory,
+  querySysHistory,
+  downsampleSamples
+} from '../src/sys-history.js';
+import { metrics } from '../src/mqtt.js';
+import { SysHistoryResource } from '../src/resources.js';
+
+after(() => {
+  metrics.stopMetricsUpdates();
+  setSysHistoryTable(null);
+});
+
+/**
+ * Mock history table supporting the search conditions used by sys-history.js
+ */
+function createHistoryTable() {
+  const rows = new Map();
+  const comparators = {
+    equals: (actual, value) => actual === value,
+    less_than: (actual, value) => actual < value,
+    between: (actual, [low, high]) => actual >= low && actual <= high
+  };
+  const matches = (row, { attribute, comparator = 'equals', value }) =>
+    comparators[comparator](row[attribute], value);
+  return {
+    rows,
+    put(record) {
+      rows.set(record.id, record);
+    },
+    delete(id) {
+      rows.delete(id);
+    },
+    async *search({ conditions }) {
+      for (const row of Array.from(rows.values())) {
+        if (conditions.every((condition) => matches(row, condition))) {
+          yield row;
+        }
+      }
+    }
+  };
+}
+
+const T0 = Date.parse('2026-03-01T12:00:00.000Z');
+const CONNECTED = '$SYS/broker/clients/connected';
+
+describe('$SYS history', () => {
+  let table;
+
+  beforeEach(() => {
+    table = createHistoryTable();
+    setSysHistoryTable(table, { interval: 60, retention: 3600 });
+  });
+
+  describe('recordSysHistory', () => {
+    it('writes one row per metric with a time-based id', () => {
+      const written = recordSysHistory(
+        { [CONNECTED]: 3, '$SYS/broker/bytes/sent': 100 },
+        T0
+      );
+
+      assert.equal(written, 2);
+      const row = table.rows.get(
+        'broker/clients/connected@2026-03-01T12:00:00.000Z'
+      );
+      assert.equal(row.topic, CONNECTED);
+      assert.equal(row.value, 3);
+    });
+
+    it('downsamples ticks to the configured interval', () => {
+      for (let tick = 0; tick < 30; tick++) {
+        recordSysHistory({ [CONNECTED]: tick }, T0 + tick * 10_000);
+      }
+
+      // 300 seconds of 10-second ticks at a 60-second interval
+      assert.equal(table.rows.size, 5);
+    });
+
+    it('does nothing when history is disabled', () => {
+      setSysHistoryTable(table, { enabled: false });
+
+      assert.equal(recordSysHistory({ [CONNECTED]: 1 }, T0), 0);
+      assert.equal(table.rows.size, 0);
+    });
+  });
+
+  describe('pruneSysHistory', () => {
+    it('deletes samples older than the retention period', async () => {
+      recordSysHistory({ [CONNECTED]: 1 }, T0);
+      recordSysHistory({ [CONNECTED]: 2 }, T0 + 1800_000);
+      recordSysHistory({ [CONNECTED]: 3 }, T0 + 3000_000);
+
+      const deleted = await pruneSysHistory(T0 + 4000_000);
+
+      assert.equal(deleted, 1);
+      assert.deepEqual(
+        Array.from(table.rows.values(), (row) => row.value),
+        [2, 3]
+      );
+    });
+  });
+
+  describe('querySysHistory', () => {
+    beforeEach(() => {
+      for (let minute = 0; minute < 10; minute++) {
+        recordSysHistory(
+          { [CONNECTED]: minute, '$SYS/broker/bytes/sent': 1000 },
+          T0 + minute * 60_000
+        );
+      }
+    });
+
+    it('returns samples of one topic within the window, in time order', async () => {
+      const result = await querySysHistory({
+        topic: CONNECTED,
+        from: '2026-03-01T12:02:00.000Z',
+        to: '2026-03-01T12:05:00.000Z'
+      });
+
+      assert.equal(result.count, 4);
+      assert.deepEqual(
+        result.samples.map((s) => s.value),
+        [2, 3, 4, 5]
+      );
+    });
+
+    it('accepts epoch milliseconds and defaults to the last hour', async () => {
+      const result = await querySysHistory(
+        { topic: CONNECTED, to: String(T0 + 120_000) },
+        T0 + 600_000
+      );
+
+      assert.equal(
+        result.from,
+        new Date(T0 + 120_000 - 3600_000).toISOString()
+      );
+      assert.equal(result.count, 3);
+    });
+
+    it('averages samples into step-sized buckets', async () => {
+      const result = await querySysHistory({
+        topic: CONNECTED,
+        from: new Date(T0).toISOString(),
+        to: new Date(T0 + 600_000).toISOString(),
+        step: 300
+      });
+
+      assert.equal(result.step, 300);
+      assert.deepEqual(result.samples, [
+        {
+          timestamp: '2026-03-01T12:00:00.000Z',
+          value: 2,
+          min: 0,
+          max: 4,
+          count: 5
+        },
+        {
+          timestamp: '2026-03-01T12:05:00.000Z',
+          value: 7,
+          min: 5,
+          max: 9,
+          count: 5
+        }
+      ]);
+    });
+
+    it('rejects invalid parameters with status 400', async () => {
+      const invalid = [
+        {},
+        { topic: 'home/temperature' },
+        { topic: CONNECTED, from: 'yesterday' },
+        { topic: CONNECTED, from: T0 + 1, to: T0 },
+        { topic: CONNECTED, step: 0 }
+      ];
+      for (const query of invalid) {
+        await assert.rejects(
+          () => querySysHistory(query),
+          (error) => error.statusCode === 400
+        );
+      }
+    });
+  });
+
+  describe('SysHistoryResource', () => {
+    it('reads parameters from URLSearchParams-style requests', async () => {
+      recordSysHistory({ [CONNECTED]: 7 }, T0);
+      const request = new URLSearchParams({
+        topic: CONNECTED,
+        from: new Date(T0 - 1000).toISOString(),
+        to: new Date(T0 + 1000).toISOString()
+      });
+      request.user = { username: 'admin' };
+
+      const result = await new SysHistoryResource().get(request);
+
+      assert.equal(result.count, 1);
+      assert.equal(result.samples[0].value, 7);
+    });
+
+    it('reads parameters from a request URL', async () => {
+      recordSysHistory({ [CONNECTED]: 7 }, T0);
+      const params = new URLSearchParams({
+        topic: CONNECTED,
+        from: String(T0 - 1000),
+        to: String(T0 + 1000)
+      });
+
+      const result = await new SysHistoryResource().get({
+        url: `/sys_history?${params}`,
+        user: { username: 'admin' }
+      });
+
+      assert.equal(result.count, 1);
+    });
+  });
+});
+
+describe('downsampleSamples', () => {
+  it('aligns buckets to the window start', () => {
+    const buckets = downsampleSamples(
+      [
+        { timestamp: new Date(T0 + 10_000).toISOString(), value: 1 },
+        { timestamp: new Date(T0 + 70_000).toISOString(), value: 3 }
+      ],
+      60_000,
+      T0 + 5_000
+    );
+
+    assert.deepEqual(
+      buckets.map((b) => b.timestamp),
+      [new Date(T0 + 5_000).toISOString(), new Date(T0 + 65_000).toISOString()]
+    );
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for $SYS compatibility profiles
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compileSysTopics,
+  listProfileSysTopics,
+  resolveProfileTopic,
+  setSysTopicProfiles,
+  withProfileAliases
+} from '../src/sys-profiles.js';
+import { normalizeConfig } from '../src/config-loader.js';
+import { MqttMetrics, SysTopics, metrics } from '../src/mqtt.js';
+import { SysTopicsResource } from '../src/resources.js';
+
+metrics.stopMetricsUpdates();
+
+describe('sys_topics configuration', () => {
+  it('should default to the Mosquitto aliases and a host-based node name', () => {
+    const compiled = normalizeConfig({}).sys_topics;
+    assert.deepEqual(compiled.profiles, ['mosquitto']);
+    assert.match(compiled.node, /^harper@[^/+#]+$/);
+  });
+
+  it('should accept a single profile name or a list', () => {
+    assert.deepEqual(compileSysTopics({ profiles: 'emqx', node: 'n1' }), {
+      profiles: ['emqx'],
+      node: 'n1'
+    });
+    assert.deepEqual(
+      compileSysTopics({ profiles: ['emqx', 'hivemq', 'emqx'], node: 'n1' })
+        .profiles,
+      ['emqx', 'hivemq']
+    );
+    assert.deepEqual(compileSysTopics({ profiles: [] }).profiles, []);
+  });
+
+  it('should reject unknown profiles and invalid node names', () => {
+    assert.throws(
+      () => compileSysTopics({ profiles: ['vernemq'] }),
+      /sys_topics\.profiles must contain only mosquitto, emqx, hivemq, got: vernemq/
+    );
+    assert.throws(
+      () => compileSysTopics({ node: 'a/b' }),
+      /sys_topics\.node must be a non-empty name/
+    );
+    assert.throws(
+      () => normalizeConfig({ sys_topics: 'emqx' }),
+      /sys_topics must be an object/
+    );
+  });
+});
+
+describe('Profile aliases', () => {
+  after(() => setSysTopicProfiles(compileSysTopics()));
+
+  it('should resolve Mosquitto aliases from native metrics', () => {
+    setSysTopicProfiles(compileSysTopics({ profiles: ['mosquitto'] }));
+    const sysTopics = new SysTopics();
+    assert.equal(
+      sysTopics.get({ path: '$SYS/broker/heap/current size' }),
+      sysTopics.get({ path: '$SYS/broker/heap/current' })
+    );
+    assert.equal(
+      sysTopics.get({ path: '$SYS/broker/clients/active' }),
+      metrics.clients.connected
+    );
+  });
+
+  it('should generate per-node EMQX topics', () => {
+    setSysTopicProfiles(compileSysTopics({ profiles: 'emqx', node: 'n1' }));
+    const sysTopics = new SysTopics();
+    assert.equal(sysTopics.get({ path: '$SYS/brokers' }), 'n1');
+    assert.equal(
+      sysTopics.get({ path: '$SYS/brokers/n1/stats/connections/count' }),
+      metrics.clients.connected
+    );
+    assert.equal(
+      sysTopics.get({ path: '$SYS/brokers/n1/metrics/messages/received' }),
+      metrics.messages.received
+    );
+    assert.equal(
+      sysTopics.get({ path: '$SYS/broker/heap/current size' }),
+      null
+    );
+    assert.ok(
+      listProfileSysTopics().every(
+        (t) => t === '$SYS/brokers' || t.startsWith('$SYS/brokers/n1/')
+      )
+    );
+  });
+
+  it('should resolve HiveMQ topics', () => {
+    setSysTopicProfiles(compileSysTopics({ profiles: 'hivemq' }));
+    assert.deepEqual(
+      resolveProfileTopic('$SYS/broker/messages/retained/count'),
+      { native: '$SYS/broker/retained messages/count' }
+    );
+  });
+
+  it('should serve aliases through wildcard resource requests', () => {
+    setSysTopicProfiles(compileSysTopics({ profiles: 'emqx', node: 'n1' }));
+    const result = new SysTopicsResource().get({
+      path: '$SYS/brokers/+/stats/#',
+      user: { username: 'admin' }
+    });
+    assert.ok(result.count > 0);
+    assert.ok(
+      result.topics.every((t) => t.topic.startsWith('$SYS/brokers/n1/stats/'))
+    );
+  });
+
+  it('should announce alias topics when native topics change', () => {
+    setSysTopicProfiles(compileSysTopics({ profiles: 'emqx', node: 'n1' }));
+    assert.deepEqual(withProfileAliases(['$SYS/broker/bytes/sent']), [
+      '$SYS/broker/bytes/sent',
+      '$SYS/brokers/n1/metrics/bytes/sent'
+    ]);
+
+    const m = new MqttMetrics();
+    m.stopMetricsUpdates();
+    const changes = [];
+    m.on('change', (topics) => changes.push(...topics));
+    m.onConnect('c1', false);
+    assert.ok(changes.includes('$SYS/brokers/n1/stats/connections/count'));
+  });
+});
@@ -4,9 +4,15 @@
 
 import './helpers/setup-logger.js';
 
-import { describe, it } from 'node:test';
+import { describe, it, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { getTableNameForTopic } from '../src/mqtt.js';
+import {
+  getTableNameForTopic,
+  resolveTopicRoute,
+  setTopicRouting
+} from '../src/mqtt.js';
+import { compileRouting, routeTopic } from '../src/topic-routing.js';
+import { loadConfig } from '../src/config-loader.js';
 
 describe('getTableNameForTopic', () => {
   describe('hierarchical topics', () => {
@@ -60,3 +66,146 @@ describe('getTableNameForTopic', () => {
     });
   });
 });
+
+describe('routing rules', () => {
+  const routing = compileRouting({
+    rules: [
+      { filter: '+/+/sensors/#', table: 'mqtt_{1}_{2}_sensors' },
+      { filter: '+/alarms/#', database: 'alarms', table: 'alarms_{1}' },
+      { filter: 'legacy/#', table: 'mqtt_legacy' }
+    ],
+    default: { table: 'mqtt_unrouted' }
+  });
+
+  afterEach(() => {
+    setTopicRouting(null);
+  });
+
+  describe('routeTopic', () => {
+    it('substitutes captured wildcard levels', () => {
+      assert.deepEqual(routeTopic(routing, 'tenantA/site3/sensors/temp'), {
+        database: 'data',
+        table: 'mqtt_tenanta_site3_sensors'
+      });
+    });
+
+    it('routes to the database named by the rule', () => {
+      assert.deepEqual(routeTopic(routing, 'tenantB/alarms/fire/zone1'), {
+        database: 'alarms',
+        table: 'alarms_tenantb'
+      });
+    });
+
+    it('uses the first matching rule', () => {
+      const ordered = compileRouting({
+        rules: [
+          { filter: 'a/#', table: 'first' },
+          { filter: 'a/b', table: 'second' }
+        ]
+      });
+      assert.equal(routeTopic(ordered, 'a/b').table, 'first');
+    });
+
+    it('sanitizes captured levels', () => {
+      assert.equal(
+        routeTopic(routing, 'Tenant-A/site.3/sensors/temp').table,
+        'mqtt_tenant_a_site_3_sensors'
+      );
+    });
+
+    it('falls back to the default', () => {
+      assert.deepEqual(routeTopic(routing, 'other/topic'), {
+        database: 'data',
+        table: 'mqtt_unrouted'
+      });
+    });
+
+    it('returns null without a matching rule or default', () => {
+      const noDefault = compileRouting({
+        rules: [{ filter: 'a/#', table: 'mqtt_a' }]
+      });
+      assert.equal(routeTopic(noDefault, 'b/c'), null);
+    });
+  });
+
+  describe('getTableNameForTopic with routing', () => {
+    it('uses configured rules', () => {
+      setTopicRouting(routing);
+
+      assert.equal(
+        getTableNameForTopic('tenantA/site3/sensors/temp'),
+        'mqtt_tenanta_site3_sensors'
+      );
+      assert.equal(getTableNameForTopic('legacy/x'), 'mqtt_legacy');
+      assert.equal(getTableNameForTopic('home/temperature'), 'mqtt_unrouted');
+      assert.deepEqual(resolveTopicRoute('tenantC/alarms/x'), {
+        database: 'alarms',
+        table: 'alarms_tenantc'
+      });
+    });
+
+    it('keeps the built-in naming for unmatched topics without a default', () => {
+      setTopicRouting(
+        compileRouting({ rules: [{ filter: 'a/#', table: 'mqtt_a' }] })
+      );
+
+      assert.equal(getTableNameForTopic('home/temperature'), 'mqtt_home');
+      assert.equal(getTableNameForTopic('status'), 'mqtt_messages');
+    });
+  });
+
+  describe('compileRouting validation', () => {
+    it('returns null when routing is not configured', () => {
+      assert.equal(compileRouting(undefined), null);
+    });
+
+    it('defaults the database to data', () => {
+      const compiled = compileRouting({
+        rules: [{ filter: 'a/#', table: 'mqtt_a' }]
+      });
+      assert.equal(compiled.rules[0].database, 'data');
+      assert.equal(compiled.default, null);
+    });
+
+    const invalid = {
+      'a non-list rules section': { rules: { filter: 'a/#' } },
+      'a malformed filter': { rules: [{ filter: 'a/#/b', table: 't' }] },
+      'a missing filter': { rules: [{ table: 't' }] },
+      'a missing table': { rules: [{ filter: 'a/#' }] },
+      'a table with invalid characters': {
+        rules: [{ filter: 'a/#', table: 'mqtt-a' }]
+      },
+      'a table starting with a placeholder': {
+        rules: [{ filter: '+/#', table: '{1}_data' }]
+      },
+      'a placeholder without a wildcard': {
+        rules: [{ filter: '+/x', table: 'mqtt_{2}' }]
+      },
+      'a {0} placeholder': { rules: [{ filter: '+/x', table: 'mqtt_{0}' }] },
+      'a default with placeholders': { default: { table: 'mqtt_{1}' } },
+      'a default without a table': { default: { database: 'data' } }
+    };
+    for (const [name, config] of Object.entries(invalid)) {
+      it(`rejects ${name}`, () => {
+        assert.throws(() => compileRouting(config), /routing/);
+      });
+    }
+
+    it('is validated when the config is loaded', () => {
+      assert.throws(
+        () =>
+          loadConfig({
+            routing: { rules: [{ filter: 'a/+', table: 'mqtt_{3}' }] }
+          }),
+        /Failed to load configuration: routing.rules\[0\].table references \{3\}/
+      );
+    });
+
+    it('is compiled when the config is loaded', () => {
+      const config = loadConfig({
+        routing: { rules: [{ filter: '+/sensors/#', table: 'mqtt_{1}' }] }
+      });
+      assert.equal(routeTopic(config.routing, 't1/sensors/a').table, 'mqtt_t1');
+    });
+  });
+});
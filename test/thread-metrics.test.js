@@ -0,0 +1,196 @@
+/**
+ * Tests for cross-thread metric aggregation
+ */
+
+// IMPORTANT: Setup logger FIRST before importing any modules that use it
+import './helpers/setup-logger.js';
+
+import { describe, it, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeSnapshots, readThreadSnapshots } from '../src/thread-metrics.js';
+import {
+  MqttMetrics,
+  SysTopics,
+  metrics,
+  setThreadMetricsTable
+} from '../src/mqtt.js';
+
+after(() => {
+  metrics.stopMetricsUpdates();
+});
+
+/**
+ * In-memory stand-in for a HarperDB table
+ */
+function createMockTable() {
+  const rows = new Map();
+  return {
+    rows,
+    put(record) {
+      rows.set(record.id, record);
+    },
+    async *search() {
+      yield* rows.values();
+    }
+  };
+}
+
+function threadSnapshot(threadId, configure) {
+  const threadMetrics = new MqttMetrics();
+  threadMetrics.stopMetricsUpdates();
+  threadMetrics.threadId = threadId;
+  configure(threadMetrics);
+  return threadMetrics.snapshot();
+}
+
+describe('mergeSnapshots', () => {
+  it('sums counters across threads', () => {
+    const merged = mergeSnapshots([
+      threadSnapshot(1, (m) => {
+        m.clients.connected = 3;
+        m.messages.received = 100;
+        m.bytes.sent = 10;
+      }),
+      threadSnapshot(2, (m) => {
+        m.clients.connected = 4;
+        m.messages.received = 50;
+        m.bytes.sent = 5;
+      })
+    ]);
+
+    assert.equal(merged.threads, 2);
+    assert.equal(merged.clients.connected, 7);
+    assert.equal(merged.messages.received, 150);
+    assert.equal(merged.bytes.sent, 15);
+  });
+
+  it('combines load windows', () => {
+    const merged = mergeSnapshots([
+      threadSnapshot(1, (m) => {
+        m.load.messagesReceived.oneMin = 10;
+      }),
+      threadSnapshot(2, (m) => {
+        m.load.messagesReceived.oneMin = 5;
+      })
+    ]);
+
+    assert.equal(merged.load.messagesReceived.oneMin, 15);
+  });
+
+  it('uses the maximum for peaks and never lowers them', () => {
+    const first = mergeSnapshots([
+      threadSnapshot(1, (m) => {
+        m.clients.connected = 2;
+        m.clients.maximum = 9;
+      }),
+      threadSnapshot(2, (m) => {
+        m.clients.connected = 2;
+        m.clients.maximum = 3;
+      })
+    ]);
+    assert.equal(first.clients.maximum, 9);
+
+    const second = mergeSnapshots(
+      [threadSnapshot(1, (m) => (m.clients.maximum = 1))],
+      first
+    );
+    assert.equal(second.clients.maximum, 9);
+  });
+
+  it('counts concurrent connections across threads as a peak', () => {
+    const merged = mergeSnapshots([
+      threadSnapshot(1, (m) => {
+        m.clients.connected = 5;
+        m.clients.maximum = 5;
+      }),
+      threadSnapshot(2, (m) => {
+        m.clients.connected = 6;
+        m.clients.maximum = 6;
+      })
+    ]);
+
+    assert.equal(merged.clients.maximum, 11);
+  });
+
+  it('reports the earliest thread start time', () => {
+    const merged = mergeSnapshots([
+      { ...threadSnapshot(1, () => {}), startTime: '2025-01-02T00:00:00Z' },
+      { ...threadSnapshot(2, () => {}), startTime: '2025-01-01T00:00:00Z' }
+    ]);
+
+    assert.equal(merged.startTime.toISOString(), '2025-01-01T00:00:00.000Z');
+  });
+});
+
+describe('readThreadSnapshots', () => {
+  it('ignores snapshots older than the maximum age', async () => {
+    const table = createMockTable();
+    table.put({
+      id: '1',
+      snapshot: JSON.stringify({ threadId: 1 }),
+      timestamp: new Date().toISOString()
+    });
+    table.put({
+      id: '2',
+      snapshot: JSON.stringify({ threadId: 2 }),
+      timestamp: new Date(Date.now() - 60000).toISOString()
+    });
+
+    const snapshots = await readThreadSnapshots(table, 30000);
+
+    assert.deepEqual(
+      snapshots.map((s) => s.threadId),
+      [1]
+    );
+  });
+});
+
+describe('MqttMetrics.syncThreads', () => {
+  afterEach(() => {
+    setThreadMetricsTable(null);
+    metrics.aggregate = null;
+  });
+
+  it('publishes its snapshot and merges other live threads', async () => {
+    const table = createMockTable();
+    table.put({
+      id: 'other',
+      snapshot: JSON.stringify(
+        threadSnapshot(-1, (m) => {
+          m.clients.connected = 10;
+        })
+      ),
+      timestamp: new Date().toISOString()
+    });
+    setThreadMetricsTable(table);
+
+    const local = new MqttMetrics();
+    local.stopMetricsUpdates();
+    local.onConnect('client1', false);
+    await local.syncThreads();
+
+    assert.ok(table.rows.has(String(local.threadId)));
+    assert.equal(local.aggregate.threads, 2);
+    assert.equal(local.view().clients.connected, 11);
+  });
+
+  it('serves merged totals from SysTopics', async () => {
+    const table = createMockTable();
+    table.put({
+      id: 'other',
+      snapshot: JSON.stringify(
+        threadSnapshot(-1, (m) => {
+          m.messages.received = 40;
+        })
+      ),
+      timestamp: new Date().toISOString()
+    });
+    setThreadMetricsTable(table);
+    metrics.messages.received = 2;
+
+    await metrics.syncThreads();
+    const sys = new SysTopics();
+
+    assert.equal(sys.get({ path: '$SYS/broker/messages/received' }), 42);
+  });
+});
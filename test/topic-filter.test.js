@@ -0,0 +1,174 @@
+/**
+ * Tests for MQTT topic filter validation and matching (MQTT 3.1.1 §4.7)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  assertValidTopicFilter,
+  captureTopicLevels,
+  hasWildcard,
+  topicMatches,
+  validateTopicFilter,
+  validateTopicName
+} from '../src/topic-filter.js';
+
+describe('validateTopicFilter', () => {
+  const valid = [
+    '#',
+    '+',
+    'sport/#',
+    'sport/tennis/#',
+    'sport/+',
+    '+/tennis/#',
+    'sport/+/player1',
+    '+/+',
+    '/+',
+    '/',
+    'a//b',
+    '$SYS/#',
+    '$SYS/broker/load/+/1min'
+  ];
+  const invalid = [
+    '',
+    'sport/tennis#',
+    'sport/tennis/#/ranking',
+    '#/tennis',
+    'sport+',
+    'sport/+tennis',
+    'sport/ten+nis/#',
+    'a\u0000b'
+  ];
+
+  for (const filter of valid) {
+    it(`accepts '${filter}'`, () => {
+      assert.equal(validateTopicFilter(filter), null);
+    });
+  }
+
+  for (const filter of invalid) {
+    it(`rejects '${filter}'`, () => {
+      assert.ok(validateTopicFilter(filter));
+    });
+  }
+
+  it('rejects non-string filters', () => {
+    assert.ok(validateTopicFilter(undefined));
+    assert.ok(validateTopicFilter(42));
+  });
+});
+
+describe('assertValidTopicFilter', () => {
+  it('throws a 400 error for malformed filters', () => {
+    assert.throws(
+      () => assertValidTopicFilter('a/#/b'),
+      (error) => error.statusCode === 400 && /a\/#\/b/.test(error.message)
+    );
+  });
+
+  it('does not throw for valid filters', () => {
+    assertValidTopicFilter('a/+/b/#');
+  });
+});
+
+describe('validateTopicName', () => {
+  it('accepts plain topic names', () => {
+    assert.equal(validateTopicName('home/kitchen/temp'), null);
+  });
+
+  it('rejects wildcards in topic names', () => {
+    assert.ok(validateTopicName('home/+/temp'));
+    assert.ok(validateTopicName('home/#'));
+  });
+
+  it('rejects empty topic names', () => {
+    assert.ok(validateTopicName(''));
+  });
+});
+
+describe('hasWildcard', () => {
+  it('detects + and #', () => {
+    assert.equal(hasWildcard('a/+/b'), true);
+    assert.equal(hasWildcard('a/#'), true);
+    assert.equal(hasWildcard('a/b'), false);
+  });
+});
+
+describe('topicMatches', () => {
+  // [filter, topic, expected]
+  const matrix = [
+    // Exact match
+    ['sport/tennis', 'sport/tennis', true],
+    ['sport/tennis', 'sport/tennis/player1', false],
+
+    // Multi-level wildcard
+    ['sport/tennis/player1/#', 'sport/tennis/player1', true],
+    ['sport/tennis/player1/#', 'sport/tennis/player1/ranking', true],
+    ['sport/tennis/player1/#', 'sport/tennis/player1/score/wimbledon', true],
+    ['sport/#', 'sport', true],
+    ['sport/#', 'sports', false],
+    ['#', 'sport/tennis', true],
+    ['#', '/sport', true],
+
+    // Single-level wildcard
+    ['sport/tennis/+', 'sport/tennis/player1', true],
+    ['sport/tennis/+', 'sport/tennis/player2', true],
+    ['sport/tennis/+', 'sport/tennis/player1/ranking', false],
+    ['sport/+', 'sport', false],
+    ['sport/+', 'sport/', true],
+    ['+/tennis/#', 'sport/tennis/player1', true],
+    ['+', 'sport', true],
+    ['+', 'sport/tennis', false],
+
+    // Empty levels
+    ['+/+', '/finance', true],
+    ['/+', '/finance', true],
+    ['+', '/finance', false],
+    ['a//b', 'a//b', true],
+    ['a/+/b', 'a//b', true],
+    ['a/b', 'a//b', false],
+
+    // Topics starting with $
+    ['#', '$SYS/broker/uptime', false],
+    ['+/broker/uptime', '$SYS/broker/uptime', false],
+    ['$SYS/#', '$SYS/broker/uptime', true],
+    ['$SYS/broker/+', '$SYS/broker/uptime', true],
+    ['$SYS/broker/load/+/1min', '$SYS/broker/load/connections/1min', true],
+    [
+      '$SYS/broker/load/+/1min',
+      '$SYS/broker/load/messages/received/1min',
+      false
+    ],
+    ['$SYS/broker/+/received', '$SYS/broker/messages/received', true],
+    ['$SYS/broker/+/received', '$SYS/broker/bytes/received', true],
+    ['$SYS/broker/+/received', '$SYS/broker/publish/messages/received', false]
+  ];
+
+  for (const [filter, topic, expected] of matrix) {
+    it(`'${filter}' ${expected ? 'matches' : 'does not match'} '${topic}'`, () => {
+      assert.equal(topicMatches(filter, topic), expected);
+    });
+  }
+});
+
+describe('captureTopicLevels', () => {
+  it('captures the levels matched by each +', () => {
+    assert.deepEqual(captureTopicLevels('+/+/sensors/#', 't1/s3/sensors/a/b'), [
+      't1',
+      's3'
+    ]);
+  });
+
+  it('captures empty levels', () => {
+    assert.deepEqual(captureTopicLevels('+/x', '/x'), ['']);
+  });
+
+  it('returns an empty list for filters without +', () => {
+    assert.deepEqual(captureTopicLevels('a/#', 'a/b'), []);
+  });
+
+  it('returns null when the topic does not match', () => {
+    assert.equal(captureTopicLevels('+/x', 'a/y'), null);
+    assert.equal(captureTopicLevels('+/#', '$SYS/broker'), null);
+  });
+});
@@ -14,6 +14,9 @@ import {
 } from '../src/mqtt.js';
 import { SysTopicsResource, WildcardTopicsResource } from '../src/resources.js';
 
+// $SYS is closed to anonymous requests
+const user = { username: 'monitor' };
+
 describe('Wildcard Topics', () => {
   let sysResource;
   let wildcardResource;
@@ -61,7 +64,7 @@ describe('Wildcard Topics', () => {
 
   describe('$SYS/# wildcard', () => {
     it('returns all $SYS topics', () => {
-      const result = sysResource.get({ path: '$SYS/#' });
+      const result = sysResource.get({ user, path: '$SYS/#' });
 
       assert.equal(result.pattern, '$SYS/#');
       assert.ok(result.count > 0);
@@ -73,7 +76,7 @@ describe('Wildcard Topics', () => {
     });
 
     it('includes values for $SYS topics', () => {
-      const result = sysResource.get({ path: '$SYS/#' });
+      const result = sysResource.get({ user, path: '$SYS/#' });
 
       const versionTopic = result.topics.find(
         (t) => t.topic === '$SYS/broker/version'
@@ -86,7 +89,7 @@ describe('Wildcard Topics', () => {
 
   describe('Partial $SYS wildcards', () => {
     it('handles $SYS/broker/clients/# wildcard', () => {
-      const result = sysResource.get({ path: '$SYS/broker/clients/#' });
+      const result = sysResource.get({ user, path: '$SYS/broker/clients/#' });
 
       assert.equal(result.pattern, '$SYS/broker/clients/#');
       assert.ok(result.count > 0);
@@ -102,7 +105,7 @@ describe('Wildcard Topics', () => {
     });
 
     it('handles $SYS/broker/load/# wildcard', () => {
-      const result = sysResource.get({ path: '$SYS/broker/load/#' });
+      const result = sysResource.get({ user, path: '$SYS/broker/load/#' });
 
       assert.equal(result.pattern, '$SYS/broker/load/#');
       assert.ok(result.count > 0);
@@ -115,7 +118,7 @@ describe('Wildcard Topics', () => {
     });
 
     it('handles $SYS/broker/messages/# wildcard', () => {
-      const result = sysResource.get({ path: '$SYS/broker/messages/#' });
+      const result = sysResource.get({ user, path: '$SYS/broker/messages/#' });
 
       assert.equal(result.pattern, '$SYS/broker/messages/#');
       assert.ok(result.count > 0);
@@ -131,9 +134,168 @@ describe('Wildcard Topics', () => {
     });
   });
 
+  describe('$SYS wildcard filters', () => {
+    it('matches single-level wildcards in the middle of a filter', () => {
+      const result = sysResource.get({ user, path: '$SYS/broker/load/+/1min' });
+
+      assert.equal(result.pattern, '$SYS/broker/load/+/1min');
+      assert.ok(
+        result.topics.some(
+          (t) => t.topic === '$SYS/broker/load/connections/1min'
+        )
+      );
+      assert.ok(
+        !result.topics.some(
+          (t) => t.topic === '$SYS/broker/load/messages/received/1min'
+        )
+      );
+    });
+
+    it('matches $SYS/broker/+/received', () => {
+      const result = sysResource.get({ user, path: '$SYS/broker/+/received' });
+
+      const topics = result.topics.map((t) => t.topic).sort();
+      assert.deepEqual(topics, [
+        '$SYS/broker/bytes/received',
+        '$SYS/broker/messages/received'
+      ]);
+    });
+
+    it('treats $SYS/* as $SYS/#', () => {
+      const result = sysResource.get({ user, path: '$SYS/*' });
+
+      assert.equal(result.pattern, '$SYS/#');
+      assert.ok(result.count > 0);
+    });
+
+    it('rejects # in the middle of a filter', () => {
+      assert.throws(
+        () => sysResource.get({ user, path: '$SYS/broker/#/count' }),
+        (error) => error.statusCode === 400
+      );
+    });
+
+    it('rejects malformed filters on subscribe', () => {
+      assert.throws(
+        () => sysResource.subscribe({ user, path: '$SYS/broker/clients+' }),
+        (error) => error.statusCode === 400
+      );
+    });
+  });
+
+  describe('Push-based subscriptions', () => {
+    it('yields the current value, then only changed topics', async () => {
+      const { metrics } = await import('../src/mqtt.js');
+      const iterator = sysResource.subscribe({
+        user,
+        path: '$SYS/broker/clients/+'
+      });
+      try {
+        const initial = await iterator.next();
+        assert.equal(initial.value.pattern, '$SYS/broker/clients/+');
+
+        const before = metrics.clients.connected;
+        metrics.onConnect(null, false);
+
+        const updates = [await iterator.next(), await iterator.next()];
+        const topics = updates.map((u) => u.value.topic).sort();
+        // clients/maximum only changes when a new peak is reached
+        assert.ok(topics.includes('$SYS/broker/clients/connected'));
+        const connected = updates.find(
+          (u) => u.value.topic === '$SYS/broker/clients/connected'
+        );
+        assert.equal(connected.value.value, before + 1);
+      } finally {
+        await iterator.return();
+        metrics.onDisconnect(null, false);
+      }
+    });
+
+    it('does not re-yield topics whose value is unchanged', async () => {
+      const { metrics } = await import('../src/mqtt.js');
+      const iterator = sysResource.subscribe({
+        user,
+        path: '$SYS/broker/messages/received'
+      });
+      try {
+        await iterator.next();
+
+        // Unrelated and repeated notifications are ignored
+        metrics.emit('change', ['$SYS/broker/messages/received']);
+        metrics.emit('change', ['$SYS/broker/bytes/sent']);
+        metrics.onPublishReceived({ topic: 'push/test' }, 10);
+
+        const update = await iterator.next();
+        assert.equal(update.value.topic, '$SYS/broker/messages/received');
+        assert.equal(update.value.value, metrics.messages.received);
+      } finally {
+        await iterator.return();
+      }
+    });
+
+    it('removes its listener when the subscriber leaves', async () => {
+      const { metrics } = await import('../src/mqtt.js');
+      const listeners = metrics.listenerCount('change');
+      const iterator = sysResource.subscribe({ user, path: '$SYS/#' });
+      assert.equal(metrics.listenerCount('change'), listeners + 1);
+
+      await iterator.next();
+      const pending = iterator.next();
+      await iterator.return();
+
+      assert.deepEqual(await pending, { value: undefined, done: true });
+      assert.equal(metrics.listenerCount('change'), listeners);
+    });
+
+    it('pushes newly published topics to /# subscribers', async () => {
+      const iterator = wildcardResource.subscribe({ path: '/#' });
+      try {
+        const initial = await iterator.next();
+        assert.equal(initial.value.count, topicRegistry.size);
+
+        topicRegistry.add('home/temperature'); // already known
+        topicRegistry.add('$SYS/broker/uptime');
+        topicRegistry.add('garden/sprinkler');
+
+        const update = await iterator.next();
+        assert.equal(update.value.topic, 'garden/sprinkler');
+      } finally {
+        await iterator.return();
+      }
+      assert.equal(topicRegistry.events.listenerCount('added'), 0);
+    });
+  });
+
+  describe('Per-client $SYS topics', () => {
+    it('includes connected clients in $SYS/broker/clients/#', async () => {
+      const { metrics } = await import('../src/mqtt.js');
+      metrics.onConnect('wildcard-client', false, 'carol');
+      try {
+        const result = sysResource.get({ user, path: '$SYS/broker/clients/#' });
+
+        const username = result.topics.find(
+          (t) => t.topic === '$SYS/broker/clients/wildcard-client/username'
+        );
+        assert.ok(username);
+        assert.equal(username.value, 'carol');
+      } finally {
+        metrics.onDisconnect('wildcard-client', false);
+      }
+    });
+  });
+
   describe('Individual $SYS topics', () => {
+    it('requires an authenticated user', () => {
+      assert.throws(() => sysResource.get({ path: '$SYS/broker/uptime' }), {
+        statusCode: 401
+      });
+    });
+
     it('returns individual $SYS topic value', () => {
-      const result = sysResource.get({ path: '$SYS/broker/clients/connected' });
+      const result = sysResource.get({
+        user,
+        path: '$SYS/broker/clients/connected'
+      });
 
       assert.ok(result);
       assert.equal(result.topic, '$SYS/broker/clients/connected');
@@ -142,7 +304,7 @@ describe('Wildcard Topics', () => {
     });
 
     it('returns uptime in seconds', () => {
-      const result = sysResource.get({ path: '$SYS/broker/uptime' });
+      const result = sysResource.get({ user, path: '$SYS/broker/uptime' });
 
       assert.ok(result);
       assert.equal(result.topic, '$SYS/broker/uptime');
@@ -151,8 +313,14 @@ describe('Wildcard Topics', () => {
     });
 
     it('returns heap metrics', () => {
-      const currentHeap = sysResource.get({ path: '$SYS/broker/heap/current' });
-      const maxHeap = sysResource.get({ path: '$SYS/broker/heap/maximum' });
+      const currentHeap = sysResource.get({
+        user,
+        path: '$SYS/broker/heap/current'
+      });
+      const maxHeap = sysResource.get({
+        user,
+        path: '$SYS/broker/heap/maximum'
+      });
 
       assert.ok(currentHeap);
       assert.ok(maxHeap);